@@ -4,6 +4,13 @@
 import { StorageManager } from './storage.js';
 import { AnimationManager } from './animations.js';
 
+// Wording of the evolution statComparison condition
+const STAT_COMPARISONS = {
+  'attack>defense': 'Attack higher than Defense',
+  'attack<defense': 'Defense higher than Attack',
+  'attack=defense': 'Attack equal to Defense',
+};
+
 export class PokedexApp {
   constructor(storage, animations) {
     this.storage = storage;
@@ -161,7 +168,7 @@ export class PokedexApp {
   }
 
   /**
-   * Search species by name
+   * Search species by species or form name
    * @param {string} query - Search query
    */
   searchSpecies(query) {
@@ -170,8 +177,11 @@ export class PokedexApp {
     if (!query.trim()) {
       this.filteredSpecies = [...this.speciesData];
     } else {
+      // Forms are found through their base species
       this.filteredSpecies = this.speciesData.filter((species) =>
-        species.name.toLowerCase().includes(this.currentSearchQuery)
+        [species.name, ...(species.forms || []).map((form) => form.name)].some(
+          (name) => name.toLowerCase().includes(this.currentSearchQuery)
+        )
       );
     }
 
@@ -214,15 +224,8 @@ export class PokedexApp {
         <div class="species-header">
           <div class="species-info">
             <span class="species-number">#${species.number}</span>
-            <h2 class="species-name">${species.name}</h2>
-            <div class="species-types">
-              ${species.types
-                .map(
-                  (type) =>
-                    `<span class="type-badge type-${type}">${type}</span>`
-                )
-                .join('')}
-            </div>
+            <h2 class="species-name" id="species-name-${species.id}">${species.name}</h2>
+            <div class="species-types" id="species-types-${species.id}"></div>
           </div>
           <button class="favorite-btn ${this.favorites.has(species.id) ? 'favorited' : ''}" 
                   data-species-id="${species.id}">
@@ -231,10 +234,38 @@ export class PokedexApp {
         </div>
         
         <div class="species-content">
+          ${
+            species.forms?.length > 0
+              ? `<select class="select form-select" id="form-select-${species.id}"
+                         aria-label="Form">
+                  <option value="">${species.name}</option>
+                  ${species.forms
+                    .map(
+                      (form) =>
+                        `<option value="${form.name}">${form.name}</option>`
+                    )
+                    .join('')}
+                </select>`
+              : ''
+          }
+          <div class="form-details" id="form-details-${species.id}"></div>
+
           <div class="species-description">
             <h3>Description</h3>
             <p>${species.description}</p>
           </div>
+
+          <div class="evolution-section">
+            <h3>Evolution</h3>
+            <div class="evolution-tree" id="evolution-tree-${species.id}"></div>
+          </div>
+
+          <div class="learnset-section">
+            <h3>Moves</h3>
+            <select class="select learnset-game" id="learnset-game-${species.id}"
+                    aria-label="Game"></select>
+            <div class="learnset-panel" id="learnset-panel-${species.id}"></div>
+          </div>
           
           <div class="lore-section">
             <h3>AI-Generated Lore</h3>
@@ -257,18 +288,350 @@ export class PokedexApp {
       </div>
     `;
 
+    // Show the base form until another one is selected
+    this.renderForm(species, null);
+
     // Set up event listeners for the entry
     this.setupEntryEventListeners(species.id);
 
+    // Show the family's evolution tree
+    await this.loadEvolution(species);
+
+    // Show the moves of the last chosen game
+    await this.loadLearnset(species);
+
     // Load existing generated content
     await this.loadGeneratedContent(species.id);
   }
 
+  /**
+   * Get what to show for a species form: the form's own types, stats,
+   * abilities and image, falling back to the base species
+   * @param {Object} species - Species data
+   * @param {string|null} formName - Form name (null for the base form)
+   * @returns {Object} Form view ({ name, types, stats, abilities, image })
+   */
+  getFormView(species, formName) {
+    const form = (species.forms || []).find((f) => f.name === formName);
+    const pick = (value, fallback) =>
+      value && Object.keys(value).length > 0 ? value : fallback;
+
+    return {
+      name: form ? form.name : species.name,
+      types: pick(form?.types, species.types),
+      stats: pick(form?.stats, species.stats || {}),
+      abilities: pick(form?.abilities, species.abilities || []),
+      image: form?.image?.base ? form.image : species.image,
+    };
+  }
+
+  /**
+   * Render a species form's name, types, artwork, abilities and stats
+   * @param {Object} species - Species data
+   * @param {string|null} formName - Form name (null for the base form)
+   */
+  renderForm(species, formName) {
+    const view = this.getFormView(species, formName);
+    const name = document.getElementById(`species-name-${species.id}`);
+    const types = document.getElementById(`species-types-${species.id}`);
+    const details = document.getElementById(`form-details-${species.id}`);
+
+    if (name) {
+      name.textContent = view.name;
+    }
+    if (types) {
+      types.innerHTML = view.types
+        .map((type) => `<span class="type-badge type-${type}">${type}</span>`)
+        .join('');
+    }
+    if (!details) return;
+
+    const labels = {
+      hp: 'HP',
+      attack: 'Attack',
+      defense: 'Defense',
+      spAttack: 'Sp. Atk',
+      spDefense: 'Sp. Def',
+      speed: 'Speed',
+    };
+    details.innerHTML = `
+      ${view.image?.base ? `<img src="${view.image.base}" alt="${view.name}" class="form-image">` : ''}
+      ${view.abilities.length > 0 ? `<p class="form-abilities">Abilities: ${view.abilities.join(', ')}</p>` : ''}
+      ${
+        Object.keys(view.stats).length > 0
+          ? `<table class="form-stats">
+              ${Object.entries(labels)
+                .filter(([stat]) => view.stats[stat] !== undefined)
+                .map(
+                  ([stat, label]) =>
+                    `<tr><th>${label}</th><td>${view.stats[stat]}</td></tr>`
+                )
+                .join('')}
+            </table>`
+          : ''
+      }
+    `;
+  }
+
+  /**
+   * Show the evolution tree of the species' family from the synced
+   * evolution graph
+   * @param {Object} species - Species data
+   */
+  async loadEvolution(species) {
+    const graph = await this.storage.getEvolutionGraph();
+    this.renderEvolution(species, graph || { nodes: [], edges: [] });
+  }
+
+  /**
+   * Render a family's evolution tree, starting from the species that do
+   * not evolve from anything, with every branch (e.g. Eevee's) below its
+   * species
+   * @param {Object} species - Species data
+   * @param {Object} graph - Evolution graph ({ nodes, edges })
+   */
+  renderEvolution(species, graph) {
+    const container = document.getElementById(`evolution-tree-${species.id}`);
+    if (!container) return;
+
+    // Walk the graph both ways to find the whole family
+    const family = new Set([species.id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const { from, to } of graph.edges) {
+        if (family.has(from) !== family.has(to)) {
+          family.add(from).add(to);
+          grew = true;
+        }
+      }
+    }
+
+    const edges = graph.edges.filter((edge) => family.has(edge.from));
+    if (edges.length === 0) {
+      container.innerHTML =
+        '<p class="evolution-empty">This Pokémon does not evolve.</p>';
+      return;
+    }
+
+    const getName = (id) =>
+      this.speciesData.find((s) => s.id === id)?.name ||
+      graph.nodes.find((node) => node.id === id)?.name ||
+      `#${id}`;
+    const renderStage = (id, visited) => {
+      const children = edges.filter(
+        (edge) => edge.from === id && !visited.has(edge.to)
+      );
+      return `
+        <button class="evolution-stage ${id === species.id ? 'current' : ''}"
+                data-evolution-id="${id}">${getName(id)}</button>
+        ${
+          children.length > 0
+            ? `<ul class="evolution-branches">
+                ${children
+                  .map(
+                    (edge) => `
+                      <li>
+                        <span class="evolution-method">${this.formatEvolutionMethod(edge)}</span>
+                        ${renderStage(edge.to, new Set([...visited, edge.to]))}
+                      </li>`
+                  )
+                  .join('')}
+              </ul>`
+            : ''
+        }
+      `;
+    };
+
+    const roots = [...family]
+      .filter((id) => !edges.some((edge) => edge.to === id))
+      .sort((a, b) => a - b);
+    container.innerHTML = roots
+      .map(
+        (id) =>
+          `<div class="evolution-root">${renderStage(id, new Set([id]))}</div>`
+      )
+      .join('');
+
+    container.querySelectorAll('.evolution-stage').forEach((button) => {
+      button.addEventListener('click', () => {
+        const id = parseInt(button.dataset.evolutionId);
+        if (id !== species.id) {
+          this.openSpeciesEntry(id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Describe how an evolution happens from its typed conditions, falling
+   * back to the source's wording when part of it was not parsed
+   * @param {Object} edge - Evolution edge ({ from, to, trigger, conditions,
+   *   text, unparsed })
+   * @returns {string} Description (e.g. "Trade holding Metal Coat")
+   */
+  formatEvolutionMethod(edge) {
+    const conditions = edge.conditions || {};
+    const parts = [];
+
+    if (edge.unparsed && edge.text) {
+      return edge.text;
+    }
+
+    if (edge.trigger === 'trade') {
+      parts.push('Trade');
+    } else if (edge.trigger === 'use-item') {
+      parts.push(`Use ${conditions.item}`);
+    } else if (conditions.level) {
+      parts.push(`Level ${conditions.level}`);
+    } else if (edge.trigger === 'level-up') {
+      parts.push('Level up');
+    } else {
+      return edge.text;
+    }
+
+    if (conditions.tradeWith) parts.push(`for ${conditions.tradeWith}`);
+    if (conditions.heldItem) parts.push(`holding ${conditions.heldItem}`);
+    if (conditions.friendship) parts.push('with high friendship');
+    if (conditions.affection) parts.push('with high affection');
+    if (conditions.knownMove) parts.push(`knowing ${conditions.knownMove}`);
+    if (conditions.knownMoveType) {
+      parts.push(`knowing a ${conditions.knownMoveType}-type move`);
+    }
+    if (conditions.partySpecies) {
+      parts.push(`with ${conditions.partySpecies} in the party`);
+    }
+    if (conditions.partyType) {
+      parts.push(`with a ${conditions.partyType}-type in the party`);
+    }
+    if (conditions.statComparison) {
+      parts.push(`with ${STAT_COMPARISONS[conditions.statComparison]}`);
+    }
+    if (conditions.location) parts.push(`at ${conditions.location}`);
+    if (conditions.timeOfDay) parts.push(`during the ${conditions.timeOfDay}`);
+    if (conditions.weather) parts.push(`in the ${conditions.weather}`);
+    if (conditions.gender) parts.push(`(${conditions.gender})`);
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Fill the game selector and show the species' moves in the selected
+   * game, defaulting to the last game chosen (or the newest game)
+   * @param {Object} species - Species data
+   */
+  async loadLearnset(species) {
+    const select = document.getElementById(`learnset-game-${species.id}`);
+    if (!select) return;
+
+    const learnset = species.learnset || [];
+    const games = this.getLearnsetGames(learnset);
+    if (games.length === 0) {
+      select.style.display = 'none';
+      this.renderLearnset(species, null);
+      return;
+    }
+
+    const savedGame = await this.storage.getSetting('learnsetGame', null);
+    const game = games.includes(savedGame)
+      ? savedGame
+      : games[games.length - 1];
+
+    select.innerHTML = games
+      .map(
+        (id) =>
+          `<option value="${id}" ${id === game ? 'selected' : ''}>${this.formatGameName(id)}</option>`
+      )
+      .join('');
+    select.addEventListener('change', () => {
+      this.renderLearnset(species, select.value);
+      this.updateSetting('learnsetGame', select.value);
+    });
+
+    this.renderLearnset(species, game);
+  }
+
+  /**
+   * Get the games a learnset covers, oldest first
+   * @param {Array<Object>} learnset - Learnset entries ({ move, method,
+   *   level, generation, games })
+   * @returns {Array<string>} Game IDs
+   */
+  getLearnsetGames(learnset) {
+    return [...new Set(learnset.flatMap((entry) => entry.games))];
+  }
+
+  /**
+   * Render the moves a species learns in one game
+   * @param {Object} species - Species data
+   * @param {string|null} game - Game ID
+   */
+  renderLearnset(species, game) {
+    const panel = document.getElementById(`learnset-panel-${species.id}`);
+    if (!panel) return;
+
+    const entries = (species.learnset || []).filter((entry) =>
+      entry.games.includes(game)
+    );
+    if (entries.length === 0) {
+      panel.innerHTML = '<p class="learnset-empty">No move data yet.</p>';
+      return;
+    }
+
+    const methods = {
+      'level-up': 'Level up',
+      machine: 'TM/TR',
+      egg: 'Egg',
+      tutor: 'Tutor',
+      event: 'Event',
+    };
+    panel.innerHTML = `
+      <table class="learnset-table">
+        <thead>
+          <tr><th>Move</th><th>Method</th><th>Level</th></tr>
+        </thead>
+        <tbody>
+          ${entries
+            .map(
+              (entry) => `
+                <tr>
+                  <td>${entry.move}</td>
+                  <td>${methods[entry.method] || entry.method}</td>
+                  <td>${entry.method === 'level-up' ? (entry.level ?? 'Evo.') : '—'}</td>
+                </tr>`
+            )
+            .join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Turn a game ID into a display name (e.g. "ultra-sun" is "Ultra Sun")
+   * @param {string} id - Game ID
+   * @returns {string} Game name
+   */
+  formatGameName(id) {
+    return id
+      .split('-')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
   /**
    * Set up event listeners for species entry
    * @param {number} speciesId - Species ID
    */
   setupEntryEventListeners(speciesId) {
+    // Form selector
+    const formSelect = document.getElementById(`form-select-${speciesId}`);
+    if (formSelect) {
+      formSelect.addEventListener('change', () => {
+        const species = this.speciesData.find((s) => s.id === speciesId);
+        this.renderForm(species, formSelect.value || null);
+      });
+    }
+
     // Generate lore button
     const loreBtn = document.querySelector(
       `[data-species-id="${speciesId}"].generate-lore-btn`
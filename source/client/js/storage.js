@@ -209,7 +209,31 @@ export class StorageManager {
   }
 
   /**
-   * Search species by name
+   * Get the evolution graph downloaded with the dataset
+   * @returns {Promise<Object|null>} Graph ({ nodes, edges }), or null if
+   *   not synced yet
+   */
+  async getEvolutionGraph() {
+    await this.waitForReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['metadata'], 'readonly');
+      const store = transaction.objectStore('metadata');
+      const request = store.get('evolution-graph');
+
+      request.onsuccess = () => {
+        resolve(request.result?.value || null);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get evolution graph:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Search species by species or form name
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of matching species
    */
@@ -223,8 +247,12 @@ export class StorageManager {
 
       request.onsuccess = () => {
         const allSpecies = request.result;
+        // Forms live under their base species, which is returned for them
         const filtered = allSpecies.filter((species) =>
-          species.name.toLowerCase().includes(query.toLowerCase())
+          [
+            species.name,
+            ...(species.forms || []).map((form) => form.name),
+          ].some((name) => name.toLowerCase().includes(query.toLowerCase()))
         );
         resolve(filtered);
       };
@@ -221,6 +221,48 @@ export class CDNSync {
     });
   }
 
+  /**
+   * Download the dataset-wide evolution graph
+   * Preconditions: Network available, database initialized
+   * Postconditions: Graph ({ nodes, edges }) stored in metadata
+   * @returns {Promise<void>}
+   * @throws {Error} If download fails after retries
+   */
+  async downloadEvolutionGraph() {
+    const url = `${CDN_BASE_URL}/species/evolution.json`;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const graph = await response.json();
+        const tx = this.db.transaction('metadata', 'readwrite');
+        const store = tx.objectStore('metadata');
+        await new Promise((resolve, reject) => {
+          const request = store.put({ key: 'evolution-graph', value: graph });
+          request.onsuccess = () => {
+            // Wait for transaction to complete before resolving
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+          };
+          request.onerror = () => reject(request.error);
+        });
+
+        logger.info('Evolution graph downloaded', { edges: graph.edges?.length });
+        return;
+      } catch (err) {
+        if (attempt === MAX_RETRIES - 1) {
+          logger.error('Failed to download evolution graph', { error: err.message });
+          throw err;
+        }
+        await this.delay(RETRY_DELAY_MS * Math.pow(2, attempt));
+      }
+    }
+  }
+
   /**
    * Save sync checkpoint to enable resume
    * Preconditions: Database initialized
@@ -393,6 +435,9 @@ export class CDNSync {
         this.notifyProgress(i + 1, chunks.length);
       }
 
+      // Evolution trees span species, so the graph comes as one file
+      await this.downloadEvolutionGraph();
+
       // Save version and clear checkpoint
       await this.saveVersion(manifest.version);
       await versionManager.updateVersion(manifest.version);
@@ -76,6 +76,13 @@ export class CDNPublisher {
       );
       result.urls.species = speciesUrls;
 
+      // Publish the evolution graph
+      const evolutionUrl = await this.publishEvolutionGraph(
+        dataset,
+        versionPath
+      );
+      result.urls.evolution = evolutionUrl;
+
       // Publish metadata
       const metadataUrl = await this.publishMetadata(dataset, versionPath);
       result.urls.metadata = metadataUrl;
@@ -194,6 +201,34 @@ export class CDNPublisher {
     return urls;
   }
 
+  /**
+   * Publish the dataset-wide evolution graph next to the species files
+   * @param {Object} dataset - Dataset object
+   * @param {string} versionPath - Version path
+   * @returns {Promise<string>} Published URL
+   */
+  async publishEvolutionGraph(dataset, versionPath) {
+    try {
+      const graph = dataset.evolution || { nodes: [], edges: [] };
+      const content = JSON.stringify(graph, null, 2);
+      const url = `${versionPath}/species/evolution.json`;
+
+      await this.uploadFile(url, content, 'application/json');
+
+      const fullUrl = generateCDNUrl(
+        this.baseUrl,
+        versionPath,
+        'species/evolution.json'
+      );
+      logger.info(`Published evolution graph: ${fullUrl}`);
+
+      return fullUrl;
+    } catch (error) {
+      logger.error('Failed to publish evolution graph:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Publish metadata file
    * @param {Object} dataset - Dataset object
@@ -212,6 +247,11 @@ export class CDNPublisher {
             versionPath,
             'species/index.json'
           ),
+          evolution: generateCDNUrl(
+            this.baseUrl,
+            versionPath,
+            'species/evolution.json'
+          ),
           latest: generateLatestUrl(this.baseUrl, 'species/index.json'),
         },
       };
@@ -303,7 +343,7 @@ export class CDNPublisher {
       errors: [],
     };
 
-    const checkUrls = [urls.index, urls.metadata];
+    const checkUrls = [urls.index, urls.evolution, urls.metadata];
 
     // Add a few species URLs for testing
     const speciesUrls = Object.values(urls.species || {}).slice(0, 3);
@@ -13,7 +13,19 @@ import { promises as fs } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { getCDNConfig, generateCDNUrl } from '../config/cdn.js';
+import {
+  getRegionForId,
+  speciesRegistry,
+} from '../registry/species-registry.js';
+import { sortLearnset } from '../processors/learnset.js';
+import { mergeDexEntries } from '../processors/dex-entries.js';
+import {
+  buildEvolutionGraph,
+  mergeEvolution,
+} from '../processors/evolution.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,10 +39,16 @@ export class DatasetBuilder {
     this.outputDir =
       config.outputDir || join(__dirname, '..', 'data', 'output');
     this.tempDir = config.tempDir || join(__dirname, '..', 'data', 'temp');
+    this.cdnConfig = getCDNConfig(config.cdnProvider || 'aws');
   }
 
   /**
    * Build complete dataset from enriched data
+   *
+   * Freshly built species are merged into the previous dataset (local output
+   * or the published CDN version), so a partial run only replaces the species
+   * it crawled and everything else carries over unchanged.
+   *
    * @param {Object} enrichedData - Enriched species data
    * @returns {Promise<Object>} Built dataset with metadata
    */
@@ -38,65 +56,28 @@ export class DatasetBuilder {
     try {
       logger.info('Building dataset...');
 
-      const version = this.generateVersion();
-      const dataset = {
-        version,
-        timestamp: new Date().toISOString(),
-        species: {},
-        metadata: {
-          totalSpecies: 0,
-          totalTidbits: 0,
-          sources: new Set(),
-          contentHash: '',
-        },
-      };
+      const builtSpecies = {};
 
       // Process each species
       for (const [speciesId, speciesData] of Object.entries(enrichedData)) {
         try {
-          const canonicalSpecies = await this.buildSpecies(
+          builtSpecies[speciesId] = await this.buildSpecies(
             speciesId,
             speciesData
           );
-          dataset.species[speciesId] = canonicalSpecies;
-
-          // Update metadata
-          dataset.metadata.totalSpecies++;
-          dataset.metadata.totalTidbits += (speciesData.tidbits || []).length;
-
-          if (speciesData.sources) {
-            Object.keys(speciesData.sources).forEach((source) => {
-              dataset.metadata.sources.add(source);
-            });
-          }
         } catch (error) {
           logger.error(`Failed to build species ${speciesId}:`, error.message);
           // Continue with other species
         }
       }
 
-      // Convert Set to Array for JSON serialization
-      dataset.metadata.sources = Array.from(dataset.metadata.sources);
-
-      // Generate content hash
-      dataset.metadata.contentHash = this.generateContentHash(dataset);
-
-      // Create species index
-      const speciesIndex = this.createSpeciesIndex(dataset.species);
-
-      // Build final dataset structure
-      const finalDataset = {
-        version: dataset.version,
-        timestamp: dataset.timestamp,
-        metadata: dataset.metadata,
-        species: {
-          index: speciesIndex,
-          data: dataset.species,
-        },
-      };
+      const previous = await this.loadPreviousDataset();
+      const finalDataset = this.composeDataset(builtSpecies, previous);
+      await this.saveDataset(finalDataset);
 
+      const { totalSpecies, totalTidbits, composition } = finalDataset.metadata;
       logger.info(
-        `Dataset built successfully: ${dataset.metadata.totalSpecies} species, ${dataset.metadata.totalTidbits} tidbits`
+        `Dataset built successfully: ${totalSpecies} species (${composition.built} built, ${composition.carriedOver} carried over), ${totalTidbits} tidbits`
       );
       return finalDataset;
     } catch (error) {
@@ -105,6 +86,194 @@ export class DatasetBuilder {
     }
   }
 
+  /**
+   * Merge built species into the previous dataset and recompute the index,
+   * metadata, content hash and evolution graph
+   * @param {Object} builtSpecies - Canonical species built in this run
+   * @param {Object|null} previous - Previous dataset, if any
+   * @returns {Object} Final dataset
+   */
+  composeDataset(builtSpecies, previous) {
+    const previousData = previous?.species?.data || {};
+    const species = { ...previousData, ...builtSpecies };
+
+    const dataset = {
+      version: this.generateVersion(previous?.version),
+      timestamp: new Date().toISOString(),
+      species,
+      metadata: {
+        totalSpecies: 0,
+        totalTidbits: 0,
+        sources: new Set(),
+        contentHash: '',
+        composition: {
+          previousVersion: previous?.version || null,
+          built: Object.keys(builtSpecies).length,
+          carriedOver: Object.keys(previousData).filter(
+            (speciesId) => !builtSpecies[speciesId]
+          ).length,
+        },
+      },
+    };
+
+    for (const speciesData of Object.values(species)) {
+      dataset.metadata.totalSpecies++;
+      dataset.metadata.totalTidbits += (speciesData.tidbits || []).length;
+      Object.keys(speciesData.sources || {}).forEach((source) => {
+        dataset.metadata.sources.add(source);
+      });
+    }
+
+    // Convert Set to Array for JSON serialization
+    dataset.metadata.sources = Array.from(dataset.metadata.sources);
+
+    // Generate content hash
+    dataset.metadata.contentHash = this.generateContentHash(dataset);
+
+    // Create species index
+    const speciesIndex = this.createSpeciesIndex(
+      species,
+      previous?.species?.index
+    );
+
+    // Build final dataset structure
+    return {
+      version: dataset.version,
+      timestamp: dataset.timestamp,
+      metadata: dataset.metadata,
+      species: {
+        index: speciesIndex,
+        data: dataset.species,
+      },
+      evolution: buildEvolutionGraph(species),
+    };
+  }
+
+  /**
+   * Load the dataset to build on: the last local build, falling back to the
+   * version currently published on the CDN
+   * @returns {Promise<Object|null>} Previous dataset, or null if none exists
+   */
+  async loadPreviousDataset() {
+    const local = await this.loadLocalDataset();
+    if (local) {
+      logger.info(`Merging into local dataset version ${local.version}`);
+      return local;
+    }
+
+    if (this.config.cdnBucketUrl) {
+      const published = await this.loadPublishedDataset();
+      if (published) {
+        logger.info(`Merging into published dataset ${published.version}`);
+        return published;
+      }
+    }
+
+    logger.info('No previous dataset found - building from scratch');
+    return null;
+  }
+
+  /**
+   * Load the last dataset saved to the output directory
+   * @returns {Promise<Object|null>} Dataset, or null if none saved
+   */
+  async loadLocalDataset() {
+    try {
+      const latest = JSON.parse(
+        await fs.readFile(join(this.outputDir, 'latest.json'), 'utf8')
+      );
+      return JSON.parse(
+        await fs.readFile(join(this.outputDir, latest.path), 'utf8')
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.error('Failed to load local dataset:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reassemble the published dataset from the CDN (latest alias, species
+   * index and per-species files)
+   * @returns {Promise<Object|null>} Dataset, or null if nothing is published
+   */
+  async loadPublishedDataset() {
+    const baseUrl = this.config.cdnBucketUrl;
+    const { timeout, concurrency } = this.cdnConfig.upload;
+
+    try {
+      let latest;
+      try {
+        ({ data: latest } = await axios.get(`${baseUrl}/latest.json`, {
+          timeout,
+        }));
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+
+      const versionPath = `v${latest.version}`;
+      const { data: index } = await axios.get(
+        generateCDNUrl(baseUrl, versionPath, 'species/index.json'),
+        { timeout }
+      );
+
+      const data = {};
+      const speciesIds = Object.keys(index.species || {});
+
+      for (let i = 0; i < speciesIds.length; i += concurrency) {
+        const batch = speciesIds.slice(i, i + concurrency);
+        await Promise.all(
+          batch.map(async (speciesId) => {
+            const response = await axios.get(
+              generateCDNUrl(baseUrl, versionPath, `species/${speciesId}.json`),
+              { timeout }
+            );
+            data[speciesId] = response.data;
+          })
+        );
+      }
+
+      return {
+        version: index.version,
+        timestamp: index.timestamp,
+        metadata: index.metadata,
+        species: { index: index.species, data },
+      };
+    } catch (error) {
+      // A partial download would drop species, so refuse to build on it
+      logger.error('Failed to load published dataset:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a dataset to the output directory and point latest.json at it
+   * @param {Object} dataset - Final dataset
+   * @returns {Promise<string>} Path of the saved dataset file
+   */
+  async saveDataset(dataset) {
+    const path = join(dataset.version, 'dataset.json');
+    const latest = {
+      version: dataset.version,
+      timestamp: dataset.timestamp,
+      path,
+    };
+
+    await fs.mkdir(join(this.outputDir, dataset.version), { recursive: true });
+    await fs.writeFile(
+      join(this.outputDir, path),
+      JSON.stringify(dataset, null, 2)
+    );
+    await fs.writeFile(
+      join(this.outputDir, 'latest.json'),
+      JSON.stringify(latest, null, 2)
+    );
+
+    logger.info(`Saved dataset ${dataset.version} to ${this.outputDir}`);
+    return join(this.outputDir, path);
+  }
+
   /**
    * Build canonical species data
    * @param {string} speciesId - Species ID
@@ -117,17 +286,22 @@ export class DatasetBuilder {
       name: speciesData.name || 'Unknown',
       region: this.determineRegion(speciesId),
       types: speciesData.types || ['Normal'],
+      stats: speciesData.stats || {},
       height_m: this.extractHeight(speciesData),
       weight_kg: this.extractWeight(speciesData),
       gender_ratio: this.extractGenderRatio(speciesData),
       catch_rate: this.extractCatchRate(speciesData),
+      egg_groups: speciesData.eggGroups || [],
       abilities: speciesData.abilities || [],
       locations: speciesData.locations || [],
-      moves: this.formatMoves(speciesData.moves || []),
-      entries: this.formatEntries(speciesData.description),
+      learnset: this.formatLearnset(speciesData.learnset || []),
+      entries: this.formatEntries(speciesData.dexEntries || []),
       sources: this.formatSources(speciesData.sources || {}),
       tidbits: this.formatTidbits(speciesData.tidbits || []),
       image: this.formatImage(speciesData.images || []),
+      forms: this.formatForms(speciesId, speciesData.forms || []),
+      evolution: this.formatEvolution(speciesData.evolution || []),
+      competitive: this.formatCompetitive(speciesData.competitive),
       hash: '',
     };
 
@@ -143,95 +317,76 @@ export class DatasetBuilder {
    * @returns {string} Region name
    */
   determineRegion(speciesId) {
-    const id = parseInt(speciesId);
-
-    if (id <= 151) return 'Kanto';
-    if (id <= 251) return 'Johto';
-    if (id <= 386) return 'Hoenn';
-    if (id <= 493) return 'Sinnoh';
-    if (id <= 649) return 'Unova';
-    if (id <= 721) return 'Kalos';
-    if (id <= 809) return 'Alola';
-    if (id <= 905) return 'Galar';
-    return 'Paldea';
+    return getRegionForId(speciesId).region;
   }
 
   /**
    * Extract height from species data
    * @param {Object} speciesData - Species data
-   * @returns {number} Height in meters
+   * @returns {number|null} Height in meters, or null if no source had it
    */
   extractHeight(speciesData) {
-    // This would parse height from various sources
-    // For now, return a default value
-    return 1.0;
+    return speciesData.height ?? null;
   }
 
   /**
    * Extract weight from species data
    * @param {Object} speciesData - Species data
-   * @returns {number} Weight in kilograms
+   * @returns {number|null} Weight in kilograms, or null if no source had it
    */
   extractWeight(speciesData) {
-    // This would parse weight from various sources
-    // For now, return a default value
-    return 10.0;
+    return speciesData.weight ?? null;
   }
 
   /**
    * Extract gender ratio from species data
    * @param {Object} speciesData - Species data
-   * @returns {Object} Gender ratio
+   * @returns {Object|null} Gender ratio ({ male, female } percentages), or
+   *   null for genderless species and when no source had it
    */
   extractGenderRatio(speciesData) {
-    // This would parse gender ratio from various sources
-    // For now, return a default value
-    return { male: 50, female: 50 };
+    return speciesData.genderRatio ?? null;
   }
 
   /**
    * Extract catch rate from species data
    * @param {Object} speciesData - Species data
-   * @returns {number} Catch rate
+   * @returns {number|null} Catch rate, or null if no source had it
    */
   extractCatchRate(speciesData) {
-    // This would parse catch rate from various sources
-    // For now, return a default value
-    return 45;
+    return speciesData.catchRate ?? null;
   }
 
   /**
-   * Format moves data
-   * @param {Array} moves - Raw moves data
-   * @returns {Array} Formatted moves
+   * Format the learnset, keeping every entry of every generation so the
+   * client can list the moves of any game
+   * @param {Array} learnset - Learnset entries ({ move, method, level,
+   *   generation, games })
+   * @returns {Array} Learnset ordered by generation, method and level
    */
-  formatMoves(moves) {
-    return moves.slice(0, 50).map((move) => ({
-      name: move.name || 'Unknown Move',
-      method: move.method || 'Level Up',
-      level: move.level || 1,
-      type: move.type || 'Normal',
-      power: move.power || 0,
-      accuracy: move.accuracy || 100,
-    }));
+  formatLearnset(learnset) {
+    return sortLearnset(
+      learnset
+        .filter((entry) => entry.move)
+        .map(({ move, method, level, generation, games }) => ({
+          move,
+          method,
+          level: level ?? null,
+          generation,
+          games: games || [],
+        }))
+    );
   }
 
   /**
-   * Format description entries
-   * @param {string} description - Raw description
-   * @returns {Array} Formatted entries
+   * Format Pokédex entries, one per distinct text
+   * @param {Array} dexEntries - Entries ({ text, games, generation })
+   * @returns {Array} Entries ({ text, games, generation }) in game order
    */
-  formatEntries(description) {
-    if (!description) return [];
-
-    // Split into sentences and clean
-    const sentences = description
-      .split(/[.!?]+/)
-      .map((s) => s.trim())
-      .filter((s) => s.length > 10)
-      .slice(0, 3); // Limit to 3 entries
-
-    return sentences;
+  formatEntries(dexEntries) {
+    return mergeDexEntries(
+      dexEntries.filter((entry) => entry.games?.length > 0)
+    ).map(({ text, games, generation }) => ({ text, games, generation }));
   }
 
   /**
@@ -286,21 +441,121 @@ export class DatasetBuilder {
     };
   }
 
+  /**
+   * Format the species' alternate forms
+   *
+   * Every form in the species registry is listed (regional variants, Megas,
+   * Gigantamax and cosmetic forms), in registry order, with what the
+   * sources parsed for it; types fall back to the registry's.
+   *
+   * @param {string} speciesId - Species ID
+   * @param {Array} forms - Parsed forms ({ name, types, stats, abilities,
+   *   images })
+   * @returns {Array} Forms ({ name, form, kind, types, stats, abilities,
+   *   image })
+   */
+  formatForms(speciesId, forms) {
+    const registered = speciesRegistry.get(speciesId)?.forms || [];
+
+    return registered.map((entry) => {
+      const parsed = forms.find((form) => form.name === entry.name) || {};
+      return {
+        name: entry.name,
+        form: entry.form,
+        kind: entry.kind,
+        types: parsed.types?.length > 0 ? parsed.types : entry.types,
+        stats: parsed.stats || {},
+        abilities: parsed.abilities || [],
+        image: this.formatImage(parsed.images || []),
+      };
+    });
+  }
+
+  /**
+   * Format the evolutions the species' sources list (usually its whole
+   * family's); the dataset-wide graph is built from these
+   * @param {Array} evolution - Edges ({ from, to, trigger, conditions,
+   *   text })
+   * @returns {Array} Edges between known species
+   */
+  formatEvolution(evolution) {
+    return mergeEvolution(
+      evolution
+        .filter(
+          (edge) => Number.isInteger(edge.from) && Number.isInteger(edge.to)
+        )
+        .map(({ from, to, trigger, conditions, text }) => ({
+          from,
+          to,
+          trigger: trigger || 'other',
+          conditions: conditions || {},
+          text: text || '',
+        }))
+    );
+  }
+
+  /**
+   * Format the competitive block: Smogon tiers per format, recommended
+   * sets and viability rankings, with the strategy page they came from,
+   * and usage statistics by format and month, with the files they came
+   * from
+   * @param {Object|null} competitive - Competitive data ({ tiers, sets,
+   *   viability, source, usage })
+   * @returns {Object|null} Competitive block ({ tiers, sets, viability,
+   *   source: { name, url, timestamp }, usage }), or null without strategy
+   *   page or usage statistics
+   */
+  formatCompetitive(competitive) {
+    const usage = competitive?.usage || {};
+    if (!competitive?.source?.url && Object.keys(usage).length === 0) {
+      return null;
+    }
+
+    return {
+      tiers: competitive.tiers || {},
+      sets: (competitive.sets || []).map((set) => ({
+        name: set.name,
+        format: set.format || null,
+        moves: set.moves || [],
+        ability: set.ability || '',
+        item: set.item || '',
+        evs: set.evs || {},
+        nature: set.nature || '',
+      })),
+      viability: competitive.viability || {},
+      source: competitive.source?.url
+        ? {
+            name: 'smogon',
+            url: competitive.source.url,
+            timestamp: competitive.source.timestamp || null,
+          }
+        : null,
+      usage,
+    };
+  }
+
   /**
    * Create species index
    * @param {Object} species - Species data
+   * @param {Object} previousIndex - Previous index; unchanged species keep
+   *   their lastUpdated time
    * @returns {Object} Species index
    */
-  createSpeciesIndex(species) {
+  createSpeciesIndex(species, previousIndex = {}) {
     const index = {};
+    const now = new Date().toISOString();
 
     for (const [speciesId, speciesData] of Object.entries(species)) {
+      const previousEntry = previousIndex[speciesId];
       index[speciesId] = {
         id: speciesData.id,
         name: speciesData.name,
         types: speciesData.types,
         hash: speciesData.hash,
-        lastUpdated: new Date().toISOString(),
+        lastUpdated:
+          previousEntry?.hash === speciesData.hash
+            ? previousEntry.lastUpdated
+            : now,
       };
     }
 
@@ -309,9 +564,15 @@ export class DatasetBuilder {
 
   /**
    * Generate version identifier
+   *
+   * Versions are minute-stamped; a build in the same minute as the previous
+   * one gets a counter suffix (e.g. "20250108-1430-2") so versions stay
+   * unique.
+   *
+   * @param {string|null} previousVersion - Version of the previous dataset
    * @returns {string} Version string
    */
-  generateVersion() {
+  generateVersion(previousVersion = null) {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -319,7 +580,16 @@ export class DatasetBuilder {
     const hour = String(now.getHours()).padStart(2, '0');
     const minute = String(now.getMinutes()).padStart(2, '0');
 
-    return `${year}${month}${day}-${hour}${minute}`;
+    const version = `${year}${month}${day}-${hour}${minute}`;
+
+    if (previousVersion === version) {
+      return `${version}-2`;
+    }
+    if (previousVersion?.startsWith(`${version}-`)) {
+      const count = Number(previousVersion.slice(version.length + 1));
+      return `${version}-${count + 1}`;
+    }
+    return version;
   }
 
   /**
@@ -0,0 +1,473 @@
+/**
+ * Run Report
+ *
+ * Collects per-species, per-source diagnostics while the pipeline runs
+ * (crawl and HTTP status, circuit breaker trips, parse-field coverage,
+ * schema validation errors, tidbit acceptance and publish results) and
+ * writes them as JSON plus a self-contained HTML summary.
+ *
+ * @fileoverview Structured pipeline run report
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+import { PIPELINE_STAGES } from '../utils/run-store.js';
+import { speciesRegistry } from '../registry/species-registry.js';
+
+/**
+ * Pipeline run report
+ */
+export class RunReport {
+  /**
+   * @param {Object} run - Run manifest
+   * @param {Object} data - Previously recorded report data (for resumed runs)
+   */
+  constructor(run, data = {}) {
+    this.run = run;
+    this.data = {
+      crawl: {},
+      circuitBreakers: {},
+      process: { coverage: {}, errors: {}, validation: {} },
+      enrich: {},
+      build: null,
+      publish: null,
+      ...data,
+    };
+  }
+
+  /**
+   * Discard everything a stage recorded, before it runs again
+   * @param {string} stage - Stage name
+   */
+  resetStage(stage) {
+    const empty = new RunReport(this.run).data;
+    this.data[stage] = empty[stage];
+    if (stage === 'crawl') {
+      this.data.circuitBreakers = empty.circuitBreakers;
+    }
+  }
+
+  /**
+   * Record the outcome of crawling one species from one source
+   * @param {string} source - Source name
+   * @param {string|number} speciesId - Species ID
+   * @param {Object} outcome - Crawl outcome
+   * @param {Object} outcome.result - Crawl result (on success)
+   * @param {Error} outcome.error - Crawl error (on failure)
+   */
+  recordCrawl(source, speciesId, { result = null, error = null }) {
+    this.data.crawl[source] = this.data.crawl[source] || {};
+    this.data.crawl[source][speciesId] = error
+      ? {
+          status: 'failed',
+          httpStatus: error.status ?? error.response?.status ?? null,
+          error: error.message,
+        }
+      : {
+          status: 'ok',
+          httpStatus: result?.status ?? null,
+          url: result?.url ?? null,
+          changed: result?.changed ?? null,
+        };
+  }
+
+  /**
+   * Record a source's circuit breaker states and state changes
+   * @param {string} source - Source name
+   * @param {Object} stats - Crawler circuit breaker stats ({ hosts, events })
+   */
+  recordCircuitBreakers(source, { hosts, events }) {
+    const previous = this.data.circuitBreakers[source];
+    this.data.circuitBreakers[source] = {
+      hosts,
+      // A resumed run keeps the events of the earlier attempt
+      events: [...(previous?.events || []), ...events],
+    };
+  }
+
+  /**
+   * Record which fields a source's parser filled for a species
+   * @param {string} source - Source name
+   * @param {string|number} speciesId - Species ID
+   * @param {Object} coverage - Field coverage ({ present, missing })
+   */
+  recordCoverage(source, speciesId, coverage) {
+    const { coverage: bySource } = this.data.process;
+    bySource[source] = bySource[source] || {};
+    bySource[source][speciesId] = coverage;
+  }
+
+  /**
+   * Record a species that failed to parse
+   * @param {string} source - Source name
+   * @param {string|number} speciesId - Species ID
+   * @param {Error} error - Parse error
+   */
+  recordParseError(source, speciesId, error) {
+    const { errors } = this.data.process;
+    errors[source] = errors[source] || {};
+    errors[source][speciesId] = error.message;
+  }
+
+  /**
+   * Record the schema validation result of a normalized species
+   * @param {string|number} speciesId - Species ID
+   * @param {Object} validation - Result of validateSchema
+   */
+  recordValidation(speciesId, validation) {
+    this.data.process.validation[speciesId] = {
+      errors: validation.errors,
+      warnings: validation.warnings,
+    };
+  }
+
+  /**
+   * Record tidbit generation for a species
+   * @param {string|number} speciesId - Species ID
+   * @param {Object} stats - Tidbit stats ({ generated, accepted, rejected })
+   */
+  recordTidbits(speciesId, stats) {
+    this.data.enrich[speciesId] = stats;
+  }
+
+  /**
+   * Record the built dataset
+   * @param {Object} dataset - Built dataset
+   */
+  recordBuild(dataset) {
+    this.data.build = {
+      version: dataset.version,
+      totalSpecies: dataset.metadata.totalSpecies,
+      totalTidbits: dataset.metadata.totalTidbits,
+      contentHash: dataset.metadata.contentHash,
+      composition: dataset.metadata.composition,
+    };
+  }
+
+  /**
+   * Record the publish result (or that publishing was skipped)
+   * @param {Object|null} result - CDN publishing result, null if skipped
+   */
+  recordPublish(result) {
+    if (!result) {
+      this.data.publish = { status: 'skipped' };
+      return;
+    }
+
+    const errors = [
+      ...(result.errors || []),
+      ...(result.healthCheck?.errors || []),
+    ];
+    this.data.publish = {
+      status: errors.length > 0 ? 'degraded' : 'published',
+      version: result.version,
+      speciesFiles: Object.keys(result.urls?.species || {}).length,
+      indexUrl: result.urls?.index || null,
+      healthCheck: result.healthCheck || null,
+      errors,
+    };
+  }
+
+  /**
+   * Assemble the machine-readable report
+   * @returns {Object} Report with summary and per-species details
+   */
+  toJSON() {
+    const { crawl, circuitBreakers, process, enrich, build, publish } =
+      this.data;
+    const sources = [
+      ...new Set([
+        ...Object.keys(crawl),
+        ...Object.keys(process.coverage),
+        ...Object.keys(process.errors),
+      ]),
+    ];
+    const species = {};
+
+    const entry = (speciesId) => {
+      species[speciesId] = species[speciesId] || {
+        name: speciesRegistry.get(speciesId)?.name || null,
+        sources: {},
+        validation: null,
+        tidbits: null,
+      };
+      return species[speciesId];
+    };
+    const sourceEntry = (speciesId, source) => {
+      const sourcesById = entry(speciesId).sources;
+      sourcesById[source] = sourcesById[source] || {
+        crawl: null,
+        coverage: null,
+        parseError: null,
+      };
+      return sourcesById[source];
+    };
+
+    for (const [source, results] of Object.entries(crawl)) {
+      for (const [speciesId, result] of Object.entries(results)) {
+        sourceEntry(speciesId, source).crawl = result;
+      }
+    }
+    for (const [source, results] of Object.entries(process.coverage)) {
+      for (const [speciesId, coverage] of Object.entries(results)) {
+        sourceEntry(speciesId, source).coverage = coverage;
+      }
+    }
+    for (const [source, results] of Object.entries(process.errors)) {
+      for (const [speciesId, message] of Object.entries(results)) {
+        sourceEntry(speciesId, source).parseError = message;
+      }
+    }
+    for (const [speciesId, validation] of Object.entries(process.validation)) {
+      entry(speciesId).validation = validation;
+    }
+    for (const [speciesId, stats] of Object.entries(enrich)) {
+      entry(speciesId).tidbits = stats;
+    }
+
+    return {
+      runId: this.run.runId,
+      generatedAt: new Date().toISOString(),
+      options: this.run.options,
+      stages: Object.fromEntries(
+        PIPELINE_STAGES.map((stage) => [
+          stage,
+          this.run.stages?.[stage]?.status || 'pending',
+        ])
+      ),
+      summary: this.summarize(sources, species, circuitBreakers),
+      circuitBreakers,
+      build,
+      publish,
+      species,
+    };
+  }
+
+  /**
+   * Summarize per-species details into run totals
+   * @param {Array<string>} sources - Crawled sources
+   * @param {Object} species - Per-species details
+   * @param {Object} circuitBreakers - Circuit breaker stats by source
+   * @returns {Object} Summary
+   */
+  summarize(sources, species, circuitBreakers = {}) {
+    const summary = {
+      species: Object.keys(species).length,
+      crawl: {},
+      parseErrors: 0,
+      validationErrors: 0,
+      circuitBreakerTrips: 0,
+      tidbits: { generated: 0, accepted: 0, rejected: 0 },
+    };
+
+    for (const { events } of Object.values(circuitBreakers)) {
+      summary.circuitBreakerTrips += events.filter(
+        (event) => event.to === 'OPEN'
+      ).length;
+    }
+
+    for (const source of sources) {
+      summary.crawl[source] = { ok: 0, failed: 0, changed: 0, unchanged: 0 };
+    }
+
+    for (const details of Object.values(species)) {
+      for (const [source, result] of Object.entries(details.sources)) {
+        if (result.crawl) {
+          const counts = summary.crawl[source];
+          counts[result.crawl.status]++;
+          if (result.crawl.changed === true) counts.changed++;
+          if (result.crawl.changed === false) counts.unchanged++;
+        }
+        if (result.parseError) summary.parseErrors++;
+      }
+      summary.validationErrors += details.validation?.errors.length || 0;
+
+      if (details.tidbits) {
+        summary.tidbits.generated += details.tidbits.generated;
+        summary.tidbits.accepted += details.tidbits.accepted;
+        summary.tidbits.rejected += countRejected(details.tidbits);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Render the report as a self-contained HTML page
+   * @param {Object} report - Report from toJSON()
+   * @returns {string} HTML document
+   */
+  renderHtml(report = this.toJSON()) {
+    const { summary, build, publish } = report;
+    const sources = Object.keys(summary.crawl);
+
+    const crawlCell = (result) => {
+      if (!result?.crawl) return '<td class="muted">-</td>';
+      const { status, httpStatus, error, changed } = result.crawl;
+      const details = [httpStatus, changed === false ? 'unchanged' : null]
+        .filter(Boolean)
+        .join(', ');
+      const label = details ? `${status} (${details})` : status;
+      return `<td class="${status === 'ok' ? 'ok' : 'bad'}" title="${escapeHtml(error || '')}">${escapeHtml(label)}</td>`;
+    };
+    const coverageCell = (result) => {
+      if (result?.parseError) {
+        return `<td class="bad" title="${escapeHtml(result.parseError)}">parse error</td>`;
+      }
+      if (!result?.coverage) return '<td class="muted">-</td>';
+      const { present, missing } = result.coverage;
+      const total = present.length + missing.length;
+      return `<td title="Missing: ${escapeHtml(missing.join(', '))}">${present.length}/${total}</td>`;
+    };
+
+    const rows = Object.entries(report.species)
+      .map(([speciesId, details]) => {
+        const errors = details.validation?.errors || [];
+        const tidbits = details.tidbits;
+        return `<tr>
+<td>${escapeHtml(speciesId)}</td>
+<td>${escapeHtml(details.name || '')}</td>
+${sources.map((source) => crawlCell(details.sources[source]) + coverageCell(details.sources[source])).join('\n')}
+<td class="${errors.length ? 'bad' : ''}">${escapeHtml(errors.join('; ') || '-')}</td>
+<td>${tidbits ? `${tidbits.accepted}/${tidbits.generated} (${countRejected(tidbits)} rejected)` : '-'}</td>
+</tr>`;
+      })
+      .join('\n');
+
+    const circuitEvents = Object.entries(report.circuitBreakers || {})
+      .flatMap(([source, { events }]) =>
+        events.map(
+          (event) =>
+            `<li class="${event.to === 'OPEN' ? 'bad' : ''}">${escapeHtml(event.timestamp)} ${escapeHtml(source)} ${escapeHtml(event.host)}: ${escapeHtml(event.from)} &rarr; ${escapeHtml(event.to)} (${escapeHtml(event.reason)})</li>`
+        )
+      )
+      .join('\n');
+
+    const crawlSummary = sources
+      .map(
+        (source) =>
+          `<li>${escapeHtml(source)}: ${summary.crawl[source].ok} ok (${summary.crawl[source].changed} changed, ${summary.crawl[source].unchanged} unchanged), ${summary.crawl[source].failed} failed</li>`
+      )
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Pipeline run ${escapeHtml(report.runId)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; }
+th { background: #f4f4f4; }
+.ok { color: #1a7f37; }
+.bad { color: #cf222e; }
+.muted { color: #999; }
+</style>
+</head>
+<body>
+<h1>Pipeline run ${escapeHtml(report.runId)}</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}</p>
+<h2>Summary</h2>
+<ul>
+<li>Stages: ${Object.entries(report.stages)
+      .map(([stage, status]) => `${escapeHtml(stage)} ${escapeHtml(status)}`)
+      .join(', ')}</li>
+<li>Species: ${summary.species}</li>
+${crawlSummary}
+<li>Circuit breaker trips: ${summary.circuitBreakerTrips}</li>
+<li>Parse errors: ${summary.parseErrors}</li>
+<li>Schema validation errors: ${summary.validationErrors}</li>
+<li>Tidbits: ${summary.tidbits.accepted} accepted of ${summary.tidbits.generated} generated, ${summary.tidbits.rejected} rejected</li>
+<li>Dataset: ${build ? `${escapeHtml(build.version)}, ${build.totalSpecies} species` : 'not built'}</li>
+<li>Publish: ${publish ? `${escapeHtml(publish.status)}${publish.errors?.length ? ` (${publish.errors.length} errors)` : ''}` : 'not run'}</li>
+</ul>
+${circuitEvents ? `<h2>Circuit breakers</h2>\n<ul>\n${circuitEvents}\n</ul>` : ''}
+<h2>Species</h2>
+<table>
+<thead>
+<tr><th>ID</th><th>Name</th>${sources.map((source) => `<th>${escapeHtml(source)} crawl</th><th>${escapeHtml(source)} fields</th>`).join('')}<th>Validation errors</th><th>Tidbits</th></tr>
+</thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write report.json and report.html to a directory
+   * @param {string} dir - Output directory (usually next to the dataset)
+   * @returns {Promise<Object>} Paths of the written files
+   */
+  async write(dir) {
+    try {
+      const report = this.toJSON();
+      const paths = {
+        json: join(dir, 'report.json'),
+        html: join(dir, 'report.html'),
+      };
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(paths.json, JSON.stringify(report, null, 2));
+      await fs.writeFile(paths.html, this.renderHtml(report));
+
+      logger.info(`Run report written to ${paths.html}`);
+      return paths;
+    } catch (error) {
+      logger.error('Failed to write run report:', error.message);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Measure which expected fields a parsed record filled
+ * @param {Object} data - Parsed record
+ * @param {Array<string>} fields - Expected fields
+ * @returns {Object} Coverage ({ present, missing })
+ */
+export function measureCoverage(data, fields) {
+  const present = [];
+  const missing = [];
+
+  for (const field of fields) {
+    const value = data?.[field];
+    const filled = Array.isArray(value)
+      ? value.length > 0
+      : value && typeof value === 'object'
+        ? Object.keys(value).length > 0
+        : Boolean(value);
+    (filled ? present : missing).push(field);
+  }
+
+  return { present, missing };
+}
+
+/**
+ * Total tidbits rejected for any reason
+ * @param {Object} stats - Tidbit stats
+ * @returns {number} Rejected count
+ */
+function countRejected(stats) {
+  return Object.values(stats.rejected || {}).reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -18,8 +18,11 @@ export const defaultConfig = {
     requestsPerMinute: 1000,
     requestsPerSecond: 10,
     burstLimit: 50,
-    backoffMultiplier: 2,
+    backoffMultiplier: 2, // Rate divisor on each 429/503
     maxBackoffDelay: 30000, // 30 seconds
+    recoveryStep: 0.05, // Share of the rate won back per success
+    minRateFactor: 0.05, // Never throttle below 5% of the rate
+    maxRetryAfter: 300000, // Cap on honored Retry-After (5 minutes)
   },
 
   // Retry policy
@@ -49,6 +52,21 @@ export const defaultConfig = {
     ttl: 24 * 60 * 60 * 1000, // 24 hours
     maxSize: 100 * 1024 * 1024, // 100MB
     compression: true,
+    flushDelay: 5000, // Delay before writing access times to the index
+  },
+
+  // Crawl scheduling (see crawler/scheduler.js)
+  scheduler: {
+    concurrency: 4, // Tasks in flight across all domains
+    domainConcurrency: 2, // Tasks in flight per domain
+  },
+
+  // Headless rendering for client-side apps (see crawler/browser-pool.js)
+  browser: {
+    maxPages: 2, // Pages rendering at once across all crawlers
+    pageTimeout: 30000, // 30 seconds per navigation or selector wait
+    blockedResourceTypes: ['image', 'font', 'media'],
+    launch: { headless: true },
   },
 
   // Circuit breaker
@@ -62,9 +80,16 @@ export const defaultConfig = {
 
 /**
  * Source-specific configurations
+ *
+ * Each source with an `adapter` module is loaded into the SourceRegistry
+ * (see sources/source-registry.js) unless `enabled` is false. `selectors`
+ * maps field names to CSS selectors, or to the field specs described in
+ * processors/selector-extractor.js.
  */
 export const sourceConfigs = {
   bulbapedia: {
+    adapter: './bulbapedia.js', // Relative to sources/
+    enabled: true,
     baseUrl: 'https://bulbapedia.bulbagarden.net',
     robotsUrl: 'https://bulbapedia.bulbagarden.net/robots.txt',
     rateLimit: {
@@ -74,18 +99,32 @@ export const sourceConfigs = {
     },
     paths: {
       species: '/wiki/{name}_(Pokémon)',
+      wikitext: '/wiki/{name}_(Pokémon)?action=raw', // Article source
+      // Learnsets of past generations; the article has the current one
+      learnset:
+        '/wiki/{name}_(Pokémon)/Generation_{generation}_learnset?action=raw',
       search: '/wiki/Special:Search',
     },
-    selectors: {
-      title: 'h1#firstHeading',
-      content: '#mw-content-text',
-      infobox: '.infobox',
-      stats: '.infobox tr',
-      moves: '.mw-parser-output ul li',
+    imageBaseUrl: 'https://archives.bulbagarden.net/media/upload',
+    // Version groups of each level column in {{learnlist/levelN}} rows.
+    // Games a learnset page lists in their own section (Let's Go, Brilliant
+    // Diamond and Shining Pearl, Legends: Arceus) are read from that section.
+    learnsetColumns: {
+      1: [['red-blue'], ['yellow']],
+      2: [['gold-silver'], ['crystal']],
+      3: [['ruby-sapphire', 'emerald'], ['firered-leafgreen']],
+      4: [['diamond-pearl'], ['platinum'], ['heartgold-soulsilver']],
+      5: [['black-white'], ['black-2-white-2']],
+      6: [['x-y'], ['omega-ruby-alpha-sapphire']],
+      7: [['sun-moon'], ['ultra-sun-ultra-moon']],
+      8: [['sword-shield']],
+      9: [['scarlet-violet']],
     },
   },
 
   serebii: {
+    adapter: './serebii.js', // Relative to sources/
+    enabled: true,
     baseUrl: 'https://www.serebii.net',
     robotsUrl: 'https://www.serebii.net/robots.txt',
     rateLimit: {
@@ -97,15 +136,31 @@ export const sourceConfigs = {
       species: '/pokedex/{id}.shtml',
       search: '/pokedex/',
     },
+    // Fields read with processors/selector-extractor.js; the stat, move
+    // and evolution tables are read by SerebiiCrawler
     selectors: {
-      title: 'h1',
-      content: '.content',
-      stats: '.tab table tr',
-      moves: '.tab table tr td',
+      name: {
+        selector: ['h1', '.content h1', '.pokedex-title', 'title'],
+        transform: (text) => (text === 'Serebii.net' ? null : text),
+        default: 'Unknown',
+      },
+      description: {
+        selector: [
+          '.content p',
+          '.pokedex-description',
+          '.pokemon-description',
+          'p',
+        ],
+        // Skip captions and empty paragraphs
+        transform: (text) => (text.length > 10 ? text : null),
+        default: '',
+      },
     },
   },
 
   smogon: {
+    adapter: './smogon.js', // Relative to sources/
+    enabled: true,
     baseUrl: 'https://www.smogon.com',
     robotsUrl: 'https://www.smogon.com/robots.txt',
     rateLimit: {
@@ -125,8 +180,49 @@ export const sourceConfigs = {
       moves: '.dex-pokemon-page .dex-pokemon-moves',
       abilities: '.dex-pokemon-page .dex-pokemon-abilities',
       stats: '.dex-pokemon-page .dex-pokemon-stats',
-      forumPosts: '.forum-post',
-      forumContent: '.forum-post-content',
+      // Forums (XenForo)
+      forumTitle: '.p-title-value',
+      forumPosts: 'article.message--post',
+      forumContent: '.message-body .bbWrapper',
+      forumQuotes: 'blockquote.bbCodeBlock--quote',
+      forumResults: '.block-body .block-row',
+      forumNextPage: '.pageNav-jump--next',
+    },
+    // Forum threads read for tidbit synthesis
+    forumSearch: {
+      searchPages: 2, // search result pages followed per species
+      threads: 5, // threads read per species
+      threadPages: 3, // pages read per thread
+      excerpts: 8, // most relevant posts kept per species
+      excerptLength: 500, // characters kept per post
+      minLength: 40, // shorter posts are skipped
+    },
+    // Monthly usage statistics: a local copy or mirror of
+    // https://www.smogon.com/stats/ (<month>/chaos/<format>-<cutoff>.json
+    // and <month>/moveset/<format>-<cutoff>.txt)
+    usageStats: {
+      location: process.env.SMOGON_STATS || null, // directory or base URL
+      months: process.env.SMOGON_STATS_MONTHS
+        ? process.env.SMOGON_STATS_MONTHS.split(',')
+        : [], // e.g. 2024-05; every month of a local copy if empty
+      formats: process.env.SMOGON_STATS_FORMATS
+        ? process.env.SMOGON_STATS_FORMATS.split(',')
+        : [], // e.g. gen9ou; every format of a local copy if empty
+      cutoffs: [1695, 1630, 1500, 0], // rating cutoffs, in preference order
+      limit: 10, // most common items, spreads and teammates kept
+    },
+  },
+
+  pokeapi: {
+    adapter: './pokeapi.js', // Relative to sources/
+    // On when a local copy of the files is configured
+    enabled: Boolean(process.env.POKEAPI_CSV),
+    baseUrl: 'https://pokeapi.co',
+    // The PokeAPI repository's data/v2/csv directory
+    location: process.env.POKEAPI_CSV || null,
+    languageId: 9, // names in English (see languages.csv)
+    paths: {
+      species: '/api/v2/pokemon-species/{id}/', // cited as the source URL
     },
   },
 };
@@ -134,11 +230,13 @@ export const sourceConfigs = {
 /**
  * Get configuration for a specific source
  * @param {string} source - Source name (bulbapedia, serebii)
+ * @param {Object} configs - Source configurations to look it up in, for
+ *   sources added through the server configuration
  * @returns {Object} Merged configuration
  */
-export function getSourceConfig(source) {
+export function getSourceConfig(source, configs = sourceConfigs) {
   const baseConfig = { ...defaultConfig };
-  const sourceConfig = sourceConfigs[source];
+  const sourceConfig = configs[source];
 
   if (!sourceConfig) {
     throw new Error(`Unknown source: ${source}`);
@@ -155,6 +253,32 @@ export function getSourceConfig(source) {
   };
 }
 
+/**
+ * Merge server options over a source configuration
+ *
+ * A numeric rateLimit (the server-wide CRAWL_RATE_LIMIT, in requests per
+ * minute) caps the source's own limits rather than replacing them.
+ *
+ * @param {Object} sourceConfig - Source configuration from getSourceConfig
+ * @param {Object} overrides - Server configuration
+ * @returns {Object} Merged configuration
+ */
+export function mergeSourceConfig(sourceConfig, overrides = {}) {
+  const merged = { ...sourceConfig, ...overrides };
+
+  if (typeof overrides.rateLimit === 'number') {
+    merged.rateLimit = {
+      ...sourceConfig.rateLimit,
+      requestsPerMinute: Math.min(
+        sourceConfig.rateLimit.requestsPerMinute,
+        overrides.rateLimit
+      ),
+    };
+  }
+
+  return merged;
+}
+
 /**
  * Validate configuration
  * @param {Object} config - Configuration to validate
@@ -59,11 +59,12 @@ For each tidbit:
 - Base it on real information from the sources
 - Avoid spoilers for recent games
 - Make it accessible to casual fans but interesting to hardcore fans
+- List the source IDs of the forum excerpts it draws on in sourceRefs
 
 Pokémon Data:
 {speciesData}
 
-Forum Discussions:
+Forum Discussions (each excerpt starts with its source ID in brackets):
 {forumData}
 
 Create tidbits that explore:
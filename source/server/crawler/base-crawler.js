@@ -16,6 +16,17 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
 import { defaultConfig } from '../config/crawler.js';
+import { CrawlScheduler, getDomain } from './scheduler.js';
+import { HttpCache } from './http-cache.js';
+import { BrowserPool } from './browser-pool.js';
+import { RobotsChecker } from './robots.js';
+import { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+import { FixtureArchive } from './fixture-archive.js';
+import {
+  RateLimiter,
+  THROTTLE_STATUSES,
+  parseRetryAfter,
+} from './rate-limiter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,10 +37,19 @@ const __dirname = dirname(__filename);
 export class BaseCrawler {
   constructor(config) {
     this.config = { ...defaultConfig, ...config };
-    this.rateLimiter = new RateLimiter(this.config.rateLimit);
-    this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
-    this.cache = new CacheManager(this.config.cache);
-    this.robotsCache = new Map();
+    this.crawlMode = FixtureArchive.validateMode(
+      this.config.crawlMode || 'live'
+    );
+    this.rateLimiters = new Map();
+    this.throttleEvents = [];
+    this.circuitBreakers = new Map();
+    this.circuitEvents = [];
+    this.cache = HttpCache.shared({
+      ...this.config.cache,
+      dir: this.config.cacheDir || join(__dirname, '..', 'data', 'cache'),
+    });
+    this.robotsAppliedDelays = new Map();
+    this.browserPool = null; // Launched on the first rendered crawl
 
     // Initialize HTTP client
     this.client = axios.create({
@@ -39,65 +59,126 @@ export class BaseCrawler {
       validateStatus: (status) => status < 500, // Don't throw on 4xx
     });
 
-    // Add request interceptor for rate limiting
+    // Record or replay every request (including robots.txt). The cache is
+    // bypassed so recordings are complete and replays don't depend on it.
+    this.fixtures = null;
+    if (this.crawlMode !== 'live') {
+      this.fixtures = FixtureArchive.shared({
+        dir:
+          this.config.fixturesDir || join(__dirname, '..', 'data', 'fixtures'),
+      });
+      this.client.defaults.adapter = this.fixtures.createAdapter(
+        this.crawlMode,
+        this.client.defaults.adapter
+      );
+      this.config.cache = { ...this.config.cache, enabled: false };
+    }
+
+    // Add request interceptor for rate limiting (replays need none)
     this.client.interceptors.request.use(
       async (config) => {
-        await this.rateLimiter.wait();
+        if (this.crawlMode !== 'replay') {
+          await this.getRateLimiter(config.url).wait();
+        }
         return config;
       },
       (error) => Promise.reject(error)
     );
 
-    // Add response interceptor for retry logic
+    // Add response interceptor for throttling and retry logic. 4xx
+    // responses resolve and 5xx reject (validateStatus), so both paths
+    // pass through handleResponse.
     this.client.interceptors.response.use(
-      (response) => response,
-      async (error) => {
-        if (this.shouldRetry(error)) {
-          return this.retryRequest(error.config);
-        }
-        return Promise.reject(error);
-      }
+      (response) => this.handleResponse(response),
+      (error) =>
+        error.response
+          ? this.handleResponse(error.response, error)
+          : Promise.reject(error)
     );
+
+    // robots.txt is fetched through the same client (headers, rate limit)
+    this.robots = new RobotsChecker({
+      fetch: (url) => this.client.get(url),
+      userAgent: this.config.userAgent || this.config.request.userAgent,
+    });
+  }
+
+  /**
+   * Get the rate limiter for a URL's domain
+   * @param {string} url - Request URL
+   * @returns {RateLimiter} Rate limiter shared by all requests to the domain
+   */
+  getRateLimiter(url) {
+    const domain = getDomain(url);
+
+    if (!this.rateLimiters.has(domain)) {
+      this.rateLimiters.set(domain, new RateLimiter(this.config.rateLimit));
+    }
+    return this.rateLimiters.get(domain);
   }
 
   /**
-   * Check if robots.txt allows crawling a URL
+   * Get the circuit breaker for a URL's host
+   * @param {string} url - Request URL
+   * @returns {CircuitBreaker} Circuit breaker shared by all requests to the
+   *   host
+   */
+  getCircuitBreaker(url) {
+    const host = getDomain(url);
+
+    if (!this.circuitBreakers.has(host)) {
+      this.circuitBreakers.set(
+        host,
+        new CircuitBreaker(host, this.config.circuitBreaker, {
+          onStateChange: (event) => this.recordCircuitEvent(event),
+        })
+      );
+    }
+    return this.circuitBreakers.get(host);
+  }
+
+  /**
+   * Check if robots.txt allows crawling a URL, applying the domain's
+   * crawl delay to its rate limiter
    * @param {string} url - URL to check
    * @returns {Promise<boolean>} True if allowed
    */
   async checkRobotsTxt(url) {
-    try {
-      const domain = new URL(url).origin;
-
-      // Check cache first
-      if (this.robotsCache.has(domain)) {
-        const robots = this.robotsCache.get(domain);
-        return robots.isAllowed(url);
-      }
+    const { origin } = new URL(url);
+    const robots = await this.robots.getRobotsTxt(origin);
+    const crawlDelay = robots.getCrawlDelay(this.robots.userAgent);
 
-      // Fetch robots.txt
-      const robotsUrl = `${domain}/robots.txt`;
-      const response = await this.client.get(robotsUrl);
+    if (crawlDelay > 0 && this.robotsAppliedDelays.get(origin) !== crawlDelay) {
+      logger.info(
+        `Applying robots.txt crawl delay of ${crawlDelay}s to ${origin}`
+      );
+      this.getRateLimiter(origin).setMinInterval(crawlDelay * 1000);
+      this.robotsAppliedDelays.set(origin, crawlDelay);
+    }
 
-      if (response.status === 200) {
-        const robots = new RobotsParser(response.data);
-        this.robotsCache.set(domain, robots);
-        return robots.isAllowed(url);
-      }
+    return robots.isAllowed(url, this.robots.userAgent);
+  }
 
-      // If robots.txt not found, assume allowed
-      return true;
-    } catch (error) {
-      logger.warn(`Failed to check robots.txt for ${url}:`, error.message);
-      return true; // Assume allowed on error
-    }
+  /**
+   * Get the sitemaps a site's robots.txt lists, for discovery
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<Array<string>>} Sitemap URLs
+   */
+  async getSitemaps(url) {
+    return this.robots.getSitemaps(new URL(url).origin);
   }
 
   /**
    * Crawl a single URL with caching and error handling
+   *
+   * Expired cache entries are revalidated with If-None-Match /
+   * If-Modified-Since; a 304 renews the entry and counts as a cache hit.
+   *
    * @param {string} url - URL to crawl
    * @param {Object} options - Crawl options
-   * @returns {Promise<Object>} Crawl result
+   * @returns {Promise<Object>} Crawl result, with `cache` ('hit',
+   *   'revalidated' or 'miss') and `changed` (false when the content matches
+   *   the cached copy)
    */
   async crawlUrl(url, options = {}) {
     const {
@@ -113,28 +194,60 @@ export class BaseCrawler {
         throw new Error(`Robots.txt disallows crawling: ${url}`);
       }
 
-      // Check cache first
-      if (!skipCache && this.cache.has(url)) {
-        const cached = await this.cache.get(url);
-        logger.debug(`Cache hit for ${url}`);
-        return cached;
+      // Check cache first; an expired entry with validators is revalidated
+      let cached = null;
+      if (!skipCache && this.config.cache.enabled) {
+        cached = await this.cache.lookup(url);
+        if (cached?.fresh) {
+          logger.debug(`Cache hit for ${url}`);
+          return { ...cached.result, cache: 'hit', changed: false };
+        }
       }
 
-      // Check circuit breaker
-      if (this.circuitBreaker.isOpen()) {
-        throw new Error('Circuit breaker is open');
+      // Check the host's circuit breaker; a half-open breaker lets one
+      // probe through
+      const breaker = this.getCircuitBreaker(url);
+      if (!breaker.allowRequest()) {
+        throw breaker.createOpenError();
       }
 
       let response;
-      if (usePuppeteer) {
-        response = await this.crawlWithPuppeteer(url, { waitForSelector });
+      try {
+        if (usePuppeteer) {
+          response = await this.crawlWithPuppeteer(url, { waitForSelector });
+        } else {
+          response = await this.client.get(url, {
+            headers: this.getConditionalHeaders(cached?.result.headers),
+          });
+        }
+      } catch (error) {
+        // Network errors, timeouts and 5xx (after retries)
+        breaker.recordFailure(error.message);
+        throw error;
+      }
+
+      // Any other answer shows the host is up, except a persistent 429
+      if (THROTTLE_STATUSES.includes(response.status)) {
+        breaker.recordFailure(`HTTP ${response.status}`);
       } else {
-        response = await this.client.get(url);
+        breaker.recordSuccess();
+      }
+
+      if (response.status === 304 && cached) {
+        const revalidated = await this.cache.revalidate(url, response.headers);
+        if (revalidated) {
+          logger.debug(`Not modified: ${url}`);
+          return { ...revalidated, cache: 'revalidated', changed: false };
+        }
       }
 
       // Validate response
-      if (response.status >= 400) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (response.status >= 300) {
+        const httpError = new Error(
+          `HTTP ${response.status}: ${response.statusText}`
+        );
+        httpError.status = response.status;
+        throw httpError;
       }
 
       const result = {
@@ -146,24 +259,37 @@ export class BaseCrawler {
         size: response.data.length,
       };
 
-      // Cache successful response
+      // Cache successful response, noting whether the content changed
+      let changed = true;
       if (this.config.cache.enabled) {
-        await this.cache.set(url, result);
+        changed = await this.cache.set(url, result);
       }
-
-      // Update circuit breaker
-      this.circuitBreaker.recordSuccess();
+      result.cache = 'miss';
+      result.changed = changed;
 
       return result;
     } catch (error) {
-      // Update circuit breaker
-      this.circuitBreaker.recordFailure();
-
       logger.error(`Failed to crawl ${url}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Build conditional request headers from a cached response's validators
+   * @param {Object} cachedHeaders - Headers of the cached response
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  getConditionalHeaders(cachedHeaders = {}) {
+    const headers = {};
+    if (cachedHeaders.etag) {
+      headers['If-None-Match'] = cachedHeaders.etag;
+    }
+    if (cachedHeaders['last-modified']) {
+      headers['If-Modified-Since'] = cachedHeaders['last-modified'];
+    }
+    return headers;
+  }
+
   /**
    * Crawl multiple URLs with concurrency control
    * @param {Array<string>} urls - URLs to crawl
@@ -212,368 +338,204 @@ export class BaseCrawler {
   }
 
   /**
-   * Determine if a request should be retried
-   * @param {Error} error - Request error
-   * @returns {boolean} True if should retry
+   * Crawl a batch of items through the crawl scheduler, so requests overlap
+   * while the domain's rate limiter keeps them polite
+   * @param {Array} items - Items to crawl (species IDs, names, ...)
+   * @param {Function} crawlItem - Async function crawling one item
+   * @returns {Promise<Array<Object>>} Settled results in item order
    */
-  shouldRetry(error) {
-    if (!error.response) return false;
+  async crawlBatch(items, crawlItem) {
+    const scheduler = new CrawlScheduler(this.config);
+    const domain = getDomain(this.config.baseUrl);
 
-    const status = error.response.status;
-    return this.config.retry.retryableStatusCodes.includes(status);
+    return scheduler.run(
+      items.map((item) => ({ domain, run: () => crawlItem(item) }))
+    );
   }
 
   /**
-   * Retry a failed request with exponential backoff
-   * @param {Object} config - Request configuration
-   * @returns {Promise} Retry result
+   * Throttle and retry according to a response's status
+   *
+   * 429/503 slow the domain's rate limiter down (pausing it for any
+   * Retry-After); successes let it recover. Retryable statuses are retried
+   * with exponential backoff, or after Retry-After when the server sent one.
+   *
+   * @param {Object} response - Axios response
+   * @param {Error} error - Axios error, if the status rejected
+   * @returns {Promise<Object>} Final response
    */
-  async retryRequest(config) {
-    const maxRetries = this.config.retry.maxRetries;
-    const baseDelay = this.config.retry.baseDelay;
-    const maxDelay = this.config.retry.maxDelay;
+  async handleResponse(response, error = null) {
+    const { config, status } = response;
+    const limiter = this.getRateLimiter(config.url);
+    let retryAfter = null;
+
+    if (THROTTLE_STATUSES.includes(status)) {
+      retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+      const pause = limiter.throttle(retryAfter);
+      this.recordThrottle(config.url, status, pause, limiter);
+    } else if (status < 400) {
+      limiter.recordSuccess();
+    }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+    const attempt = config.retryAttempt || 0;
+    if (!this.shouldRetry(status) || attempt >= this.config.retry.maxRetries) {
+      return error ? Promise.reject(error) : response;
+    }
 
+    config.retryAttempt = attempt + 1;
+    if (retryAfter === null) {
+      const { baseDelay, maxDelay } = this.config.retry;
+      const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
       logger.debug(
-        `Retrying request in ${delay}ms (attempt ${attempt}/${maxRetries})`
+        `Retrying ${config.url} in ${delay}ms (attempt ${attempt + 1}/${this.config.retry.maxRetries})`
       );
       await new Promise((resolve) => setTimeout(resolve, delay));
-
-      try {
-        return await this.client(config);
-      } catch (error) {
-        if (attempt === maxRetries) {
-          throw error;
-        }
-        logger.debug(`Retry ${attempt} failed:`, error.message);
-      }
+    } else {
+      // The rate limiter holds the retry until Retry-After has passed
+      logger.debug(
+        `Retrying ${config.url} after Retry-After (attempt ${attempt + 1}/${this.config.retry.maxRetries})`
+      );
     }
-  }
 
-  /**
-   * Crawl with Puppeteer for JavaScript-heavy pages
-   * @param {string} url - URL to crawl
-   * @param {Object} options - Puppeteer options
-   * @returns {Promise<Object>} Crawl result
-   */
-  async crawlWithPuppeteer(url, options = {}) {
-    // This would be implemented by specific crawlers that need Puppeteer
-    throw new Error('Puppeteer crawling not implemented in base class');
+    return this.client(config);
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Determine if a response status should be retried
+   * @param {number} status - HTTP status
+   * @returns {boolean} True if should retry
    */
-  getCacheStats() {
-    return this.cache.getStats();
+  shouldRetry(status) {
+    return this.config.retry.retryableStatusCodes.includes(status);
   }
 
   /**
-   * Clear cache
+   * Record a throttle event for the crawler stats
+   * @param {string} url - Request URL
+   * @param {number} status - HTTP status (429 or 503)
+   * @param {number} pause - Retry-After pause applied, in milliseconds
+   * @param {RateLimiter} limiter - Domain rate limiter
    */
-  async clearCache() {
-    await this.cache.clear();
-  }
-}
-
-/**
- * Rate limiter implementation
- */
-class RateLimiter {
-  constructor(config) {
-    this.config = config;
-    this.requests = [];
-    this.burstTokens = config.burstLimit;
-    this.lastRefill = Date.now();
-  }
+  recordThrottle(url, status, pause, limiter) {
+    const domain = getDomain(url);
 
-  /**
-   * Wait if necessary to respect rate limits
-   * @returns {Promise<void>}
-   */
-  async wait() {
-    const now = Date.now();
-
-    // Refill burst tokens based on time elapsed
-    const timeSinceRefill = now - this.lastRefill;
-    const tokensToAdd =
-      (timeSinceRefill / 1000) * this.config.requestsPerSecond;
-    this.burstTokens = Math.min(
-      this.burstTokens + tokensToAdd,
-      this.config.burstLimit
+    logger.warn(
+      `Throttled by ${domain} (HTTP ${status}); rate reduced to ${Math.round(limiter.rateFactor * 100)}%${pause ? `, pausing ${pause}ms` : ''}`
     );
-    this.lastRefill = now;
-
-    // Check burst limit
-    if (this.burstTokens <= 0) {
-      const waitTime = 1000 / this.config.requestsPerSecond;
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
-      
-      // After waiting, refill tokens based on the time that passed
-      const timeAfterWait = Date.now();
-      const additionalTime = timeAfterWait - now;
-      const additionalTokens = (additionalTime / 1000) * this.config.requestsPerSecond;
-      this.burstTokens = Math.min(
-        this.burstTokens + additionalTokens,
-        this.config.burstLimit
-      );
-      this.lastRefill = timeAfterWait;
-    }
-
-    // Consume one token for this request
-    this.burstTokens = Math.max(0, this.burstTokens - 1);
-
-    // Check minute limit
-    const minuteAgo = now - 60000;
-    this.requests = this.requests.filter((time) => time > minuteAgo);
+    this.throttleEvents.push({
+      domain,
+      status,
+      pause,
+      rateFactor: limiter.rateFactor,
+      timestamp: new Date().toISOString(),
+    });
 
-    if (this.requests.length >= this.config.requestsPerMinute) {
-      // Handle empty array case safely
-      if (this.requests.length > 0) {
-        const oldestRequest = Math.min(...this.requests);
-        const waitTime = 60000 - (now - oldestRequest);
-        if (waitTime > 0) {
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-        }
-      }
+    // Keep the most recent events only
+    if (this.throttleEvents.length > 100) {
+      this.throttleEvents.shift();
     }
-
-    this.requests.push(now);
-  }
-}
-
-/**
- * Circuit breaker implementation
- */
-class CircuitBreaker {
-  constructor(config) {
-    this.config = config;
-    this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
-    this.failureCount = 0;
-    this.lastFailureTime = null;
-    this.successCount = 0;
   }
 
   /**
-   * Check if circuit breaker is open
-   * @returns {boolean} True if open
+   * Get throttling statistics per domain and recent throttle events
+   * @returns {Object} Throttle stats
    */
-  isOpen() {
-    if (this.state === 'OPEN') {
-      const timeSinceFailure = Date.now() - this.lastFailureTime;
-      if (timeSinceFailure >= this.config.resetTimeout) {
-        this.state = 'HALF_OPEN';
-        this.successCount = 0;
-      }
+  getThrottleStats() {
+    const domains = {};
+    for (const [domain, limiter] of this.rateLimiters) {
+      domains[domain] = limiter.getStats();
     }
-    return this.state === 'OPEN';
+    return { domains, recentEvents: [...this.throttleEvents] };
   }
 
   /**
-   * Record a successful request
+   * Log and keep a circuit breaker state change
+   * @param {Object} event - State change ({ host, from, to, reason,
+   *   timestamp })
    */
-  recordSuccess() {
-    if (this.state === 'HALF_OPEN') {
-      this.successCount++;
-      if (this.successCount >= 3) {
-        // Require 3 successes to close
-        this.state = 'CLOSED';
-        this.failureCount = 0;
-      }
-    } else if (this.state === 'CLOSED') {
-      this.failureCount = Math.max(0, this.failureCount - 1);
+  recordCircuitEvent(event) {
+    const message = `Circuit breaker for ${event.host}: ${event.from} -> ${event.to} (${event.reason})`;
+    if (event.to === CIRCUIT_STATES.OPEN) {
+      logger.warn(message);
+    } else {
+      logger.info(message);
     }
-  }
 
-  /**
-   * Record a failed request
-   */
-  recordFailure() {
-    this.failureCount++;
-    this.lastFailureTime = Date.now();
+    this.circuitEvents.push(event);
 
-    if (this.failureCount >= this.config.failureThreshold) {
-      this.state = 'OPEN';
+    // Keep the most recent events only
+    if (this.circuitEvents.length > 100) {
+      this.circuitEvents.shift();
     }
   }
-}
-
-/**
- * Cache manager implementation
- */
-class CacheManager {
-  constructor(config) {
-    this.config = config;
-    this.cache = new Map();
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      sets: 0,
-      deletes: 0,
-    };
-  }
 
   /**
-   * Check if URL is cached
-   * @param {string} url - URL to check
-   * @returns {boolean} True if cached
+   * Get circuit breaker state per host and recent state changes
+   * @returns {Object} Circuit breaker stats ({ hosts, events })
    */
-  has(url) {
-    const key = this.getCacheKey(url);
-    return this.cache.has(key);
+  getCircuitBreakerStats() {
+    const hosts = {};
+    for (const [host, breaker] of this.circuitBreakers) {
+      hosts[host] = breaker.getStats();
+    }
+    return { hosts, events: [...this.circuitEvents] };
   }
 
   /**
-   * Get cached data
-   * @param {string} url - URL to get
-   * @returns {Promise<Object>} Cached data
+   * Crawl with Puppeteer for JavaScript-heavy pages
+   * @param {string} url - URL to crawl
+   * @param {Object} options - Puppeteer options ({ waitForSelector })
+   * @returns {Promise<Object>} Response ({ status, statusText, headers, data })
    */
-  async get(url) {
-    const key = this.getCacheKey(url);
-    const cached = this.cache.get(key);
-
-    if (cached) {
-      // Check TTL
-      const age = Date.now() - cached.timestamp;
-      if (age < this.config.ttl) {
-        this.stats.hits++;
-        return cached.data;
-      } else {
-        this.cache.delete(key);
-      }
+  async crawlWithPuppeteer(url, options = {}) {
+    const request = { method: 'RENDER', url };
+    if (this.crawlMode === 'replay') {
+      return this.fixtures.replay(request);
     }
 
-    this.stats.misses++;
-    return null;
+    // Rendered pages share the domain's rate limit with HTTP requests
+    await this.getRateLimiter(url).wait();
+    const response = await this.getBrowserPool().render(url, options);
+
+    if (this.crawlMode === 'record') {
+      await this.fixtures.save(request, response);
+    }
+    return response;
   }
 
   /**
-   * Set cached data
-   * @param {string} url - URL to cache
-   * @param {Object} data - Data to cache
+   * Get the browser pool used for rendered crawling
+   * @returns {BrowserPool} Pool shared by all crawlers
    */
-  async set(url, data) {
-    const key = this.getCacheKey(url);
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-    this.stats.sets++;
+  getBrowserPool() {
+    if (!this.browserPool) {
+      this.browserPool = BrowserPool.shared(this.config);
+    }
+    return this.browserPool;
   }
 
   /**
-   * Generate cache key for URL
-   * @param {string} url - URL
-   * @returns {string} Cache key
+   * Release resources held for crawling (the headless browser, if used)
    */
-  getCacheKey(url) {
-    return Buffer.from(url).toString('base64');
+  async close() {
+    await this.cache.flush();
+    if (this.browserPool) {
+      await this.browserPool.close();
+    }
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache stats
+   * @returns {Object} Cache statistics
    */
-  getStats() {
-    return {
-      ...this.stats,
-      size: this.cache.size,
-      hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
-    };
+  getCacheStats() {
+    return this.cache.getStats();
   }
 
   /**
    * Clear cache
    */
-  async clear() {
-    this.cache.clear();
-    this.stats = { hits: 0, misses: 0, sets: 0, deletes: 0 };
-  }
-}
-
-/**
- * Simple robots.txt parser
- */
-class RobotsParser {
-  constructor(robotsText) {
-    this.rules = this.parseRobotsTxt(robotsText);
-  }
-
-  /**
-   * Parse robots.txt content
-   * @param {string} robotsText - robots.txt content
-   * @returns {Array} Parsed rules
-   */
-  parseRobotsTxt(robotsText) {
-    const rules = [];
-    const lines = robotsText.split('\n');
-    let currentUserAgent = null;
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-
-      const colonIndex = trimmed.indexOf(':');
-      if (colonIndex === -1) {
-        logger.debug(`Skipping malformed robots.txt line (missing colon): ${trimmed}`);
-        continue;
-      }
-
-      const directive = trimmed.substring(0, colonIndex).trim().toLowerCase();
-      const value = trimmed.substring(colonIndex + 1).trim();
-
-      // Skip lines with empty directive or where directive-only lines lack values
-      if (!directive) {
-        logger.debug(`Skipping malformed robots.txt line (empty directive): ${trimmed}`);
-        continue;
-      }
-
-      if (directive === 'user-agent') {
-        currentUserAgent = value.toLowerCase();
-      } else if (directive === 'disallow' && currentUserAgent) {
-        rules.push({
-          userAgent: currentUserAgent,
-          path: value,
-          allow: false,
-        });
-      } else if (directive === 'allow' && currentUserAgent) {
-        rules.push({
-          userAgent: currentUserAgent,
-          path: value,
-          allow: true,
-        });
-      }
-    }
-
-    return rules;
-  }
-
-  /**
-   * Check if URL is allowed
-   * @param {string} url - URL to check
-   * @returns {boolean} True if allowed
-   */
-  isAllowed(url) {
-    const urlPath = new URL(url).pathname;
-
-    // Check for specific rules (more specific first)
-    const applicableRules = this.rules
-      .filter(
-        (rule) =>
-          rule.userAgent === '*' || rule.userAgent === 'infinitepokedexbot'
-      )
-      .sort((a, b) => b.path.length - a.path.length);
-
-    for (const rule of applicableRules) {
-      if (urlPath.startsWith(rule.path)) {
-        return rule.allow;
-      }
-    }
-
-    // Default to allowed if no specific rule
-    return true;
+  async clearCache() {
+    await this.cache.clear();
   }
 }
@@ -0,0 +1,223 @@
+/**
+ * Browser Pool
+ *
+ * Shares one headless Chromium among all crawlers and hands out a bounded
+ * number of pages for rendering client-side apps. Pages block images, fonts
+ * and media, and navigation is capped by a per-page timeout. Rate limiting,
+ * robots.txt checks and caching stay with BaseCrawler.crawlUrl, which calls
+ * render() in place of the HTTP client.
+ *
+ * @fileoverview Bounded Puppeteer page pool for rendered crawling
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import puppeteer from 'puppeteer';
+import { logger } from '../utils/logger.js';
+import { defaultConfig } from '../config/crawler.js';
+
+let sharedPool = null;
+
+/**
+ * Pool of reusable Puppeteer pages on one browser
+ */
+export class BrowserPool {
+  /**
+   * @param {Object} config - Crawler configuration (uses `browser` and
+   *   `request.userAgent`)
+   * @param {Object} launcher - Object with a puppeteer-compatible launch()
+   */
+  constructor(config = {}, launcher = puppeteer) {
+    const options = { ...defaultConfig.browser, ...config.browser };
+
+    this.maxPages = options.maxPages;
+    this.pageTimeout = options.pageTimeout;
+    this.blockedResourceTypes = options.blockedResourceTypes;
+    this.launchOptions = options.launch;
+    this.userAgent = config.request?.userAgent;
+    this.launcher = launcher;
+
+    this.browser = null;
+    this.active = 0;
+    this.idle = [];
+    this.waiters = [];
+    this.stats = { rendered: 0, failed: 0, pagesCreated: 0, blocked: 0 };
+  }
+
+  /**
+   * Get the pool shared by every crawler in the process
+   * @param {Object} config - Crawler configuration
+   * @returns {BrowserPool} Shared pool
+   */
+  static shared(config) {
+    if (!sharedPool) {
+      sharedPool = new BrowserPool(config);
+    }
+    return sharedPool;
+  }
+
+  /**
+   * Render a page and return its HTML after scripts have run
+   * @param {string} url - Page URL
+   * @param {Object} options - Render options
+   * @param {string} options.waitForSelector - Selector to wait for before
+   *   reading the page
+   * @returns {Promise<Object>} Response ({ status, statusText, headers, data })
+   */
+  async render(url, { waitForSelector = null } = {}) {
+    const page = await this.acquire();
+    let reusable = true;
+
+    try {
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: this.pageTimeout,
+      });
+      if (waitForSelector) {
+        await page.waitForSelector(waitForSelector, {
+          timeout: this.pageTimeout,
+        });
+      }
+
+      this.stats.rendered++;
+      return {
+        status: response ? response.status() : 200,
+        statusText: response ? response.statusText() : 'OK',
+        headers: response ? response.headers() : {},
+        data: await page.content(),
+      };
+    } catch (error) {
+      // A timed-out or crashed page may still be navigating; don't reuse it
+      reusable = false;
+      this.stats.failed++;
+      throw error;
+    } finally {
+      this.release(page, reusable);
+    }
+  }
+
+  /**
+   * Take a page slot, waiting while maxPages are in use
+   * @returns {Promise<Page>} Page
+   */
+  async acquire() {
+    if (this.active < this.maxPages) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise((resolve) => this.waiters.push(resolve));
+    }
+
+    try {
+      return this.idle.pop() || (await this.createPage());
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Return a page to the pool
+   * @param {Page} page - Page from acquire()
+   * @param {boolean} reusable - Keep the page for the next render
+   */
+  release(page, reusable) {
+    if (reusable && this.browser) {
+      this.idle.push(page);
+    } else {
+      page.close().catch(() => {});
+    }
+    this.releaseSlot();
+  }
+
+  /**
+   * Free a page slot, or pass it to the next waiter
+   */
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Open a page with resource blocking and timeouts
+   * @returns {Promise<Page>} Page
+   */
+  async createPage() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    page.setDefaultTimeout(this.pageTimeout);
+    if (this.userAgent) {
+      await page.setUserAgent(this.userAgent);
+    }
+
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (this.blockedResourceTypes.includes(request.resourceType())) {
+        this.stats.blocked++;
+        request.abort();
+      } else {
+        request.continue();
+      }
+    });
+
+    this.stats.pagesCreated++;
+    return page;
+  }
+
+  /**
+   * Launch the browser on first use
+   * @returns {Promise<Browser>} Browser
+   */
+  getBrowser() {
+    if (!this.browser) {
+      logger.info('Launching headless browser...');
+      this.browser = this.launcher.launch(this.launchOptions).then(
+        (browser) => {
+          browser.on('disconnected', () => {
+            logger.warn('Headless browser disconnected');
+            this.browser = null;
+            this.idle = [];
+          });
+          return browser;
+        },
+        (error) => {
+          this.browser = null;
+          throw error;
+        }
+      );
+    }
+    return this.browser;
+  }
+
+  /**
+   * Close the browser; the next render launches a new one
+   */
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    this.idle = [];
+
+    if (browser) {
+      await (await browser).close();
+    }
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Pool stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      maxPages: this.maxPages,
+      active: this.active,
+      idle: this.idle.length,
+      waiting: this.waiters.length,
+    };
+  }
+}
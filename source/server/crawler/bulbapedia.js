@@ -9,9 +9,95 @@
  * @version 1.0.0
  */
 
+import crypto from 'crypto';
 import { BaseCrawler } from './base-crawler.js';
-import { getSourceConfig } from '../config/crawler.js';
+import { getSourceConfig, mergeSourceConfig } from '../config/crawler.js';
 import { logger } from '../utils/logger.js';
+import {
+  speciesRegistry,
+  getRegionForId,
+  REGIONS,
+} from '../registry/species-registry.js';
+import {
+  getGamesInGroups,
+  findGameByName,
+  findGamesInText,
+} from '../registry/games.js';
+import { mergeLearnset } from '../processors/learnset.js';
+import { mergeDexEntries } from '../processors/dex-entries.js';
+import {
+  parseTemplates,
+  findTemplates,
+  findSection,
+  parseSections,
+  parseParagraphs,
+  parseListItems,
+  stripBlockTemplates,
+  stripMarkup,
+} from '../processors/wikitext.js';
+
+/**
+ * {{Base stats}} parameters by stat
+ */
+const STAT_PARAMS = {
+  HP: 'hp',
+  Attack: 'attack',
+  Defense: 'defense',
+  SpAtk: 'spAttack',
+  SpDef: 'spDefense',
+  Speed: 'speed',
+};
+
+/**
+ * Learnset row templates, e.g. {{learnlist/level9|...}} (headers and
+ * footers such as {{learnlist/levelh/9}} don't match)
+ */
+const LEARNLIST = /^learnlist\/(level|tm|tr|breed|tutor|event)(\d+)$/;
+
+const LEARNLIST_METHODS = {
+  level: 'level-up',
+  tm: 'machine',
+  tr: 'machine',
+  breed: 'egg',
+  tutor: 'tutor',
+  event: 'event',
+};
+
+// Level column values meaning "not learned by level-up in these games"
+const UNLEARNED = /^(?:—|–|-|N\/A)?$/;
+
+/**
+ * Pokédex entry templates: {{Dex/Gen/1|gen=I|...}} starts a generation,
+ * {{Dex/Entry2|v=Red|v2=Blue|entry=...}} is one entry and its games
+ */
+const DEX_GENERATION = /^dex\/gen\/\d+$/;
+const DEX_ENTRY = /^dex\/entry\d+$/;
+
+// Generations are written as Roman numerals ("Generation_IV_learnset")
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+
+const CATEGORIES = ['Physical', 'Special', 'Status'];
+
+const TYPES = [
+  'Normal',
+  'Fire',
+  'Water',
+  'Electric',
+  'Grass',
+  'Ice',
+  'Fighting',
+  'Poison',
+  'Ground',
+  'Flying',
+  'Psychic',
+  'Bug',
+  'Rock',
+  'Ghost',
+  'Dragon',
+  'Dark',
+  'Steel',
+  'Fairy',
+];
 
 /**
  * Bulbapedia-specific crawler
@@ -19,10 +105,9 @@ import { logger } from '../utils/logger.js';
 export class BulbapediaCrawler extends BaseCrawler {
   constructor(config) {
     const bulbapediaConfig = getSourceConfig('bulbapedia');
-    super({ ...bulbapediaConfig, ...config });
+    super(mergeSourceConfig(bulbapediaConfig, config));
 
     this.baseUrl = this.config.baseUrl;
-    this.selectors = this.config.selectors;
   }
 
   /**
@@ -34,7 +119,7 @@ export class BulbapediaCrawler extends BaseCrawler {
   async crawlSpecies(speciesId, options = {}) {
     try {
       const speciesName = await this.getSpeciesName(speciesId);
-      const url = this.buildSpeciesUrl(speciesName);
+      const url = this.buildWikitextUrl(speciesName);
 
       logger.info(`Crawling Bulbapedia for ${speciesName} (${speciesId})`);
 
@@ -47,6 +132,7 @@ export class BulbapediaCrawler extends BaseCrawler {
         speciesName,
         url,
         data: parsedData,
+        status: result.status,
         timestamp: result.timestamp,
       };
     } catch (error) {
@@ -68,18 +154,23 @@ export class BulbapediaCrawler extends BaseCrawler {
     const results = [];
     const errors = [];
 
-    for (const speciesId of speciesIds) {
-      try {
-        const result = await this.crawlSpecies(speciesId, options);
-        results.push(result);
+    // Pacing comes from the per-domain rate limiter and robots.txt crawl delay
+    const settled = await this.crawlBatch(speciesIds, (speciesId) =>
+      this.crawlSpecies(speciesId, options)
+    );
 
-        // Respectful delay between requests
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      } catch (error) {
-        errors.push({ speciesId, error: error.message });
-        logger.warn(`Failed to crawl species ${speciesId}:`, error.message);
+    settled.forEach((outcome, index) => {
+      const speciesId = speciesIds[index];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        errors.push({ speciesId, error: outcome.reason.message });
+        logger.warn(
+          `Failed to crawl species ${speciesId}:`,
+          outcome.reason.message
+        );
       }
-    }
+    });
 
     logger.info(
       `Bulbapedia crawl completed: ${results.length} success, ${errors.length} errors`
@@ -88,26 +179,12 @@ export class BulbapediaCrawler extends BaseCrawler {
   }
 
   /**
-   * Get species name from ID
-   * @param {string|number} speciesId - Species ID
-   * @returns {Promise<string>} Species name
+   * Get the Bulbapedia article name for a species
+   * @param {string|number} speciesId - Species ID or name
+   * @returns {Promise<string>} Article name (e.g. "Mr._Mime")
    */
   async getSpeciesName(speciesId) {
-    // This would typically query a species database or API
-    // For now, we'll use a simple mapping or assume the ID is the name
-    if (typeof speciesId === 'string') {
-      return speciesId;
-    }
-
-    // Convert ID to name (this would be more sophisticated in practice)
-    const speciesNames = {
-      1: 'Bulbasaur',
-      2: 'Ivysaur',
-      3: 'Venusaur',
-      // ... more mappings
-    };
-
-    return speciesNames[speciesId] || `Pokemon_${speciesId}`;
+    return speciesRegistry.getSlug(speciesId, 'bulbapedia');
   }
 
   /**
@@ -121,27 +198,76 @@ export class BulbapediaCrawler extends BaseCrawler {
   }
 
   /**
-   * Parse species page HTML
-   * @param {string} html - HTML content
+   * Build the URL of a species article's raw wikitext (`action=raw`)
+   * @param {string} speciesName - Article name (e.g. "Mr._Mime")
+   * @returns {string} Full URL
+   */
+  buildWikitextUrl(speciesName) {
+    const path = this.config.paths.wikitext.replace('{name}', speciesName);
+    return `${this.baseUrl}${path}`;
+  }
+
+  /**
+   * Build the URLs of a species' past-generation learnset pages, from the
+   * generation it was introduced in (the article has the current one)
+   * @param {string} speciesName - Article name (e.g. "Mr._Mime")
+   * @param {string|number} speciesId - Species ID
+   * @returns {Array<Object>} Pages ({ generation, url })
+   */
+  buildLearnsetUrls(speciesName, speciesId) {
+    const current = REGIONS[REGIONS.length - 1].generation;
+    const pages = [];
+
+    for (let gen = getRegionForId(speciesId).generation; gen < current; gen++) {
+      const path = this.config.paths.learnset
+        .replace('{name}', speciesName)
+        .replace('{generation}', ROMAN[gen - 1]);
+      pages.push({ generation: gen, url: `${this.baseUrl}${path}` });
+    }
+    return pages;
+  }
+
+  /**
+   * Parse a species article's wikitext
+   * @param {string} wikitext - Article wikitext
    * @param {string|number} speciesId - Species ID
    * @returns {Object} Parsed species data
    */
-  parseSpeciesPage(html, speciesId) {
+  parseSpeciesPage(wikitext, speciesId) {
     try {
-      // This would use Cheerio for parsing
-      // For now, we'll return a basic structure
-      const data = {
+      const [infobox] = findTemplates(wikitext, 'Pokémon Infobox');
+      if (!infobox) {
+        throw new Error('No Pokémon Infobox in article');
+      }
+
+      const { params } = infobox;
+      const sections = parseSections(wikitext);
+      const abilities = this.parseAbilities(params);
+
+      return {
         id: speciesId,
-        name: this.extractName(html),
-        types: this.extractTypes(html),
-        stats: this.extractStats(html),
-        abilities: this.extractAbilities(html),
-        moves: this.extractMoves(html),
-        description: this.extractDescription(html),
-        trivia: this.extractTrivia(html),
+        name: stripMarkup(params.name),
+        ndex: parseNumber(params.ndex),
+        category: stripMarkup(params.category),
+        types: [params.type1, params.type2]
+          .map((type) => stripMarkup(type))
+          .filter(Boolean),
+        stats: this.parseBaseStats(wikitext),
+        abilities: abilities.map((ability) => ability.name),
+        hiddenAbility:
+          abilities.find((ability) => ability.hidden)?.name || null,
+        height: parseNumber(params['height-m']),
+        weight: parseNumber(params['weight-kg']),
+        eggGroups: [params.egggroup1, params.egggroup2]
+          .map((group) => stripMarkup(group))
+          .filter(Boolean),
+        forms: this.parseForms(params, sections, speciesId),
+        learnset: this.parseLearnset(wikitext),
+        dexEntries: this.parseDexEntries(wikitext),
+        description: this.parseDescription(sections),
+        trivia: this.parseTrivia(sections),
+        images: this.parseImages(params),
       };
-
-      return data;
     } catch (error) {
       logger.error(
         `Failed to parse Bulbapedia page for ${speciesId}:`,
@@ -152,81 +278,307 @@ export class BulbapediaCrawler extends BaseCrawler {
   }
 
   /**
-   * Extract Pokémon name from HTML
-   * @param {string} html - HTML content
-   * @returns {string} Pokémon name
+   * Read abilities from the infobox (`ability1`, `ability2` and the hidden
+   * `abilityd`)
+   * @param {Object} params - Infobox parameters
+   * @returns {Array<Object>} Abilities ({ name, hidden })
    */
-  extractName(html) {
-    // This would use Cheerio selectors
-    // For now, return a placeholder
-    return 'Pokemon Name';
+  parseAbilities(params) {
+    return [
+      { name: stripMarkup(params.ability1), hidden: false },
+      { name: stripMarkup(params.ability2), hidden: false },
+      { name: stripMarkup(params.abilityd), hidden: true },
+    ].filter((ability) => ability.name);
   }
 
   /**
-   * Extract Pokémon types from HTML
-   * @param {string} html - HTML content
-   * @returns {Array<string>} Type array
+   * Read base stats from the first {{Base stats}} template
+   * @param {string} wikitext - Article wikitext
+   * @returns {Object} Base stats (empty if the article has none)
    */
-  extractTypes(html) {
-    // This would parse the infobox for types
-    return ['Normal']; // Placeholder
+  parseBaseStats(wikitext) {
+    const [template] = findTemplates(wikitext, 'Base stats');
+    return template ? readStats(template) : {};
   }
 
   /**
-   * Extract base stats from HTML
-   * @param {string} html - HTML content
-   * @returns {Object} Base stats
+   * Read the alternate forms listed in the infobox
+   *
+   * The infobox names each form (`form2`, `form3`, ...) with its own
+   * `form<N>type1`/`form<N>type2`, `ability<N>-1`/`ability<N>-2`/
+   * `abilityd<N>` and `image<N>`; a form's stats are the {{Base stats}}
+   * under a heading with the form's name. Labels are matched to the
+   * registry's forms, so "Alolan Vulpix" becomes "Vulpix-Alola"; forms the
+   * registry doesn't know are skipped.
+   *
+   * @param {Object} params - Infobox parameters
+   * @param {Array<Object>} sections - Sections from parseSections
+   * @param {string|number} speciesId - Species ID
+   * @returns {Array<Object>} Forms ({ name, types, stats, abilities,
+   *   images })
    */
-  extractStats(html) {
-    // This would parse the stats table
-    return {
-      hp: 0,
-      attack: 0,
-      defense: 0,
-      spAttack: 0,
-      spDefense: 0,
-      speed: 0,
-    };
+  parseForms(params, sections, speciesId) {
+    const forms = [];
+
+    for (let n = 2; params[`form${n}`]; n++) {
+      const label = stripMarkup(params[`form${n}`]);
+      const form = speciesRegistry.findForm(speciesId, label);
+      if (!form) {
+        logger.debug(`Skipping unknown form of ${speciesId}: ${label}`);
+        continue;
+      }
+
+      const statsSection = sections.find(
+        (section) => section.title.toLowerCase() === label.toLowerCase()
+      );
+      const [statsTemplate] = statsSection
+        ? findTemplates(statsSection.content, 'Base stats')
+        : [];
+
+      forms.push({
+        name: form.name,
+        types: [params[`form${n}type1`], params[`form${n}type2`]]
+          .map((type) => stripMarkup(type))
+          .filter(Boolean),
+        stats: statsTemplate ? readStats(statsTemplate) : {},
+        abilities: [
+          params[`ability${n}-1`],
+          params[`ability${n}-2`],
+          params[`abilityd${n}`],
+        ]
+          .map((ability) => stripMarkup(ability))
+          .filter(Boolean),
+        images: params[`image${n}`]
+          ? this.parseImages({ name: label, image: params[`image${n}`] })
+          : [],
+      });
+    }
+
+    return forms;
   }
 
   /**
-   * Extract abilities from HTML
-   * @param {string} html - HTML content
-   * @returns {Array<string>} Abilities array
+   * Read a learnset from the {{learnlist/...}} rows (level-up, TM/TR,
+   * breeding, tutor and event)
+   *
+   * Rows put the move right before its type and category; anything before
+   * the move is the level, machine or parents. Level-up rows of older
+   * generations have one level column per version group (see
+   * `learnsetColumns`), so a move can be learned at different levels, or
+   * not at all, depending on the game. Pages that list some games apart
+   * (e.g. Let's Go, Pikachu! and Let's Go, Eevee! in Generation VII) head
+   * their sections with the games' names; rows in such a section only
+   * count for those games, and its level rows only have their columns.
+   * Level rows whose column count doesn't match are skipped rather than
+   * credited to games that may not have them.
+   *
+   * @param {string} wikitext - Article or learnset page wikitext
+   * @returns {Array<Object>} Learnset ({ move, method, level, generation,
+   *   games })
    */
-  extractAbilities(html) {
-    // This would parse the abilities section
-    return []; // Placeholder
+  parseLearnset(wikitext) {
+    const entries = [];
+    const headings = [];
+
+    for (const section of parseSections(wikitext)) {
+      // Headings enclosing this section, nearest last
+      while (headings.length > 0 && headings.at(-1).level >= section.level) {
+        headings.pop();
+      }
+      headings.push({
+        level: section.level,
+        games: findGamesInText(section.title),
+      });
+
+      for (const { name, positional } of findTemplates(
+        section.content,
+        LEARNLIST
+      )) {
+        const entry = this.parseLearnlistRow(name, positional, headings);
+        if (entry) {
+          entries.push(...entry);
+        }
+      }
+    }
+
+    return mergeLearnset(entries);
   }
 
   /**
-   * Extract moves from HTML
-   * @param {string} html - HTML content
-   * @returns {Array<Object>} Moves array
+   * Read one {{learnlist/...}} row
+   * @param {string} name - Template name
+   * @param {Array<string>} positional - Template arguments
+   * @param {Array<Object>} headings - Enclosing headings ({ level, games }),
+   *   nearest last
+   * @returns {Array<Object>|null} Entries, one per level column with a
+   *   level, or null for a row that can't be credited
    */
-  extractMoves(html) {
-    // This would parse the moves section
-    return []; // Placeholder
+  parseLearnlistRow(name, positional, headings) {
+    const [, kind, gen] = name.toLowerCase().match(LEARNLIST);
+    const values = positional.map((value) => stripMarkup(value));
+
+    // Look for type + category, as a move may share its type's name
+    const typeIndex = values.findIndex(
+      (value, index) =>
+        index > 0 &&
+        TYPES.includes(value) &&
+        CATEGORIES.includes(values[index + 1])
+    );
+    if (typeIndex === -1) {
+      logger.debug(`Skipping unrecognized learnlist row: ${name}`);
+      return null;
+    }
+
+    const generation = parseInt(gen);
+    const entry = {
+      move: values[typeIndex - 1],
+      method: LEARNLIST_METHODS[kind],
+      level: null,
+      generation,
+    };
+
+    // Version groups of the nearest heading naming games of this
+    // generation; they keep their columns of the generation's layout, or
+    // have a column each when the page lists them apart from it
+    const named = headings
+      .map(({ games }) =>
+        games.filter((game) => game.generation === generation)
+      )
+      .findLast((games) => games.length > 0);
+    const groups = named ? [...new Set(named.map((game) => game.group))] : null;
+    const layout = this.config.learnsetColumns?.[generation] || [];
+    let columns = layout;
+    if (groups) {
+      columns = layout
+        .map((column) => column.filter((group) => groups.includes(group)))
+        .filter((column) => column.length > 0);
+      if (columns.length === 0) {
+        columns = groups.map((group) => [group]);
+      }
+    }
+
+    if (kind !== 'level') {
+      const games = getGamesInGroups(groups || columns.flat());
+      return games.length > 0 ? [{ ...entry, games }] : null;
+    }
+
+    const levels = values.slice(0, typeIndex - 1);
+    if (columns.length === 0 || levels.length !== columns.length) {
+      logger.warn(
+        `Skipping Generation ${generation} level-up row for ${entry.move}: ` +
+          `${levels.length} level columns, expected ${columns.length}`
+      );
+      return null;
+    }
+
+    return levels
+      .map((level, column) => ({ level, column }))
+      .filter(({ level }) => !UNLEARNED.test(level))
+      .map(({ level, column }) => ({
+        ...entry,
+        level: parseNumber(level),
+        games: getGamesInGroups(columns[column]),
+      }));
   }
 
   /**
-   * Extract description from HTML
-   * @param {string} html - HTML content
+   * Read the Pokédex entries of every game from the {{Dex/...}} templates
+   * @param {string} wikitext - Article wikitext
+   * @returns {Array<Object>} Entries ({ text, games, generation }), with
+   *   text shared by several games merged
+   */
+  parseDexEntries(wikitext) {
+    const entries = [];
+    let generation = null;
+
+    for (const template of parseTemplates(wikitext)) {
+      const name = template.name.toLowerCase();
+
+      if (DEX_GENERATION.test(name)) {
+        generation = ROMAN.indexOf(template.params.gen?.trim()) + 1 || null;
+      } else if (DEX_ENTRY.test(name) && generation) {
+        const games = Object.entries(template.params)
+          .filter(([param]) => /^v\d*$/.test(param))
+          .map(([, version]) => findGameByName(stripMarkup(version)))
+          .filter(Boolean)
+          .map((game) => game.id);
+
+        if (games.length === 0) {
+          logger.debug(`Skipping Pokédex entry for unknown games: ${name}`);
+          continue;
+        }
+        entries.push({
+          text: stripMarkup(template.params.entry),
+          games,
+          generation,
+        });
+      }
+    }
+
+    return mergeDexEntries(entries);
+  }
+
+  /**
+   * Get the article's opening paragraph as plain text
+   * @param {Array<Object>} sections - Sections from parseSections
    * @returns {string} Description
    */
-  extractDescription(html) {
-    // This would extract the main description
-    return ''; // Placeholder
+  parseDescription(sections) {
+    const lead = stripBlockTemplates(sections[0].content);
+
+    for (const paragraph of parseParagraphs(lead)) {
+      const text = stripMarkup(paragraph);
+      if (text.length > 50) {
+        return text;
+      }
+    }
+
+    return '';
   }
 
   /**
-   * Extract trivia from HTML
-   * @param {string} html - HTML content
+   * Get the items of the Trivia section
+   * @param {Array<Object>} sections - Sections from parseSections
    * @returns {Array<string>} Trivia array
    */
-  extractTrivia(html) {
-    // This would extract trivia sections
-    return []; // Placeholder
+  parseTrivia(sections) {
+    const section = findSection(sections, 'Trivia');
+    if (!section) {
+      return [];
+    }
+
+    return parseListItems(section.content)
+      .filter((item) => item.length > 10)
+      .slice(0, 10); // Limit to 10 trivia items
+  }
+
+  /**
+   * Build the official artwork URL from the infobox
+   *
+   * Uploads live under MediaWiki's hashed paths (`/a/ab/File.png`, from the
+   * MD5 of the file name). Articles without an `image` parameter use the
+   * `<ndex><name>.png` naming convention.
+   *
+   * @param {Object} params - Infobox parameters
+   * @returns {Array<Object>} Images ({ src, alt })
+   */
+  parseImages(params) {
+    if (!params.image && !params.ndex) {
+      return [];
+    }
+
+    const name = stripMarkup(params.name);
+    const file = (params.image || `${params.ndex}${name}.png`)
+      .trim()
+      .replace(/ /g, '_');
+
+    const hash = crypto.createHash('md5').update(file).digest('hex');
+    return [
+      {
+        src: `${this.config.imageBaseUrl}/${hash[0]}/${hash.slice(0, 2)}/${encodeURIComponent(file)}`,
+        alt: `${name} official artwork`,
+      },
+    ];
   }
 
   /**
@@ -267,7 +619,34 @@ export class BulbapediaCrawler extends BaseCrawler {
       baseUrl: this.baseUrl,
       rateLimit: this.config.rateLimit,
       cacheStats: this.getCacheStats(),
-      circuitBreakerState: this.circuitBreaker.state,
+      throttleStats: this.getThrottleStats(),
+      circuitBreakers: this.getCircuitBreakerStats(),
     };
   }
 }
+
+/**
+ * Read the stats of a {{Base stats}} template
+ * @param {Object} template - Template from findTemplates
+ * @returns {Object} Base stats
+ */
+function readStats(template) {
+  const stats = {};
+  for (const [param, stat] of Object.entries(STAT_PARAMS)) {
+    const value = parseNumber(template.params[param]);
+    if (value !== null) {
+      stats[stat] = value;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Parse a number from wikitext (e.g. "0001", "6.9", "—")
+ * @param {string} value - Parameter value
+ * @returns {number|null} Number, or null if there is none
+ */
+function parseNumber(value) {
+  const number = parseFloat(stripMarkup(value));
+  return isNaN(number) ? null : number;
+}
@@ -0,0 +1,188 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops requests to a host that keeps failing. The breaker opens once
+ * `failureThreshold` failures fall within the rolling `monitoringPeriod`;
+ * after `resetTimeout` it half-opens and lets a single probe request
+ * through. A successful probe closes it again, a failed one re-opens it.
+ *
+ * @fileoverview Per-host circuit breaker with half-open probing
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+/**
+ * Circuit breaker for one host
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} host - Host the breaker guards
+   * @param {Object} config - Breaker configuration ({ enabled,
+   *   failureThreshold, resetTimeout, monitoringPeriod })
+   * @param {Object} options - Breaker options
+   * @param {Function} options.onStateChange - Called with each state change
+   *   ({ host, from, to, reason, timestamp })
+   */
+  constructor(host, config, { onStateChange = () => {} } = {}) {
+    this.host = host;
+    this.config = config;
+    this.onStateChange = onStateChange;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = []; // Failure times within the monitoring period
+    this.openedAt = null;
+    this.probing = false;
+    this.stats = { opened: 0, probes: 0, rejected: 0 };
+  }
+
+  /**
+   * Check whether a request may go out now. In the half-open state only
+   * one caller gets through, and it must report its outcome.
+   * @returns {boolean} True if the request may proceed
+   */
+  allowRequest() {
+    if (this.config.enabled === false) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this.getRetryAt()) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN, 'reset timeout elapsed');
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      this.stats.probes++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a request that reached the host
+   */
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probing = false;
+      this.failures = [];
+      this.transition(CIRCUIT_STATES.CLOSED, 'probe succeeded');
+    }
+  }
+
+  /**
+   * Record a failed request (network error, timeout, 5xx or 429)
+   * @param {string} reason - Failure description
+   */
+  recordFailure(reason = 'request failed') {
+    if (this.config.enabled === false) {
+      return;
+    }
+
+    const now = Date.now();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probing = false;
+      this.open(now, `probe failed: ${reason}`);
+      return;
+    }
+
+    this.failures = this.failures.filter(
+      (time) => now - time < this.config.monitoringPeriod
+    );
+    this.failures.push(now);
+
+    if (
+      this.state === CIRCUIT_STATES.CLOSED &&
+      this.failures.length >= this.config.failureThreshold
+    ) {
+      this.open(
+        now,
+        `${this.failures.length} failures within ${this.config.monitoringPeriod}ms, last: ${reason}`
+      );
+    }
+  }
+
+  /**
+   * Open the breaker
+   * @param {number} now - Current time in milliseconds
+   * @param {string} reason - Why the breaker opened
+   */
+  open(now, reason) {
+    this.openedAt = now;
+    this.stats.opened++;
+    this.transition(CIRCUIT_STATES.OPEN, reason);
+  }
+
+  /**
+   * Change state and report the change
+   * @param {string} to - New state
+   * @param {string} reason - Why the state changed
+   */
+  transition(to, reason) {
+    const from = this.state;
+    this.state = to;
+    this.onStateChange({
+      host: this.host,
+      from,
+      to,
+      reason,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Get when an open breaker lets its next probe through
+   * @returns {number|null} Time in milliseconds, or null unless open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN
+      ? this.openedAt + this.config.resetTimeout
+      : null;
+  }
+
+  /**
+   * Build the error thrown for a request the breaker rejected
+   * @returns {Error} Error with `code` 'CIRCUIT_OPEN', `host` and `retryAt`
+   */
+  createOpenError() {
+    const retryAt = this.getRetryAt();
+    const error = new Error(
+      retryAt
+        ? `Circuit breaker open for ${this.host} until ${new Date(retryAt).toISOString()}`
+        : `Circuit breaker half-open for ${this.host}, waiting on probe`
+    );
+    error.code = 'CIRCUIT_OPEN';
+    error.host = this.host;
+    error.retryAt = retryAt ? new Date(retryAt).toISOString() : null;
+    return error;
+  }
+
+  /**
+   * Get breaker statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const now = Date.now();
+    const retryAt = this.getRetryAt();
+
+    return {
+      ...this.stats,
+      state: this.state,
+      recentFailures: this.failures.filter(
+        (time) => now - time < this.config.monitoringPeriod
+      ).length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+    };
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Fixture Archive
+ *
+ * Records HTTP request/response pairs to disk and serves them back, so the
+ * pipeline can run without network access. In `record` mode requests go out
+ * as usual and every response (any status) is saved under `fixturesDir`; in
+ * `replay` mode responses come from the archive only and a request that was
+ * never recorded fails. Each response is one JSON file named after a hash
+ * of the request (method, URL and body) in a directory per host, so
+ * archives can be committed and reviewed.
+ *
+ * @fileoverview Record/replay archive for crawler and LLM requests
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import axios, { AxiosError } from 'axios';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Crawl modes; `live` sends requests without recording them
+ */
+export const CRAWL_MODES = ['live', 'record', 'replay'];
+
+// Response headers that are never written to fixtures
+const UNRECORDED_HEADERS = ['set-cookie'];
+
+const sharedArchives = new Map();
+
+/**
+ * Archive of recorded responses
+ */
+export class FixtureArchive {
+  /**
+   * @param {Object} config - Archive configuration
+   * @param {string} config.dir - Fixture directory
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  /**
+   * Get the archive shared by every client using a directory
+   * @param {Object} config - Archive configuration (see constructor)
+   * @returns {FixtureArchive} Shared archive
+   */
+  static shared(config) {
+    if (!sharedArchives.has(config.dir)) {
+      sharedArchives.set(config.dir, new FixtureArchive(config));
+    }
+    return sharedArchives.get(config.dir);
+  }
+
+  /**
+   * Check a crawl mode name
+   * @param {string} mode - Crawl mode
+   * @returns {string} The mode
+   * @throws {Error} If the mode is unknown
+   */
+  static validateMode(mode) {
+    if (!CRAWL_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown crawl mode: ${mode} (expected ${CRAWL_MODES.join(', ')})`
+      );
+    }
+    return mode;
+  }
+
+  /**
+   * Wrap an axios transport so its requests are recorded or replayed
+   * @param {string} mode - 'record' or 'replay'
+   * @param {*} transport - Axios adapter config to record through
+   * @returns {Function} Axios adapter
+   */
+  createAdapter(mode, transport) {
+    if (mode === 'replay') {
+      return async (config) => {
+        const request = toRequest(config);
+        return settle(config, await this.replay(request));
+      };
+    }
+
+    const send = axios.getAdapter(transport);
+    return async (config) => {
+      const request = toRequest(config);
+      try {
+        const response = await send(config);
+        await this.save(request, response);
+        return response;
+      } catch (error) {
+        // Error statuses are part of the recording (e.g. a 404 robots.txt)
+        if (error.response) {
+          await this.save(request, error.response);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Get a recorded response, failing if there is none
+   * @param {Object} request - Request ({ method, url, data })
+   * @returns {Promise<Object>} Response ({ status, statusText, headers,
+   *   data })
+   * @throws {Error} With `code` 'FIXTURE_MISSING' if never recorded
+   */
+  async replay(request) {
+    const fixture = await this.load(request);
+    if (!fixture) {
+      this.stats.missing++;
+      const error = new Error(
+        `No recorded response for ${request.method} ${request.url} in ${this.dir}`
+      );
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+
+    this.stats.replayed++;
+    return fixture.response;
+  }
+
+  /**
+   * Load a recorded request/response pair
+   * @param {Object} request - Request ({ method, url, data })
+   * @returns {Promise<Object|null>} Fixture ({ request, recordedAt,
+   *   response }), or null if not recorded
+   */
+  async load(request) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(request), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.warn(`Failed to read fixture for ${request.url}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a response, replacing any earlier recording of the request
+   * @param {Object} request - Request ({ method, url, data })
+   * @param {Object} response - Response ({ status, statusText, headers,
+   *   data })
+   */
+  async save(request, response) {
+    const path = this.getPath(request);
+    const fixture = {
+      request: { method: request.method, url: request.url },
+      recordedAt: new Date().toISOString(),
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: recordableHeaders(response.headers),
+        data: response.data,
+      },
+    };
+
+    try {
+      await fs.mkdir(join(path, '..'), { recursive: true });
+      const tempPath = `${path}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(fixture, null, 2));
+      await fs.rename(tempPath, path);
+      this.stats.recorded++;
+    } catch (error) {
+      logger.warn(
+        `Failed to record fixture for ${request.url}:`,
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fixture file of a request
+   * @param {Object} request - Request ({ method, url, data })
+   * @returns {string} File path
+   */
+  getPath(request) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${request.method} ${request.url}\n${request.data ?? ''}`)
+      .digest('hex');
+    const host = new URL(request.url).host.replace(/[^\w.-]/g, '_');
+    return join(this.dir, host, `${hash}.json`);
+  }
+
+  /**
+   * Get archive statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return { ...this.stats, dir: this.dir };
+  }
+}
+
+/**
+ * Describe an axios request config for the archive
+ * @param {Object} config - Axios request config
+ * @returns {Object} Request ({ method, url, data })
+ */
+function toRequest(config) {
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: axios.getUri(config),
+    data: typeof config.data === 'string' ? config.data : undefined,
+  };
+}
+
+/**
+ * Copy response headers into a plain object, without cookies
+ * @param {Object} headers - Response headers (plain or AxiosHeaders)
+ * @returns {Object} Headers to record
+ */
+function recordableHeaders(headers = {}) {
+  const plain =
+    typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(
+    Object.entries(plain).filter(
+      ([name]) => !UNRECORDED_HEADERS.includes(name.toLowerCase())
+    )
+  );
+}
+
+/**
+ * Resolve or reject a replayed response the way axios' own adapters do
+ * @param {Object} config - Axios request config
+ * @param {Object} recorded - Recorded response
+ * @returns {Object} Axios response
+ * @throws {AxiosError} If validateStatus rejects the status
+ */
+function settle(config, recorded) {
+  const response = { ...recorded, config, request: null };
+
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500
+      ? AxiosError.ERR_BAD_RESPONSE
+      : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
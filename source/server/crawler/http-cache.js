@@ -0,0 +1,503 @@
+/**
+ * HTTP Cache
+ *
+ * Disk-backed cache of crawl responses under `cacheDir`, shared by every
+ * crawler in the process. Response bodies are stored once per content hash
+ * (gzip-compressed when `cache.compression` is set) and an index maps each
+ * URL to its body and response metadata. Entries expire after `cache.ttl`
+ * and the least recently used are evicted once bodies exceed `cache.maxSize`
+ * bytes on disk. Expired entries with an ETag or Last-Modified validator are
+ * kept so the crawler can revalidate them with a conditional request.
+ *
+ * The index is written when entries are added or removed. Access times and
+ * revalidations only mark it dirty; it is then written `cache.flushDelay`
+ * milliseconds later, or by flush() when the crawler closes, so hits don't
+ * each rewrite the whole index.
+ *
+ * @fileoverview Persistent content-addressed HTTP response cache
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const INDEX_VERSION = 1;
+
+/**
+ * Open caches by directory, so crawlers sharing a cacheDir share one index
+ */
+const sharedCaches = new Map();
+
+/**
+ * Persistent HTTP response cache with LRU eviction by size
+ */
+export class HttpCache {
+  /**
+   * @param {Object} config - Cache configuration
+   * @param {string} config.dir - Cache directory
+   * @param {number} config.ttl - Entry lifetime in milliseconds
+   * @param {number} config.maxSize - Maximum stored body bytes
+   * @param {boolean} config.compression - Gzip stored bodies
+   * @param {number} config.flushDelay - Delay before writing access times
+   *   and revalidations, in milliseconds
+   */
+  constructor(config) {
+    this.dir = config.dir;
+    this.ttl = config.ttl;
+    this.maxSize = config.maxSize;
+    this.compression = config.compression !== false;
+    this.flushDelay = config.flushDelay ?? 5000;
+
+    this.indexPath = join(this.dir, 'index.json');
+    this.entries = new Map(); // key -> entry, least recently used first
+    this.blobs = new Map(); // content hash -> { bytes, compressed, refs }
+    this.bytes = 0;
+    this.loading = null;
+    this.queue = Promise.resolve();
+    this.dirty = false;
+    this.flushTimer = null;
+    this.stats = this.emptyStats();
+  }
+
+  /**
+   * Get the cache shared by every crawler using a directory
+   * @param {Object} config - Cache configuration (see constructor)
+   * @returns {HttpCache} Shared cache
+   */
+  static shared(config) {
+    if (!sharedCaches.has(config.dir)) {
+      sharedCaches.set(config.dir, new HttpCache(config));
+    }
+    return sharedCaches.get(config.dir);
+  }
+
+  /**
+   * Get a cached response if present and within its TTL
+   * @param {string} url - Request URL
+   * @returns {Promise<Object|null>} Crawl result, or null on a miss
+   */
+  async get(url) {
+    const cached = await this.lookup(url);
+    return cached?.fresh ? cached.result : null;
+  }
+
+  /**
+   * Look up a cached response, including expired ones that can still be
+   * revalidated with their ETag or Last-Modified validator
+   *
+   * An expired entry counts as a miss until revalidate() turns it into a
+   * hit.
+   *
+   * @param {string} url - Request URL
+   * @returns {Promise<Object|null>} { result, fresh }, or null on a miss
+   */
+  lookup(url) {
+    return this.exclusive(async () => {
+      const key = this.getCacheKey(url);
+      const entry = this.entries.get(key);
+
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      const fresh = Date.now() - entry.storedAt < this.ttl;
+      if (!fresh) {
+        this.stats.misses++;
+        this.stats.expired++;
+
+        if (!hasValidators(entry.response.headers)) {
+          await this.remove(key);
+          await this.persist();
+          return null;
+        }
+      }
+
+      let data;
+      try {
+        data = await this.readBlob(entry);
+      } catch (error) {
+        logger.warn(
+          `Dropping unreadable cache entry for ${url}:`,
+          error.message
+        );
+        if (fresh) this.stats.misses++;
+        await this.remove(key);
+        await this.persist();
+        return null;
+      }
+
+      if (fresh) this.stats.hits++;
+      this.touch(key, entry);
+
+      return { result: { ...entry.response, data }, fresh };
+    });
+  }
+
+  /**
+   * Renew an expired entry after the server answered 304 Not Modified
+   * @param {string} url - Request URL
+   * @param {Object} headers - Headers of the 304 response (may carry new
+   *   validators)
+   * @returns {Promise<Object|null>} Cached crawl result, or null if the
+   *   entry is gone
+   */
+  revalidate(url, headers = {}) {
+    return this.exclusive(async () => {
+      const key = this.getCacheKey(url);
+      const entry = this.entries.get(key);
+      if (!entry) {
+        return null;
+      }
+
+      const data = await this.readBlob(entry);
+      const validators = pickValidators(headers);
+
+      entry.storedAt = Date.now();
+      entry.response.headers = { ...entry.response.headers, ...validators };
+      this.touch(key, entry);
+      this.stats.misses--;
+      this.stats.hits++;
+      this.stats.revalidated++;
+      this.markDirty();
+
+      return { ...entry.response, data };
+    });
+  }
+
+  /**
+   * Store a crawl result
+   * @param {string} url - Request URL
+   * @param {Object} result - Crawl result ({ status, headers, data, ... })
+   * @returns {Promise<boolean>} Whether the body differs from the one
+   *   previously cached for the URL (true if there was none)
+   */
+  set(url, result) {
+    return this.exclusive(async () => {
+      const { data, ...response } = result;
+      const payload = JSON.stringify(data);
+      const hash = crypto.createHash('sha256').update(payload).digest('hex');
+      const key = this.getCacheKey(url);
+
+      if (!this.blobs.has(hash)) {
+        const body = this.compression
+          ? await gzipAsync(payload)
+          : Buffer.from(payload);
+        const path = this.getBlobPath(hash, this.compression);
+
+        await fs.mkdir(join(path, '..'), { recursive: true });
+        await fs.writeFile(path, body);
+        this.blobs.set(hash, {
+          bytes: body.length,
+          refs: 0,
+          compressed: this.compression,
+        });
+        this.bytes += body.length;
+      }
+
+      // Reference the new body before releasing the old one, which may be
+      // the same body
+      const previous = this.entries.get(key);
+      this.blobs.get(hash).refs++;
+      if (previous) {
+        this.entries.delete(key);
+        await this.release(previous.hash);
+      }
+
+      const now = Date.now();
+      this.entries.set(key, {
+        url,
+        hash,
+        storedAt: now,
+        lastAccess: now,
+        response: JSON.parse(JSON.stringify(response)),
+      });
+      this.stats.sets++;
+
+      await this.evict();
+      await this.persist();
+
+      return previous?.hash !== hash;
+    });
+  }
+
+  /**
+   * Evict least recently used entries until stored bytes fit maxSize
+   */
+  async evict() {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxSize || this.entries.size <= 1) {
+        break;
+      }
+      await this.remove(key);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry, deleting its body once nothing references it
+   * (callers persist the index)
+   * @param {string} key - Cache key
+   */
+  async remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(key);
+    await this.release(entry.hash);
+  }
+
+  /**
+   * Drop a reference to a stored body
+   * @param {string} hash - Content hash
+   */
+  async release(hash) {
+    const blob = this.blobs.get(hash);
+    blob.refs--;
+
+    if (blob.refs <= 0) {
+      this.blobs.delete(hash);
+      this.bytes -= blob.bytes;
+      await fs.rm(this.getBlobPath(hash, blob.compressed), { force: true });
+    }
+  }
+
+  /**
+   * Mark an entry as most recently used
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  touch(key, entry) {
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.markDirty();
+  }
+
+  /**
+   * Note an index change that can wait, and schedule writing it
+   */
+  markDirty() {
+    this.dirty = true;
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((error) =>
+        logger.warn('Failed to write cache index:', error.message)
+      );
+    }, this.flushDelay);
+    // Pending writes don't keep the process alive; close() flushes them
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the index if it has unwritten changes
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.loading) {
+      return Promise.resolve();
+    }
+    return this.exclusive(async () => {
+      if (this.dirty) {
+        await this.persist();
+      }
+    });
+  }
+
+  /**
+   * Read and decode a stored body
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<*>} Response data
+   */
+  async readBlob(entry) {
+    const { compressed } = this.blobs.get(entry.hash);
+    const body = await fs.readFile(this.getBlobPath(entry.hash, compressed));
+    const payload = compressed ? await gunzipAsync(body) : body;
+
+    return JSON.parse(payload.toString('utf8'));
+  }
+
+  /**
+   * Run a task once the index is loaded and earlier tasks have finished,
+   * so concurrent crawls never interleave index updates
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  exclusive(task) {
+    if (!this.loading) {
+      this.loading = this.readIndex();
+    }
+
+    const run = this.queue.then(() => this.loading).then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read the persisted index, rebuilding reference counts
+   */
+  async readIndex() {
+    let index;
+    try {
+      index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable cache index:', error.message);
+      }
+      return;
+    }
+
+    if (index.version !== INDEX_VERSION) {
+      logger.warn(`Ignoring cache index version ${index.version}`);
+      return;
+    }
+
+    for (const [hash, blob] of Object.entries(index.blobs)) {
+      this.blobs.set(hash, { ...blob, refs: 0 });
+      this.bytes += blob.bytes;
+    }
+
+    const entries = Object.entries(index.entries).sort(
+      ([, a], [, b]) => a.lastAccess - b.lastAccess
+    );
+    for (const [key, entry] of entries) {
+      if (this.blobs.has(entry.hash)) {
+        this.blobs.get(entry.hash).refs++;
+        this.entries.set(key, entry);
+      }
+    }
+  }
+
+  /**
+   * Write the index to disk atomically (temp file + rename)
+   */
+  async persist() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const blobs = {};
+    for (const [hash, { bytes, compressed }] of this.blobs) {
+      blobs[hash] = { bytes, compressed };
+    }
+
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      tempPath,
+      JSON.stringify({
+        version: INDEX_VERSION,
+        entries: Object.fromEntries(this.entries),
+        blobs,
+      })
+    );
+    await fs.rename(tempPath, this.indexPath);
+    this.dirty = false;
+  }
+
+  /**
+   * Generate the cache key for a URL
+   * @param {string} url - Request URL
+   * @returns {string} Cache key
+   */
+  getCacheKey(url) {
+    return crypto.createHash('sha256').update(url).digest('hex');
+  }
+
+  /**
+   * Get the path a body is stored at
+   * @param {string} hash - Content hash
+   * @param {boolean} compressed - Whether the body is gzipped
+   * @returns {string} File path
+   */
+  getBlobPath(hash, compressed) {
+    return join(
+      this.dir,
+      'blobs',
+      hash.slice(0, 2),
+      `${hash}${compressed ? '.json.gz' : '.json'}`
+    );
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache stats
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      bodies: this.blobs.size,
+      bytes: this.bytes,
+      maxSize: this.maxSize,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+    };
+  }
+
+  /**
+   * Remove every entry and reset statistics
+   */
+  clear() {
+    return this.exclusive(async () => {
+      this.entries.clear();
+      this.blobs.clear();
+      this.bytes = 0;
+      this.stats = this.emptyStats();
+      await fs.rm(join(this.dir, 'blobs'), { recursive: true, force: true });
+      await this.persist();
+    });
+  }
+
+  /**
+   * Create zeroed statistics
+   * @returns {Object} Stats
+   */
+  emptyStats() {
+    return {
+      hits: 0,
+      misses: 0,
+      expired: 0,
+      revalidated: 0,
+      sets: 0,
+      evictions: 0,
+    };
+  }
+}
+
+/**
+ * Pick the cache validators from response headers
+ * @param {Object} headers - Response headers
+ * @returns {Object} ETag and Last-Modified headers that are present
+ */
+function pickValidators(headers = {}) {
+  const validators = {};
+  if (headers.etag) validators.etag = headers.etag;
+  if (headers['last-modified']) {
+    validators['last-modified'] = headers['last-modified'];
+  }
+  return validators;
+}
+
+/**
+ * Check whether a cached response can be revalidated
+ * @param {Object} headers - Cached response headers
+ * @returns {boolean} True if it has an ETag or Last-Modified validator
+ */
+function hasValidators(headers) {
+  return Object.keys(pickValidators(headers)).length > 0;
+}
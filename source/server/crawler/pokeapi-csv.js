@@ -0,0 +1,237 @@
+/**
+ * PokeAPI CSV Reader
+ *
+ * Reads the PokeAPI project's CSV data files (data/v2/csv in its
+ * repository) from a local directory, so species facts come without any
+ * network access. The tables are loaded once and indexed; each species is
+ * then served as the rows that belong to it, with names joined in from the
+ * lookup tables.
+ *
+ * @fileoverview Local PokeAPI CSV dump reader
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * CSV files read, by table name
+ */
+const TABLES = {
+  species: 'pokemon_species.csv',
+  speciesNames: 'pokemon_species_names.csv',
+  pokemon: 'pokemon.csv',
+  pokemonStats: 'pokemon_stats.csv',
+  stats: 'stats.csv',
+  pokemonTypes: 'pokemon_types.csv',
+  typeNames: 'type_names.csv',
+  pokemonAbilities: 'pokemon_abilities.csv',
+  abilityNames: 'ability_names.csv',
+  eggGroups: 'pokemon_egg_groups.csv',
+  eggGroupNames: 'egg_group_prose.csv',
+};
+
+/**
+ * Reader for a local copy of the PokeAPI CSV files
+ */
+export class PokeApiCsv {
+  /**
+   * @param {Object} config - Source configuration ({ location, languageId })
+   */
+  constructor(config = {}) {
+    this.location = config.location || null;
+    this.languageId = String(config.languageId || 9);
+    this.loading = null;
+  }
+
+  /**
+   * Load and index the tables (once)
+   * @returns {Promise<Object>} Indexes ({ species, names, pokemon, stats,
+   *   types, abilities, eggGroups, timestamp })
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readTables().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read every table from the directory
+   * @returns {Promise<Object>} Indexes
+   */
+  async readTables() {
+    if (!this.location) {
+      throw new Error(
+        'PokeAPI CSV directory is not configured - set POKEAPI_CSV'
+      );
+    }
+
+    try {
+      const tables = {};
+      for (const [table, file] of Object.entries(TABLES)) {
+        tables[table] = parseCsv(
+          await fs.readFile(join(this.location, file), 'utf8')
+        );
+      }
+      const { mtime } = await fs.stat(join(this.location, TABLES.species));
+
+      const inLanguage = (rows, key) =>
+        new Map(
+          rows
+            .filter((row) => row.local_language_id === this.languageId)
+            .map((row) => [row[key], row])
+        );
+      const typeNames = inLanguage(tables.typeNames, 'type_id');
+      const abilityNames = inLanguage(tables.abilityNames, 'ability_id');
+      const eggGroupNames = inLanguage(tables.eggGroupNames, 'egg_group_id');
+      const statIdentifiers = new Map(
+        tables.stats.map((row) => [row.id, row.identifier])
+      );
+
+      const indexes = {
+        species: new Map(tables.species.map((row) => [row.id, row])),
+        names: inLanguage(tables.speciesNames, 'pokemon_species_id'),
+        pokemon: new Map(
+          tables.pokemon
+            .filter((row) => row.is_default === '1')
+            .map((row) => [row.species_id, row])
+        ),
+        stats: groupBy(tables.pokemonStats, 'pokemon_id', (row) => ({
+          ...row,
+          stat: statIdentifiers.get(row.stat_id) || null,
+        })),
+        types: groupBy(tables.pokemonTypes, 'pokemon_id', (row) => ({
+          ...row,
+          name: typeNames.get(row.type_id)?.name || null,
+        })),
+        abilities: groupBy(tables.pokemonAbilities, 'pokemon_id', (row) => ({
+          ...row,
+          name: abilityNames.get(row.ability_id)?.name || null,
+        })),
+        eggGroups: groupBy(tables.eggGroups, 'species_id', (row) => ({
+          ...row,
+          name: eggGroupNames.get(row.egg_group_id)?.name || null,
+        })),
+        timestamp: mtime.toISOString(),
+      };
+
+      logger.info(
+        `Loaded PokeAPI CSV data for ${indexes.species.size} species from ${this.location}`
+      );
+      return indexes;
+    } catch (error) {
+      logger.error('Failed to load PokeAPI CSV data:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rows of one species: its species row and name, and its
+   * default Pokémon's row with its stats, types and abilities
+   * @param {string|number} speciesId - National Dex number
+   * @returns {Promise<Object>} Rows ({ species, name, pokemon, stats, types,
+   *   abilities, eggGroups }) and the tables' `timestamp`
+   */
+  async getSpecies(speciesId) {
+    const indexes = await this.load();
+    const id = String(Number(speciesId));
+    const species = indexes.species.get(id);
+    const pokemon = indexes.pokemon.get(id);
+
+    if (!species || !pokemon) {
+      throw new Error(`No PokeAPI CSV data for species ${speciesId}`);
+    }
+
+    return {
+      rows: {
+        species,
+        name: indexes.names.get(id) || null,
+        pokemon,
+        stats: indexes.stats.get(pokemon.id) || [],
+        types: indexes.types.get(pokemon.id) || [],
+        abilities: indexes.abilities.get(pokemon.id) || [],
+        eggGroups: indexes.eggGroups.get(id) || [],
+      },
+      timestamp: indexes.timestamp,
+    };
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, doubled quotes
+ * and line breaks) into objects keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(
+    (row) => row.length > 1 || row[0] !== ''
+  );
+  return rows.map((row) =>
+    Object.fromEntries(
+      header.map((column, index) => [column, row[index] ?? ''])
+    )
+  );
+}
+
+/**
+ * Group rows by a column
+ * @param {Array<Object>} rows - Rows
+ * @param {string} key - Column
+ * @param {Function} map - Maps each row before grouping
+ * @returns {Map<string, Array<Object>>} Rows by column value
+ */
+function groupBy(rows, key, map) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) {
+      groups.set(row[key], []);
+    }
+    groups.get(row[key]).push(map(row));
+  }
+  return groups;
+}
@@ -0,0 +1,209 @@
+/**
+ * Rate Limiter
+ *
+ * Per-domain request pacing: a token bucket for bursts, a requests-per-minute
+ * window and a minimum interval (the robots.txt crawl delay). The limiter is
+ * adaptive: a 429 or 503 pauses the domain for the server's Retry-After and
+ * divides the request rate by `backoffMultiplier`; each success afterwards
+ * wins back `recoveryStep` of the configured rate.
+ *
+ * @fileoverview Adaptive per-domain rate limiting
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+/**
+ * HTTP statuses that mean the server wants us to slow down
+ */
+export const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Adaptive rate limiter for one domain
+ */
+export class RateLimiter {
+  constructor(config) {
+    this.config = config;
+    this.requests = [];
+    this.burstTokens = config.burstLimit;
+    this.lastRefill = Date.now();
+    this.lastRequest = 0;
+    this.minInterval = 0;
+    this.queue = Promise.resolve();
+
+    // Adaptive throttling state
+    this.rateFactor = 1; // Fraction of the configured rate in use
+    this.pausedUntil = 0;
+    this.stats = { throttled: 0, retryAfterPauses: 0, recoveries: 0 };
+  }
+
+  /**
+   * Set the minimum time between requests (e.g. a robots.txt crawl delay)
+   * @param {number} interval - Interval in milliseconds
+   */
+  setMinInterval(interval) {
+    this.minInterval = interval;
+  }
+
+  /**
+   * Slow down after the server signalled overload (429/503)
+   * @param {number|null} retryAfter - Server's Retry-After in milliseconds
+   * @returns {number} Pause applied in milliseconds (0 if none)
+   */
+  throttle(retryAfter = null) {
+    const multiplier = this.config.backoffMultiplier || 2;
+    const minRateFactor = this.config.minRateFactor || 0.05;
+
+    this.rateFactor = Math.max(minRateFactor, this.rateFactor / multiplier);
+    this.stats.throttled++;
+
+    if (retryAfter === null || retryAfter <= 0) {
+      return 0;
+    }
+
+    const pause = Math.min(retryAfter, this.config.maxRetryAfter ?? Infinity);
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+    this.stats.retryAfterPauses++;
+    return pause;
+  }
+
+  /**
+   * Recover part of the request rate after a successful request
+   */
+  recordSuccess() {
+    if (this.rateFactor < 1) {
+      this.rateFactor = Math.min(
+        1,
+        this.rateFactor + (this.config.recoveryStep || 0.05)
+      );
+      if (this.rateFactor === 1) {
+        this.stats.recoveries++;
+      }
+    }
+  }
+
+  /**
+   * Wait if necessary to respect rate limits. Concurrent callers are queued
+   * and released one at a time.
+   * @returns {Promise<void>}
+   */
+  wait() {
+    const turn = this.queue.then(() => this.acquire());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Wait for the next request slot
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    // Honor a server-requested pause (Retry-After)
+    if (this.pausedUntil > Date.now()) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+
+    const requestsPerSecond = this.config.requestsPerSecond * this.rateFactor;
+    const requestsPerMinute = Math.max(
+      1,
+      Math.floor(this.config.requestsPerMinute * this.rateFactor)
+    );
+
+    // While throttled, space requests out to the reduced rate as well
+    const interval =
+      this.rateFactor < 1
+        ? Math.max(this.minInterval, 1000 / requestsPerSecond)
+        : this.minInterval;
+    const sinceLast = Date.now() - this.lastRequest;
+    if (sinceLast < interval) {
+      await sleep(interval - sinceLast);
+    }
+
+    const now = Date.now();
+
+    // Refill burst tokens based on time elapsed
+    const timeSinceRefill = now - this.lastRefill;
+    const tokensToAdd = (timeSinceRefill / 1000) * requestsPerSecond;
+    this.burstTokens = Math.min(
+      this.burstTokens + tokensToAdd,
+      this.config.burstLimit
+    );
+    this.lastRefill = now;
+
+    // Check burst limit
+    if (this.burstTokens <= 0) {
+      const waitTime = 1000 / requestsPerSecond;
+      await sleep(waitTime);
+
+      // After waiting, refill tokens based on the time that passed
+      const timeAfterWait = Date.now();
+      const additionalTime = timeAfterWait - now;
+      const additionalTokens = (additionalTime / 1000) * requestsPerSecond;
+      this.burstTokens = Math.min(
+        this.burstTokens + additionalTokens,
+        this.config.burstLimit
+      );
+      this.lastRefill = timeAfterWait;
+    }
+
+    // Consume one token for this request
+    this.burstTokens = Math.max(0, this.burstTokens - 1);
+
+    // Check minute limit
+    const minuteAgo = now - 60000;
+    this.requests = this.requests.filter((time) => time > minuteAgo);
+
+    if (this.requests.length >= requestsPerMinute) {
+      const waitTime = 60000 - (now - this.requests[0]);
+      if (waitTime > 0) {
+        await sleep(waitTime);
+      }
+    }
+
+    this.requests.push(now);
+    this.lastRequest = Date.now();
+  }
+
+  /**
+   * Get throttling statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      rateFactor: this.rateFactor,
+      pausedUntil:
+        this.pausedUntil > Date.now()
+          ? new Date(this.pausedUntil).toISOString()
+          : null,
+    };
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|number} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
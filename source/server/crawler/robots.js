@@ -1,118 +1,122 @@
 /**
  * Robots.txt Compliance Checker
  *
- * Handles robots.txt fetching, parsing, and compliance checking for all crawlers.
- * Implements caching and respects crawl delays specified in robots.txt.
+ * Handles robots.txt fetching, parsing, and compliance checking for all crawlers,
+ * following RFC 9309: the crawler obeys the group naming its product token
+ * (else the `*` group), rules match with `*` and `$` wildcards, the longest
+ * matching rule wins and Allow wins a tie. Crawl-delay and Sitemap lines are
+ * exposed for rate limiting and discovery.
  *
  * @fileoverview Robots.txt compliance and caching
  * @author Infinite Pokédex Team
  * @version 1.0.0
  */
 
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
 
+const CACHE_TTL = 24 * 60 * 60 * 1000; // RFC 9309: cache for at most 24 hours
+const UNREACHABLE_TTL = 10 * 60 * 1000; // Retry unreachable robots.txt sooner
+const MAX_ROBOTS_BYTES = 500 * 1024; // RFC 9309: parse at least 500 KiB
+
 /**
  * Robots.txt compliance checker
+ *
+ * Fetches go through the crawler's own HTTP client so they share its
+ * headers, redirects and rate limiting.
  */
 export class RobotsChecker {
-  constructor() {
+  /**
+   * @param {Object} options - Checker options
+   * @param {Function} options.fetch - async (url) => ({ status, data }); may
+   *   throw on network and server errors
+   * @param {string} options.userAgent - Crawler user agent string
+   */
+  constructor({ fetch, userAgent = 'InfinitePokedexBot/1.0' }) {
+    this.fetch = fetch;
+    this.userAgent = userAgent;
     this.cache = new Map();
-    this.crawlDelays = new Map();
   }
 
   /**
    * Check if a URL is allowed by robots.txt
    * @param {string} url - URL to check
-   * @param {string} userAgent - User agent string
    * @returns {Promise<boolean>} True if allowed
    */
-  async isAllowed(url, userAgent = 'InfinitePokedexBot/1.0') {
-    try {
-      const domain = new URL(url).origin;
-      const robots = await this.getRobotsTxt(domain);
-
-      if (!robots) {
-        return true; // Assume allowed if no robots.txt
-      }
-
-      return robots.isAllowed(url, userAgent);
-    } catch (error) {
-      logger.warn(`Failed to check robots.txt for ${url}:`, error.message);
-      return true; // Assume allowed on error
-    }
+  async isAllowed(url) {
+    const robots = await this.getRobotsTxt(new URL(url).origin);
+    return robots.isAllowed(url, this.userAgent);
   }
 
   /**
    * Get crawl delay for a domain
-   * @param {string} domain - Domain to check
-   * @param {string} userAgent - User agent string
-   * @returns {Promise<number>} Crawl delay in seconds
+   * @param {string} origin - Domain origin (e.g. https://www.serebii.net)
+   * @returns {Promise<number>} Crawl delay in seconds (0 if none)
    */
-  async getCrawlDelay(domain, userAgent = 'InfinitePokedexBot/1.0') {
-    try {
-      const robots = await this.getRobotsTxt(domain);
-
-      if (!robots) {
-        return 0; // No delay if no robots.txt
-      }
+  async getCrawlDelay(origin) {
+    const robots = await this.getRobotsTxt(origin);
+    return robots.getCrawlDelay(this.userAgent);
+  }
 
-      return robots.getCrawlDelay(userAgent);
-    } catch (error) {
-      logger.warn(`Failed to get crawl delay for ${domain}:`, error.message);
-      return 0; // No delay on error
-    }
+  /**
+   * Get the sitemaps a domain's robots.txt lists
+   * @param {string} origin - Domain origin
+   * @returns {Promise<Array<string>>} Sitemap URLs
+   */
+  async getSitemaps(origin) {
+    const robots = await this.getRobotsTxt(origin);
+    return robots.sitemaps;
   }
 
   /**
-   * Get robots.txt for a domain
-   * @param {string} domain - Domain to fetch robots.txt for
-   * @returns {Promise<RobotsParser|null>} Parsed robots.txt or null
+   * Get robots.txt for a domain, sharing one fetch between concurrent
+   * callers
+   * @param {string} origin - Domain origin
+   * @returns {Promise<RobotsParser>} Parsed robots.txt
    */
-  async getRobotsTxt(domain) {
-    // Check cache first
-    if (this.cache.has(domain)) {
-      const cached = this.cache.get(domain);
-
-      // Check if cache is still valid (24 hours)
-      const age = Date.now() - cached.timestamp;
-      if (age < 24 * 60 * 60 * 1000) {
-        return cached.robots;
-      }
+  async getRobotsTxt(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && Date.now() < cached.expires) {
+      return cached.robots;
     }
 
+    const entry = { robots: this.fetchRobotsTxt(origin), expires: Infinity };
+    this.cache.set(origin, entry);
+
+    const robots = await entry.robots;
+    entry.expires =
+      Date.now() + (robots.unreachable ? UNREACHABLE_TTL : CACHE_TTL);
+    return robots;
+  }
+
+  /**
+   * Fetch and parse robots.txt
+   *
+   * A 4xx response means there are no restrictions; server errors and
+   * network failures mean the site is unreachable, so everything is
+   * disallowed until the next attempt.
+   *
+   * @param {string} origin - Domain origin
+   * @returns {Promise<RobotsParser>} Parsed robots.txt
+   */
+  async fetchRobotsTxt(origin) {
     try {
-      const robotsUrl = `${domain}/robots.txt`;
-      const response = await axios.get(robotsUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'InfinitePokedexBot/1.0',
-        },
-      });
-
-      if (response.status === 200) {
-        const robots = new RobotsParser(response.data);
-
-        // Cache the result
-        this.cache.set(domain, {
-          robots,
-          timestamp: Date.now(),
-        });
-
-        return robots;
+      const response = await this.fetch(`${origin}/robots.txt`);
+
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsParser(String(response.data ?? ''));
       }
-    } catch (error) {
-      if (error.response?.status === 404) {
-        // No robots.txt found - cache this result too
-        this.cache.set(domain, {
-          robots: null,
-          timestamp: Date.now(),
-        });
+      if (response.status >= 400 && response.status < 500) {
+        logger.debug(`No robots.txt for ${origin} (${response.status})`);
+        return new RobotsParser('');
       }
-      logger.debug(`No robots.txt found for ${domain}`);
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      logger.warn(
+        `robots.txt unreachable for ${origin}, disallowing:`,
+        error.message
+      );
+      return RobotsParser.disallowAll();
     }
-
-    return null;
   }
 
   /**
@@ -120,7 +124,6 @@ export class RobotsChecker {
    */
   clearCache() {
     this.cache.clear();
-    this.crawlDelays.clear();
   }
 
   /**
@@ -138,161 +141,213 @@ export class RobotsChecker {
 /**
  * Robots.txt parser
  */
-class RobotsParser {
+export class RobotsParser {
   constructor(robotsText) {
-    this.rules = this.parseRobotsTxt(robotsText);
-    this.crawlDelays = this.extractCrawlDelays(robotsText);
+    this.groups = [];
+    this.sitemaps = [];
+    this.unreachable = false;
+    this.parseRobotsTxt(robotsText.slice(0, MAX_ROBOTS_BYTES));
   }
 
   /**
-   * Parse robots.txt content
-   * @param {string} robotsText - robots.txt content
-   * @returns {Array} Parsed rules
+   * A robots.txt that disallows everything (used when it is unreachable)
+   * @returns {RobotsParser} Parser
    */
-  parseRobotsTxt(robotsText) {
-    const rules = [];
-    const lines = robotsText.split('\n');
-    let currentUserAgent = null;
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-
-      const colonIndex = trimmed.indexOf(':');
-      if (colonIndex === -1) continue;
-
-      const directive = trimmed.substring(0, colonIndex).trim().toLowerCase();
-      const value = trimmed.substring(colonIndex + 1).trim();
-
-      if (directive === 'user-agent') {
-        currentUserAgent = value.toLowerCase();
-      } else if (directive === 'disallow' && currentUserAgent) {
-        rules.push({
-          userAgent: currentUserAgent,
-          path: value,
-          allow: false,
-        });
-      } else if (directive === 'allow' && currentUserAgent) {
-        rules.push({
-          userAgent: currentUserAgent,
-          path: value,
-          allow: true,
-        });
-      }
-    }
-
-    return rules;
+  static disallowAll() {
+    const robots = new RobotsParser('User-agent: *\nDisallow: /');
+    robots.unreachable = true;
+    return robots;
   }
 
   /**
-   * Extract crawl delays from robots.txt
+   * Parse robots.txt content into groups
+   *
+   * Consecutive User-agent lines open a group that the following rules
+   * belong to; Sitemap lines apply to the whole file.
+   *
    * @param {string} robotsText - robots.txt content
-   * @returns {Map} Crawl delays by user agent
    */
-  extractCrawlDelays(robotsText) {
-    const delays = new Map();
-    const lines = robotsText.split('\n');
-    let currentUserAgent = null;
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-
-      const colonIndex = trimmed.indexOf(':');
-      if (colonIndex === -1) continue;
-
-      const directive = trimmed.substring(0, colonIndex).trim().toLowerCase();
-      const value = trimmed.substring(colonIndex + 1).trim();
-
-      if (directive === 'user-agent') {
-        currentUserAgent = value.toLowerCase();
-      } else if (directive === 'crawl-delay' && currentUserAgent) {
-        const delay = parseInt(value);
-        if (!isNaN(delay) && delay > 0) {
-          delays.set(currentUserAgent, delay);
+  parseRobotsTxt(robotsText) {
+    let group = null;
+    let inRules = false;
+
+    for (const line of robotsText.split(/\r\n|\r|\n/)) {
+      const content = line.split('#')[0].trim();
+      if (!content) continue;
+
+      const colonIndex = content.indexOf(':');
+      if (colonIndex === -1) {
+        logger.debug(`Skipping malformed robots.txt line: ${content}`);
+        continue;
+      }
+
+      const directive = content.substring(0, colonIndex).trim().toLowerCase();
+      const value = content.substring(colonIndex + 1).trim();
+
+      switch (directive) {
+        case 'user-agent':
+          if (!group || inRules) {
+            group = { userAgents: [], rules: [], crawlDelay: null };
+            this.groups.push(group);
+            inRules = false;
+          }
+          if (value) {
+            group.userAgents.push(value.toLowerCase());
+          }
+          break;
+        case 'allow':
+        case 'disallow':
+          if (!group) break;
+          inRules = true;
+          // An empty Disallow allows everything
+          if (value) {
+            group.rules.push({
+              pattern: normalizePattern(value),
+              allow: directive === 'allow',
+            });
+          }
+          break;
+        case 'crawl-delay': {
+          if (!group) break;
+          inRules = true;
+          const delay = parseFloat(value);
+          if (delay > 0) {
+            group.crawlDelay = delay;
+          }
+          break;
         }
+        case 'sitemap':
+          if (value) {
+            this.sitemaps.push(value);
+          }
+          break;
       }
     }
-
-    return delays;
   }
 
   /**
-   * Check if URL is allowed for user agent
-   * @param {string} url - URL to check
+   * Get the groups that apply to a user agent: those naming its product
+   * token, else the `*` groups
    * @param {string} userAgent - User agent string
-   * @returns {boolean} True if allowed
+   * @returns {Array<Object>} Matching groups
    */
-  isAllowed(url, userAgent) {
-    const urlPath = new URL(url).pathname;
-    const normalizedUserAgent = userAgent.toLowerCase();
-
-    // Find applicable rules
-    const applicableRules = this.rules.filter(
-      (rule) =>
-        rule.userAgent === '*' ||
-        rule.userAgent === normalizedUserAgent ||
-        normalizedUserAgent.includes(rule.userAgent)
+  getGroups(userAgent) {
+    const token = getProductToken(userAgent);
+    const named = this.groups.filter((group) =>
+      group.userAgents.includes(token)
     );
 
-    // Sort by specificity (longer paths first)
-    applicableRules.sort((a, b) => b.path.length - a.path.length);
-
-    // Check rules in order of specificity
-    for (const rule of applicableRules) {
-      if (this.pathMatches(urlPath, rule.path)) {
-        return rule.allow;
-      }
-    }
-
-    // Default to allowed if no specific rule
-    return true;
+    return named.length > 0
+      ? named
+      : this.groups.filter((group) => group.userAgents.includes('*'));
   }
 
   /**
-   * Check if path matches rule pattern
-   * @param {string} path - URL path
-   * @param {string} pattern - Rule pattern
-   * @returns {boolean} True if matches
+   * Check if URL is allowed for user agent
+   * @param {string} url - URL to check
+   * @param {string} userAgent - User agent string
+   * @returns {boolean} True if allowed
    */
-  pathMatches(path, pattern) {
-    if (pattern === '/') {
-      return true; // Disallow all
+  isAllowed(url, userAgent) {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+
+    if (pathname === '/robots.txt') {
+      return true;
     }
 
-    if (pattern === '') {
-      return false; // Allow all
+    let best = null;
+    for (const group of this.getGroups(userAgent)) {
+      for (const rule of group.rules) {
+        if (!matchesPattern(path, rule.pattern)) continue;
+
+        // Longest match wins; on a tie the least restrictive (Allow) wins
+        if (
+          !best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)
+        ) {
+          best = rule;
+        }
+      }
     }
 
-    // Simple prefix matching
-    return path.startsWith(pattern);
+    return best ? best.allow : true;
   }
 
   /**
    * Get crawl delay for user agent
    * @param {string} userAgent - User agent string
-   * @returns {number} Crawl delay in seconds
+   * @returns {number} Crawl delay in seconds (0 if none)
    */
   getCrawlDelay(userAgent) {
-    const normalizedUserAgent = userAgent.toLowerCase();
+    const delays = this.getGroups(userAgent)
+      .map((group) => group.crawlDelay)
+      .filter((delay) => delay !== null);
 
-    // Check for exact match first
-    if (this.crawlDelays.has(normalizedUserAgent)) {
-      return this.crawlDelays.get(normalizedUserAgent);
-    }
+    return delays.length > 0 ? Math.max(...delays) : 0;
+  }
+}
 
-    // Check for wildcard
-    if (this.crawlDelays.has('*')) {
-      return this.crawlDelays.get('*');
-    }
+/**
+ * Get the product token robots.txt groups are matched against
+ * @param {string} userAgent - User agent (e.g. "InfinitePokedexBot/1.0 (+url)")
+ * @returns {string} Lowercase product token (e.g. "infinitepokedexbot")
+ */
+function getProductToken(userAgent) {
+  return userAgent.split(/[/\s]/)[0].toLowerCase();
+}
 
-    // Check for partial matches
-    for (const [agent, delay] of this.crawlDelays) {
-      if (normalizedUserAgent.includes(agent)) {
-        return delay;
-      }
-    }
+/**
+ * Percent-encode a rule pattern the way URL paths are encoded, so rules
+ * written with raw characters (e.g. "é") match encoded paths
+ * @param {string} pattern - Rule pattern
+ * @returns {string} Normalized pattern
+ */
+function normalizePattern(pattern) {
+  try {
+    return encodeURI(decodeURI(pattern));
+  } catch {
+    return pattern;
+  }
+}
 
-    return 0; // No delay
+/**
+ * Match a path against a rule pattern: `*` matches any run of characters
+ * and a trailing `$` anchors the end; otherwise the pattern is a prefix
+ * @param {string} path - URL path and query
+ * @param {string} pattern - Rule pattern
+ * @returns {boolean} True if the rule applies
+ */
+export function matchesPattern(path, pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+
+  // Iterative wildcard matching that backtracks only to the last `*`, so
+  // hostile patterns cost at most O(path x pattern)
+  let p = 0;
+  let s = 0;
+  let star = -1;
+  let starS = 0;
+
+  while (s < path.length) {
+    if (!anchored && p === body.length) {
+      return true;
+    }
+    if (body[p] === '*') {
+      star = p++;
+      starS = s;
+    } else if (p < body.length && body[p] === path[s]) {
+      p++;
+      s++;
+    } else if (star !== -1) {
+      p = star + 1;
+      s = ++starS;
+    } else {
+      return false;
+    }
   }
+
+  while (body[p] === '*') p++;
+  return p === body.length;
 }
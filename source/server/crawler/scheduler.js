@@ -0,0 +1,117 @@
+/**
+ * Crawl Scheduler
+ *
+ * Runs crawl tasks from several sources at once under a global concurrency
+ * limit, with a separate cap per domain so one slow site cannot take every
+ * slot. Request pacing itself stays with each crawler's per-domain rate
+ * limiter and robots.txt crawl delay.
+ *
+ * @fileoverview Concurrent cross-source crawl scheduling
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { defaultConfig } from '../config/crawler.js';
+
+/**
+ * Scheduler for concurrent crawl tasks grouped by domain
+ */
+export class CrawlScheduler {
+  constructor(config = {}) {
+    const scheduler = { ...defaultConfig.scheduler, ...config.scheduler };
+
+    this.concurrency = config.crawlConcurrency || scheduler.concurrency;
+    this.domainConcurrency = scheduler.domainConcurrency;
+
+    if (!(this.concurrency > 0) || !(this.domainConcurrency > 0)) {
+      throw new Error('Crawl concurrency limits must be positive');
+    }
+  }
+
+  /**
+   * Run tasks, taking domains in turn so every source makes progress
+   * @param {Array<Object>} tasks - Tasks ({ domain, run: async () => result })
+   * @returns {Promise<Array<Object>>} Settled results in task order
+   *   ({ status: 'fulfilled', value } or { status: 'rejected', reason })
+   */
+  run(tasks) {
+    const results = new Array(tasks.length);
+    const queues = new Map();
+
+    tasks.forEach((task, index) => {
+      if (!queues.has(task.domain)) {
+        queues.set(task.domain, { pending: [], active: 0 });
+      }
+      queues.get(task.domain).pending.push(index);
+    });
+
+    const domains = Array.from(queues.keys());
+    let cursor = 0;
+    let running = 0;
+    let remaining = tasks.length;
+
+    return new Promise((resolve) => {
+      if (remaining === 0) {
+        resolve(results);
+        return;
+      }
+
+      const nextDomain = () => {
+        for (let i = 0; i < domains.length; i++) {
+          const domain = domains[(cursor + i) % domains.length];
+          const queue = queues.get(domain);
+
+          if (
+            queue.pending.length > 0 &&
+            queue.active < this.domainConcurrency
+          ) {
+            cursor = (cursor + i + 1) % domains.length;
+            return queue;
+          }
+        }
+        return null;
+      };
+
+      const fill = () => {
+        let queue;
+        while (running < this.concurrency && (queue = nextDomain())) {
+          const index = queue.pending.shift();
+          const current = queue;
+
+          running++;
+          current.active++;
+
+          Promise.resolve()
+            .then(() => tasks[index].run())
+            .then(
+              (value) => ({ status: 'fulfilled', value }),
+              (reason) => ({ status: 'rejected', reason })
+            )
+            .then((result) => {
+              results[index] = result;
+              running--;
+              current.active--;
+              remaining--;
+
+              if (remaining === 0) {
+                resolve(results);
+              } else {
+                fill();
+              }
+            });
+        }
+      };
+
+      fill();
+    });
+  }
+}
+
+/**
+ * Get the host a URL belongs to, for grouping tasks and rate limiters
+ * @param {string} url - Any URL on the domain
+ * @returns {string} Host name
+ */
+export function getDomain(url) {
+  return new URL(url).host;
+}
@@ -10,8 +10,16 @@
  */
 
 import { BaseCrawler } from './base-crawler.js';
-import { getSourceConfig } from '../config/crawler.js';
+import { getSourceConfig, mergeSourceConfig } from '../config/crawler.js';
 import { logger } from '../utils/logger.js';
+import { speciesRegistry } from '../registry/species-registry.js';
+import { findGameByName } from '../registry/games.js';
+import { mergeDexEntries } from '../processors/dex-entries.js';
+import { extractFields } from '../processors/selector-extractor.js';
+import {
+  mergeEvolution,
+  parseEvolutionConditions,
+} from '../processors/evolution.js';
 import * as cheerio from 'cheerio';
 
 /**
@@ -20,7 +28,7 @@ import * as cheerio from 'cheerio';
 export class SerebiiCrawler extends BaseCrawler {
   constructor(config) {
     const serebiiConfig = getSourceConfig('serebii');
-    super({ ...serebiiConfig, ...config });
+    super(mergeSourceConfig(serebiiConfig, config));
 
     this.baseUrl = this.config.baseUrl;
     this.selectors = this.config.selectors;
@@ -46,6 +54,7 @@ export class SerebiiCrawler extends BaseCrawler {
         speciesId,
         url,
         data: parsedData,
+        status: result.status,
         timestamp: result.timestamp,
       };
     } catch (error) {
@@ -67,18 +76,23 @@ export class SerebiiCrawler extends BaseCrawler {
     const results = [];
     const errors = [];
 
-    for (const speciesId of speciesIds) {
-      try {
-        const result = await this.crawlSpecies(speciesId, options);
-        results.push(result);
+    // Pacing comes from the per-domain rate limiter and robots.txt crawl delay
+    const settled = await this.crawlBatch(speciesIds, (speciesId) =>
+      this.crawlSpecies(speciesId, options)
+    );
 
-        // Respectful delay between requests
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      } catch (error) {
-        errors.push({ speciesId, error: error.message });
-        logger.warn(`Failed to crawl species ${speciesId}:`, error.message);
+    settled.forEach((outcome, index) => {
+      const speciesId = speciesIds[index];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        errors.push({ speciesId, error: outcome.reason.message });
+        logger.warn(
+          `Failed to crawl species ${speciesId}:`,
+          outcome.reason.message
+        );
       }
-    }
+    });
 
     logger.info(
       `Serebii crawl completed: ${results.length} success, ${errors.length} errors`
@@ -88,11 +102,14 @@ export class SerebiiCrawler extends BaseCrawler {
 
   /**
    * Build species URL
-   * @param {string|number} speciesId - Species ID
+   * @param {string|number} speciesId - Species ID or name
    * @returns {string} Full URL
    */
   buildSpeciesUrl(speciesId) {
-    const path = this.config.paths.species.replace('{id}', speciesId);
+    const path = this.config.paths.species.replace(
+      '{id}',
+      speciesRegistry.getSlug(speciesId, 'serebii')
+    );
     return `${this.baseUrl}${path}`;
   }
 
@@ -105,15 +122,17 @@ export class SerebiiCrawler extends BaseCrawler {
   parseSpeciesPage(html, speciesId) {
     try {
       const $ = cheerio.load(html);
+      const fields = extractFields($, this.selectors);
 
       const data = {
         id: speciesId,
-        name: this.extractName($),
+        name: this.cleanText(fields.name),
         types: this.extractTypes($),
         stats: this.extractStats($),
         abilities: this.extractAbilities($),
         moves: this.extractMoves($),
-        description: this.extractDescription($),
+        description: this.cleanText(fields.description),
+        dexEntries: this.extractDexEntries($),
         locations: this.extractLocations($),
         evolution: this.extractEvolution($),
       };
@@ -128,26 +147,6 @@ export class SerebiiCrawler extends BaseCrawler {
     }
   }
 
-  /**
-   * Extract Pokémon name from HTML
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {string} Pokémon name
-   */
-  extractName($) {
-    // Try multiple selectors for name based on Serebii structure
-    const selectors = ['h1', '.content h1', '.pokedex-title', 'title'];
-
-    for (const selector of selectors) {
-      const name = $(selector).first().text().trim();
-      if (name && name !== 'Serebii.net') {
-        // Clean up the name (remove extra text, numbers, etc.)
-        return this.cleanText(name);
-      }
-    }
-
-    return 'Unknown';
-  }
-
   /**
    * Extract Pokémon types from HTML
    * @param {CheerioAPI} $ - Cheerio instance
@@ -323,30 +322,46 @@ export class SerebiiCrawler extends BaseCrawler {
   }
 
   /**
-   * Extract description from HTML
+   * Extract the Pokédex entries from the "Flavor Text" table
+   *
+   * Each row names one or more games (one per line) followed by the entry
+   * text; rows for games we don't track are skipped.
+   *
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {string} Description
+   * @returns {Array<Object>} Entries ({ text, games, generation }), with
+   *   text shared by several games merged
    */
-  extractDescription($) {
-    // Look for description in various locations
-    const selectors = [
-      '.content p',
-      '.pokedex-description',
-      '.pokemon-description',
-      'p',
-    ];
-
-    for (const selector of selectors) {
-      const $desc = $(selector).first();
-      const text = $desc.text().trim();
-
-      if (text && text.length > 10) {
-        // Ensure it's a meaningful description
-        return this.cleanText(text);
-      }
-    }
+  extractDexEntries($) {
+    const entries = [];
+    const $heading = $('td, th, h2, h3')
+      .filter((i, el) => $(el).text().trim().toLowerCase() === 'flavor text')
+      .first();
+
+    $heading
+      .closest('table')
+      .find('tr')
+      .each((i, row) => {
+        const $cells = $(row).children('td');
+        if ($cells.length < 2) return;
+
+        const games = $cells
+          .slice(0, -1)
+          .toArray()
+          .flatMap((cell) => ($(cell).html() || '').split(/<br\s*\/?>/i))
+          .map((version) => findGameByName($('<div>').html(version).text()))
+          .filter(Boolean);
+        const text = this.cleanText($cells.last().text());
+
+        if (games.length > 0 && text) {
+          entries.push({
+            text,
+            games: games.map((game) => game.id),
+            generation: Math.min(...games.map((game) => game.generation)),
+          });
+        }
+      });
 
-    return '';
+    return mergeDexEntries(entries);
   }
 
   /**
@@ -384,39 +399,67 @@ export class SerebiiCrawler extends BaseCrawler {
   }
 
   /**
-   * Extract evolution information from HTML
+   * Extract the family's evolutions from the evolution chain table
+   *
+   * Species cells (`td.pkmn`) alternate with method cells, whose icons'
+   * alt text words the condition. Branches continue on the next rows
+   * without repeating the species they branch from, which spans those rows
+   * instead.
+   *
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Evolution data
+   * @returns {Array<Object>} Evolution edges ({ from, to, trigger,
+   *   conditions, text })
    */
   extractEvolution($) {
-    const evolution = {
-      chain: [],
-      method: '',
-      level: null,
-      item: null,
-      condition: null,
-    };
-
-    // Look for evolution information
-    $('h2, h3').each((i, header) => {
-      const $header = $(header);
-      const text = $header.text().trim().toLowerCase();
-
-      if (text.includes('evolution') || text.includes('evolve')) {
-        const $list = $header.nextUntil('h2, h3');
+    const edges = [];
+    let branchFrom = null;
+
+    $('table.evochain tr').each((i, row) => {
+      let from = null;
+      let method = null;
+
+      $(row)
+        .children('td')
+        .each((j, cell) => {
+          const $cell = $(cell);
+
+          if (!$cell.hasClass('pkmn')) {
+            const words = [
+              $cell.text(),
+              ...$cell
+                .find('img')
+                .map((k, img) => $(img).attr('alt') || '')
+                .get(),
+            ];
+            method = this.cleanText(words.join(' '));
+            from = from ?? branchFrom;
+            return;
+          }
 
-        $list.find('tr, li, p').each((j, item) => {
-          const $item = $(item);
-          const evolutionText = $item.text().trim();
+          const $image = $cell.find('img').first();
+          const species = speciesRegistry.get(
+            $image.attr('alt') || $cell.text().trim()
+          );
+          const to = species?.id ?? null;
+
+          if (from !== null && to !== null && method) {
+            edges.push({
+              from,
+              to,
+              ...parseEvolutionConditions(method),
+              text: method,
+            });
+          }
 
-          if (evolutionText && evolutionText.length > 0) {
-            evolution.chain.push(this.cleanText(evolutionText));
+          from = to;
+          method = null;
+          if (Number($cell.attr('rowspan')) > 1) {
+            branchFrom = to;
           }
         });
-      }
     });
 
-    return evolution;
+    return mergeEvolution(edges);
   }
 
   /**
@@ -462,7 +505,8 @@ export class SerebiiCrawler extends BaseCrawler {
       baseUrl: this.baseUrl,
       rateLimit: this.config.rateLimit,
       cacheStats: this.getCacheStats(),
-      circuitBreakerState: this.circuitBreaker.state,
+      throttleStats: this.getThrottleStats(),
+      circuitBreakers: this.getCircuitBreakerStats(),
     };
   }
 }
@@ -10,17 +10,38 @@
  */
 
 import { BaseCrawler } from './base-crawler.js';
-import { getSourceConfig } from '../config/crawler.js';
+import { getSourceConfig, mergeSourceConfig } from '../config/crawler.js';
 import { logger } from '../utils/logger.js';
+import { speciesRegistry } from '../registry/species-registry.js';
+import {
+  USAGE_FILE,
+  combineUsage,
+  parseChaosStats,
+  parseMovesetStats,
+} from '../processors/usage-stats.js';
+import { promises as fs } from 'fs';
+import { join } from 'path';
 import * as cheerio from 'cheerio';
 
+/**
+ * Stat keys of the EV spread abbreviations Smogon uses
+ */
+const EV_STATS = {
+  hp: 'hp',
+  atk: 'attack',
+  def: 'defense',
+  spa: 'spAttack',
+  spd: 'spDefense',
+  spe: 'speed',
+};
+
 /**
  * Smogon-specific crawler
  */
 export class SmogonCrawler extends BaseCrawler {
   constructor(config) {
     const smogonConfig = getSourceConfig('smogon');
-    super({ ...smogonConfig, ...config });
+    super(mergeSourceConfig(smogonConfig, config));
 
     this.baseUrl = this.config.baseUrl;
     this.selectors = this.config.selectors;
@@ -47,6 +68,7 @@ export class SmogonCrawler extends BaseCrawler {
         pokemonName,
         url,
         data: parsedData,
+        status: result.status,
         timestamp: result.timestamp,
       };
     } catch (error) {
@@ -68,21 +90,23 @@ export class SmogonCrawler extends BaseCrawler {
     const results = [];
     const errors = [];
 
-    for (const pokemonName of pokemonNames) {
-      try {
-        const result = await this.crawlStrategyPokemon(pokemonName, options);
-        results.push(result);
+    // Pacing comes from the per-domain rate limiter and robots.txt crawl delay
+    const settled = await this.crawlBatch(pokemonNames, (pokemonName) =>
+      this.crawlStrategyPokemon(pokemonName, options)
+    );
 
-        // Respectful delay between requests
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      } catch (error) {
-        errors.push({ pokemonName, error: error.message });
+    settled.forEach((outcome, index) => {
+      const pokemonName = pokemonNames[index];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        errors.push({ pokemonName, error: outcome.reason.message });
         logger.warn(
           `Failed to crawl strategy for ${pokemonName}:`,
-          error.message
+          outcome.reason.message
         );
       }
-    }
+    });
 
     logger.info(
       `Smogon strategy crawl completed: ${results.length} success, ${errors.length} errors`
@@ -91,56 +115,91 @@ export class SmogonCrawler extends BaseCrawler {
   }
 
   /**
-   * Crawl Smogon forums for tidbits and discussions
-   * @param {string} forumPath - Forum path to crawl
-   * @param {Object} options - Crawl options
-   * @returns {Promise<Object>} Forum data
+   * Crawl a forum thread, following its pages
+   * @param {string} threadUrl - Thread URL (or path)
+   * @param {Object} options - Crawl options, plus `pages` (most pages read,
+   *   the forumSearch threadPages config by default)
+   * @returns {Promise<Object>} Thread data ({ threadId, title, posts })
    */
-  async crawlForum(forumPath, options = {}) {
+  async crawlForumThread(threadUrl, options = {}) {
+    const { pages = this.config.forumSearch.threadPages, ...crawlOptions } =
+      options;
+    const url = this.buildForumUrl(threadUrl);
+
     try {
-      const url = this.buildForumUrl(forumPath);
+      logger.info(`Crawling Smogon forum thread ${url}`);
 
-      logger.info(`Crawling Smogon forums: ${forumPath}`);
+      const thread = { threadId: null, title: '', posts: [] };
+      let pageUrl = url;
+      let timestamp = null;
 
-      const result = await this.crawlUrl(url, options);
-      const parsedData = this.parseForumPage(result.data, forumPath);
+      for (let page = 1; pageUrl && page <= pages; page++) {
+        const result = await this.crawlUrl(pageUrl, crawlOptions);
+        const parsed = this.parseForumThread(result.data, pageUrl);
+
+        thread.threadId = thread.threadId || parsed.threadId;
+        thread.title = thread.title || parsed.title;
+        thread.posts.push(...parsed.posts);
+        timestamp = timestamp || result.timestamp;
+        pageUrl = parsed.nextPage;
+      }
 
       return {
         source: 'smogon',
         type: 'forum',
-        forumPath,
         url,
-        data: parsedData,
-        timestamp: result.timestamp,
+        data: thread,
+        timestamp,
       };
     } catch (error) {
-      logger.error(`Failed to crawl Smogon forum ${forumPath}:`, error.message);
+      logger.error(
+        `Failed to crawl Smogon forum thread ${url}:`,
+        error.message
+      );
       throw error;
     }
   }
 
   /**
-   * Search for Pokémon discussions in forums
+   * Search for Pokémon discussions in forums, following the result pages
    * @param {string} pokemonName - Pokémon name to search for
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Forum search results
+   * @param {Object} options - Crawl options, plus `pages` (most result
+   *   pages read, the forumSearch searchPages config by default)
+   * @returns {Promise<Object>} Forum search results, one per thread
    */
   async searchForumDiscussions(pokemonName, options = {}) {
+    const { pages = this.config.forumSearch.searchPages, ...crawlOptions } =
+      options;
+
     try {
       const searchUrl = this.buildForumSearchUrl(pokemonName);
 
       logger.info(`Searching Smogon forums for ${pokemonName}`);
 
-      const result = await this.crawlUrl(searchUrl, options);
-      const parsedData = this.parseForumSearchResults(result.data, pokemonName);
+      const results = [];
+      let pageUrl = searchUrl;
+      let timestamp = null;
+
+      for (let page = 1; pageUrl && page <= pages; page++) {
+        const result = await this.crawlUrl(pageUrl, crawlOptions);
+        const parsed = this.parseForumSearchResults(result.data, pokemonName);
+
+        for (const found of parsed.results) {
+          if (!results.some((known) => known.threadId === found.threadId)) {
+            results.push(found);
+          }
+        }
+        timestamp = timestamp || result.timestamp;
+        pageUrl = parsed.nextPage;
+      }
 
       return {
         source: 'smogon',
         type: 'forum_search',
         pokemonName,
         url: searchUrl,
-        data: parsedData,
-        timestamp: result.timestamp,
+        data: { pokemonName, results },
+        timestamp,
       };
     } catch (error) {
       logger.error(
@@ -153,24 +212,24 @@ export class SmogonCrawler extends BaseCrawler {
 
   /**
    * Build strategy URL for Pokémon
-   * @param {string} pokemonName - Pokémon name
+   * @param {string} pokemonName - Pokémon or form name (or dex number)
    * @returns {string} Full URL
    */
   buildStrategyUrl(pokemonName) {
     const path = this.config.paths.strategy.replace(
       '{name}',
-      pokemonName.toLowerCase()
+      speciesRegistry.getSlug(pokemonName, 'smogon')
     );
     return `${this.baseUrl}${path}`;
   }
 
   /**
    * Build forum URL
-   * @param {string} forumPath - Forum path
+   * @param {string} forumPath - Forum path, or a full URL (kept as is)
    * @returns {string} Full URL
    */
   buildForumUrl(forumPath) {
-    return `${this.baseUrl}${forumPath}`;
+    return new URL(forumPath, this.baseUrl).href;
   }
 
   /**
@@ -183,6 +242,163 @@ export class SmogonCrawler extends BaseCrawler {
     return `${this.baseUrl}${searchPath}`;
   }
 
+  /**
+   * Load monthly usage statistics from a local copy or a mirror of
+   * Smogon's stats directory
+   *
+   * For each month and format, the chaos file of the first rating cutoff
+   * found is read, with its moveset file when there is one. Mirrors cannot
+   * be listed, so they need the months and formats set.
+   *
+   * @param {Object} options - Usage stats options ({ location, months,
+   *   formats, cutoffs, limit }), see config/crawler.js
+   * @returns {Promise<Object>} Usage entries by species name, format and
+   *   month
+   */
+  async loadUsageStats(options = this.config.usageStats) {
+    const { location, cutoffs = [], limit = 10 } = options || {};
+    const usage = {};
+    if (!location) return usage;
+
+    const months =
+      options.months?.length > 0
+        ? options.months
+        : (await this.listStatsDir(location, '')).filter((name) =>
+            /^\d{4}-\d{2}/.test(name)
+          );
+
+    for (const month of months) {
+      const formats =
+        options.formats?.length > 0
+          ? options.formats
+          : await this.listUsageFormats(location, month);
+
+      for (const format of formats) {
+        const entries = await this.readUsageStats(
+          location,
+          month,
+          format,
+          cutoffs,
+          limit
+        );
+
+        for (const [name, entry] of Object.entries(entries || {})) {
+          usage[name] = usage[name] || {};
+          usage[name][format] = usage[name][format] || {};
+          usage[name][format][month] = entry;
+        }
+      }
+    }
+
+    logger.info(
+      `Loaded Smogon usage stats for ${Object.keys(usage).length} Pokémon from ${location}`
+    );
+    return usage;
+  }
+
+  /**
+   * Read one month's usage statistics for a format
+   * @param {string} location - Stats directory or base URL
+   * @param {string} month - Month directory (e.g. 2024-05)
+   * @param {string} format - Format (e.g. gen9ou)
+   * @param {Array<number>} cutoffs - Rating cutoffs, in preference order
+   * @param {number} limit - Most common items, spreads and teammates kept
+   * @returns {Promise<Object|null>} Usage entries by species name, or null
+   *   if no chaos file exists for any cutoff
+   */
+  async readUsageStats(location, month, format, cutoffs, limit) {
+    for (const cutoff of cutoffs) {
+      const chaosPath = `${month}/chaos/${format}-${cutoff}.json`;
+      const chaos = await this.readStatsFile(location, chaosPath);
+      if (chaos === null) continue;
+
+      const movesetPath = `${month}/moveset/${format}-${cutoff}.txt`;
+      const moveset = await this.readStatsFile(location, movesetPath);
+      const movesets =
+        moveset === null ? {} : parseMovesetStats(moveset, limit);
+      const source = {
+        chaos: `${location}/${chaosPath}`,
+        moveset: moveset === null ? null : `${location}/${movesetPath}`,
+      };
+
+      const entries = {};
+      for (const [name, entry] of Object.entries(
+        parseChaosStats(chaos, limit).species
+      )) {
+        entries[name] = { ...combineUsage(entry, movesets[name]), source };
+      }
+      return entries;
+    }
+
+    logger.warn(`No Smogon usage stats for ${format} in ${month}`);
+    return null;
+  }
+
+  /**
+   * List the formats a local month directory has chaos files for
+   * @param {string} location - Stats directory or base URL
+   * @param {string} month - Month directory
+   * @returns {Promise<Array<string>>} Formats
+   */
+  async listUsageFormats(location, month) {
+    const files = await this.listStatsDir(location, `${month}/chaos`);
+    return [
+      ...new Set(
+        files
+          .map((file) => file.match(USAGE_FILE))
+          .filter(Boolean)
+          .map((match) => match[1])
+      ),
+    ];
+  }
+
+  /**
+   * List a directory of a local stats copy
+   * @param {string} location - Stats directory or base URL
+   * @param {string} path - Path inside it
+   * @returns {Promise<Array<string>>} Entry names (none for mirrors)
+   */
+  async listStatsDir(location, path) {
+    if (/^https?:\/\//.test(location)) {
+      logger.warn(
+        `Cannot list ${location}/${path}: set the usage stats months and formats for mirrors`
+      );
+      return [];
+    }
+
+    try {
+      return (await fs.readdir(join(location, path))).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Read a file from a local stats copy or a mirror
+   * @param {string} location - Stats directory or base URL
+   * @param {string} path - File path inside it
+   * @returns {Promise<string|Object|null>} Content (mirrors may answer
+   *   JSON already parsed), or null if the file does not exist
+   */
+  async readStatsFile(location, path) {
+    if (/^https?:\/\//.test(location)) {
+      try {
+        return (await this.crawlUrl(`${location}/${path}`)).data;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    }
+
+    try {
+      return await fs.readFile(join(location, path), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
   /**
    * Parse strategy page HTML
    * @param {string} html - HTML content
@@ -201,7 +417,7 @@ export class SmogonCrawler extends BaseCrawler {
         stats: this.extractStrategyStats($),
         strategies: this.extractStrategies($),
         sets: this.extractSets($),
-        usage: this.extractUsageStats($),
+        tiers: this.extractTiers($),
         viability: this.extractViability($),
       };
 
@@ -216,26 +432,24 @@ export class SmogonCrawler extends BaseCrawler {
   }
 
   /**
-   * Parse forum page HTML
+   * Parse a forum thread page
    * @param {string} html - HTML content
-   * @param {string} forumPath - Forum path
-   * @returns {Object} Parsed forum data
+   * @param {string} url - Page URL
+   * @returns {Object} Thread page ({ threadId, title, posts, nextPage })
    */
-  parseForumPage(html, forumPath) {
+  parseForumThread(html, url) {
     try {
       const $ = cheerio.load(html);
 
-      const data = {
-        threads: this.extractForumThreads($),
+      return {
+        threadId: getThreadId(url),
+        title: $(this.selectors.forumTitle).first().text().trim(),
         posts: this.extractForumPosts($),
-        discussions: this.extractDiscussions($),
-        tidbits: this.extractTidbits($),
+        nextPage: this.extractNextPage($),
       };
-
-      return data;
     } catch (error) {
       logger.error(
-        `Failed to parse Smogon forum page ${forumPath}:`,
+        `Failed to parse Smogon forum thread ${url}:`,
         error.message
       );
       throw error;
@@ -246,7 +460,8 @@ export class SmogonCrawler extends BaseCrawler {
    * Parse forum search results HTML
    * @param {string} html - HTML content
    * @param {string} pokemonName - Pokémon name
-   * @returns {Object} Parsed search results
+   * @returns {Object} Parsed search results ({ pokemonName, results,
+   *   nextPage })
    */
   parseForumSearchResults(html, pokemonName) {
     try {
@@ -255,8 +470,7 @@ export class SmogonCrawler extends BaseCrawler {
       const data = {
         pokemonName,
         results: this.extractSearchResults($),
-        discussions: this.extractDiscussionResults($),
-        tidbits: this.extractSearchTidbits($),
+        nextPage: this.extractNextPage($),
       };
 
       return data;
@@ -368,7 +582,8 @@ export class SmogonCrawler extends BaseCrawler {
   /**
    * Extract competitive sets
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Sets array
+   * @returns {Array<Object>} Sets ({ name, format, moves, ability, item,
+   *   evs, nature })
    */
   extractSets($) {
     const sets = [];
@@ -380,31 +595,42 @@ export class SmogonCrawler extends BaseCrawler {
         .each((j, moveEl) => {
           moves.push($(moveEl).text().trim());
         });
+      const format = $(el).find('.set-format').text().trim();
       const ability = $(el).find('.set-ability').text().trim();
       const item = $(el).find('.set-item').text().trim();
+      const evs = parseEvSpread($(el).find('.set-evs').text());
+      const nature = $(el).find('.set-nature').text().trim();
 
       if (name) {
-        sets.push({ name, moves, ability, item });
+        sets.push({
+          name,
+          format: format || null,
+          moves,
+          ability,
+          item,
+          evs,
+          nature,
+        });
       }
     });
     return sets;
   }
 
   /**
-   * Extract usage statistics
+   * Extract the species' tier in each format
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Usage stats
+   * @returns {Object} Tiers keyed by format (e.g. { SV: 'OU' })
    */
-  extractUsageStats($) {
-    const usage = {};
-    $(this.selectors.strategy + ' .usage-stats tr').each((i, el) => {
-      const tier = $(el).find('td:first-child').text().trim();
-      const percentage = $(el).find('td:last-child').text().trim();
-      if (tier && percentage) {
-        usage[tier] = parseFloat(percentage.replace('%', '')) || 0;
+  extractTiers($) {
+    const tiers = {};
+    $(this.selectors.strategy + ' .tiers tr').each((i, el) => {
+      const format = $(el).find('td:first-child').text().trim();
+      const tier = $(el).find('td:last-child').text().trim();
+      if (format && tier) {
+        tiers[format] = tier;
       }
     });
-    return usage;
+    return tiers;
   }
 
   /**
@@ -425,132 +651,83 @@ export class SmogonCrawler extends BaseCrawler {
   }
 
   /**
-   * Extract forum threads
+   * Extract the posts of a thread page, keeping each post's own text apart
+   * from the posts it quotes
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Threads array
-   */
-  extractForumThreads($) {
-    const threads = [];
-    $(this.selectors.forumPosts).each((i, el) => {
-      const title = $(el).find('.thread-title').text().trim();
-      const author = $(el).find('.thread-author').text().trim();
-      const date = $(el).find('.thread-date').text().trim();
-      const replies = $(el).find('.thread-replies').text().trim();
-
-      if (title) {
-        threads.push({ title, author, date, replies });
-      }
-    });
-    return threads;
-  }
-
-  /**
-   * Extract forum posts
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Posts array
+   * @returns {Array<Object>} Posts ({ id, url, author, date, text, quotes }),
+   *   with quotes as { author, postId, text }
    */
   extractForumPosts($) {
     const posts = [];
-    $(this.selectors.forumContent).each((i, el) => {
-      const content = $(el).text().trim();
-      const author = $(el).find('.post-author').text().trim();
-      const date = $(el).find('.post-date').text().trim();
-
-      if (content) {
-        posts.push({ content, author, date });
-      }
-    });
-    return posts;
-  }
-
-  /**
-   * Extract discussions from forum
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Discussions array
-   */
-  extractDiscussions($) {
-    const discussions = [];
     $(this.selectors.forumPosts).each((i, el) => {
-      const title = $(el).find('.discussion-title').text().trim();
-      const content = $(el).find('.discussion-content').text().trim();
-      const participants = $(el).find('.discussion-participants').text().trim();
-
-      if (title && content) {
-        discussions.push({ title, content, participants });
-      }
-    });
-    return discussions;
-  }
-
-  /**
-   * Extract tidbits from forum content
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Tidbits array
-   */
-  extractTidbits($) {
-    const tidbits = [];
-    $(this.selectors.forumContent).each((i, el) => {
-      const content = $(el).text().trim();
-      // Extract interesting tidbits (this could be more sophisticated)
-      if (content.length > 50 && content.length < 500) {
-        tidbits.push(content);
+      const id = $(el).attr('data-content') || '';
+      const content = $(el).find(this.selectors.forumContent).first().clone();
+      const quotes = [];
+
+      content.find(this.selectors.forumQuotes).each((j, quoteEl) => {
+        const quote = $(quoteEl);
+        const postId = (quote.attr('data-source') || '').match(/post:\s*(\d+)/);
+        quotes.push({
+          author: quote.attr('data-quote') || null,
+          postId: postId ? `post-${postId[1]}` : null,
+          text: collapse(quote.find('.bbCodeBlock-content').text()),
+        });
+        quote.remove();
+      });
+
+      const number = id.match(/^post-(\d+)$/);
+      if (number) {
+        posts.push({
+          id,
+          url: this.buildForumUrl(`/forums/posts/${number[1]}/`),
+          author: $(el).attr('data-author') || null,
+          date: getPostDate($(el).find('time.u-dt').first()),
+          text: collapse(content.text()),
+          quotes,
+        });
       }
     });
-    return tidbits;
+    return posts;
   }
 
   /**
-   * Extract search results
+   * Extract search results, one per thread (a thread can match on several
+   * posts)
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Search results
+   * @returns {Array<Object>} Search results ({ title, url, threadId,
+   *   snippet, author, date })
    */
   extractSearchResults($) {
     const results = [];
-    $('.search-result').each((i, el) => {
-      const title = $(el).find('.result-title').text().trim();
-      const url = $(el).find('.result-url').attr('href');
-      const snippet = $(el).find('.result-snippet').text().trim();
-
-      if (title) {
-        results.push({ title, url, snippet });
+    $(this.selectors.forumResults).each((i, el) => {
+      const link = $(el).find('.contentRow-title a').first();
+      const href = link.attr('href') || '';
+      const threadId = getThreadId(href);
+
+      if (threadId && !results.some((found) => found.threadId === threadId)) {
+        results.push({
+          title: link.text().trim(),
+          // Result links point at the matching post; read the thread from
+          // its start
+          url: this.buildForumUrl(href.replace(/\/(post|page)-\d+.*$/, '/')),
+          threadId,
+          snippet: collapse($(el).find('.contentRow-snippet').text()),
+          author: $(el).attr('data-author') || null,
+          date: getPostDate($(el).find('time.u-dt').first()),
+        });
       }
     });
     return results;
   }
 
   /**
-   * Extract discussion results from search
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Discussion results
-   */
-  extractDiscussionResults($) {
-    const discussions = [];
-    $('.discussion-result').each((i, el) => {
-      const title = $(el).find('.discussion-title').text().trim();
-      const content = $(el).find('.discussion-content').text().trim();
-      const participants = $(el).find('.discussion-participants').text().trim();
-
-      if (title) {
-        discussions.push({ title, content, participants });
-      }
-    });
-    return discussions;
-  }
-
-  /**
-   * Extract tidbits from search results
+   * Extract the URL of the next page of a paginated forum page
    * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Search tidbits
+   * @returns {string|null} Next page URL, or null on the last page
    */
-  extractSearchTidbits($) {
-    const tidbits = [];
-    $('.search-result .result-snippet').each((i, el) => {
-      const snippet = $(el).text().trim();
-      if (snippet.length > 20) {
-        tidbits.push(snippet);
-      }
-    });
-    return tidbits;
+  extractNextPage($) {
+    const href = $(this.selectors.forumNextPage).first().attr('href');
+    return href ? this.buildForumUrl(href) : null;
   }
 
   /**
@@ -563,7 +740,60 @@ export class SmogonCrawler extends BaseCrawler {
       baseUrl: this.baseUrl,
       rateLimit: this.config.rateLimit,
       cacheStats: this.getCacheStats(),
-      circuitBreakerState: this.circuitBreaker.state,
+      throttleStats: this.getThrottleStats(),
+      circuitBreakers: this.getCircuitBreakerStats(),
     };
   }
 }
+
+/**
+ * Parse an EV spread ("252 Atk / 4 SpD / 252 Spe") into stat values
+ * @param {string} text - EV spread
+ * @returns {Object} EVs keyed by stat (the keys base stats use)
+ */
+function parseEvSpread(text) {
+  const evs = {};
+
+  for (const part of text.split('/')) {
+    const match = part.trim().match(/^(\d+)\s+([A-Za-z]+)$/);
+    const stat = match && EV_STATS[match[2].toLowerCase()];
+    if (stat) {
+      evs[stat] = parseInt(match[1]);
+    }
+  }
+
+  return evs;
+}
+
+/**
+ * Get a forum thread's ID from its URL (/forums/threads/<slug>.<id>/)
+ * @param {string} url - Thread, page or post URL
+ * @returns {string|null} Thread ID
+ */
+function getThreadId(url) {
+  const segment = (url || '').match(/\/threads\/([^/?#]+)/);
+  const id = segment && segment[1].split('.').pop();
+  return id && /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * Read a forum timestamp element as an ISO date
+ * @param {Cheerio} time - `time.u-dt` element
+ * @returns {string|null} ISO date
+ */
+function getPostDate(time) {
+  const seconds = parseInt(time.attr('data-time'));
+  if (seconds) {
+    return new Date(seconds * 1000).toISOString();
+  }
+  return time.attr('datetime') || null;
+}
+
+/**
+ * Collapse runs of whitespace in extracted text
+ * @param {string} text - Text
+ * @returns {string} Text on one line
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -14,14 +14,15 @@
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
 import { logger } from './utils/logger.js';
-import { BaseCrawler } from './crawler/base-crawler.js';
-import { BulbapediaCrawler } from './crawler/bulbapedia.js';
-import { SerebiiCrawler } from './crawler/serebii.js';
-import { SmogonCrawler } from './crawler/smogon.js';
+import { CrawlScheduler } from './crawler/scheduler.js';
+import { SourceRegistry } from './sources/source-registry.js';
 import { DataProcessor } from './processors/parser.js';
 import { TidbitSynthesizer } from './processors/tidbit-synthesizer.js';
 import { DatasetBuilder } from './builders/dataset-builder.js';
 import { CDNPublisher } from './builders/cdn-publisher.js';
+import { RunReport } from './builders/run-report.js';
+import { RunStore, PIPELINE_STAGES } from './utils/run-store.js';
+import { speciesRegistry } from './registry/species-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,11 +33,13 @@ const __dirname = dirname(__filename);
 class InfinitePokedexServer {
   constructor() {
     this.config = this.loadConfig();
-    this.crawlers = new Map();
+    this.sources = null;
+    this.scheduler = null;
     this.processor = null;
     this.synthesizer = null;
     this.builder = null;
     this.publisher = null;
+    this.runStore = null;
   }
 
   /**
@@ -46,6 +49,11 @@ class InfinitePokedexServer {
   loadConfig() {
     return {
       rateLimit: parseInt(process.env.CRAWL_RATE_LIMIT) || 1000, // requests per minute
+      crawlConcurrency: parseInt(process.env.CRAWL_CONCURRENCY) || 4, // crawl tasks in flight
+      sources: process.env.SOURCES ? splitList(process.env.SOURCES) : null, // default: all enabled
+      crawlMode: process.env.CRAWL_MODE || 'live', // live, record or replay
+      fixturesDir:
+        process.env.FIXTURES_DIR || join(__dirname, 'data', 'fixtures'),
       openRouterApiKey: process.env.OPENROUTER_API_KEY,
       cdnBucketUrl: process.env.CDN_BUCKET_URL,
       userAgent:
@@ -65,18 +73,29 @@ class InfinitePokedexServer {
     try {
       logger.info('Initializing Infinite Pokédex Server...');
 
-      // Initialize crawlers
-      this.crawlers.set('bulbapedia', new BulbapediaCrawler(this.config));
-      this.crawlers.set('serebii', new SerebiiCrawler(this.config));
-      this.crawlers.set('smogon', new SmogonCrawler(this.config));
+      // Load source adapters
+      this.sources = await SourceRegistry.fromConfig(this.config);
+      this.scheduler = new CrawlScheduler(this.config);
 
       // Initialize processors
-      this.processor = new DataProcessor(this.config);
-      this.synthesizer = new TidbitSynthesizer(this.config);
+      this.processor = new DataProcessor(this.config, this.sources);
+      // Replays need no API key, as no request reaches OpenRouter
+      if (this.config.openRouterApiKey || this.config.crawlMode === 'replay') {
+        this.synthesizer = new TidbitSynthesizer(this.config);
+      } else {
+        logger.warn('OPENROUTER_API_KEY not set - synthesis is unavailable');
+      }
 
       // Initialize builders
       this.builder = new DatasetBuilder(this.config);
-      this.publisher = new CDNPublisher(this.config);
+      if (this.config.cdnBucketUrl) {
+        this.publisher = new CDNPublisher(this.config);
+      } else {
+        logger.warn('CDN_BUCKET_URL not set - publishing is unavailable');
+      }
+
+      // Initialize run checkpoint storage
+      this.runStore = new RunStore(this.config);
 
       logger.info('Server initialization complete');
     } catch (error) {
@@ -87,168 +106,440 @@ class InfinitePokedexServer {
 
   /**
    * Run the complete crawler pipeline
+   *
+   * Every stage writes its output to the run directory under tempDir, so a
+   * failed run can be resumed with `resume: runId` from the first incomplete
+   * stage (or species, for crawling and synthesis).
+   *
    * @param {Object} options - Pipeline options
+   * @param {Array} options.species - Species IDs or names to crawl; combined
+   *   with generations, regions, ranges and types (see selectSpecies)
+   * @param {boolean} options.skipCache - Skip cached data
+   * @param {boolean} options.dryRun - Skip publishing to CDN
+   * @param {boolean} options.skipTidbits - Build without tidbits, so no LLM
+   *   is needed
+   * @param {string} options.resume - Run ID to resume
+   * @returns {Promise<Object>} Built dataset
    */
   async runPipeline(options = {}) {
+    let run = null;
+    let report = null;
+
     try {
       logger.info('Starting crawler pipeline...');
 
-      const {
-        species = [], // Array of species IDs to crawl
-        skipCache = false,
-        dryRun = false,
-      } = options;
-
-      // Step 1: Crawl data from sources
-      const rawData = await this.crawlData(species, skipCache);
-
-      // Step 2: Process and normalize data
-      const processedData = await this.processor.process(rawData);
+      if (options.resume) {
+        run = await this.runStore.loadRun(options.resume);
+        logger.info(
+          `Resuming run ${run.runId} at stage ${this.runStore.getResumeStage(run) || 'none (already complete)'}`
+        );
+      } else {
+        const {
+          skipCache = false,
+          dryRun = false,
+          skipTidbits = false,
+        } = options;
+        const species = this.selectSpecies(options);
+        run = await this.runStore.createRun({
+          species,
+          skipCache,
+          dryRun,
+          skipTidbits,
+        });
+      }
 
-      // Step 3: Generate tidbits via LLM
-      const enrichedData = await this.synthesizer.enrich(processedData);
+      report = await this.openReport(run);
+      let dataset = null;
+      let output = null;
+
+      for (const stage of PIPELINE_STAGES) {
+        // Publish to CDN unless dry run
+        if (stage === 'publish' && run.options.dryRun) {
+          if (run.stages.publish.status !== 'complete') {
+            await this.runStore.saveStage(run, 'publish', null, 'skipped');
+          }
+          report.recordPublish(null);
+          continue;
+        }
 
-      // Step 4: Build dataset
-      const dataset = await this.builder.build(enrichedData);
+        const input = output;
+        output = await this.runStage(
+          run,
+          stage,
+          () => this.executeStage(run, stage, input, report),
+          report
+        );
 
-      // Step 5: Publish to CDN (unless dry run)
-      if (!dryRun) {
-        await this.publisher.publish(dataset);
+        if (stage === 'build') {
+          dataset = output;
+        }
       }
 
-      logger.info('Pipeline completed successfully');
+      await this.writeReport(run, report, dataset);
+      logger.info(`Pipeline run ${run.runId} completed successfully`);
       return dataset;
     } catch (error) {
       logger.error('Pipeline failed:', error);
+      if (run) {
+        if (report) {
+          await this.writeReport(run, report).catch(() => {});
+        }
+        logger.error(`Resume this run with --resume ${run.runId}`);
+      }
       throw error;
     }
   }
 
   /**
-   * Crawl data from all configured sources
-   * @param {Array} species - Species IDs to crawl
-   * @param {boolean} skipCache - Skip cached data
-   * @returns {Object} Raw crawled data
+   * Run a single pipeline stage against on-disk artifacts
+   *
+   * `crawl` starts a new run unless a run ID is given; every other stage
+   * reads the previous stage's output from the run (latest run by default).
+   * Re-running a completed stage discards its output and everything
+   * downstream of it, so e.g. processing can be redone after a selector fix
+   * without recrawling.
+   *
+   * @param {string} stage - Stage name
+   * @param {Object} options - Stage options
+   * @param {string} options.runId - Run ID to operate on
+   * @param {Array} options.species - Species selection (new crawl runs only,
+   *   along with generations, regions, ranges and types)
+   * @param {boolean} options.skipCache - Skip cached data
+   * @param {boolean} options.skipTidbits - Carry processed data through the
+   *   enrich stage without tidbits (new crawl runs only)
+   * @returns {Promise<Object>} Run ID and stage output
    */
-  async crawlData(species, skipCache = false) {
-    const results = {};
+  async runSingleStage(stage, options = {}) {
+    const { runId, skipCache = false, skipTidbits = false } = options;
+    const index = PIPELINE_STAGES.indexOf(stage);
 
-    for (const [source, crawler] of this.crawlers) {
-      try {
-        logger.info(`Crawling ${source}...`);
-
-        let data;
-        if (source === 'smogon') {
-          // Smogon needs different handling - crawl strategy pages and forums
-          const strategyData = await this.crawlSmogonStrategy(
-            species,
-            skipCache
-          );
-          const forumData = await this.crawlSmogonForums(species, skipCache);
-          data = { strategy: strategyData, forums: forumData };
-        } else {
-          // Standard crawling for Bulbapedia and Serebii
-          data = await crawler.crawl(species, skipCache);
-        }
+    if (index === -1) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
 
-        results[source] = data;
-        logger.info(
-          `Crawled ${Object.keys(data).length} entries from ${source}`
+    const run =
+      stage === 'crawl' && !runId
+        ? await this.runStore.createRun({
+            species: this.selectSpecies(options),
+            skipCache,
+            dryRun: false,
+            skipTidbits,
+          })
+        : await this.findRun(runId);
+
+    const report = await this.openReport(run);
+    let input = null;
+    const previous = PIPELINE_STAGES[index - 1];
+    if (previous) {
+      if (run.stages[previous].status !== 'complete') {
+        throw new Error(
+          `Stage ${previous} has not completed for run ${run.runId}`
         );
-      } catch (error) {
-        logger.error(`Failed to crawl ${source}:`, error);
-        // Continue with other sources
       }
+      input = await this.runStore.loadStage(run.runId, previous);
     }
 
-    return results;
+    // A finished stage is being redone: drop it and everything downstream.
+    // Unfinished stages keep their checkpoints so they continue where they
+    // stopped.
+    const resetFrom =
+      run.stages[stage].status === 'complete' ? index : index + 1;
+    await this.runStore.resetStages(run, PIPELINE_STAGES.slice(resetFrom));
+    PIPELINE_STAGES.slice(resetFrom).forEach((reset) =>
+      report.resetStage(reset)
+    );
+
+    const output = await this.runStage(
+      run,
+      stage,
+      () => this.executeStage(run, stage, input, report),
+      report
+    );
+
+    // Build and publish finish a dataset, so refresh the report next to it
+    if (stage === 'build' || stage === 'publish') {
+      await this.writeReport(run, report, stage === 'build' ? output : input);
+    }
+
+    logger.info(`Stage ${stage} complete for run ${run.runId}`);
+    return { runId: run.runId, output };
   }
 
   /**
-   * Crawl Smogon strategy data
-   * @param {Array} species - Species to crawl
-   * @param {boolean} skipCache - Skip cached data
-   * @returns {Object} Strategy data
+   * Resolve species selection options against the species registry
+   * @param {Object} options - Selection options
+   * @param {Array<string|number>} options.species - Dex numbers or names
+   * @param {Array<number>} options.generations - Generations
+   * @param {Array<string>} options.regions - Regions
+   * @param {Array<Array<number>>} options.ranges - [first, last] dex ranges
+   * @param {Array<string>} options.types - Types
+   * @returns {Array<number>} Species IDs (every species if no criteria)
    */
-  async crawlSmogonStrategy(species, skipCache = false) {
-    const smogonCrawler = this.crawlers.get('smogon');
-    const results = [];
-    const errors = [];
-
-    for (const speciesId of species) {
-      try {
-        // Convert species ID to name for Smogon
-        const speciesName = await this.getSpeciesName(speciesId);
-        const result = await smogonCrawler.crawlStrategyPokemon(speciesName, {
-          skipCache,
-        });
-        results.push(result);
-      } catch (error) {
-        errors.push({ speciesId, error: error.message });
-        logger.warn(
-          `Failed to crawl Smogon strategy for ${speciesId}:`,
-          error.message
-        );
-      }
+  selectSpecies(options = {}) {
+    const species = speciesRegistry.select(options);
+
+    if (species.length === 0) {
+      throw new Error('No species match the selection');
     }
 
-    return { results, errors };
+    logger.info(`Selected ${species.length} species`);
+    return species;
   }
 
   /**
-   * Crawl Smogon forums for tidbits
-   * @param {Array} species - Species to crawl
-   * @param {boolean} skipCache - Skip cached data
-   * @returns {Object} Forum data
+   * Find a run by ID, or the most recent run
+   * @param {string} runId - Optional run ID
+   * @returns {Promise<Object>} Run manifest
    */
-  async crawlSmogonForums(species, skipCache = false) {
-    const smogonCrawler = this.crawlers.get('smogon');
-    const results = [];
-    const errors = [];
-
-    for (const speciesId of species) {
-      try {
-        const speciesName = await this.getSpeciesName(speciesId);
-        const result = await smogonCrawler.searchForumDiscussions(speciesName, {
-          skipCache,
-        });
-        results.push(result);
-      } catch (error) {
-        errors.push({ speciesId, error: error.message });
-        logger.warn(
-          `Failed to crawl Smogon forums for ${speciesId}:`,
-          error.message
+  async findRun(runId) {
+    if (runId) {
+      return this.runStore.loadRun(runId);
+    }
+
+    const [latest] = await this.runStore.listRuns();
+    if (!latest) {
+      throw new Error('No pipeline runs found - run the crawl stage first');
+    }
+    return latest;
+  }
+
+  /**
+   * Open a run's report, including anything recorded by earlier stages
+   * @param {Object} run - Run manifest
+   * @returns {Promise<RunReport>} Run report
+   */
+  async openReport(run) {
+    const data = await this.runStore.loadReport(run.runId);
+    return new RunReport(run, data || {});
+  }
+
+  /**
+   * Write the run report next to the dataset (or into the run directory if
+   * no dataset was built)
+   * @param {Object} run - Run manifest
+   * @param {RunReport} report - Run report
+   * @param {Object} dataset - Built dataset, if any
+   * @returns {Promise<Object>} Paths of the written report files
+   */
+  async writeReport(run, report, dataset = null) {
+    await this.runStore.saveReport(run.runId, report.data);
+
+    const dir = dataset
+      ? join(this.builder.outputDir, dataset.version)
+      : this.runStore.getRunDir(run.runId);
+    return report.write(dir);
+  }
+
+  /**
+   * Execute a pipeline stage
+   * @param {Object} run - Run manifest
+   * @param {string} stage - Stage name
+   * @param {*} input - Output of the previous stage
+   * @param {RunReport} report - Run report to record diagnostics in
+   * @returns {Promise<*>} Stage output
+   */
+  async executeStage(run, stage, input, report) {
+    const { species, skipCache } = run.options;
+
+    switch (stage) {
+      // Step 1: Crawl data from sources
+      case 'crawl': {
+        const checkpoint = await this.runStore.openCheckpoint(
+          run.runId,
+          'crawl'
+        );
+        return this.crawlData(species, skipCache, checkpoint, report);
+      }
+
+      // Step 2: Process and normalize data
+      case 'process':
+        return this.processor.process(input, report);
+
+      // Step 3: Generate tidbits via LLM
+      case 'enrich': {
+        // Baseline runs (--no-tidbits) need neither the LLM nor the network
+        if (run.options.skipTidbits) {
+          logger.info('Skipping tidbit synthesis for this run');
+          return input;
+        }
+        this.requireComponent('synthesizer', 'OPENROUTER_API_KEY');
+        const checkpoint = await this.runStore.openCheckpoint(
+          run.runId,
+          'enrich'
         );
+        return this.synthesizer.enrich(input, checkpoint, report);
       }
+
+      // Step 4: Build dataset
+      case 'build': {
+        const dataset = await this.builder.build(input);
+        report.recordBuild(dataset);
+        return dataset;
+      }
+
+      // Step 5: Publish to CDN
+      case 'publish': {
+        this.requireComponent('publisher', 'CDN_BUCKET_URL');
+        const result = await this.publisher.publish(input);
+        report.recordPublish(result);
+        return result;
+      }
+
+      default:
+        throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+  }
+
+  /**
+   * Ensure an optional component was configured
+   * @param {string} name - Component property name
+   * @param {string} envVar - Environment variable that enables it
+   */
+  requireComponent(name, envVar) {
+    if (!this[name]) {
+      throw new Error(`${name} is not configured - set ${envVar}`);
+    }
+  }
+
+  /**
+   * Roll the CDN back to a previously published version
+   * @param {string} version - Dataset version
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollback(version) {
+    this.requireComponent('publisher', 'CDN_BUCKET_URL');
+    return this.publisher.rollback(version);
+  }
+
+  /**
+   * Get run status for one run, or all runs
+   * @param {string} runId - Optional run ID
+   * @returns {Promise<Array<Object>>} Run manifests, newest first
+   */
+  async getRunStatus(runId) {
+    if (runId) {
+      return [await this.runStore.loadRun(runId)];
     }
+    return this.runStore.listRuns();
+  }
+
+  /**
+   * Run a pipeline stage, or load its output if already complete
+   * @param {Object} run - Run manifest
+   * @param {string} stage - Stage name
+   * @param {Function} execute - Produces the stage output
+   * @param {RunReport} report - Run report, saved with the stage
+   * @returns {Promise<*>} Stage output
+   */
+  async runStage(run, stage, execute, report) {
+    if (run.stages[stage].status === 'complete') {
+      logger.info(`Loading completed ${stage} stage from run ${run.runId}`);
+      return this.runStore.loadStage(run.runId, stage);
+    }
+
+    await this.runStore.setStageStatus(run, stage, 'running');
 
-    return { results, errors };
+    try {
+      const output = await execute();
+      await this.runStore.saveStage(run, stage, output);
+      return output;
+    } catch (error) {
+      await this.runStore.setStageStatus(run, stage, 'failed', {
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      await this.runStore.saveReport(run.runId, report.data);
+    }
   }
 
   /**
-   * Get species name from ID
-   * @param {string|number} speciesId - Species ID
-   * @returns {string} Species name
+   * Crawl data from all configured sources
+   * @param {Array} species - Species IDs to crawl
+   * @param {boolean} skipCache - Skip cached data
+   * @param {Object} checkpoint - Run checkpoint ({ completed, save })
+   * @param {RunReport} report - Run report to record crawl outcomes in
+   * @returns {Object} Raw crawled data keyed by source, then species ID
    */
-  async getSpeciesName(speciesId) {
-    // This would typically query a species database or API
-    // For now, we'll use a simple mapping
-    if (typeof speciesId === 'string') {
-      return speciesId;
+  async crawlData(
+    species,
+    skipCache = false,
+    checkpoint = null,
+    report = null
+  ) {
+    const results = {};
+    const tasks = [];
+
+    // Queue every uncrawled (source, species) pair; the scheduler runs the
+    // sources in parallel while each domain keeps its own rate limit
+    for (const adapter of this.sources.getAll()) {
+      const source = adapter.name;
+      results[source] = { ...(checkpoint?.completed[source] || {}) };
+
+      for (const speciesId of species) {
+        if (results[source][speciesId]) {
+          logger.debug(`Using checkpointed ${source} data for ${speciesId}`);
+          report?.recordCrawl(source, speciesId, {
+            result: results[source][speciesId],
+          });
+          continue;
+        }
+
+        tasks.push({
+          source,
+          speciesId,
+          domain: adapter.getDomain(),
+          run: async () => {
+            const result = await adapter.crawlSpecies(speciesId, { skipCache });
+            results[source][speciesId] = result;
+
+            if (checkpoint) {
+              await checkpoint.save([source, speciesId], result);
+            }
+          },
+        });
+      }
     }
 
-    // Convert ID to name (this would be more sophisticated in practice)
-    const speciesNames = {
-      1: 'bulbasaur',
-      2: 'ivysaur',
-      3: 'venusaur',
-      4: 'charmander',
-      5: 'charmeleon',
-      6: 'charizard',
-      // ... more mappings would be needed
-    };
+    logger.info(
+      `Crawling ${tasks.length} pages from ${this.sources.size} sources (concurrency ${this.scheduler.concurrency})...`
+    );
+    let settled;
+    try {
+      settled = await this.scheduler.run(tasks);
+    } finally {
+      await this.sources.close();
+    }
+
+    settled.forEach((outcome, index) => {
+      const { source, speciesId } = tasks[index];
+      report?.recordCrawl(source, speciesId, {
+        result: results[source][speciesId],
+        error: outcome.reason,
+      });
+
+      if (outcome.status === 'rejected') {
+        logger.warn(
+          `Failed to crawl ${source} species ${speciesId}:`,
+          outcome.reason.message
+        );
+        // Continue with other species
+      }
+    });
 
-    return speciesNames[speciesId] || `pokemon-${speciesId}`;
+    // Keep why and when hosts were cut off by their circuit breakers
+    for (const adapter of report ? this.sources.getAll() : []) {
+      const { circuitBreakers } = adapter.getStats();
+      if (circuitBreakers) {
+        report.recordCircuitBreakers(adapter.name, circuitBreakers);
+      }
+    }
+
+    for (const [source, data] of Object.entries(results)) {
+      logger.info(`Crawled ${Object.keys(data).length} entries from ${source}`);
+    }
+
+    return results;
   }
 
   /**
@@ -261,7 +552,7 @@ class InfinitePokedexServer {
       timestamp: new Date().toISOString(),
       version: '1.0.0',
       components: {
-        crawlers: Array.from(this.crawlers.keys()),
+        sources: this.sources ? this.sources.names() : [],
         processor: !!this.processor,
         synthesizer: !!this.synthesizer,
         builder: !!this.builder,
@@ -271,25 +562,116 @@ class InfinitePokedexServer {
   }
 }
 
-// CLI interface
-// Use import.meta.url to detect if this module is being run directly
-// This is more reliable than comparing process.argv paths
-const isMainModule =
-  import.meta.url === `file://${process.argv[1]}` ||
-  (process.argv[1] &&
-    fileURLToPath(import.meta.url) === resolve(process.argv[1]));
+const HELP_TEXT = `
+Infinite Pokédex Server
 
-if (isMainModule) {
-  const server = new InfinitePokedexServer();
+Usage: node index.js [command] [options]
 
-  // Handle command line arguments
-  const args = process.argv.slice(2);
-  const options = {};
+Commands:
+  run                 Run the complete pipeline (default)
+  crawl               Crawl sources into a new run (or --run)
+  process             Parse and normalize a run's crawl output
+  synthesize          Generate tidbits for a run's processed data
+  build               Build the dataset from a run's synthesized data
+  publish             Publish a run's built dataset to the CDN
+  rollback <version>  Point the CDN latest alias at an earlier version
+  status              Show stage status for all runs (or --run)
+
+Options:
+  --species <list>    Comma-separated species IDs or names (default: all)
+  --gen <n,...>       Only species introduced in these generations
+  --region <names>    Only species from these regions (e.g. Kanto)
+  --range <a-b,...>   Only species in these National Dex ranges
+  --type <types>      Only species with one of these types (e.g. fire)
+  --skip-cache        Skip cached data and re-crawl everything
+  --dry-run           Run pipeline without publishing to CDN
+  --no-tidbits        Build without generating tidbits (no LLM needed)
+  --resume <runId>    Resume an interrupted run from its checkpoints
+  --run <runId>       Run to operate on (default: most recent run)
+  --record            Save every crawl and LLM response as a fixture
+  --replay            Serve responses from recorded fixtures, offline
+  --help              Show this help message
+
+Environment Variables:
+  OPENROUTER_API_KEY  API key for OpenRouter LLM service
+  CDN_BUCKET_URL      CDN bucket URL for publishing datasets
+  CRAWL_RATE_LIMIT    Rate limit in requests per minute (default: 1000)
+  CRAWL_CONCURRENCY   Crawl requests in flight across sources (default: 4)
+  SOURCES             Comma-separated sources to crawl (default: all enabled)
+  CRAWL_MODE          live, record or replay (default: live)
+  FIXTURES_DIR        Fixture archive for record/replay (default: data/fixtures)
+  POKEAPI_CSV         Local PokeAPI CSV files; enables the pokeapi source
+`;
+
+/**
+ * Single-stage CLI commands mapped to pipeline stages
+ */
+const STAGE_COMMANDS = {
+  crawl: 'crawl',
+  process: 'process',
+  synthesize: 'enrich',
+  build: 'build',
+  publish: 'publish',
+};
+
+/**
+ * Split a comma-separated option value
+ * @param {string} value - Option value
+ * @returns {Array<string>} Non-empty trimmed items
+ */
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a National Dex range such as "1-151" (or a single number)
+ * @param {string} value - Range text
+ * @returns {Array<number>} [first, last]
+ */
+function parseRange(value) {
+  const bounds = value.split('-');
+  if (bounds.length > 2 || !bounds.every((bound) => /^\d+$/.test(bound))) {
+    throw new Error(`Invalid range: ${value} (expected e.g. 1-151)`);
+  }
+
+  const first = parseInt(bounds[0]);
+  const last = parseInt(bounds[bounds.length - 1]);
+  if (first > last) {
+    throw new Error(`Invalid range: ${value} (start is after end)`);
+  }
+  return [first, last];
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script path
+ * @returns {Object} Parsed command, positional arguments and options
+ */
+function parseArgs(args) {
+  const parsed = { command: 'run', positional: [], options: {} };
+  const { options } = parsed;
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--species':
-        options.species = args[++i]?.split(',').map((id) => parseInt(id)) || [];
+        options.species = splitList(args[++i]).map((id) =>
+          /^\d+$/.test(id) ? parseInt(id) : id
+        );
+        break;
+      case '--gen':
+        options.generations = splitList(args[++i]).map((gen) => parseInt(gen));
+        break;
+      case '--region':
+        options.regions = splitList(args[++i]);
+        break;
+      case '--range':
+        options.ranges = splitList(args[++i]).map(parseRange);
+        break;
+      case '--type':
+        options.types = splitList(args[++i]);
         break;
       case '--skip-cache':
         options.skipCache = true;
@@ -297,33 +679,127 @@ if (isMainModule) {
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--no-tidbits':
+        options.skipTidbits = true;
+        break;
+      case '--resume':
+        options.resume = args[++i];
+        break;
+      case '--run':
+        options.runId = args[++i];
+        break;
+      case '--record':
+        options.crawlMode = 'record';
+        break;
+      case '--replay':
+        options.crawlMode = 'replay';
+        break;
       case '--help':
-        console.log(`
-Infinite Pokédex Server
+        options.help = true;
+        break;
+      default:
+        if (args[i].startsWith('--')) {
+          throw new Error(`Unknown option: ${args[i]}`);
+        }
+        parsed.positional.push(args[i]);
+    }
+  }
 
-Usage: node index.js [options]
+  if (parsed.positional.length > 0) {
+    parsed.command = parsed.positional.shift();
+  }
 
-Options:
-  --species <ids>     Comma-separated species IDs to crawl (default: all)
-  --skip-cache        Skip cached data and re-crawl everything
-  --dry-run           Run pipeline without publishing to CDN
-  --help              Show this help message
+  return parsed;
+}
 
-Environment Variables:
-  OPENROUTER_API_KEY  API key for OpenRouter LLM service
-  CDN_BUCKET_URL      CDN bucket URL for publishing datasets
-  CRAWL_RATE_LIMIT    Rate limit in requests per minute (default: 1000)
-        `);
-        process.exit(0);
-        break;
+/**
+ * Print run status in a human-readable form
+ * @param {Array<Object>} runs - Run manifests
+ */
+function printRunStatus(runs) {
+  if (runs.length === 0) {
+    console.log('No pipeline runs found.');
+    return;
+  }
+
+  for (const run of runs) {
+    const species = run.options.species || [];
+    console.log(
+      `Run ${run.runId} (created ${run.createdAt}, ${species.length} species)`
+    );
+    for (const stage of PIPELINE_STAGES) {
+      const { status, error } = run.stages[stage] || { status: 'pending' };
+      console.log(
+        `  ${stage.padEnd(8)} ${status}${error ? ` - ${error}` : ''}`
+      );
     }
   }
+}
+
+/**
+ * Dispatch a parsed CLI command
+ * @param {InfinitePokedexServer} server - Server instance
+ * @param {Object} parsed - Parsed arguments
+ * @returns {Promise<void>}
+ */
+async function runCommand(server, { command, positional, options }) {
+  if (options.crawlMode) {
+    server.config.crawlMode = options.crawlMode;
+  }
+  await server.initialize();
+
+  if (command === 'run') {
+    await server.runPipeline(options);
+  } else if (command === 'status') {
+    printRunStatus(await server.getRunStatus(options.runId));
+  } else if (command === 'rollback') {
+    const [version] = positional;
+    if (!version) {
+      throw new Error(
+        'rollback requires a version, e.g. rollback 20240115-1030'
+      );
+    }
+    await server.rollback(version);
+  } else if (STAGE_COMMANDS[command]) {
+    const { runId } = await server.runSingleStage(
+      STAGE_COMMANDS[command],
+      options
+    );
+    console.log(`Run ID: ${runId}`);
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// CLI interface
+// Use import.meta.url to detect if this module is being run directly
+// This is more reliable than comparing process.argv paths
+const isMainModule =
+  import.meta.url === `file://${process.argv[1]}` ||
+  (process.argv[1] &&
+    fileURLToPath(import.meta.url) === resolve(process.argv[1]));
+
+if (isMainModule) {
+  const server = new InfinitePokedexServer();
+
+  // Handle command line arguments
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${HELP_TEXT}`);
+    process.exit(1);
+  }
+
+  if (parsed.options.help) {
+    console.log(HELP_TEXT);
+    process.exit(0);
+  }
 
   // Run the server
   (async () => {
     try {
-      await server.initialize();
-      await server.runPipeline(options);
+      await runCommand(server, parsed);
       logger.info('Server completed successfully');
       process.exit(0);
     } catch (error) {
@@ -333,4 +809,4 @@ Environment Variables:
   })();
 }
 
-export { InfinitePokedexServer };
+export { InfinitePokedexServer, parseArgs };
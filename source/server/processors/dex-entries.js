@@ -0,0 +1,77 @@
+/**
+ * Pokédex Entry Normalization
+ *
+ * Pokédex entries are `{ text, games, generation }`: the flavor text shown
+ * in one or more games (see registry/games.js), and the generation it
+ * first appeared in. Games often reuse an entry word for word, so entries
+ * with the same text are merged.
+ *
+ * @fileoverview Pokédex entry merging and ordering
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { GAMES } from '../registry/games.js';
+
+/**
+ * Merge entries with identical text (ignoring whitespace and case),
+ * combining their games and keeping the earliest generation
+ * @param {Array<Object>} entries - Pokédex entries
+ * @returns {Array<Object>} Merged entries, ordered by their first game
+ */
+export function mergeDexEntries(entries) {
+  const merged = new Map();
+
+  for (const entry of entries) {
+    const text = normalizeText(entry.text);
+    if (!text) continue;
+
+    const key = text.toLowerCase();
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.games = [...new Set([...existing.games, ...entry.games])];
+      existing.generation = Math.min(existing.generation, entry.generation);
+    } else {
+      merged.set(key, { ...entry, text, games: [...entry.games] });
+    }
+  }
+
+  return [...merged.values()]
+    .map((entry) => ({ ...entry, games: sortGames(entry.games) }))
+    .sort(
+      (a, b) =>
+        a.generation - b.generation ||
+        gameOrder(a.games[0]) - gameOrder(b.games[0])
+    );
+}
+
+/**
+ * Collapse the whitespace and line breaks flavor text is printed with
+ * @param {string} text - Entry text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text = '') {
+  return text
+    .replace(/\u00ad/g, '') // Soft hyphens from in-game line breaks
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get a game's position in release order
+ * @param {string} id - Game ID
+ * @returns {number} Index in GAMES (-1 if unknown)
+ */
+function gameOrder(id) {
+  return GAMES.findIndex((game) => game.id === id);
+}
+
+/**
+ * Put game IDs in release order
+ * @param {Array<string>} games - Game IDs
+ * @returns {Array<string>} Sorted copy
+ */
+function sortGames(games) {
+  return [...games].sort((a, b) => gameOrder(a) - gameOrder(b));
+}
@@ -0,0 +1,230 @@
+/**
+ * Evolution Graph
+ *
+ * Evolutions are directed edges between species,
+ * `{ from, to, trigger, conditions, text }`, keyed by National Dex number.
+ * `trigger` is how the evolution happens (`level-up`, `trade`, `use-item`
+ * or `other`), `conditions` holds the typed requirements parsed from the
+ * source's wording, and `text` keeps that wording (`unparsed` holds any
+ * part of it no condition accounts for). Families are the
+ * connected parts of the dataset-wide graph, so branches (Eevee) and
+ * merges (e.g. a baby evolving into a species with another pre-evolution)
+ * need no special casing.
+ *
+ * @fileoverview Evolution condition parsing and graph building
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { speciesRegistry } from '../registry/species-registry.js';
+
+/**
+ * Evolution triggers
+ */
+export const EVOLUTION_TRIGGERS = ['level-up', 'trade', 'use-item', 'other'];
+
+/**
+ * Condition patterns, matched against an evolution's wording. Each sets
+ * one condition from its first capture group (or to true without one).
+ */
+const CONDITIONS = [
+  ['level', /\blevel (\d+)/i, Number],
+  [
+    'heldItem',
+    /\b[Hh]olding (?:a |an |the )?([A-Z][\w'. -]*?)(?=$|[,)]| during| at| in | while| with)/,
+  ],
+  [
+    'item',
+    /\b(?:[Uu]se|[Uu]sing|[Ee]xposed to) (?:a |an |the )?([A-Z][\w'. -]*?)(?=$|[,)]| during| at| in | while| on)/,
+  ],
+  ['item', /^(?:a |an )?([A-Z][\w'.-]* Stone)\b/],
+  ['friendship', /\b(?:high )?(?:friendship|happiness)\b/i],
+  ['affection', /\b(?:high )?affection\b/i],
+  [
+    'timeOfDay',
+    /\b(day|night|dusk)(?:time)?\b/i,
+    (value) => value.toLowerCase(),
+  ],
+  [
+    'weather',
+    /\b(?:during|in) (?:the )?(?:overworld )?(rain|fog|snow|hail|sandstorm|thunderstorm)\b/i,
+    (value) => value.toLowerCase(),
+  ],
+  ['knownMoveType', /\b[Kk]nowing an? ([A-Z][a-z]+)-type move/],
+  [
+    'knownMove',
+    /\b[Kk]nowing (?!an? [A-Z][a-z]+-type)([A-Z][\w' -]*?)(?=$|[,)]| during| at| in | while)/,
+  ],
+  [
+    'partyType',
+    /\bwith (?:a |an )?([A-Z][a-z]+)-type (?:Pokémon )?in (?:the |your )?party\b/,
+  ],
+  [
+    'partySpecies',
+    /\bwith (?!(?:a |an )?[A-Z][a-z]+-type)(?:a |an )?([A-Z][\w'.é -]*?) in (?:the |your )?party\b/,
+  ],
+  [
+    'statComparison',
+    /\b(attack|defense) ?([<>=]) ?(attack|defense)\b/i,
+    (value, match) =>
+      // Always stated as Attack against Defense
+      match[1].toLowerCase() === 'attack'
+        ? `attack${match[2]}defense`
+        : `attack${{ '<': '>', '>': '<', '=': '=' }[match[2]]}defense`,
+  ],
+  [
+    'location',
+    /\b(?:[Aa]t|[Nn]ear|[Ii]n) (?:a |an |the )?(?!(?:Overworld )?(?:Day|Night|Dusk|Rain|Fog|Snow|Hail|Sandstorm|Thunderstorm)\b)([A-Z][\w'.é -]*?)(?=$|[,)]| during| while| with| holding| knowing)/,
+  ],
+  ['gender', /\b(male|female)\b/i, (value) => value.toLowerCase()],
+  [
+    'tradeWith',
+    /\btraded? (?:with|for) (?:a |an )?([A-Z][\w'. -]*?)(?=$|[,)])/i,
+  ],
+];
+
+/**
+ * Words that state a trigger or join conditions, so carry no condition of
+ * their own
+ */
+const FILLER =
+  /\b(?:level(?:ed)?|up|trade[ds]?|use|using|evolves?|when|with|while|during|if|the|an?|and|or|in|at|near|on|by|pok[eé]mon)\b|[,.;:()]/gi;
+
+/**
+ * Conditions that, without an item or trade, mean the species evolves on
+ * leveling up even when the wording does not say so
+ */
+const LEVEL_UP_CONDITIONS = [
+  'friendship',
+  'affection',
+  'heldItem',
+  'knownMove',
+  'knownMoveType',
+  'timeOfDay',
+  'weather',
+  'partySpecies',
+  'partyType',
+  'statComparison',
+  'location',
+];
+
+/**
+ * Parse an evolution's wording into its trigger and typed conditions
+ * (e.g. "Trade holding Metal Coat", "Level 16", "High Friendship during
+ * the day", "Use Fire Stone", "Level up knowing a Fairy-type move")
+ *
+ * Wording no condition accounts for is returned as `unparsed`, so
+ * consumers can fall back to the source's text rather than show an
+ * incomplete description.
+ *
+ * @param {string} text - Evolution wording
+ * @returns {Object} Trigger and conditions ({ trigger, conditions }), plus
+ *   `unparsed` when some of the wording was not understood
+ */
+export function parseEvolutionConditions(text) {
+  const conditions = {};
+  let rest = text;
+
+  for (const [name, pattern, convert] of CONDITIONS) {
+    if (conditions[name] !== undefined) continue;
+    const match = text.match(pattern);
+    if (match) {
+      const value = match[1]?.trim();
+      conditions[name] =
+        value === undefined ? true : (convert || String)(value, match);
+      rest = rest.replace(match[0], ' ');
+    }
+  }
+
+  let trigger = 'other';
+  if (/\btrade/i.test(text)) {
+    trigger = 'trade';
+  } else if (conditions.item) {
+    trigger = 'use-item';
+  } else if (
+    /\blevel/i.test(text) ||
+    LEVEL_UP_CONDITIONS.some((name) => conditions[name] !== undefined)
+  ) {
+    trigger = 'level-up';
+  }
+
+  const unparsed = rest.replace(FILLER, ' ').replace(/\s+/g, ' ').trim();
+  return unparsed ? { trigger, conditions, unparsed } : { trigger, conditions };
+}
+
+/**
+ * Merge evolution edges, dropping repeats (the same evolution listed on
+ * several family members' pages or by several sources)
+ * @param {Array<Object>} edges - Edges ({ from, to, trigger, conditions,
+ *   text })
+ * @returns {Array<Object>} Merged edges, in first-seen order
+ */
+export function mergeEvolution(edges) {
+  const merged = new Map();
+
+  for (const edge of edges) {
+    const key = [edge.from, edge.to, normalizeText(edge.text)].join('|');
+    if (!merged.has(key)) {
+      merged.set(key, edge);
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Build the dataset-wide evolution graph from every species' edges
+ * @param {Object} species - Canonical species keyed by ID, each with its
+ *   `evolution` edges
+ * @returns {Object} Graph ({ nodes: [{ id, name }], edges }), ordered by
+ *   National Dex number
+ */
+export function buildEvolutionGraph(species) {
+  const edges = mergeEvolution(
+    Object.values(species).flatMap((entry) => entry.evolution || [])
+  ).sort((a, b) => a.from - b.from || a.to - b.to);
+
+  const ids = [...new Set(edges.flatMap((edge) => [edge.from, edge.to]))];
+  const nodes = ids
+    .sort((a, b) => a - b)
+    .map((id) => ({
+      id,
+      name: species[id]?.name || speciesRegistry.getName(id),
+    }));
+
+  return { nodes, edges };
+}
+
+/**
+ * Get the species in the same family as a species: everything it evolves
+ * from or into, directly or not
+ * @param {Object} graph - Evolution graph ({ nodes, edges })
+ * @param {number} speciesId - Species ID
+ * @returns {Array<number>} Family species IDs, in National Dex order
+ *   (just the species itself when it does not evolve)
+ */
+export function getEvolutionFamily(graph, speciesId) {
+  const family = new Set([Number(speciesId)]);
+  let grew = true;
+
+  while (grew) {
+    grew = false;
+    for (const { from, to } of graph.edges) {
+      if (family.has(from) !== family.has(to)) {
+        family.add(from).add(to);
+        grew = true;
+      }
+    }
+  }
+
+  return [...family].sort((a, b) => a - b);
+}
+
+/**
+ * Normalize wording for comparison
+ * @param {string} text - Evolution wording
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalizeText(text = '') {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
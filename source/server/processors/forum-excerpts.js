@@ -0,0 +1,140 @@
+/**
+ * Forum Excerpts
+ *
+ * Picks the forum posts worth grounding a species' tidbits in: posts that
+ * mention the species in their own words (quoted text is someone else's)
+ * or that belong to a thread about it. Each excerpt keeps a stable source
+ * ID (`<source>:post-<id>`) that tidbits can cite in their sourceRefs.
+ *
+ * @fileoverview Forum post relevance filtering and excerpting
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+/**
+ * Select the most relevant posts of a species' forum threads
+ * @param {Array<Object>} threads - Thread pages ({ title, posts }), with
+ *   posts as { id, url, author, date, text, quotes }
+ * @param {string} name - Species name
+ * @param {Object} options - Selection options ({ source, excerpts,
+ *   excerptLength, minLength }), see the Smogon forumSearch config
+ * @returns {Array<Object>} Excerpts ({ id, url, thread, author, date,
+ *   text, score }), most relevant first
+ */
+export function selectForumExcerpts(threads, name, options = {}) {
+  const {
+    source = 'forums',
+    excerpts = 8,
+    excerptLength = 500,
+    minLength = 40,
+  } = options;
+  const selected = [];
+
+  for (const thread of threads) {
+    const aboutSpecies = countMentions(thread.title || '', name) > 0;
+
+    for (const post of thread.posts || []) {
+      if (post.text.length < minLength) continue;
+
+      const mentions = countMentions(post.text, name);
+      if (mentions === 0 && !aboutSpecies) continue;
+
+      selected.push({
+        id: `${source}:${post.id}`,
+        url: post.url,
+        thread: thread.title || null,
+        author: post.author,
+        date: post.date,
+        text: excerpt(post.text, name, excerptLength),
+        score: mentions * 2 + (aboutSpecies ? 1 : 0),
+      });
+    }
+  }
+
+  return mergeForumExcerpts(selected).slice(0, excerpts);
+}
+
+/**
+ * Merge excerpts, dropping repeated posts (a thread page fetched twice, or
+ * the same post from two sources' runs)
+ * @param {Array<Object>} excerpts - Excerpts
+ * @returns {Array<Object>} Unique excerpts, most relevant and then newest
+ *   first
+ */
+export function mergeForumExcerpts(excerpts) {
+  const byId = new Map();
+
+  for (const item of excerpts) {
+    const existing = byId.get(item.id);
+    if (!existing || item.score > existing.score) {
+      byId.set(item.id, item);
+    }
+  }
+
+  return [...byId.values()].sort(
+    (a, b) =>
+      b.score - a.score ||
+      (b.date || '').localeCompare(a.date || '') ||
+      a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Format excerpts for the tidbit prompt, each headed by its source ID
+ * @param {Array<Object>} excerpts - Excerpts
+ * @returns {string} Forum data text (empty without excerpts)
+ */
+export function formatForumExcerpts(excerpts) {
+  return excerpts
+    .map((item) => {
+      const thread = item.thread ? ` in "${item.thread}"` : '';
+      const date = item.date ? ` (${item.date.slice(0, 10)})` : '';
+      return `[${item.id}] ${item.author || 'Unknown'}${thread}${date}: ${item.text}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Count the mentions of a name in text, ignoring case and matches inside
+ * longer words
+ * @param {string} text - Text
+ * @param {string} name - Species name
+ * @returns {number} Mentions
+ */
+function countMentions(text, name) {
+  if (!name) return 0;
+  const pattern = new RegExp(
+    `(^|[^a-z0-9])${escapeRegExp(name)}(?![a-z0-9])`,
+    'gi'
+  );
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Cut a post down to an excerpt around its first mention of the species
+ * @param {string} text - Post text
+ * @param {string} name - Species name
+ * @param {number} length - Maximum excerpt length
+ * @returns {string} Excerpt, with ellipses where text was cut
+ */
+function excerpt(text, name, length) {
+  if (text.length <= length) return text;
+
+  const mention = text.toLowerCase().indexOf(name.toLowerCase());
+  const start = Math.min(
+    Math.max(0, mention - Math.floor(length / 4)),
+    text.length - length
+  );
+  const cut = text.slice(start, start + length).trim();
+
+  return `${start > 0 ? '…' : ''}${cut}${start + length < text.length ? '…' : ''}`;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - String
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,71 @@
+/**
+ * Learnset Normalization
+ *
+ * Learnsets are lists of `{ move, method, level, generation, games }`
+ * entries: how a species learns a move in one generation, and in which of
+ * that generation's games (see registry/games.js). `level` is set for
+ * level-up moves only, and is null for moves learned on evolution.
+ *
+ * @fileoverview Learnset merging and ordering
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { GAMES } from '../registry/games.js';
+
+/**
+ * Learn methods, in display order
+ */
+export const LEARN_METHODS = ['level-up', 'machine', 'egg', 'tutor', 'event'];
+
+/**
+ * Merge learnset entries, combining the games of entries that differ only
+ * in their games (e.g. the same move from two sources or two pages)
+ * @param {Array<Object>} entries - Learnset entries
+ * @returns {Array<Object>} Merged entries, in first-seen order
+ */
+export function mergeLearnset(entries) {
+  const merged = new Map();
+
+  for (const entry of entries) {
+    const key = [entry.move, entry.method, entry.level, entry.generation].join(
+      '|'
+    );
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.games = sortGames([
+        ...new Set([...existing.games, ...entry.games]),
+      ]);
+    } else {
+      merged.set(key, { ...entry, games: sortGames(entry.games) });
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Order a learnset by generation, method, level and move name
+ * @param {Array<Object>} entries - Learnset entries
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortLearnset(entries) {
+  return [...entries].sort(
+    (a, b) =>
+      a.generation - b.generation ||
+      LEARN_METHODS.indexOf(a.method) - LEARN_METHODS.indexOf(b.method) ||
+      (a.level ?? 0) - (b.level ?? 0) ||
+      a.move.localeCompare(b.move)
+  );
+}
+
+/**
+ * Put game IDs in release order
+ * @param {Array<string>} games - Game IDs
+ * @returns {Array<string>} Sorted copy
+ */
+function sortGames(games) {
+  const order = (id) => GAMES.findIndex((game) => game.id === id);
+  return [...games].sort((a, b) => order(a) - order(b));
+}
@@ -1,33 +1,44 @@
 /**
  * Data Processor and Parser
  *
- * Handles HTML parsing, data normalization, and schema validation for
- * crawled Pokémon data from multiple sources.
+ * Extracts crawled documents through each source's adapter, then merges,
+ * normalizes and schema-validates Pokémon data from multiple sources.
  *
- * @fileoverview Data processing and HTML parsing
+ * @fileoverview Data processing and normalization
  * @author Infinite Pokédex Team
  * @version 1.0.0
  */
 
-import * as cheerio from 'cheerio';
 import { logger } from '../utils/logger.js';
 import { validateSchema } from '../utils/validation.js';
+import { measureCoverage } from '../builders/run-report.js';
+import { mergeLearnset } from './learnset.js';
+import { mergeDexEntries } from './dex-entries.js';
+import { mergeEvolution } from './evolution.js';
+import { mergeForumExcerpts } from './forum-excerpts.js';
 
 /**
  * Data processor for crawled content
  */
 export class DataProcessor {
-  constructor(config) {
+  /**
+   * @param {Object} config - Server configuration
+   * @param {SourceRegistry} sources - Source adapters that extract documents
+   */
+  constructor(config, sources) {
     this.config = config;
+    this.sources = sources;
     this.schema = this.loadSchema();
   }
 
   /**
    * Process raw crawled data from all sources
    * @param {Object} rawData - Raw data from crawlers
+   * @param {RunReport} report - Optional run report to record coverage and
+   *   validation results in
    * @returns {Promise<Object>} Processed and normalized data
    */
-  async process(rawData) {
+  async process(rawData, report = null) {
     try {
       logger.info('Processing crawled data...');
 
@@ -36,11 +47,12 @@ export class DataProcessor {
       // Process each source
       for (const [source, data] of Object.entries(rawData)) {
         logger.info(`Processing ${source} data...`);
-        processedData[source] = await this.processSource(source, data);
+        await this.sources.get(source).prepare();
+        processedData[source] = await this.processSource(source, data, report);
       }
 
       // Merge and normalize data
-      const normalizedData = await this.normalizeData(processedData);
+      const normalizedData = await this.normalizeData(processedData, report);
 
       logger.info(
         `Processing complete: ${Object.keys(normalizedData).length} species processed`
@@ -56,20 +68,28 @@ export class DataProcessor {
    * Process data from a specific source
    * @param {string} source - Source name
    * @param {Object} data - Source data
+   * @param {RunReport} report - Optional run report
    * @returns {Promise<Object>} Processed source data
    */
-  async processSource(source, data) {
+  async processSource(source, data, report = null) {
     const processed = {};
+    const fields = this.getContentFields();
 
     for (const [speciesId, speciesData] of Object.entries(data)) {
       try {
         const processedSpecies = await this.processSpecies(source, speciesData);
         processed[speciesId] = processedSpecies;
+        report?.recordCoverage(
+          source,
+          speciesId,
+          measureCoverage(processedSpecies, fields)
+        );
       } catch (error) {
         logger.error(
           `Failed to process ${source} species ${speciesId}:`,
           error.message
         );
+        report?.recordParseError(source, speciesId, error);
         // Continue with other species
       }
     }
@@ -84,23 +104,9 @@ export class DataProcessor {
    * @returns {Promise<Object>} Processed species data
    */
   async processSpecies(source, speciesData) {
-    const { data, url, timestamp } = speciesData;
-
-    // Parse HTML content
-    const $ = cheerio.load(data);
-
-    // Extract data based on source
-    let parsedData;
-    switch (source) {
-      case 'bulbapedia':
-        parsedData = this.parseBulbapedia($);
-        break;
-      case 'serebii':
-        parsedData = this.parseSerebii($);
-        break;
-      default:
-        throw new Error(`Unknown source: ${source}`);
-    }
+    const { documents, url, timestamp, speciesId } = speciesData;
+
+    const parsedData = this.sources.get(source).extract(documents, speciesId);
 
     // Add metadata
     parsedData.source = source;
@@ -111,345 +117,13 @@ export class DataProcessor {
     return parsedData;
   }
 
-  /**
-   * Parse Bulbapedia HTML
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Parsed data
-   */
-  parseBulbapedia($) {
-    const data = {
-      name: this.extractName($),
-      types: this.extractTypes($),
-      stats: this.extractStats($),
-      abilities: this.extractAbilities($),
-      moves: this.extractMoves($),
-      description: this.extractDescription($),
-      trivia: this.extractTrivia($),
-      images: this.extractImages($),
-    };
-
-    return data;
-  }
-
-  /**
-   * Parse Serebii HTML
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Parsed data
-   */
-  parseSerebii($) {
-    const data = {
-      name: this.extractName($),
-      types: this.extractTypes($),
-      stats: this.extractStats($),
-      abilities: this.extractAbilities($),
-      moves: this.extractMoves($),
-      description: this.extractDescription($),
-      locations: this.extractLocations($),
-      evolution: this.extractEvolution($),
-      images: this.extractImages($),
-    };
-
-    return data;
-  }
-
-  /**
-   * Extract Pokémon name
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {string} Pokémon name
-   */
-  extractName($) {
-    // Try multiple selectors for name
-    const selectors = [
-      'h1#firstHeading',
-      'h1',
-      '.infobox .infobox-title',
-      '.pokedex-title',
-    ];
-
-    for (const selector of selectors) {
-      const name = $(selector).first().text().trim();
-      if (name) {
-        return this.cleanText(name);
-      }
-    }
-
-    return 'Unknown';
-  }
-
-  /**
-   * Extract Pokémon types
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Types array
-   */
-  extractTypes($) {
-    const types = [];
-
-    // Look for type information in various places
-    $('.infobox tr').each((i, row) => {
-      const $row = $(row);
-      const label = $row.find('th').text().trim().toLowerCase();
-
-      if (label.includes('type')) {
-        $row.find('td a').each((j, link) => {
-          const type = $(link).text().trim();
-          if (type && !types.includes(type)) {
-            types.push(type);
-          }
-        });
-      }
-    });
-
-    return types.length > 0 ? types : ['Normal'];
-  }
-
-  /**
-   * Extract base stats
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Base stats
-   */
-  extractStats($) {
-    const stats = {
-      hp: 0,
-      attack: 0,
-      defense: 0,
-      spAttack: 0,
-      spDefense: 0,
-      speed: 0,
-    };
-
-    // Look for stats table
-    $('table tr').each((i, row) => {
-      const $row = $(row);
-      const cells = $row.find('td');
-
-      if (cells.length >= 2) {
-        const label = cells.first().text().trim().toLowerCase();
-        const value = parseInt(cells.eq(1).text().trim());
-
-        if (!isNaN(value)) {
-          switch (label) {
-            case 'hp':
-            case 'hit points':
-              stats.hp = value;
-              break;
-            case 'attack':
-              stats.attack = value;
-              break;
-            case 'defense':
-              stats.defense = value;
-              break;
-            case 'sp. attack':
-            case 'special attack':
-              stats.spAttack = value;
-              break;
-            case 'sp. defense':
-            case 'special defense':
-              stats.spDefense = value;
-              break;
-            case 'speed':
-              stats.speed = value;
-              break;
-          }
-        }
-      }
-    });
-
-    return stats;
-  }
-
-  /**
-   * Extract abilities
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Abilities array
-   */
-  extractAbilities($) {
-    const abilities = [];
-
-    $('.infobox tr').each((i, row) => {
-      const $row = $(row);
-      const label = $row.find('th').text().trim().toLowerCase();
-
-      if (label.includes('ability') || label.includes('abilities')) {
-        $row.find('td a').each((j, link) => {
-          const ability = $(link).text().trim();
-          if (ability && !abilities.includes(ability)) {
-            abilities.push(ability);
-          }
-        });
-      }
-    });
-
-    return abilities;
-  }
-
-  /**
-   * Extract moves
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Moves array
-   */
-  extractMoves($) {
-    const moves = [];
-
-    // Look for moves in various sections
-    $('h2, h3').each((i, header) => {
-      const $header = $(header);
-      const text = $header.text().trim().toLowerCase();
-
-      if (text.includes('move') || text.includes('attack')) {
-        const $list = $header.nextUntil('h2, h3');
-        $list.find('li, tr').each((j, item) => {
-          const moveText = $(item).text().trim();
-          if (moveText) {
-            moves.push({
-              name: this.cleanText(moveText),
-              source: 'parsed',
-            });
-          }
-        });
-      }
-    });
-
-    return moves.slice(0, 50); // Limit to 50 moves
-  }
-
-  /**
-   * Extract description
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {string} Description
-   */
-  extractDescription($) {
-    // Look for description in various places
-    const selectors = ['.mw-parser-output p', '.content p', '.description p'];
-
-    for (const selector of selectors) {
-      const $p = $(selector).first();
-      const text = $p.text().trim();
-      if (text && text.length > 50) {
-        return this.cleanText(text);
-      }
-    }
-
-    return '';
-  }
-
-  /**
-   * Extract trivia
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Trivia array
-   */
-  extractTrivia($) {
-    const trivia = [];
-
-    $('h2, h3').each((i, header) => {
-      const $header = $(header);
-      const text = $header.text().trim().toLowerCase();
-
-      if (
-        text.includes('trivia') ||
-        text.includes('origin') ||
-        text.includes('name')
-      ) {
-        const $list = $header.nextUntil('h2, h3');
-        $list.find('li').each((j, item) => {
-          const triviaText = $(item).text().trim();
-          if (triviaText && triviaText.length > 10) {
-            trivia.push(this.cleanText(triviaText));
-          }
-        });
-      }
-    });
-
-    return trivia.slice(0, 10); // Limit to 10 trivia items
-  }
-
-  /**
-   * Extract locations
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<string>} Locations array
-   */
-  extractLocations($) {
-    const locations = [];
-
-    $('h2, h3').each((i, header) => {
-      const $header = $(header);
-      const text = $header.text().trim().toLowerCase();
-
-      if (text.includes('location') || text.includes('where')) {
-        const $list = $header.nextUntil('h2, h3');
-        $list.find('li, a').each((j, item) => {
-          const location = $(item).text().trim();
-          if (location && !locations.includes(location)) {
-            locations.push(this.cleanText(location));
-          }
-        });
-      }
-    });
-
-    return locations.slice(0, 20); // Limit to 20 locations
-  }
-
-  /**
-   * Extract evolution information
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Object} Evolution data
-   */
-  extractEvolution($) {
-    const evolution = {
-      chain: [],
-      method: '',
-      level: null,
-    };
-
-    // Look for evolution information
-    $('.infobox tr').each((i, row) => {
-      const $row = $(row);
-      const label = $row.find('th').text().trim().toLowerCase();
-
-      if (label.includes('evolution') || label.includes('evolve')) {
-        const text = $row.find('td').text().trim();
-        evolution.method = this.cleanText(text);
-      }
-    });
-
-    return evolution;
-  }
-
-  /**
-   * Extract images
-   * @param {CheerioAPI} $ - Cheerio instance
-   * @returns {Array<Object>} Images array
-   */
-  extractImages($) {
-    const images = [];
-
-    $('img').each((i, img) => {
-      const $img = $(img);
-      const src = $img.attr('src');
-      const alt = $img.attr('alt') || '';
-
-      if (
-        src &&
-        (alt.toLowerCase().includes('pokemon') ||
-          alt.toLowerCase().includes('pokémon'))
-      ) {
-        images.push({
-          src: this.normalizeImageUrl(src),
-          alt: this.cleanText(alt),
-          width: $img.attr('width'),
-          height: $img.attr('height'),
-        });
-      }
-    });
-
-    return images.slice(0, 5); // Limit to 5 images
-  }
-
   /**
    * Normalize data from multiple sources
    * @param {Object} processedData - Processed data from all sources
+   * @param {RunReport} report - Optional run report
    * @returns {Promise<Object>} Normalized data
    */
-  async normalizeData(processedData) {
+  async normalizeData(processedData, report = null) {
     const normalized = {};
 
     // Group by species ID
@@ -469,7 +143,8 @@ export class DataProcessor {
       try {
         const normalizedSpecies = await this.normalizeSpecies(
           speciesId,
-          sources
+          sources,
+          report
         );
         normalized[speciesId] = normalizedSpecies;
       } catch (error) {
@@ -488,21 +163,32 @@ export class DataProcessor {
    * Normalize a single species from multiple sources
    * @param {string} speciesId - Species ID
    * @param {Object} sources - Data from all sources
+   * @param {RunReport} report - Optional run report
    * @returns {Promise<Object>} Normalized species data
    */
-  async normalizeSpecies(speciesId, sources) {
+  async normalizeSpecies(speciesId, sources, report = null) {
     const normalized = {
       id: speciesId,
       name: '',
       types: [],
       stats: {},
       abilities: [],
+      height: null,
+      weight: null,
+      genderRatio: null,
+      catchRate: null,
+      eggGroups: [],
       moves: [],
+      forms: [],
+      learnset: [],
       description: '',
+      dexEntries: [],
       trivia: [],
       locations: [],
-      evolution: {},
+      evolution: [],
       images: [],
+      competitive: null,
+      forums: [],
       sources: {},
     };
 
@@ -532,14 +218,46 @@ export class DataProcessor {
         ];
       }
 
+      // Measurements and breeding facts are single values; the first source
+      // with one wins
+      for (const field of ['height', 'weight', 'genderRatio', 'catchRate']) {
+        if (data[field] != null && normalized[field] === null) {
+          normalized[field] = data[field];
+        }
+      }
+
+      if (data.eggGroups && data.eggGroups.length > 0) {
+        normalized.eggGroups = [
+          ...new Set([...normalized.eggGroups, ...data.eggGroups]),
+        ];
+      }
+
       if (data.moves && data.moves.length > 0) {
         normalized.moves = [...normalized.moves, ...data.moves];
       }
 
+      if (data.forms && data.forms.length > 0) {
+        normalized.forms = mergeForms(normalized.forms, data.forms);
+      }
+
+      if (data.learnset && data.learnset.length > 0) {
+        normalized.learnset = mergeLearnset([
+          ...normalized.learnset,
+          ...data.learnset,
+        ]);
+      }
+
       if (data.description && !normalized.description) {
         normalized.description = data.description;
       }
 
+      if (data.dexEntries && data.dexEntries.length > 0) {
+        normalized.dexEntries = mergeDexEntries([
+          ...normalized.dexEntries,
+          ...data.dexEntries,
+        ]);
+      }
+
       if (data.trivia && data.trivia.length > 0) {
         normalized.trivia = [...normalized.trivia, ...data.trivia];
       }
@@ -550,17 +268,33 @@ export class DataProcessor {
         ];
       }
 
-      if (data.evolution && Object.keys(data.evolution).length > 0) {
-        normalized.evolution = { ...normalized.evolution, ...data.evolution };
+      if (data.evolution && data.evolution.length > 0) {
+        normalized.evolution = mergeEvolution([
+          ...normalized.evolution,
+          ...data.evolution,
+        ]);
       }
 
       if (data.images && data.images.length > 0) {
         normalized.images = [...normalized.images, ...data.images];
       }
+
+      // Competitive data comes whole from one strategy page, never mixed
+      if (data.competitive && !normalized.competitive) {
+        normalized.competitive = data.competitive;
+      }
+
+      if (data.forums && data.forums.length > 0) {
+        normalized.forums = mergeForumExcerpts([
+          ...normalized.forums,
+          ...data.forums,
+        ]);
+      }
     }
 
     // Validate against schema
     const validation = validateSchema(normalized, this.schema);
+    report?.recordValidation(speciesId, validation);
     if (!validation.valid) {
       logger.warn(
         `Schema validation failed for species ${speciesId}:`,
@@ -572,31 +306,14 @@ export class DataProcessor {
   }
 
   /**
-   * Clean and normalize text
-   * @param {string} text - Text to clean
-   * @returns {string} Cleaned text
-   */
-  cleanText(text) {
-    return text
-      .replace(/<[^>]*>/g, '') // Remove HTML tags
-      .replace(/[^\p{L}\p{N}\s\-.,!?:;()'"♀♂]/gu, '') // Preserve Unicode letters, numbers, and common punctuation
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
-  }
-
-  /**
-   * Normalize image URL
-   * @param {string} url - Image URL
-   * @returns {string} Normalized URL
+   * Get the schema fields that carry species content (used for parse
+   * coverage), i.e. everything except identifiers and provenance
+   * @returns {Array<string>} Field names
    */
-  normalizeImageUrl(url) {
-    if (url.startsWith('//')) {
-      return `https:${url}`;
-    }
-    if (url.startsWith('/')) {
-      return `https://bulbapedia.bulbagarden.net${url}`;
-    }
-    return url;
+  getContentFields() {
+    return Object.keys(this.schema).filter(
+      (field) => !['id', 'sources'].includes(field)
+    );
   }
 
   /**
@@ -610,13 +327,61 @@ export class DataProcessor {
       types: { type: 'array', required: true },
       stats: { type: 'object', required: false },
       abilities: { type: 'array', required: false },
+      height: { type: 'number', required: false },
+      weight: { type: 'number', required: false },
+      genderRatio: { type: 'object', required: false },
+      catchRate: { type: 'number', required: false },
+      eggGroups: { type: 'array', required: false },
       moves: { type: 'array', required: false },
+      forms: { type: 'array', required: false },
+      learnset: { type: 'array', required: false },
       description: { type: 'string', required: false },
+      dexEntries: { type: 'array', required: false },
       trivia: { type: 'array', required: false },
       locations: { type: 'array', required: false },
-      evolution: { type: 'object', required: false },
+      evolution: { type: 'array', required: false },
       images: { type: 'array', required: false },
+      competitive: { type: 'object', required: false },
+      forums: { type: 'array', required: false },
       sources: { type: 'object', required: true },
     };
   }
 }
+
+/**
+ * Merge forms from another source into the forms collected so far,
+ * matching them by registry form name and applying the same preferences as
+ * for the base species
+ * @param {Array<Object>} forms - Forms so far ({ name, types, stats,
+ *   abilities, images })
+ * @param {Array<Object>} incoming - Forms from the next source
+ * @returns {Array<Object>} Merged forms
+ */
+function mergeForms(forms, incoming) {
+  const merged = forms.map((form) => ({ ...form }));
+
+  for (const form of incoming) {
+    const existing = merged.find((candidate) => candidate.name === form.name);
+    if (!existing) {
+      merged.push({
+        name: form.name,
+        types: form.types || [],
+        stats: form.stats || {},
+        abilities: form.abilities || [],
+        images: form.images || [],
+      });
+      continue;
+    }
+
+    if (existing.types.length === 0 && form.types?.length > 0) {
+      existing.types = form.types;
+    }
+    existing.stats = { ...existing.stats, ...form.stats };
+    existing.abilities = [
+      ...new Set([...existing.abilities, ...(form.abilities || [])]),
+    ];
+    existing.images = [...existing.images, ...(form.images || [])];
+  }
+
+  return merged;
+}
@@ -0,0 +1,183 @@
+/**
+ * Selector Extractor
+ *
+ * Runs a declarative extraction spec against an HTML page, so a source's
+ * fields can be described in its configuration instead of a parser class.
+ * Each field names a CSS selector (or fallbacks tried in order), what to
+ * read from the matched elements (their text or an attribute), the
+ * transforms to apply and whether one value or every match is kept. Fields
+ * may nest, reading an object from within each matched element.
+ *
+ * @fileoverview Declarative CSS selector field extraction
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Named transforms, applied to each value in turn (element-wise once a
+ * value is a list)
+ */
+export const TRANSFORMS = {
+  lowercase: (value) => value.toLowerCase(),
+  // "1,059" -> 1059
+  integer: (value) => parseInteger(value.replace(/,/g, '')),
+  // First number in the text, e.g. "0.7 m (2′04″)" -> 0.7
+  number: (value) => {
+    const match = value.match(/-?\d*\.?\d+/);
+    return match ? parseFloat(match[0]) : null;
+  },
+  // Relative links resolve against the page URL; without one, only
+  // absolute links are kept
+  url: (value, context) => {
+    try {
+      return new URL(value, context.url).href;
+    } catch {
+      return null;
+    }
+  },
+  // "Overgrow / Chlorophyll" -> ['Overgrow', 'Chlorophyll']
+  list: (value) =>
+    value
+      .split(/[,/&]/)
+      .map((item) => item.trim())
+      .filter(Boolean),
+};
+
+/**
+ * Extract fields from an HTML page
+ *
+ * A field spec is a selector (or list of selectors), or an object:
+ *   - `selector`: CSS selector, or a list tried in order until one yields
+ *     a value; omitted, the enclosing element itself is read
+ *   - `attribute`: attribute to read instead of the text
+ *   - `transform`: transform name (see TRANSFORMS) or function, or a list
+ *     of them
+ *   - `multiple`: keep every matched value as an array instead of the
+ *     first
+ *   - `fields`: nested field specs read within each matched element
+ *   - `default`: value when nothing matches (null, or [] for `multiple`)
+ *
+ * @param {string|CheerioAPI} page - Page HTML, or a page already loaded
+ * @param {Object} fields - Field specs by field name
+ * @param {Object} context - Page context passed to transforms ({ url })
+ * @returns {Object} Extracted values by field name
+ */
+export function extractFields(page, fields, context = {}) {
+  const $ = typeof page === 'string' ? cheerio.load(page) : page;
+  return readFields($, $.root(), fields, context);
+}
+
+/**
+ * Read each field within an element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio} scope - Element the selectors are relative to
+ * @param {Object} fields - Field specs by field name
+ * @param {Object} context - Page context
+ * @returns {Object} Values by field name
+ */
+function readFields($, scope, fields, context) {
+  const data = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    data[field] = readField(
+      $,
+      scope,
+      typeof spec === 'string' || Array.isArray(spec)
+        ? { selector: spec }
+        : spec,
+      context
+    );
+  }
+  return data;
+}
+
+/**
+ * Read one field, trying its selectors in order
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio} scope - Element the selectors are relative to
+ * @param {Object} spec - Field spec
+ * @param {Object} context - Page context
+ * @returns {*} Value, or the spec's default
+ */
+function readField($, scope, spec, context) {
+  const selectors = spec.selector ? [].concat(spec.selector) : [null];
+
+  for (const selector of selectors) {
+    const values = (selector ? scope.find(selector) : scope)
+      .toArray()
+      .map((element) => readValue($, $(element), spec, context));
+
+    if (spec.multiple) {
+      const kept = values.flat().filter(isPresent);
+      if (kept.length > 0) return kept;
+    } else {
+      const value = values.find(isPresent);
+      if (value !== undefined) return value;
+    }
+  }
+
+  return spec.default ?? (spec.multiple ? [] : null);
+}
+
+/**
+ * Read and transform the value of a matched element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio} element - Matched element
+ * @param {Object} spec - Field spec
+ * @param {Object} context - Page context
+ * @returns {*} Value
+ */
+function readValue($, element, spec, context) {
+  if (spec.fields) {
+    return readFields($, element, spec.fields, context);
+  }
+
+  const raw = spec.attribute ? element.attr(spec.attribute) : element.text();
+  if (raw === undefined) return null;
+
+  let value = raw.replace(/\s+/g, ' ').trim();
+  if (value === '') return null;
+
+  for (const transform of [].concat(spec.transform || [])) {
+    const apply = resolveTransform(transform);
+    value = Array.isArray(value)
+      ? value.map((item) => apply(item, context))
+      : apply(value, context);
+  }
+  return value;
+}
+
+/**
+ * Look up a transform
+ * @param {string|Function} transform - Transform name or function
+ * @returns {Function} Transform
+ */
+function resolveTransform(transform) {
+  if (typeof transform === 'function') return transform;
+  if (!TRANSFORMS[transform]) {
+    throw new Error(`Unknown transform: ${transform}`);
+  }
+  return TRANSFORMS[transform];
+}
+
+/**
+ * Parse an integer
+ * @param {string} value - Text
+ * @returns {number|null} Integer, or null if none
+ */
+function parseInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Whether a value counts as found
+ * @param {*} value - Value
+ * @returns {boolean} False for null, empty text, NaN and empty lists
+ */
+function isPresent(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return !Number.isNaN(value);
+}
@@ -12,6 +12,8 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { FixtureArchive } from '../crawler/fixture-archive.js';
+import { formatForumExcerpts } from './forum-excerpts.js';
 import {
   getModelConfig,
   getPrompt,
@@ -28,7 +30,9 @@ export class TidbitSynthesizer {
     this.baseUrl = 'https://openrouter.ai/api/v1';
     this.cache = new Map();
 
-    if (!this.apiKey) {
+    this.crawlMode = config.crawlMode || 'live';
+
+    if (!this.apiKey && this.crawlMode !== 'replay') {
       throw new Error('OpenRouter API key is required');
     }
 
@@ -42,6 +46,13 @@ export class TidbitSynthesizer {
       },
       timeout: 30000,
     });
+
+    // LLM responses are recorded and replayed with the crawl fixtures
+    if (this.crawlMode !== 'live') {
+      this.client.defaults.adapter = FixtureArchive.shared({
+        dir: config.fixturesDir,
+      }).createAdapter(this.crawlMode, this.client.defaults.adapter);
+    }
   }
 
   /**
@@ -82,22 +93,37 @@ export class TidbitSynthesizer {
   /**
    * Enrich species data with generated tidbits
    * @param {Object} processedData - Processed species data
+   * @param {Object} checkpoint - Optional run checkpoint ({ completed, save })
+   *   used to skip species enriched by an earlier, interrupted run
+   * @param {RunReport} report - Optional run report to record tidbit stats in
    * @returns {Promise<Object>} Enriched data with tidbits
    */
-  async enrich(processedData) {
+  async enrich(processedData, checkpoint = null, report = null) {
     try {
       logger.info('Generating tidbits for species data...');
 
       const enrichedData = {};
 
       for (const [speciesId, speciesData] of Object.entries(processedData)) {
+        if (checkpoint?.completed[speciesId]) {
+          logger.debug(`Using checkpointed tidbits for species ${speciesId}`);
+          enrichedData[speciesId] = checkpoint.completed[speciesId];
+          continue;
+        }
+
         try {
           const enrichedSpecies = await this.enrichSpecies(
             speciesId,
-            speciesData
+            speciesData,
+            report
           );
           enrichedData[speciesId] = enrichedSpecies;
 
+          // Only checkpoint species that actually went through synthesis
+          if (checkpoint && enrichedSpecies.tidbits) {
+            await checkpoint.save([speciesId], enrichedSpecies);
+          }
+
           // Rate limiting between requests
           await new Promise((resolve) => setTimeout(resolve, 1000));
         } catch (error) {
@@ -121,9 +147,10 @@ export class TidbitSynthesizer {
    * Enrich a single species with tidbits
    * @param {string} speciesId - Species ID
    * @param {Object} speciesData - Species data
+   * @param {RunReport} report - Optional run report to record tidbit stats in
    * @returns {Promise<Object>} Enriched species data
    */
-  async enrichSpecies(speciesId, speciesData) {
+  async enrichSpecies(speciesId, speciesData, report = null) {
     try {
       // Prepare data for LLM first
       const speciesDataText = this.formatSpeciesData(speciesData);
@@ -131,7 +158,7 @@ export class TidbitSynthesizer {
       // Try to get forum data, but don't fail if it's unavailable
       let forumDataText = '';
       try {
-        forumDataText = await this.getForumData(speciesId);
+        forumDataText = await this.getForumData(speciesId, speciesData);
       } catch (error) {
         logger.warn(
           `Failed to get forum data for species ${speciesId}:`,
@@ -155,7 +182,13 @@ export class TidbitSynthesizer {
       );
 
       // Validate and filter tidbits
-      const validatedTidbits = await this.validateTidbits(tidbits);
+      const rejected = {};
+      const validatedTidbits = await this.validateTidbits(tidbits, rejected);
+      report?.recordTidbits(speciesId, {
+        generated: tidbits.length,
+        accepted: validatedTidbits.length,
+        rejected,
+      });
 
       // Cache the result
       this.cache.set(cacheKey, validatedTidbits);
@@ -322,15 +355,21 @@ export class TidbitSynthesizer {
   /**
    * Validate and filter tidbits
    * @param {Array} tidbits - Raw tidbits
+   * @param {Object} rejected - Optional counters, incremented per rejection
+   *   reason (invalid, safety, quality, error, limit)
    * @returns {Promise<Array>} Validated tidbits
    */
-  async validateTidbits(tidbits) {
+  async validateTidbits(tidbits, rejected = {}) {
     const validated = [];
+    const reject = (reason) => {
+      rejected[reason] = (rejected[reason] || 0) + 1;
+    };
 
     for (const tidbit of tidbits) {
       try {
         // Basic validation
         if (!tidbit.title || !tidbit.body) {
+          reject('invalid');
           continue;
         }
 
@@ -338,6 +377,7 @@ export class TidbitSynthesizer {
         const safetyCheck = await this.checkSafety(tidbit);
         if (!safetyCheck.safe) {
           logger.warn(`Tidbit failed safety check: ${tidbit.title}`);
+          reject('safety');
           continue;
         }
 
@@ -350,12 +390,18 @@ export class TidbitSynthesizer {
             sourceRefs: tidbit.sourceRefs || [],
             quality: qualityCheck,
           });
+        } else {
+          reject('quality');
         }
       } catch (error) {
         logger.error('Failed to validate tidbit:', error.message);
+        reject('error');
       }
     }
 
+    if (validated.length > 7) {
+      rejected.limit = validated.length - 7;
+    }
     return validated.slice(0, 7); // Limit to 7 tidbits
   }
 
@@ -518,15 +564,18 @@ export class TidbitSynthesizer {
   }
 
   /**
-   * Get forum data for species
+   * Get forum data for species: the forum excerpts selected while
+   * processing, each headed by the source ID tidbits cite in sourceRefs
    * @param {string} speciesId - Species ID
-   * @returns {Promise<string>} Forum data
+   * @param {Object} speciesData - Species data (its `forums` excerpts)
+   * @returns {Promise<string>} Forum data (empty without excerpts)
    */
-  async getForumData(speciesId) {
-    // This would integrate with forum scraping
-    // For now, return consistent placeholder data to ensure stable cache keys
-    // TODO: Implement actual forum scraping integration
-    return `Forum discussions about species ${speciesId} would be scraped here.`;
+  async getForumData(speciesId, speciesData = {}) {
+    const excerpts = speciesData.forums || [];
+    logger.debug(
+      `Using ${excerpts.length} forum excerpts for species ${speciesId}`
+    );
+    return formatForumExcerpts(excerpts);
   }
 
   /**
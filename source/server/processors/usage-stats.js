@@ -0,0 +1,227 @@
+/**
+ * Smogon Usage Statistics
+ *
+ * Parsers for the monthly usage statistics Smogon publishes under
+ * https://www.smogon.com/stats/<month>/: the "chaos" JSON files
+ * (`chaos/<format>-<cutoff>.json`, weighted counts keyed by IDs) and the
+ * moveset text files (`moveset/<format>-<cutoff>.txt`, the same data as
+ * percentages with display names). Both are reduced to one usage entry per
+ * species: `{ usage, rawCount, cutoff, items, spreads, teammates }`.
+ *
+ * @fileoverview Chaos JSON and moveset text parsing
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+/**
+ * Stats in the order spreads list their EVs
+ */
+const SPREAD_STATS = [
+  'hp',
+  'attack',
+  'defense',
+  'spAttack',
+  'spDefense',
+  'speed',
+];
+
+/**
+ * Moveset sections kept, by heading
+ */
+const MOVESET_SECTIONS = {
+  Items: 'items',
+  Spreads: 'spreads',
+  Teammates: 'teammates',
+};
+
+/**
+ * Usage file name (`<format>-<cutoff>.json` or `.txt`)
+ */
+export const USAGE_FILE = /^([a-z0-9]+)-(\d+)\.(json|txt)$/;
+
+/**
+ * Parse a chaos JSON file
+ * @param {string|Object} json - File content
+ * @param {number} limit - Most common items, spreads and teammates to keep
+ * @returns {Object} Format, cutoff and usage entries by species name
+ *   ({ format, cutoff, battles, species })
+ */
+export function parseChaosStats(json, limit = 10) {
+  const { info = {}, data = {} } =
+    typeof json === 'string' ? JSON.parse(json) : json;
+  const species = {};
+
+  for (const [name, stats] of Object.entries(data)) {
+    // Abilities are counted once per team slot, so they sum to its weight
+    const total = sum(Object.values(stats.Abilities || {}));
+    const share = (counts) =>
+      top(
+        Object.entries(counts || {}).map(([key, count]) => [
+          key,
+          total > 0 ? (count / total) * 100 : 0,
+        ]),
+        limit
+      );
+
+    species[name] = {
+      usage: round((stats.usage || 0) * 100),
+      rawCount: stats['Raw count'] || 0,
+      cutoff: info.cutoff ?? null,
+      items: share(stats.Items).map(([item, percent]) => ({
+        name: item,
+        percent,
+      })),
+      spreads: share(stats.Spreads).map(([spread, percent]) => ({
+        ...parseSpread(spread),
+        percent,
+      })),
+      teammates: share(stats.Teammates).map(([teammate, percent]) => ({
+        name: teammate,
+        percent,
+      })),
+    };
+  }
+
+  return {
+    format: info.metagame || null,
+    cutoff: info.cutoff ?? null,
+    battles: info['number of battles'] || 0,
+    species,
+  };
+}
+
+/**
+ * Parse a moveset text file
+ *
+ * Each species is a box of sections separated by `+----+` rules: its name,
+ * its raw count, then one section per heading (Abilities, Items, Spreads,
+ * Moves, Teammates, ...) listing `Name 12.345%` lines.
+ *
+ * @param {string} text - File content
+ * @param {number} limit - Most common items, spreads and teammates to keep
+ * @returns {Object} Entries ({ rawCount, items, spreads, teammates }) by
+ *   species name
+ */
+export function parseMovesetStats(text, limit = 10) {
+  const sections = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('+')) {
+      current = null;
+    } else if (trimmed.startsWith('|')) {
+      const content = trimmed.replace(/^\|/, '').replace(/\|$/, '').trim();
+      if (!current) {
+        current = [];
+        sections.push(current);
+      }
+      current.push(content);
+    }
+  }
+
+  const species = {};
+  let entry = null;
+
+  sections.forEach((section, index) => {
+    if (sections[index + 1]?.[0]?.startsWith('Raw count:')) {
+      entry = { rawCount: 0, items: [], spreads: [], teammates: [] };
+      species[section[0]] = entry;
+      return;
+    }
+    if (!entry) return;
+
+    const [heading, ...lines] = section;
+    if (heading.startsWith('Raw count:')) {
+      entry.rawCount = parseInt(heading.slice('Raw count:'.length)) || 0;
+      return;
+    }
+
+    const field = MOVESET_SECTIONS[heading];
+    if (!field) return;
+
+    const rows = lines
+      .map((line) => line.match(/^(.+?)\s+([+-]?[\d.]+)%$/))
+      .filter((match) => match && match[1] !== 'Other')
+      .map((match) => [match[1], parseFloat(match[2])]);
+
+    entry[field] = top(rows, limit).map(([name, percent]) =>
+      field === 'spreads'
+        ? { ...parseSpread(name), percent }
+        : { name, percent }
+    );
+  });
+
+  return species;
+}
+
+/**
+ * Combine a species' chaos and moveset entries: usage comes from the chaos
+ * file, and the lists from the moveset file when there is one, for its
+ * display names
+ * @param {Object} chaos - Chaos entry
+ * @param {Object|null} moveset - Moveset entry
+ * @returns {Object} Usage entry ({ usage, rawCount, cutoff, items,
+ *   spreads, teammates })
+ */
+export function combineUsage(chaos, moveset) {
+  if (!moveset) return chaos;
+
+  return {
+    ...chaos,
+    items: moveset.items.length > 0 ? moveset.items : chaos.items,
+    spreads: moveset.spreads.length > 0 ? moveset.spreads : chaos.spreads,
+    teammates:
+      moveset.teammates.length > 0 ? moveset.teammates : chaos.teammates,
+  };
+}
+
+/**
+ * Parse a spread ("Jolly:0/252/0/0/4/252")
+ * @param {string} spread - Nature and EVs
+ * @returns {Object} Nature and the EVs that are set ({ nature, evs })
+ */
+function parseSpread(spread) {
+  const [nature, values = ''] = spread.split(':');
+  const evs = {};
+
+  values.split('/').forEach((value, index) => {
+    const ev = parseInt(value);
+    if (ev > 0 && SPREAD_STATS[index]) {
+      evs[SPREAD_STATS[index]] = ev;
+    }
+  });
+
+  return { nature, evs };
+}
+
+/**
+ * Keep the most common rows, rounding their percentages
+ * @param {Array<Array>} rows - [key, percent] rows
+ * @param {number} limit - Rows to keep
+ * @returns {Array<Array>} Rows, most common first
+ */
+function top(rows, limit) {
+  return rows
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, percent]) => [key, round(percent)]);
+}
+
+/**
+ * Sum numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Sum
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Round a percentage to three decimals, as Smogon prints them
+ * @param {number} value - Percentage
+ * @returns {number} Rounded percentage
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,287 @@
+/**
+ * Wikitext Parser
+ *
+ * Reads the parts of MediaWiki markup that species pages are built from:
+ * templates (with nested templates and links inside their parameters),
+ * section headings, bulleted lists and inline markup, which is reduced to
+ * the plain text a reader would see.
+ *
+ * @fileoverview MediaWiki wikitext parsing helpers
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+/**
+ * Find every template in wikitext, including nested ones
+ *
+ * Each template has its `name`, `params` (named parameters), `positional`
+ * parameters (all trimmed), its `start`/`end` offsets and its nesting
+ * `depth` (0 for top-level templates).
+ *
+ * @param {string} wikitext - Wikitext
+ * @returns {Array<Object>} Templates in document order
+ */
+export function parseTemplates(wikitext) {
+  const templates = [];
+  const open = [];
+
+  for (let i = 0; i < wikitext.length - 1; i++) {
+    const pair = wikitext.slice(i, i + 2);
+
+    if (pair === '{{') {
+      open.push(i);
+      i++;
+    } else if (pair === '}}' && open.length > 0) {
+      const start = open.pop();
+      templates.push({
+        ...parseTemplate(wikitext.slice(start + 2, i)),
+        start,
+        end: i + 2,
+        depth: open.length,
+      });
+      i++;
+    }
+  }
+
+  return templates.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the templates with a given name
+ *
+ * Names compare the way MediaWiki resolves them: case-insensitively on the
+ * first letter, with underscores and spaces equivalent.
+ *
+ * @param {string} wikitext - Wikitext
+ * @param {string|RegExp} name - Template name, or a pattern tested against
+ *   the lowercased name
+ * @returns {Array<Object>} Matching templates (see parseTemplates)
+ */
+export function findTemplates(wikitext, name) {
+  const matches =
+    name instanceof RegExp
+      ? (templateName) => name.test(templateName.toLowerCase())
+      : (templateName) => sameName(templateName, name);
+
+  return parseTemplates(wikitext).filter((template) => matches(template.name));
+}
+
+/**
+ * Split a template's inner text into its name and parameters
+ * @param {string} inner - Text between `{{` and `}}`
+ * @returns {Object} Template ({ name, params, positional })
+ */
+function parseTemplate(inner) {
+  const [name, ...parts] = splitTopLevel(inner, '|');
+  const params = {};
+  const positional = [];
+
+  for (const part of parts) {
+    const equals = part.indexOf('=');
+    const key = equals === -1 ? '' : part.slice(0, equals);
+
+    // An `=` inside a nested template or link doesn't name the parameter
+    if (equals !== -1 && !key.includes('{{') && !key.includes('[[')) {
+      params[key.trim()] = part.slice(equals + 1).trim();
+    } else {
+      positional.push(part.trim());
+    }
+  }
+
+  return { name: name.trim().replace(/_/g, ' '), params, positional };
+}
+
+/**
+ * Split text on a separator, ignoring separators inside nested templates
+ * and links
+ * @param {string} text - Text to split
+ * @param {string} separator - Single-character separator
+ * @returns {Array<string>} Parts
+ */
+export function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      current += pair;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      current += pair;
+      i++;
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Reduce wikitext to the plain text a reader would see
+ *
+ * Links become their label, inline templates their first parameter (e.g.
+ * `{{p|Ivysaur}}` is "Ivysaur"), and references, comments, files,
+ * categories, HTML tags and bold/italic quotes are dropped.
+ *
+ * @param {string} text - Wikitext
+ * @returns {string} Plain text
+ */
+export function stripMarkup(text = '') {
+  const withoutNotes = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<ref[^>]*\/>/gi, '')
+    .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '');
+
+  return replaceTemplates(withoutNotes, renderTemplate)
+    .replace(/\[\[(?:File|Image|Category):[^\]]*\]\]/gi, '')
+    .replace(/\[\[[^\]|]*\|([^\]]*)\]\]/g, '$1')
+    .replace(/\[\[([^\]]*)\]\]/g, '$1')
+    .replace(/\[https?:\/\/[^\s\]]+ ([^\]]*)\]/g, '$1')
+    .replace(/'{2,}/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove templates that start a line (infoboxes, navigation boxes and
+ * other block templates), keeping inline ones
+ * @param {string} wikitext - Wikitext
+ * @returns {string} Wikitext without block templates
+ */
+export function stripBlockTemplates(wikitext) {
+  return replaceTemplates(wikitext, (template) =>
+    template.start === 0 || wikitext[template.start - 1] === '\n'
+      ? ''
+      : wikitext.slice(template.start, template.end)
+  );
+}
+
+/**
+ * Split wikitext into sections by heading
+ * @param {string} wikitext - Wikitext
+ * @returns {Array<Object>} Sections ({ title, level, content }); the lead
+ *   before the first heading has title '' and level 1
+ */
+export function parseSections(wikitext) {
+  const sections = [{ title: '', level: 1, lines: [] }];
+
+  for (const line of wikitext.split('\n')) {
+    const heading = line.match(/^(={2,6})\s*([^=].*?)\s*=+\s*$/);
+    if (heading) {
+      sections.push({
+        title: stripMarkup(heading[2]),
+        level: heading[1].length,
+        lines: [],
+      });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections.map(({ title, level, lines }) => ({
+    title,
+    level,
+    content: lines.join('\n'),
+  }));
+}
+
+/**
+ * Find the first section with a title (case-insensitive)
+ * @param {Array<Object>} sections - Sections from parseSections
+ * @param {string} title - Section title
+ * @returns {Object|undefined} Section
+ */
+export function findSection(sections, title) {
+  return sections.find(
+    (section) => section.title.toLowerCase() === title.toLowerCase()
+  );
+}
+
+/**
+ * Get the plain text of a section's bulleted list items
+ * @param {string} content - Section wikitext
+ * @returns {Array<string>} Item texts, nested items included
+ */
+export function parseListItems(content) {
+  return content
+    .split('\n')
+    .filter((line) => line.startsWith('*'))
+    .map((line) => stripMarkup(line.replace(/^\*+/, '')))
+    .filter(Boolean);
+}
+
+/**
+ * Split wikitext into paragraphs at blank lines
+ * @param {string} wikitext - Wikitext
+ * @returns {Array<string>} Paragraphs
+ */
+export function parseParagraphs(wikitext) {
+  return wikitext
+    .split(/\n[ \t]*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Replace every top-level template
+ * @param {string} wikitext - Wikitext
+ * @param {Function} replace - (template) => replacement text
+ * @returns {string} Wikitext with templates replaced
+ */
+function replaceTemplates(wikitext, replace) {
+  let result = wikitext;
+  const templates = parseTemplates(wikitext).filter(
+    (template) => template.depth === 0
+  );
+
+  // Replace from the end so earlier offsets stay valid
+  for (const template of templates.reverse()) {
+    result =
+      result.slice(0, template.start) +
+      replace(template) +
+      result.slice(template.end);
+  }
+  return result;
+}
+
+/**
+ * Render an inline template as the text it displays
+ * @param {Object} template - Template
+ * @returns {string} Plain text
+ */
+function renderTemplate({ name, positional }) {
+  switch (name.toLowerCase()) {
+    case '2t':
+      return positional.map(stripMarkup).join('/');
+    case 'pkmn':
+      return `Pokémon ${stripMarkup(positional[0])}`;
+    default:
+      return positional.length > 0 ? stripMarkup(positional[0]) : '';
+  }
+}
+
+/**
+ * Compare template names the way MediaWiki resolves them
+ * @param {string} a - Template name
+ * @param {string} b - Template name
+ * @returns {boolean} True if both name the same template
+ */
+function sameName(a, b) {
+  const normalize = (name) => {
+    const spaced = name.trim().replace(/[_\s]+/g, ' ');
+    return spaced.charAt(0).toLowerCase() + spaced.slice(1);
+  };
+  return normalize(a) === normalize(b);
+}
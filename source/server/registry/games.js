@@ -0,0 +1,179 @@
+/**
+ * Game Registry
+ *
+ * Main-series games with their generation and version group (the games
+ * released together that share learnsets, e.g. Red and Blue). Learnsets
+ * and other per-game data refer to games by these IDs, which follow
+ * PokéAPI's version names.
+ *
+ * @fileoverview Main-series games and version groups
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+/**
+ * Games in release order
+ */
+export const GAMES = [
+  { id: 'red', name: 'Red', generation: 1, group: 'red-blue' },
+  { id: 'blue', name: 'Blue', generation: 1, group: 'red-blue' },
+  { id: 'yellow', name: 'Yellow', generation: 1, group: 'yellow' },
+  { id: 'gold', name: 'Gold', generation: 2, group: 'gold-silver' },
+  { id: 'silver', name: 'Silver', generation: 2, group: 'gold-silver' },
+  { id: 'crystal', name: 'Crystal', generation: 2, group: 'crystal' },
+  { id: 'ruby', name: 'Ruby', generation: 3, group: 'ruby-sapphire' },
+  { id: 'sapphire', name: 'Sapphire', generation: 3, group: 'ruby-sapphire' },
+  { id: 'emerald', name: 'Emerald', generation: 3, group: 'emerald' },
+  {
+    id: 'firered',
+    name: 'FireRed',
+    generation: 3,
+    group: 'firered-leafgreen',
+  },
+  {
+    id: 'leafgreen',
+    name: 'LeafGreen',
+    generation: 3,
+    group: 'firered-leafgreen',
+  },
+  { id: 'diamond', name: 'Diamond', generation: 4, group: 'diamond-pearl' },
+  { id: 'pearl', name: 'Pearl', generation: 4, group: 'diamond-pearl' },
+  { id: 'platinum', name: 'Platinum', generation: 4, group: 'platinum' },
+  {
+    id: 'heartgold',
+    name: 'HeartGold',
+    generation: 4,
+    group: 'heartgold-soulsilver',
+  },
+  {
+    id: 'soulsilver',
+    name: 'SoulSilver',
+    generation: 4,
+    group: 'heartgold-soulsilver',
+  },
+  { id: 'black', name: 'Black', generation: 5, group: 'black-white' },
+  { id: 'white', name: 'White', generation: 5, group: 'black-white' },
+  { id: 'black-2', name: 'Black 2', generation: 5, group: 'black-2-white-2' },
+  { id: 'white-2', name: 'White 2', generation: 5, group: 'black-2-white-2' },
+  { id: 'x', name: 'X', generation: 6, group: 'x-y' },
+  { id: 'y', name: 'Y', generation: 6, group: 'x-y' },
+  {
+    id: 'omega-ruby',
+    name: 'Omega Ruby',
+    generation: 6,
+    group: 'omega-ruby-alpha-sapphire',
+  },
+  {
+    id: 'alpha-sapphire',
+    name: 'Alpha Sapphire',
+    generation: 6,
+    group: 'omega-ruby-alpha-sapphire',
+  },
+  { id: 'sun', name: 'Sun', generation: 7, group: 'sun-moon' },
+  { id: 'moon', name: 'Moon', generation: 7, group: 'sun-moon' },
+  {
+    id: 'ultra-sun',
+    name: 'Ultra Sun',
+    generation: 7,
+    group: 'ultra-sun-ultra-moon',
+  },
+  {
+    id: 'ultra-moon',
+    name: 'Ultra Moon',
+    generation: 7,
+    group: 'ultra-sun-ultra-moon',
+  },
+  {
+    id: 'lets-go-pikachu',
+    name: "Let's Go, Pikachu!",
+    generation: 7,
+    group: 'lets-go-pikachu-lets-go-eevee',
+  },
+  {
+    id: 'lets-go-eevee',
+    name: "Let's Go, Eevee!",
+    generation: 7,
+    group: 'lets-go-pikachu-lets-go-eevee',
+  },
+  { id: 'sword', name: 'Sword', generation: 8, group: 'sword-shield' },
+  { id: 'shield', name: 'Shield', generation: 8, group: 'sword-shield' },
+  {
+    id: 'brilliant-diamond',
+    name: 'Brilliant Diamond',
+    generation: 8,
+    group: 'brilliant-diamond-shining-pearl',
+  },
+  {
+    id: 'shining-pearl',
+    name: 'Shining Pearl',
+    generation: 8,
+    group: 'brilliant-diamond-shining-pearl',
+  },
+  {
+    id: 'legends-arceus',
+    name: 'Legends: Arceus',
+    generation: 8,
+    group: 'legends-arceus',
+  },
+  { id: 'scarlet', name: 'Scarlet', generation: 9, group: 'scarlet-violet' },
+  { id: 'violet', name: 'Violet', generation: 9, group: 'scarlet-violet' },
+];
+
+/**
+ * Get the IDs of the games in version groups
+ * @param {Array<string>} groups - Version group IDs
+ * @returns {Array<string>} Game IDs, in release order
+ */
+export function getGamesInGroups(groups) {
+  return GAMES.filter((game) => groups.includes(game.group)).map(
+    (game) => game.id
+  );
+}
+
+/**
+ * Get a game by ID
+ * @param {string} id - Game ID
+ * @returns {Object|undefined} Game ({ id, name, generation, group })
+ */
+export function getGame(id) {
+  return GAMES.find((game) => game.id === id);
+}
+
+/**
+ * Find a game by its display name, ignoring case and punctuation (so
+ * "Let's Go Pikachu" finds "Let's Go, Pikachu!")
+ * @param {string} name - Game name
+ * @returns {Object|undefined} Game ({ id, name, generation, group })
+ */
+export function findGameByName(name) {
+  const key = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return GAMES.find((game) => key(game.name) === key(name));
+}
+
+/**
+ * Find the games a text names, such as a section heading ("Pokémon Sun,
+ * Moon, Ultra Sun, and Ultra Moon"). Longer names are matched first, so
+ * "Ultra Sun" does not also count as Sun.
+ * @param {string} text - Text
+ * @returns {Array<Object>} Games named, in release order
+ */
+export function findGamesInText(text) {
+  const key = (value) =>
+    value
+      .toLowerCase()
+      .replace(/[^a-z0-9 ]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  let rest = ` ${key(text)} `;
+  const named = new Set();
+
+  for (const game of [...GAMES].sort((a, b) => b.name.length - a.name.length)) {
+    const name = ` ${key(game.name)} `;
+    if (rest.includes(name)) {
+      named.add(game);
+      rest = rest.replace(name, ' | ');
+    }
+  }
+
+  return GAMES.filter((game) => named.has(game));
+}
@@ -0,0 +1,330 @@
+/**
+ * Species Registry
+ *
+ * Bundled, versioned National Dex registry covering every species with its
+ * alternate forms and regional variants. Resolves species by number or name
+ * and builds the URL slug each crawl source expects.
+ *
+ * @fileoverview National Dex species registry and per-source slugs
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * National Dex boundaries for each generation and its home region
+ */
+export const REGIONS = [
+  { generation: 1, region: 'Kanto', first: 1, last: 151 },
+  { generation: 2, region: 'Johto', first: 152, last: 251 },
+  { generation: 3, region: 'Hoenn', first: 252, last: 386 },
+  { generation: 4, region: 'Sinnoh', first: 387, last: 493 },
+  { generation: 5, region: 'Unova', first: 494, last: 649 },
+  { generation: 6, region: 'Kalos', first: 650, last: 721 },
+  { generation: 7, region: 'Alola', first: 722, last: 809 },
+  { generation: 8, region: 'Galar', first: 810, last: 905 },
+  { generation: 9, region: 'Paldea', first: 906, last: Infinity },
+];
+
+/**
+ * Get the generation/region boundary a National Dex number falls in
+ * @param {string|number} speciesId - Species ID
+ * @returns {Object} Region entry ({ generation, region, first, last })
+ */
+export function getRegionForId(speciesId) {
+  const id = parseInt(speciesId);
+  return (
+    REGIONS.find((entry) => id <= entry.last) || REGIONS[REGIONS.length - 1]
+  );
+}
+
+/**
+ * Words sources use in form labels, as the registry spells them
+ * (e.g. "Alolan Vulpix" is the registry's "Vulpix-Alola")
+ */
+const FORM_WORDS = {
+  alolan: 'alola',
+  galarian: 'galar',
+  hisuian: 'hisui',
+  paldean: 'paldea',
+  gigantamax: 'gmax',
+};
+
+// Descriptive words that labels add around a form's name
+const FORM_FILLER = /\b(?:forme?|mode|breed|style|cloak|pokémon)\b/gi;
+
+/**
+ * Load the bundled registry data file
+ * @returns {Object} Registry data ({ version, generation, species })
+ */
+function loadBundledRegistry() {
+  return JSON.parse(readFileSync(join(__dirname, 'species.json'), 'utf8'));
+}
+
+/**
+ * Normalize a species or form name for lookups
+ * @param {string} name - Species name
+ * @returns {string} Lookup key (lowercase, ASCII letters and digits only)
+ */
+export function normalizeSpeciesName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/♀/g, 'f')
+    .replace(/♂/g, 'm')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Species registry with lookups and source slugs
+ */
+export class SpeciesRegistry {
+  constructor(data = loadBundledRegistry()) {
+    this.version = data.version;
+    this.generation = data.generation;
+    this.species = data.species;
+    this.byId = new Map();
+    this.byName = new Map();
+
+    for (const entry of this.species) {
+      this.byId.set(entry.id, entry);
+      this.byName.set(normalizeSpeciesName(entry.name), { species: entry });
+
+      for (const form of entry.forms || []) {
+        this.byName.set(normalizeSpeciesName(form.name), {
+          species: entry,
+          form,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get a species entry by National Dex number or name
+   * @param {string|number} idOrName - Dex number, numeric string or name
+   * @returns {Object|null} Species entry
+   */
+  get(idOrName) {
+    const id = Number(idOrName);
+    if (Number.isInteger(id)) {
+      return this.byId.get(id) || null;
+    }
+    return this.byName.get(normalizeSpeciesName(idOrName))?.species || null;
+  }
+
+  /**
+   * Resolve a species or form name to its entry
+   * @param {string|number} idOrName - Dex number or species/form name
+   * @returns {Object} Species entry and form (null for the base form)
+   */
+  resolve(idOrName) {
+    const id = Number(idOrName);
+    const match = Number.isInteger(id)
+      ? this.byId.has(id) && { species: this.byId.get(id) }
+      : this.byName.get(normalizeSpeciesName(idOrName));
+
+    if (!match) {
+      throw new Error(`Unknown species: ${idOrName}`);
+    }
+    return { species: match.species, form: match.form || null };
+  }
+
+  /**
+   * Find the registry form a source's form label refers to
+   *
+   * Labels name forms the way articles do ("Alolan Vulpix", "Mega
+   * Charizard X", "Gigantamax Venusaur", "Paldean Tauros (Aqua Breed)");
+   * the species name and descriptive words are ignored.
+   *
+   * @param {string|number} idOrName - Dex number or species name
+   * @param {string} label - Form label
+   * @returns {Object|null} Form entry, or null for the base form or an
+   *   unknown label
+   */
+  findForm(idOrName, label) {
+    const { species } = this.resolve(idOrName);
+    const exact = this.byName.get(normalizeSpeciesName(label));
+    if (exact?.species === species) {
+      return exact.form || null;
+    }
+
+    const words = label
+      .split(species.name)
+      .join(' ')
+      .replace(FORM_FILLER, ' ')
+      .split(/[\s()-]+/)
+      .map((word) => FORM_WORDS[word.toLowerCase()] || word);
+    const key = normalizeSpeciesName(words.join(''));
+
+    return (
+      (species.forms || []).find(
+        (form) => normalizeSpeciesName(form.form) === key
+      ) || null
+    );
+  }
+
+  /**
+   * Get all species entries in National Dex order
+   * @returns {Array<Object>} Species entries
+   */
+  getAll() {
+    return this.species;
+  }
+
+  /**
+   * Get all National Dex numbers
+   * @returns {Array<number>} Species IDs
+   */
+  getAllIds() {
+    return this.species.map((entry) => entry.id);
+  }
+
+  /**
+   * Select species IDs by name/number, generation, region, range and type
+   *
+   * Each criterion narrows the selection (values within one criterion are
+   * alternatives); with no criteria every species is selected.
+   *
+   * @param {Object} criteria - Selection criteria
+   * @param {Array<string|number>} criteria.species - Dex numbers or names
+   * @param {Array<number>} criteria.generations - Generation numbers
+   * @param {Array<string>} criteria.regions - Region names (e.g. "Kanto")
+   * @param {Array<Array<number>>} criteria.ranges - [first, last] pairs
+   * @param {Array<string>} criteria.types - Type names (e.g. "fire")
+   * @returns {Array<number>} Matching species IDs in National Dex order
+   */
+  select(criteria = {}) {
+    const { species, generations, regions, ranges, types } = criteria;
+    const filters = [];
+
+    if (species?.length) {
+      const ids = new Set(species.map((id) => this.resolve(id).species.id));
+      filters.push((entry) => ids.has(entry.id));
+    }
+
+    if (generations?.length) {
+      for (const generation of generations) {
+        if (!REGIONS.some((entry) => entry.generation === Number(generation))) {
+          throw new Error(`Unknown generation: ${generation}`);
+        }
+      }
+      const wanted = new Set(generations.map(Number));
+      filters.push((entry) => wanted.has(getRegionForId(entry.id).generation));
+    }
+
+    if (regions?.length) {
+      const known = new Map(
+        REGIONS.map((entry) => [entry.region.toLowerCase(), entry.region])
+      );
+      const wanted = new Set(
+        regions.map((region) => {
+          if (!known.has(region.toLowerCase())) {
+            throw new Error(`Unknown region: ${region}`);
+          }
+          return known.get(region.toLowerCase());
+        })
+      );
+      filters.push((entry) => wanted.has(getRegionForId(entry.id).region));
+    }
+
+    if (ranges?.length) {
+      filters.push((entry) =>
+        ranges.some(([first, last]) => entry.id >= first && entry.id <= last)
+      );
+    }
+
+    if (types?.length) {
+      const known = new Set(
+        this.species.flatMap((entry) => entry.types.map((t) => t.toLowerCase()))
+      );
+      const wanted = new Set(
+        types.map((type) => {
+          if (!known.has(type.toLowerCase())) {
+            throw new Error(`Unknown type: ${type}`);
+          }
+          return type.toLowerCase();
+        })
+      );
+      filters.push((entry) =>
+        entry.types.some((type) => wanted.has(type.toLowerCase()))
+      );
+    }
+
+    return this.species
+      .filter((entry) => filters.every((filter) => filter(entry)))
+      .map((entry) => entry.id);
+  }
+
+  /**
+   * Get the display name of a species or form
+   * @param {string|number} idOrName - Dex number or species/form name
+   * @returns {string} Display name (e.g. "Nidoran♀", "Raichu-Alola")
+   */
+  getName(idOrName) {
+    const { species, form } = this.resolve(idOrName);
+    return form ? form.name : species.name;
+  }
+
+  /**
+   * Get the URL slug a source uses for a species or form
+   * @param {string|number} idOrName - Dex number or species/form name
+   * @param {string} source - Source name (bulbapedia, serebii, smogon)
+   * @returns {string} URL slug
+   */
+  getSlug(idOrName, source) {
+    const { species, form } = this.resolve(idOrName);
+
+    switch (source) {
+      case 'bulbapedia':
+        // Forms share their base species' article
+        return toBulbapediaTitle(species.name);
+      case 'serebii':
+        return String(species.id).padStart(3, '0');
+      case 'smogon':
+        return toSmogonSlug(form ? form.name : species.name);
+      default:
+        throw new Error(`No slug rules for source: ${source}`);
+    }
+  }
+}
+
+/**
+ * Convert a species name to a Bulbapedia article title
+ * e.g. "Mr. Mime" -> "Mr._Mime", "Type: Null" -> "Type:_Null"
+ * @param {string} name - Species name
+ * @returns {string} Article title
+ */
+export function toBulbapediaTitle(name) {
+  return name.replace(/ /g, '_');
+}
+
+/**
+ * Convert a species or form name to a Smogon dex slug
+ * e.g. "Nidoran♀" -> "nidoran-f", "Farfetch'd" -> "farfetchd",
+ * "Type: Null" -> "type-null", "Charizard-Mega-X" -> "charizard-mega-x"
+ * @param {string} name - Species or form name
+ * @returns {string} Lowercase hyphenated slug
+ */
+export function toSmogonSlug(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/♀/g, '-f')
+    .replace(/♂/g, '-m')
+    .toLowerCase()
+    .replace(/['’.:]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Shared registry instance backed by the bundled data
+ */
+export const speciesRegistry = new SpeciesRegistry();
@@ -0,0 +1,66 @@
+/**
+ * Bulbapedia Source Adapter
+ *
+ * Fetches a species article's wikitext (`action=raw`) and extracts typed
+ * fields from its {{Pokémon Infobox}}, {{Base stats}} and learnset
+ * templates, plus the lead paragraph, trivia and artwork. Learnsets of
+ * past generations come from the article's learnset subpages.
+ *
+ * @fileoverview Bulbapedia source adapter
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { SourceAdapter, findDocument } from './source-adapter.js';
+import { BulbapediaCrawler } from '../crawler/bulbapedia.js';
+import { mergeLearnset } from '../processors/learnset.js';
+
+/**
+ * Bulbapedia species articles
+ */
+export default class BulbapediaAdapter extends SourceAdapter {
+  constructor(name, config) {
+    super(name, config);
+    this.crawler = new BulbapediaCrawler(config);
+  }
+
+  /**
+   * List the species article's wikitext and its past-generation learnset
+   * pages (optional, as a species may be missing from a generation)
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets
+   */
+  async discover(speciesId) {
+    const article = await this.crawler.getSpeciesName(speciesId);
+    const learnsets = this.crawler
+      .buildLearnsetUrls(article, speciesId)
+      .map(({ url }) => ({ kind: 'learnset', url, optional: true }));
+
+    return [
+      { kind: 'wikitext', url: this.crawler.buildWikitextUrl(article) },
+      ...learnsets,
+    ];
+  }
+
+  /**
+   * Extract species fields from the article wikitext
+   * @param {Array<Object>} documents - Fetched documents
+   * @param {string|number} speciesId - Species ID
+   * @returns {Object} Partial species record
+   */
+  extract(documents, speciesId) {
+    const data = this.crawler.parseSpeciesPage(
+      findDocument(documents, 'wikitext').body,
+      speciesId
+    );
+    delete data.id;
+    const pastLearnsets = documents
+      .filter((document) => document.kind === 'learnset')
+      .flatMap((document) => this.crawler.parseLearnset(document.body));
+
+    return {
+      ...data,
+      learnset: mergeLearnset([...pastLearnsets, ...data.learnset]),
+    };
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * PokeAPI Source Adapter
+ *
+ * Reads species facts from a local copy of the PokeAPI CSV files: names,
+ * types, base stats, abilities, height, weight, catch rate, gender ratio
+ * and egg groups. No requests are made, so with this source alone a
+ * complete baseline dataset builds offline. Records cite the matching
+ * PokeAPI resource as their source URL.
+ *
+ * @fileoverview PokeAPI CSV source adapter
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { SourceAdapter, findDocument } from './source-adapter.js';
+import { PokeApiCsv } from '../crawler/pokeapi-csv.js';
+import { getSourceConfig, mergeSourceConfig } from '../config/crawler.js';
+
+/**
+ * Stat keys of PokeAPI's stat identifiers
+ */
+const STAT_IDENTIFIERS = {
+  hp: 'hp',
+  attack: 'attack',
+  defense: 'defense',
+  'special-attack': 'spAttack',
+  'special-defense': 'spDefense',
+  speed: 'speed',
+};
+
+/**
+ * PokeAPI CSV data files
+ */
+export default class PokeApiAdapter extends SourceAdapter {
+  constructor(name, config) {
+    super(name, config);
+    this.sourceConfig = mergeSourceConfig(getSourceConfig('pokeapi'), config);
+    this.csv = new PokeApiCsv(this.sourceConfig);
+  }
+
+  /**
+   * Base URL of the PokeAPI resources records cite
+   * @returns {string} Base URL
+   */
+  get baseUrl() {
+    return this.sourceConfig.baseUrl;
+  }
+
+  /**
+   * List the species' rows
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets
+   */
+  async discover(speciesId) {
+    const path = this.sourceConfig.paths.species.replace(
+      '{id}',
+      Number(speciesId)
+    );
+    return [{ kind: 'csv', url: `${this.baseUrl}${path}`, speciesId }];
+  }
+
+  /**
+   * Read the species' rows from the CSV files
+   * @param {Object} target - Target from discover()
+   * @returns {Promise<Object>} Document, with the rows as a JSON body and
+   *   the files' modification time as its timestamp
+   */
+  async fetch(target) {
+    const { rows, timestamp } = await this.csv.getSpecies(target.speciesId);
+
+    return {
+      kind: target.kind,
+      url: target.url,
+      status: 200,
+      timestamp,
+      body: JSON.stringify(rows),
+    };
+  }
+
+  /**
+   * Extract species fields from the rows
+   * @param {Array<Object>} documents - Fetched documents
+   * @returns {Object} Partial species record
+   */
+  extract(documents) {
+    const rows = JSON.parse(findDocument(documents, 'csv').body);
+    const { species, pokemon } = rows;
+    const abilities = [...rows.abilities].sort((a, b) => a.slot - b.slot);
+
+    const stats = {};
+    for (const row of rows.stats) {
+      const stat = STAT_IDENTIFIERS[row.stat];
+      if (stat) {
+        stats[stat] = parseInt(row.base_stat);
+      }
+    }
+
+    return {
+      name: rows.name?.name || '',
+      types: [...rows.types]
+        .sort((a, b) => a.slot - b.slot)
+        .map((row) => row.name)
+        .filter(Boolean),
+      stats,
+      abilities: abilities
+        .filter((row) => row.is_hidden !== '1')
+        .map((row) => row.name)
+        .filter(Boolean),
+      hiddenAbility:
+        abilities.find((row) => row.is_hidden === '1')?.name || null,
+      // PokeAPI stores decimetres and hectograms
+      height: parseNumber(pokemon.height, 10),
+      weight: parseNumber(pokemon.weight, 10),
+      genderRatio: parseGenderRate(species.gender_rate),
+      catchRate: parseNumber(species.capture_rate),
+      eggGroups: rows.eggGroups.map((row) => row.name).filter(Boolean),
+    };
+  }
+}
+
+/**
+ * Parse a numeric column
+ * @param {string} value - Column value
+ * @param {number} divisor - Unit divisor
+ * @returns {number|null} Number, or null if empty
+ */
+function parseNumber(value, divisor = 1) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number / divisor;
+}
+
+/**
+ * Convert PokeAPI's gender rate (chance of being female in eighths, -1 for
+ * genderless) into percentages
+ * @param {string} value - gender_rate column
+ * @returns {Object|null} Gender ratio ({ male, female }), or null for
+ *   genderless species
+ */
+function parseGenderRate(value) {
+  const eighths = parseInt(value);
+  if (Number.isNaN(eighths) || eighths < 0) return null;
+
+  const female = (eighths / 8) * 100;
+  return { male: 100 - female, female };
+}
@@ -0,0 +1,47 @@
+/**
+ * Serebii Source Adapter
+ *
+ * Fetches a species' Serebii Pokédex page and extracts it with the
+ * Serebii-specific table parsers.
+ *
+ * @fileoverview Serebii source adapter
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { SourceAdapter, findDocument } from './source-adapter.js';
+import { SerebiiCrawler } from '../crawler/serebii.js';
+
+/**
+ * Serebii Pokédex pages
+ */
+export default class SerebiiAdapter extends SourceAdapter {
+  constructor(name, config) {
+    super(name, config);
+    this.crawler = new SerebiiCrawler(config);
+  }
+
+  /**
+   * List the Pokédex page
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets
+   */
+  async discover(speciesId) {
+    return [{ kind: 'species', url: this.crawler.buildSpeciesUrl(speciesId) }];
+  }
+
+  /**
+   * Extract species fields from the Pokédex page
+   * @param {Array<Object>} documents - Fetched documents
+   * @param {string|number} speciesId - Species ID
+   * @returns {Object} Partial species record
+   */
+  extract(documents, speciesId) {
+    const data = this.crawler.parseSpeciesPage(
+      findDocument(documents, 'species').body,
+      speciesId
+    );
+    delete data.id;
+    return data;
+  }
+}
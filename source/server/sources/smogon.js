@@ -0,0 +1,192 @@
+/**
+ * Smogon Source Adapter
+ *
+ * Fetches a species' Strategy Pokédex page (rendered in the headless
+ * browser) and a forum search for it, following the search's result pages
+ * and the threads they list, page by page.
+ * Either may be missing. Base stats are left to the wikis, whose stat keys
+ * the normalizer merges; tiers, sets and viability become the species'
+ * `competitive` block, together with the monthly usage statistics loaded
+ * in prepare(), and the forum posts most relevant to the species are kept
+ * as excerpts for tidbit synthesis.
+ *
+ * @fileoverview Smogon source adapter
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { SourceAdapter, findDocument } from './source-adapter.js';
+import { SmogonCrawler } from '../crawler/smogon.js';
+import { speciesRegistry } from '../registry/species-registry.js';
+import { selectForumExcerpts } from '../processors/forum-excerpts.js';
+
+/**
+ * Smogon Strategy Pokédex and forums
+ */
+export default class SmogonAdapter extends SourceAdapter {
+  constructor(name, config) {
+    super(name, config);
+    this.crawler = new SmogonCrawler(config);
+    this.usage = {};
+  }
+
+  /**
+   * Load the configured usage statistics, keyed by species ID
+   *
+   * Entries for forms (e.g. Urshifu-Rapid-Strike) are left out, as forms
+   * have no competitive block of their own.
+   *
+   * @returns {Promise<void>}
+   */
+  async prepare() {
+    const usage = await this.crawler.loadUsageStats();
+    this.usage = {};
+
+    for (const [name, formats] of Object.entries(usage)) {
+      try {
+        const { species, form } = speciesRegistry.resolve(name);
+        if (!form) {
+          this.usage[species.id] = formats;
+        }
+      } catch {
+        // Not a species the registry knows
+      }
+    }
+  }
+
+  /**
+   * List the strategy page and forum search
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets
+   */
+  async discover(speciesId) {
+    const name = speciesRegistry.getName(speciesId);
+
+    return [
+      {
+        kind: 'strategy',
+        url: this.crawler.buildStrategyUrl(name),
+        optional: true,
+        // The Strategy Pokédex is a client-rendered app
+        render: true,
+        waitForSelector: this.crawler.selectors.content,
+      },
+      {
+        kind: 'forums',
+        url: this.crawler.buildForumSearchUrl(name),
+        optional: true,
+        page: 1,
+        name,
+        threads: [],
+      },
+    ];
+  }
+
+  /**
+   * Follow forum pagination: a search page leads to the next result page
+   * and the threads it lists, a thread page to the thread's next page, up to
+   * the forumSearch limits
+   * @param {Object} document - Fetched document
+   * @param {Object} target - Target it was fetched for; search targets carry
+   *   the species name and the IDs of the threads already listed for it
+   * @returns {Array<Object>} Further targets
+   */
+  follow(document, target) {
+    const limits = this.crawler.config.forumSearch;
+    const targets = [];
+
+    if (document.kind === 'forums') {
+      const { results, nextPage } = this.crawler.parseForumSearchResults(
+        document.body,
+        target.name
+      );
+
+      if (nextPage && target.page < limits.searchPages) {
+        targets.push({ ...target, url: nextPage, page: target.page + 1 });
+      }
+      for (const result of results) {
+        if (
+          target.threads.length < limits.threads &&
+          !target.threads.includes(result.threadId)
+        ) {
+          target.threads.push(result.threadId);
+          targets.push({
+            kind: 'forum-thread',
+            url: result.url,
+            optional: true,
+            page: 1,
+          });
+        }
+      }
+    }
+
+    if (document.kind === 'forum-thread') {
+      const { nextPage } = this.crawler.parseForumThread(
+        document.body,
+        document.url
+      );
+      if (nextPage && target.page < limits.threadPages) {
+        targets.push({ ...target, url: nextPage, page: target.page + 1 });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Extract strategy fields, usage statistics and forum excerpts
+   * @param {Array<Object>} documents - Fetched documents
+   * @param {string|number} speciesId - Species ID
+   * @returns {Object} Partial species record
+   */
+  extract(documents, speciesId) {
+    const name = speciesRegistry.getName(speciesId);
+    const strategy = findDocument(documents, 'strategy');
+    const threads = documents
+      .filter((document) => document.kind === 'forum-thread')
+      .map((document) =>
+        this.crawler.parseForumThread(document.body, document.url)
+      );
+    const data = {};
+
+    const usage = this.usage[Number(speciesId)] || {};
+    const competitive = {
+      tiers: {},
+      sets: [],
+      viability: {},
+      source: null,
+      usage,
+    };
+
+    if (strategy) {
+      const parsed = this.crawler.parseStrategyPage(strategy.body, name);
+
+      Object.assign(data, {
+        name: parsed.name,
+        types: parsed.types,
+        abilities: parsed.abilities.map((ability) => ability.name),
+        moves: parsed.moves,
+      });
+      Object.assign(competitive, {
+        tiers: parsed.tiers,
+        sets: parsed.sets,
+        viability: parsed.viability,
+        source: { url: strategy.url, timestamp: strategy.timestamp },
+      });
+    }
+
+    if (strategy || Object.keys(usage).length > 0) {
+      data.competitive = competitive;
+    }
+
+    const forums = selectForumExcerpts(threads, name, {
+      ...this.crawler.config.forumSearch,
+      source: this.name,
+    });
+    if (forums.length > 0) {
+      data.forums = forums;
+    }
+
+    return data;
+  }
+}
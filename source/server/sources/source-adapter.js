@@ -0,0 +1,189 @@
+/**
+ * Source Adapter
+ *
+ * Contract every data source implements to take part in the pipeline:
+ * discover the pages a species needs, fetch them, and extract a partial
+ * normalized record from what was fetched. The crawl stage stores the
+ * fetched documents; the process stage calls extract() on them.
+ *
+ * @fileoverview Base class for pluggable data sources
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { getDomain } from '../crawler/scheduler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Base source adapter
+ *
+ * Subclasses set `this.crawler` (a BaseCrawler, which provides caching,
+ * rate limiting and robots.txt checks) and implement discover() and
+ * extract().
+ */
+export class SourceAdapter {
+  /**
+   * @param {string} name - Source name, as configured in sourceConfigs
+   * @param {Object} config - Server configuration
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.crawler = null;
+  }
+
+  /**
+   * Base URL of the source, used to group crawl tasks by domain
+   * @returns {string} Base URL
+   */
+  get baseUrl() {
+    return this.crawler.baseUrl;
+  }
+
+  /**
+   * Get the domain crawl tasks for this source are scheduled under
+   * @returns {string} Host name
+   */
+  getDomain() {
+    return getDomain(this.baseUrl);
+  }
+
+  /**
+   * List the documents to fetch for a species
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets ({ kind, url, optional,
+   *   render, waitForSelector }); `render` fetches the page through the
+   *   headless browser, for client-rendered sites
+   */
+  async discover(speciesId) {
+    throw new Error(`Source ${this.name} does not implement discover()`);
+  }
+
+  /**
+   * Fetch one discovered target
+   * @param {Object} target - Target from discover()
+   * @param {Object} options - Crawl options ({ skipCache })
+   * @returns {Promise<Object>} Document ({ kind, url, status, timestamp,
+   *   changed, body })
+   */
+  async fetch(target, options = {}) {
+    const result = await this.crawler.crawlUrl(target.url, {
+      ...options,
+      usePuppeteer: Boolean(target.render),
+      waitForSelector: target.waitForSelector || null,
+    });
+
+    return {
+      kind: target.kind,
+      url: target.url,
+      status: result.status,
+      timestamp: result.timestamp,
+      changed: result.changed,
+      body: result.data,
+    };
+  }
+
+  /**
+   * List the documents a fetched document leads to, such as its next page
+   * or the threads a search lists
+   * @param {Object} document - Document from fetch()
+   * @param {Object} target - Target it was fetched for
+   * @returns {Array<Object>} Further targets, fetched after those already
+   *   listed
+   */
+  follow(document, target) {
+    return [];
+  }
+
+  /**
+   * Load what extract() needs besides a species' documents, such as files
+   * shared by every species; called once before the source is processed
+   * @returns {Promise<void>}
+   */
+  async prepare() {}
+
+  /**
+   * Extract a partial normalized record from fetched documents
+   * @param {Array<Object>} documents - Documents from fetch()
+   * @param {string|number} speciesId - Species ID
+   * @returns {Object} Partial species record (schema fields from
+   *   DataProcessor.loadSchema, plus any source-specific extras)
+   */
+  extract(documents, speciesId) {
+    throw new Error(`Source ${this.name} does not implement extract()`);
+  }
+
+  /**
+   * Discover and fetch every document for a species
+   *
+   * Optional targets may fail without failing the species, but at least one
+   * document must be fetched. Targets that fetched documents lead to (see
+   * follow()) are fetched in turn.
+   *
+   * @param {string|number} speciesId - Species ID
+   * @param {Object} options - Crawl options ({ skipCache })
+   * @returns {Promise<Object>} Crawl result ({ source, speciesId, url,
+   *   status, timestamp, changed, documents }); `changed` is false when
+   *   every document matched its cached copy
+   */
+  async crawlSpecies(speciesId, options = {}) {
+    const targets = await this.discover(speciesId);
+    const documents = [];
+
+    for (const target of targets) {
+      try {
+        const document = await this.fetch(target, options);
+        documents.push(document);
+        // Appended targets are reached by this same loop
+        targets.push(...this.follow(document, target));
+      } catch (error) {
+        if (!target.optional) {
+          throw error;
+        }
+        logger.warn(
+          `Failed to fetch ${this.name} ${target.kind} for ${speciesId}:`,
+          error.message
+        );
+      }
+    }
+
+    if (documents.length === 0) {
+      throw new Error(`No ${this.name} data for ${speciesId}`);
+    }
+
+    return {
+      source: this.name,
+      speciesId,
+      url: documents[0].url,
+      status: documents[0].status,
+      timestamp: documents[0].timestamp,
+      changed: documents.some((document) => document.changed !== false),
+      documents,
+    };
+  }
+
+  /**
+   * Release crawler resources (such as the headless browser)
+   */
+  async close() {
+    await this.crawler?.close();
+  }
+
+  /**
+   * Get crawler statistics
+   * @returns {Object} Statistics (empty for sources without a crawler)
+   */
+  getStats() {
+    return this.crawler ? this.crawler.getStats() : {};
+  }
+}
+
+/**
+ * Find the first fetched document of a kind
+ * @param {Array<Object>} documents - Fetched documents
+ * @param {string} kind - Document kind
+ * @returns {Object|undefined} Document
+ */
+export function findDocument(documents, kind) {
+  return documents.find((document) => document.kind === kind);
+}
@@ -0,0 +1,122 @@
+/**
+ * Source Registry
+ *
+ * Holds the source adapters a run crawls and processes. Sources join through
+ * configuration: every entry in sourceConfigs with an `adapter` module path
+ * is loaded unless disabled, so adding a wiki or data dump needs a config
+ * entry and an adapter module, not pipeline changes.
+ *
+ * @fileoverview Config-driven registry of source adapters
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { sourceConfigs } from '../config/crawler.js';
+import { SourceAdapter } from './source-adapter.js';
+
+/**
+ * Registry of source adapters by name
+ */
+export class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Load the configured sources
+   *
+   * Adapter paths resolve relative to this directory. `config.sources`
+   * (the SOURCES environment variable) limits the run to the named
+   * sources; otherwise every source not marked `enabled: false` is loaded.
+   *
+   * @param {Object} config - Server configuration ({ sources, sourceConfigs })
+   * @returns {Promise<SourceRegistry>} Registry
+   */
+  static async fromConfig(config = {}) {
+    const registry = new SourceRegistry();
+    const configs = { ...sourceConfigs, ...config.sourceConfigs };
+    const selected = config.sources;
+
+    for (const name of selected || []) {
+      if (!configs[name]?.adapter) {
+        throw new Error(`Unknown source: ${name}`);
+      }
+    }
+
+    for (const [name, sourceConfig] of Object.entries(configs)) {
+      if (!sourceConfig.adapter) {
+        continue;
+      }
+      if (
+        selected ? !selected.includes(name) : sourceConfig.enabled === false
+      ) {
+        continue;
+      }
+
+      const module = await import(
+        new URL(sourceConfig.adapter, import.meta.url).href
+      );
+      registry.register(new module.default(name, config));
+    }
+
+    return registry;
+  }
+
+  /**
+   * Add an adapter
+   * @param {SourceAdapter} adapter - Source adapter
+   */
+  register(adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error(`Source ${adapter?.name} is not a SourceAdapter`);
+    }
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Duplicate source: ${adapter.name}`);
+    }
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Get an adapter by source name
+   * @param {string} name - Source name
+   * @returns {SourceAdapter} Source adapter
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(`Unknown source: ${name}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Get all adapters in registration order
+   * @returns {Array<SourceAdapter>} Source adapters
+   */
+  getAll() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Get the registered source names
+   * @returns {Array<string>} Source names
+   */
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Release every adapter's crawler resources
+   */
+  async close() {
+    await Promise.all(this.getAll().map((adapter) => adapter.close()));
+  }
+
+  /**
+   * Number of registered sources
+   * @returns {number} Source count
+   */
+  get size() {
+    return this.adapters.size;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Wiki Source Adapter
+ *
+ * Generic adapter for HTML wikis described entirely by configuration: the
+ * source's `paths` give the pages to fetch and its `selectors` the fields
+ * to read from them (see processors/selector-extractor.js). A fan or
+ * Fandom-style wiki joins with a sourceConfigs entry pointing `adapter` at
+ * this module, with no crawler class of its own.
+ *
+ * @fileoverview Config-driven adapter for selector-extracted wikis
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { SourceAdapter, findDocument } from './source-adapter.js';
+import { BaseCrawler } from '../crawler/base-crawler.js';
+import {
+  getSourceConfig,
+  mergeSourceConfig,
+  sourceConfigs,
+} from '../config/crawler.js';
+import { extractFields } from '../processors/selector-extractor.js';
+import {
+  speciesRegistry,
+  toBulbapediaTitle,
+  toSmogonSlug,
+} from '../registry/species-registry.js';
+
+/**
+ * Wiki pages read with a declarative extraction spec
+ */
+export default class WikiAdapter extends SourceAdapter {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.sourceConfig = mergeSourceConfig(
+      getSourceConfig(name, { ...sourceConfigs, ...config.sourceConfigs }),
+      config
+    );
+
+    const pages = Object.keys(this.sourceConfig.paths || {});
+    const fields = Object.values(this.sourceConfig.selectors || {});
+    if (pages.length === 0 || fields.length === 0) {
+      throw new Error(`Source ${name} needs paths and selectors`);
+    }
+    for (const spec of fields) {
+      if (spec.page && !pages.includes(spec.page)) {
+        throw new Error(`Source ${name} has no path for ${spec.page} pages`);
+      }
+    }
+
+    this.crawler = new BaseCrawler(this.sourceConfig);
+  }
+
+  /**
+   * Base URL of the wiki
+   * @returns {string} Base URL
+   */
+  get baseUrl() {
+    return this.sourceConfig.baseUrl;
+  }
+
+  /**
+   * List one page per path; the first is required and the rest optional
+   * @param {string|number} speciesId - Species ID
+   * @returns {Promise<Array<Object>>} Targets
+   */
+  async discover(speciesId) {
+    return Object.keys(this.sourceConfig.paths).map((kind, index) => ({
+      kind,
+      url: this.buildUrl(kind, speciesId),
+      optional: index > 0,
+    }));
+  }
+
+  /**
+   * Build the URL of a species page
+   *
+   * Paths may use {name} (article title, e.g. "Mr._Mime"), {slug} (e.g.
+   * "mr-mime") and {id} (National Dex number).
+   *
+   * @param {string} kind - Page kind, as named in `paths`
+   * @param {string|number} speciesId - Species ID or name
+   * @returns {string} Full URL
+   */
+  buildUrl(kind, speciesId) {
+    const { species } = speciesRegistry.resolve(speciesId);
+    const path = this.sourceConfig.paths[kind]
+      .replace('{name}', toBulbapediaTitle(species.name))
+      .replace('{slug}', toSmogonSlug(species.name))
+      .replace('{id}', species.id);
+    return `${this.baseUrl}${path}`;
+  }
+
+  /**
+   * Extract species fields from the fetched pages
+   *
+   * Each field is read from the page its spec names as `page`, by default
+   * the first path's.
+   *
+   * @param {Array<Object>} documents - Fetched documents
+   * @returns {Object} Partial species record
+   */
+  extract(documents) {
+    const [firstPage] = Object.keys(this.sourceConfig.paths);
+    const byPage = {};
+    for (const [field, spec] of Object.entries(this.sourceConfig.selectors)) {
+      const page = spec.page || firstPage;
+      byPage[page] = { ...byPage[page], [field]: spec };
+    }
+
+    const data = {};
+    for (const [page, fields] of Object.entries(byPage)) {
+      const document = findDocument(documents, page);
+      if (!document) continue;
+
+      Object.assign(
+        data,
+        extractFields(document.body, fields, { url: document.url })
+      );
+    }
+
+    return data;
+  }
+}
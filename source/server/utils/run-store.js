@@ -0,0 +1,373 @@
+/**
+ * Pipeline Run Store
+ *
+ * Persists the output of each pipeline stage to disk, keyed by a run ID, so
+ * an interrupted run can be resumed without repeating crawls or LLM calls.
+ *
+ * @fileoverview On-disk stage checkpoints for pipeline runs
+ * @author Infinite Pokédex Team
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Pipeline stages in execution order
+ */
+export const PIPELINE_STAGES = [
+  'crawl',
+  'process',
+  'enrich',
+  'build',
+  'publish',
+];
+
+const RUN_ID_PATTERN = /^\d{8}-\d{6}-[a-f0-9]{4}$/;
+const CHECKPOINT_KEY_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Stores run manifests, stage outputs and per-species checkpoints
+ */
+export class RunStore {
+  constructor(config) {
+    this.runsDir = join(config.tempDir, 'runs');
+  }
+
+  /**
+   * Generate a new run identifier
+   * @returns {string} Run ID (YYYYMMDD-HHMMSS-xxxx)
+   */
+  generateRunId() {
+    const now = new Date();
+    const date = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0'),
+    ].join('');
+    const time = [now.getHours(), now.getMinutes(), now.getSeconds()]
+      .map((part) => String(part).padStart(2, '0'))
+      .join('');
+    const suffix = crypto.randomBytes(2).toString('hex');
+
+    return `${date}-${time}-${suffix}`;
+  }
+
+  /**
+   * Get the directory holding a run's artifacts
+   * @param {string} runId - Run ID
+   * @returns {string} Run directory
+   */
+  getRunDir(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+    return join(this.runsDir, runId);
+  }
+
+  /**
+   * Create a new run with all stages pending
+   * @param {Object} options - Pipeline options to record for resumption
+   * @returns {Promise<Object>} Run manifest
+   */
+  async createRun(options = {}) {
+    const runId = this.generateRunId();
+    const now = new Date().toISOString();
+    const manifest = {
+      runId,
+      createdAt: now,
+      updatedAt: now,
+      options,
+      stages: Object.fromEntries(
+        PIPELINE_STAGES.map((stage) => [stage, { status: 'pending' }])
+      ),
+    };
+
+    await fs.mkdir(this.getRunDir(runId), { recursive: true });
+    await this.saveManifest(manifest);
+
+    logger.info(`Created pipeline run ${runId}`);
+    return manifest;
+  }
+
+  /**
+   * Load an existing run manifest
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Run manifest
+   */
+  async loadRun(runId) {
+    const manifest = await this.readJson(
+      join(this.getRunDir(runId), 'manifest.json')
+    );
+
+    if (!manifest) {
+      throw new Error(`Unknown run: ${runId}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Persist a run manifest
+   * @param {Object} manifest - Run manifest
+   * @returns {Promise<void>}
+   */
+  async saveManifest(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    await this.writeJson(
+      join(this.getRunDir(manifest.runId), 'manifest.json'),
+      manifest
+    );
+  }
+
+  /**
+   * Update a stage's status in the manifest
+   * @param {Object} manifest - Run manifest
+   * @param {string} stage - Stage name
+   * @param {string} status - pending, running, complete, skipped or failed
+   * @param {Object} details - Extra fields to record on the stage
+   * @returns {Promise<void>}
+   */
+  async setStageStatus(manifest, stage, status, details = {}) {
+    manifest.stages[stage] = {
+      ...manifest.stages[stage],
+      ...details,
+      status,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.saveManifest(manifest);
+  }
+
+  /**
+   * Save a stage's output and mark it complete
+   * @param {Object} manifest - Run manifest
+   * @param {string} stage - Stage name
+   * @param {*} output - Stage output
+   * @param {string} status - Final stage status
+   * @returns {Promise<void>}
+   */
+  async saveStage(manifest, stage, output, status = 'complete') {
+    this.assertStage(stage);
+    await this.writeJson(
+      join(this.getRunDir(manifest.runId), `${stage}.json`),
+      output
+    );
+    await this.setStageStatus(manifest, stage, status, { error: undefined });
+  }
+
+  /**
+   * Load a completed stage's output
+   * @param {string} runId - Run ID
+   * @param {string} stage - Stage name
+   * @returns {Promise<*>} Stage output, or null if not saved
+   */
+  async loadStage(runId, stage) {
+    this.assertStage(stage);
+    return this.readJson(join(this.getRunDir(runId), `${stage}.json`));
+  }
+
+  /**
+   * Save a partial result inside a stage (e.g. one species)
+   * @param {string} runId - Run ID
+   * @param {string} stage - Stage name
+   * @param {Array<string|number>} keys - Nested checkpoint keys
+   * @param {*} data - Partial result
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(runId, stage, keys, data) {
+    this.assertStage(stage);
+    const parts = keys.map((key) => this.checkpointKey(key));
+    const file = `${parts.pop()}.json`;
+
+    await this.writeJson(
+      join(this.getRunDir(runId), stage, ...parts, file),
+      data
+    );
+  }
+
+  /**
+   * Load all partial results saved inside a stage
+   * @param {string} runId - Run ID
+   * @param {string} stage - Stage name
+   * @returns {Promise<Object>} Nested object mirroring checkpoint keys
+   */
+  async loadCheckpoints(runId, stage) {
+    this.assertStage(stage);
+    return this.readCheckpointDir(join(this.getRunDir(runId), stage));
+  }
+
+  /**
+   * Open a stage's checkpoints for reading and incremental writing
+   * @param {string} runId - Run ID
+   * @param {string} stage - Stage name
+   * @returns {Promise<Object>} Checkpoint with completed results and save()
+   */
+  async openCheckpoint(runId, stage) {
+    const completed = await this.loadCheckpoints(runId, stage);
+
+    return {
+      completed,
+      save: (keys, data) => this.saveCheckpoint(runId, stage, keys, data),
+    };
+  }
+
+  /**
+   * Save the run report's recorded data
+   * @param {string} runId - Run ID
+   * @param {Object} data - Report data (RunReport#data)
+   * @returns {Promise<void>}
+   */
+  async saveReport(runId, data) {
+    await this.writeJson(join(this.getRunDir(runId), 'report.json'), data);
+  }
+
+  /**
+   * Load the run report's recorded data
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Report data, or null if none saved
+   */
+  async loadReport(runId) {
+    return this.readJson(join(this.getRunDir(runId), 'report.json'));
+  }
+
+  /**
+   * Find the first stage of a run that still needs to execute
+   * @param {Object} manifest - Run manifest
+   * @returns {string|null} Stage name, or null if the run is finished
+   */
+  getResumeStage(manifest) {
+    return (
+      PIPELINE_STAGES.find(
+        (stage) =>
+          !['complete', 'skipped'].includes(manifest.stages[stage]?.status)
+      ) || null
+    );
+  }
+
+  /**
+   * Discard the output and checkpoints of stages so they run again
+   * @param {Object} manifest - Run manifest
+   * @param {Array<string>} stages - Stages to reset
+   * @returns {Promise<void>}
+   */
+  async resetStages(manifest, stages) {
+    const runDir = this.getRunDir(manifest.runId);
+
+    for (const stage of stages) {
+      this.assertStage(stage);
+      if (manifest.stages[stage]?.status === 'pending') continue;
+
+      await fs.rm(join(runDir, `${stage}.json`), { force: true });
+      await fs.rm(join(runDir, stage), { recursive: true, force: true });
+      manifest.stages[stage] = { status: 'pending' };
+    }
+
+    await this.saveManifest(manifest);
+  }
+
+  /**
+   * List all runs, newest first
+   * @returns {Promise<Array<Object>>} Run manifests
+   */
+  async listRuns() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.runsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const manifests = [];
+    for (const runId of entries.filter((entry) => RUN_ID_PATTERN.test(entry))) {
+      try {
+        manifests.push(await this.loadRun(runId));
+      } catch (error) {
+        logger.warn(`Skipping unreadable run ${runId}:`, error.message);
+      }
+    }
+
+    return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Recursively read a checkpoint directory into a nested object
+   * @param {string} dir - Directory to read
+   * @returns {Promise<Object>} Checkpoint data
+   */
+  async readCheckpointDir(dir) {
+    const result = {};
+    let entries;
+
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return result;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        result[entry.name] = await this.readCheckpointDir(path);
+      } else if (entry.name.endsWith('.json')) {
+        result[entry.name.slice(0, -'.json'.length)] =
+          await this.readJson(path);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and normalize a checkpoint key
+   * @param {string|number} key - Checkpoint key
+   * @returns {string} Safe path segment
+   */
+  checkpointKey(key) {
+    const value = String(key);
+    if (!CHECKPOINT_KEY_PATTERN.test(value) || value.startsWith('.')) {
+      throw new Error(`Invalid checkpoint key: ${value}`);
+    }
+    return value;
+  }
+
+  /**
+   * Ensure a stage name is known
+   * @param {string} stage - Stage name
+   */
+  assertStage(stage) {
+    if (!PIPELINE_STAGES.includes(stage)) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+  }
+
+  /**
+   * Write JSON atomically (temp file + rename)
+   * @param {string} path - Destination path
+   * @param {*} data - Data to serialize
+   * @returns {Promise<void>}
+   */
+  async writeJson(path, data) {
+    const tempPath = `${path}.${process.pid}.partial`;
+
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, path);
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} path - File path
+   * @returns {Promise<*>} Parsed data, or null if missing
+   */
+  async readJson(path) {
+    try {
+      return JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
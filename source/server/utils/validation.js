@@ -229,5 +229,6 @@ export function validateHash(hash) {
  */
 export function validateVersion(version) {
   const versionRegex = /^\d{8}-\d{4}$/; // YYYYMMDD-HHMM format
-  return versionRegex.test(version);
+  const sameMinuteRegex = /^\d{8}-\d{4}-\d+$/; // Later builds that minute
+  return versionRegex.test(version) || sameMinuteRegex.test(version);
 }
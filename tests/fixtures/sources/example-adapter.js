@@ -0,0 +1,34 @@
+/**
+ * Example source adapter used by the source registry tests. It serves
+ * canned JSON documents instead of crawling.
+ */
+
+import { SourceAdapter } from '../../../source/server/sources/source-adapter.js';
+
+export default class ExampleAdapter extends SourceAdapter {
+  get baseUrl() {
+    return 'https://dump.example.org';
+  }
+
+  async discover(speciesId) {
+    return [
+      { kind: 'entry', url: `${this.baseUrl}/species/${speciesId}.json` },
+    ];
+  }
+
+  async fetch(target) {
+    const id = Number(target.url.match(/(\d+)\.json$/)[1]);
+    return {
+      kind: target.kind,
+      url: target.url,
+      status: 200,
+      timestamp: '2024-01-15T10:30:00.000Z',
+      body: JSON.stringify({ id, name: `Species ${id}`, types: ['Normal'] }),
+    };
+  }
+
+  extract(documents) {
+    const { name, types } = JSON.parse(documents[0].body);
+    return { name, types };
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Browser Pool Tests
+ *
+ * Tests for rendered crawling with a mocked Puppeteer: bounded pages,
+ * resource blocking, timeouts, page recycling and the BaseCrawler path.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BrowserPool } from '../../source/server/crawler/browser-pool.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal stand-in for a Puppeteer page
+ */
+class FakePage {
+  constructor(browser) {
+    this.browser = browser;
+    this.listeners = {};
+    this.closed = false;
+  }
+
+  setDefaultTimeout(timeout) {
+    this.defaultTimeout = timeout;
+  }
+
+  async setUserAgent(userAgent) {
+    this.userAgent = userAgent;
+  }
+
+  async setRequestInterception(enabled) {
+    this.intercepting = enabled;
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  async goto(url, options) {
+    this.browser.open++;
+    this.browser.peak = Math.max(this.browser.peak, this.browser.open);
+    this.gotoOptions = options;
+    this.url = url;
+
+    // The page loads a script and an image; the image should be blocked
+    for (const type of ['script', 'image']) {
+      const request = {
+        resourceType: () => type,
+        abort: () => this.browser.aborted.push(type),
+        continue: () => this.browser.continued.push(type),
+      };
+      this.listeners.request(request);
+    }
+
+    await sleep(5);
+    this.browser.open--;
+
+    if (url.includes('timeout')) {
+      throw new Error('Navigation timeout of 1000 ms exceeded');
+    }
+    return {
+      status: () => 200,
+      statusText: () => 'OK',
+      headers: () => ({ 'content-type': 'text/html' }),
+    };
+  }
+
+  async waitForSelector(selector, options) {
+    this.waitedFor = { selector, options };
+  }
+
+  async content() {
+    return `<div class="dex">${this.url}</div>`;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * Puppeteer-compatible launcher that records what the pool does
+ */
+function fakeLauncher() {
+  const browser = {
+    open: 0,
+    peak: 0,
+    pages: [],
+    aborted: [],
+    continued: [],
+    closed: false,
+    on: () => {},
+    newPage: async () => {
+      const page = new FakePage(browser);
+      browser.pages.push(page);
+      return page;
+    },
+    close: async () => {
+      browser.closed = true;
+    },
+  };
+  const launcher = {
+    browser,
+    launches: 0,
+    launch: async (options) => {
+      launcher.launches++;
+      launcher.options = options;
+      return browser;
+    },
+  };
+  return launcher;
+}
+
+describe('BrowserPool', () => {
+  const config = {
+    browser: { maxPages: 2, pageTimeout: 1000 },
+    request: { userAgent: 'TestBot/1.0' },
+  };
+
+  it('should bound concurrent pages and reuse them', async () => {
+    const launcher = fakeLauncher();
+    const pool = new BrowserPool(config, launcher);
+
+    const urls = [1, 2, 3, 4, 5].map((n) => `https://dex.test/${n}`);
+    const results = await Promise.all(urls.map((url) => pool.render(url)));
+
+    expect(results.map((result) => result.data)).toEqual(
+      urls.map((url) => `<div class="dex">${url}</div>`)
+    );
+    expect(launcher.launches).toBe(1);
+    expect(launcher.options).toEqual({ headless: true });
+    expect(launcher.browser.peak).toBe(2);
+    expect(launcher.browser.pages).toHaveLength(2);
+    expect(pool.getStats()).toMatchObject({
+      rendered: 5,
+      pagesCreated: 2,
+      active: 0,
+      idle: 2,
+      waiting: 0,
+    });
+  });
+
+  it('should block images and fonts and apply page timeouts', async () => {
+    const launcher = fakeLauncher();
+    const pool = new BrowserPool(config, launcher);
+
+    await pool.render('https://dex.test/mew', { waitForSelector: '.dex' });
+
+    const [page] = launcher.browser.pages;
+    expect(page.intercepting).toBe(true);
+    expect(page.userAgent).toBe('TestBot/1.0');
+    expect(page.gotoOptions.timeout).toBe(1000);
+    expect(page.waitedFor).toEqual({
+      selector: '.dex',
+      options: { timeout: 1000 },
+    });
+    expect(launcher.browser.aborted).toEqual(['image']);
+    expect(launcher.browser.continued).toEqual(['script']);
+  });
+
+  it('should discard pages that fail and free their slot', async () => {
+    const launcher = fakeLauncher();
+    const pool = new BrowserPool(
+      { ...config, browser: { maxPages: 1 } },
+      launcher
+    );
+
+    await expect(pool.render('https://dex.test/timeout')).rejects.toThrow(
+      'Navigation timeout'
+    );
+    await pool.render('https://dex.test/ok');
+
+    expect(launcher.browser.pages[0].closed).toBe(true);
+    expect(launcher.browser.pages).toHaveLength(2);
+    expect(pool.getStats()).toMatchObject({
+      failed: 1,
+      rendered: 1,
+      active: 0,
+    });
+
+    await pool.close();
+    expect(launcher.browser.closed).toBe(true);
+  });
+});
+
+describe('BaseCrawler rendered crawling', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'browser-pool-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should render through the pool with robots, rate limit and cache', async () => {
+    const launcher = fakeLauncher();
+    const crawler = new BaseCrawler({ cacheDir: dir });
+    const checked = [];
+    const waited = [];
+
+    crawler.browserPool = new BrowserPool(crawler.config, launcher);
+    crawler.checkRobotsTxt = async (url) => {
+      checked.push(url);
+      return true;
+    };
+    const limiter = crawler.getRateLimiter('https://dex.test/');
+    const wait = limiter.wait.bind(limiter);
+    limiter.wait = () => {
+      waited.push(Date.now());
+      return wait();
+    };
+
+    const options = { usePuppeteer: true, waitForSelector: '.dex' };
+    const first = await crawler.crawlUrl('https://dex.test/pikachu', options);
+    const second = await crawler.crawlUrl('https://dex.test/pikachu', options);
+
+    expect(first).toMatchObject({
+      status: 200,
+      cache: 'miss',
+      data: '<div class="dex">https://dex.test/pikachu</div>',
+    });
+    expect(second).toMatchObject({ cache: 'hit', data: first.data });
+    expect(checked).toHaveLength(2);
+    expect(waited).toHaveLength(1);
+    expect(launcher.browser.pages).toHaveLength(1);
+
+    await crawler.close();
+    expect(launcher.browser.closed).toBe(true);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Tests for per-host circuit breakers: opening within the rolling
+ * monitoring period, half-open single probes, state-change events, and
+ * how BaseCrawler applies one breaker per host.
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  jest,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CircuitBreaker } from '../../source/server/crawler/circuit-breaker.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+
+const config = {
+  enabled: true,
+  failureThreshold: 3,
+  resetTimeout: 1000,
+  monitoringPeriod: 5000,
+};
+
+describe('CircuitBreaker', () => {
+  let now;
+  let realNow;
+  let events;
+  let breaker;
+
+  beforeEach(() => {
+    realNow = Date.now;
+    now = 1700000000000;
+    Date.now = () => now;
+    events = [];
+    breaker = new CircuitBreaker('a.test', config, {
+      onStateChange: (event) => events.push(event),
+    });
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) breaker.recordFailure('HTTP 503');
+  };
+
+  it('should open after the failure threshold', () => {
+    fail(2);
+    expect(breaker.allowRequest()).toBe(true);
+    fail(1);
+
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(events).toEqual([
+      expect.objectContaining({ host: 'a.test', from: 'CLOSED', to: 'OPEN' }),
+    ]);
+    expect(events[0].reason).toContain('HTTP 503');
+  });
+
+  it('should only count failures within the monitoring period', () => {
+    fail(2);
+    now += 6000;
+    fail(2);
+
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.getStats().recentFailures).toBe(2);
+  });
+
+  it('should let a single probe through once half-open', () => {
+    fail(3);
+    now += 1000;
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.allowRequest()).toBe(true);
+    expect(events.map((event) => event.to)).toEqual([
+      'OPEN',
+      'HALF_OPEN',
+      'CLOSED',
+    ]);
+  });
+
+  it('should re-open when the probe fails', () => {
+    fail(3);
+    now += 1000;
+    breaker.allowRequest();
+    breaker.recordFailure('timeout');
+
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.getStats()).toMatchObject({
+      opened: 2,
+      probes: 1,
+      retryAt: new Date(now + 1000).toISOString(),
+    });
+    expect(events[2].reason).toBe('probe failed: timeout');
+  });
+
+  it('should report when an open breaker will retry', () => {
+    fail(3);
+    const error = breaker.createOpenError();
+
+    expect(error.code).toBe('CIRCUIT_OPEN');
+    expect(error.host).toBe('a.test');
+    expect(error.retryAt).toBe(new Date(now + 1000).toISOString());
+    expect(error.message).toContain(error.retryAt);
+  });
+
+  it('should never open when disabled', () => {
+    breaker = new CircuitBreaker('a.test', { ...config, enabled: false });
+    fail(10);
+
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+});
+
+describe('BaseCrawler circuit breakers', () => {
+  let dir;
+  let crawler;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'circuit-breaker-'));
+    crawler = new BaseCrawler({
+      cacheDir: dir,
+      circuitBreaker: { ...config, failureThreshold: 2 },
+    });
+    crawler.checkRobotsTxt = async () => true;
+    crawler.client.get = jest.fn(async (url) => {
+      if (url.startsWith('https://down.test')) {
+        throw Object.assign(new Error('HTTP 502'), {
+          response: { status: 502 },
+        });
+      }
+      return { status: 200, headers: {}, data: 'ok' };
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should trip the failing host only', async () => {
+    const crawl = (url) => crawler.crawlUrl(url, { skipCache: true });
+
+    await expect(crawl('https://down.test/1')).rejects.toThrow('HTTP 502');
+    await expect(crawl('https://down.test/2')).rejects.toThrow('HTTP 502');
+    await expect(crawl('https://down.test/3')).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+    });
+    await expect(crawl('https://up.test/1')).resolves.toMatchObject({
+      status: 200,
+    });
+
+    expect(crawler.client.get).toHaveBeenCalledTimes(3);
+
+    const stats = crawler.getCircuitBreakerStats();
+    expect(stats.hosts['down.test']).toMatchObject({
+      state: 'OPEN',
+      rejected: 1,
+    });
+    expect(stats.hosts['up.test'].state).toBe('CLOSED');
+    expect(stats.events).toEqual([
+      expect.objectContaining({ host: 'down.test', to: 'OPEN' }),
+    ]);
+  });
+
+  it('should not count client errors as failures', async () => {
+    crawler.client.get.mockResolvedValue({
+      status: 404,
+      statusText: 'Not Found',
+      headers: {},
+      data: '',
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(
+        crawler.crawlUrl(`https://up.test/missing/${i}`, { skipCache: true })
+      ).rejects.toThrow('HTTP 404');
+    }
+    expect(crawler.getCircuitBreakerStats().hosts['up.test']).toMatchObject({
+      state: 'CLOSED',
+      recentFailures: 0,
+    });
+  });
+});
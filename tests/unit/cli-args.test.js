@@ -0,0 +1,78 @@
+/**
+ * CLI Argument Parsing Tests
+ *
+ * Tests for the server's command line parser: subcommands, positional
+ * arguments and pipeline options.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parseArgs } from '../../source/server/index.js';
+
+describe('parseArgs', () => {
+  it('should default to the full pipeline command', () => {
+    const parsed = parseArgs(['--species', '1,2,3', '--dry-run']);
+
+    expect(parsed.command).toBe('run');
+    expect(parsed.options).toEqual({ species: [1, 2, 3], dryRun: true });
+  });
+
+  it('should parse stage subcommands with a run ID', () => {
+    const parsed = parseArgs(['process', '--run', '20240115-103000-a1b2']);
+
+    expect(parsed.command).toBe('process');
+    expect(parsed.options.runId).toBe('20240115-103000-a1b2');
+  });
+
+  it('should keep positional arguments after the command', () => {
+    const parsed = parseArgs(['rollback', '20240115-1030']);
+
+    expect(parsed.command).toBe('rollback');
+    expect(parsed.positional).toEqual(['20240115-1030']);
+  });
+
+  it('should parse species selectors', () => {
+    const { options } = parseArgs([
+      'crawl',
+      '--species',
+      'pikachu,150',
+      '--gen',
+      '1,2',
+      '--region',
+      'Kanto',
+      '--range',
+      '1-151,250',
+      '--type',
+      'fire',
+    ]);
+
+    expect(options).toEqual({
+      species: ['pikachu', 150],
+      generations: [1, 2],
+      regions: ['Kanto'],
+      ranges: [
+        [1, 151],
+        [250, 250],
+      ],
+      types: ['fire'],
+    });
+    expect(() => parseArgs(['--range', '151-1'])).toThrow('Invalid range');
+  });
+
+  it('should parse record and replay modes', () => {
+    expect(parseArgs(['--record']).options.crawlMode).toBe('record');
+    expect(parseArgs(['crawl', '--replay']).options.crawlMode).toBe('replay');
+  });
+
+  it('should parse baseline runs without tidbits', () => {
+    expect(parseArgs(['--no-tidbits', '--dry-run']).options).toEqual({
+      skipTidbits: true,
+      dryRun: true,
+    });
+  });
+
+  it('should reject unknown options', () => {
+    expect(() => parseArgs(['--species-list', '1'])).toThrow(
+      'Unknown option: --species-list'
+    );
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Competitive Data Tests
+ *
+ * Tests for reading Smogon strategy pages into the species' competitive
+ * block and carrying it, with its provenance, through processing and
+ * dataset building.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import SmogonAdapter from '../../source/server/sources/smogon.js';
+import { SourceRegistry } from '../../source/server/sources/source-registry.js';
+import { DataProcessor } from '../../source/server/processors/parser.js';
+import { DatasetBuilder } from '../../source/server/builders/dataset-builder.js';
+
+const strategyPage = `
+  <div class="dex-pokemon-page">
+    <h1>Garchomp</h1>
+    <div class="dex-pokemon-gen9dex">
+      <table class="tiers">
+        <tr><td>SV</td><td>OU</td></tr>
+        <tr><td>National Dex</td><td>UU</td></tr>
+      </table>
+      <div class="set">
+        <span class="set-name">Swords Dance</span>
+        <span class="set-format">OU</span>
+        <ul class="set-moves">
+          <li class="move">Swords Dance</li>
+          <li class="move">Earthquake</li>
+          <li class="move">Scale Shot</li>
+          <li class="move">Stealth Rock</li>
+        </ul>
+        <span class="set-ability">Rough Skin</span>
+        <span class="set-item">Loaded Dice</span>
+        <span class="set-evs">252 Atk / 4 SpD / 252 Spe</span>
+        <span class="set-nature">Jolly</span>
+      </div>
+      <table class="viability">
+        <tr><td>OU</td><td>A</td></tr>
+      </table>
+    </div>
+  </div>`;
+
+const strategyDocument = {
+  kind: 'strategy',
+  url: 'https://www.smogon.com/dex/sv/pokemon/garchomp/',
+  status: 200,
+  timestamp: '2024-05-01T12:00:00.000Z',
+  body: strategyPage,
+};
+
+describe('Smogon competitive block', () => {
+  const adapter = new SmogonAdapter('smogon', {});
+
+  it('should extract tiers, sets and viability with their page', () => {
+    const { competitive } = adapter.extract([strategyDocument], 445);
+
+    expect(competitive).toEqual({
+      tiers: { SV: 'OU', 'National Dex': 'UU' },
+      sets: [
+        {
+          name: 'Swords Dance',
+          format: 'OU',
+          moves: ['Swords Dance', 'Earthquake', 'Scale Shot', 'Stealth Rock'],
+          ability: 'Rough Skin',
+          item: 'Loaded Dice',
+          evs: { attack: 252, spDefense: 4, speed: 252 },
+          nature: 'Jolly',
+        },
+      ],
+      viability: { OU: 'A' },
+      source: {
+        url: strategyDocument.url,
+        timestamp: strategyDocument.timestamp,
+      },
+      usage: {},
+    });
+  });
+
+  it('should reach the canonical species record', async () => {
+    const registry = new SourceRegistry();
+    registry.register(adapter);
+    const processor = new DataProcessor({}, registry);
+
+    const processed = await processor.process({
+      smogon: {
+        445: {
+          speciesId: 445,
+          url: strategyDocument.url,
+          timestamp: strategyDocument.timestamp,
+          documents: [strategyDocument],
+        },
+      },
+    });
+    const built = await new DatasetBuilder({}).buildSpecies(
+      '445',
+      processed[445]
+    );
+
+    expect(built.competitive).toMatchObject({
+      tiers: { SV: 'OU' },
+      viability: { OU: 'A' },
+      source: {
+        name: 'smogon',
+        url: 'https://www.smogon.com/dex/sv/pokemon/garchomp/',
+        timestamp: '2024-05-01T12:00:00.000Z',
+      },
+    });
+    expect(built.competitive.sets[0]).toMatchObject({
+      ability: 'Rough Skin',
+      nature: 'Jolly',
+    });
+  });
+
+  it('should leave species without strategy data without a block', async () => {
+    const built = await new DatasetBuilder({}).buildSpecies('1', {
+      name: 'Bulbasaur',
+    });
+
+    expect(built.competitive).toBeNull();
+  });
+});
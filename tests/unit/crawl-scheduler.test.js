@@ -0,0 +1,125 @@
+/**
+ * Crawl Scheduler Tests
+ *
+ * Tests for concurrent cross-source crawling: global and per-domain
+ * concurrency limits, fair domain rotation and failure isolation.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  CrawlScheduler,
+  getDomain,
+} from '../../source/server/crawler/scheduler.js';
+import { mergeSourceConfig } from '../../source/server/config/crawler.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build tasks that record how many run at once, overall and per domain
+ */
+function trackedTasks(domains) {
+  const stats = { running: 0, peak: 0, perDomain: {}, peakPerDomain: {} };
+  const order = [];
+
+  const tasks = domains.map((domain, index) => ({
+    domain,
+    run: async () => {
+      order.push(domain);
+      stats.running++;
+      stats.perDomain[domain] = (stats.perDomain[domain] || 0) + 1;
+      stats.peak = Math.max(stats.peak, stats.running);
+      stats.peakPerDomain[domain] = Math.max(
+        stats.peakPerDomain[domain] || 0,
+        stats.perDomain[domain]
+      );
+
+      await sleep(5);
+
+      stats.running--;
+      stats.perDomain[domain]--;
+      return index;
+    },
+  }));
+
+  return { tasks, stats, order };
+}
+
+describe('CrawlScheduler', () => {
+  it('should respect global and per-domain concurrency', async () => {
+    const scheduler = new CrawlScheduler({
+      crawlConcurrency: 3,
+      scheduler: { domainConcurrency: 2 },
+    });
+    const { tasks, stats } = trackedTasks([
+      ...Array(6).fill('a.example'),
+      ...Array(2).fill('b.example'),
+      ...Array(2).fill('c.example'),
+    ]);
+
+    const results = await scheduler.run(tasks);
+
+    expect(results.map((result) => result.value)).toEqual([
+      0, 1, 2, 3, 4, 5, 6, 7, 8, 9,
+    ]);
+    expect(stats.peak).toBe(3);
+    expect(stats.peakPerDomain['a.example']).toBe(2);
+  });
+
+  it('should interleave domains instead of draining one first', async () => {
+    const scheduler = new CrawlScheduler({ crawlConcurrency: 3 });
+    const { tasks, order } = trackedTasks([
+      'a.example',
+      'a.example',
+      'a.example',
+      'b.example',
+      'c.example',
+    ]);
+
+    await scheduler.run(tasks);
+
+    expect(order.slice(0, 3).sort()).toEqual([
+      'a.example',
+      'b.example',
+      'c.example',
+    ]);
+  });
+
+  it('should isolate failures to their own task', async () => {
+    const scheduler = new CrawlScheduler();
+    const results = await scheduler.run([
+      { domain: 'a.example', run: async () => 'ok' },
+      {
+        domain: 'a.example',
+        run: async () => {
+          throw new Error('HTTP 404');
+        },
+      },
+    ]);
+
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 'ok' });
+    expect(results[1].status).toBe('rejected');
+    expect(results[1].reason.message).toBe('HTTP 404');
+    expect(await scheduler.run([])).toEqual([]);
+  });
+
+  it('should group URLs by host', () => {
+    expect(getDomain('https://www.smogon.com/dex/sv/pokemon/mew/')).toBe(
+      'www.smogon.com'
+    );
+  });
+});
+
+describe('mergeSourceConfig', () => {
+  it('should cap source rate limits with the server-wide limit', () => {
+    const merged = mergeSourceConfig(
+      { rateLimit: { requestsPerMinute: 60, requestsPerSecond: 1 } },
+      { rateLimit: 30, userAgent: 'Bot' }
+    );
+
+    expect(merged.rateLimit).toEqual({
+      requestsPerMinute: 30,
+      requestsPerSecond: 1,
+    });
+    expect(merged.userAgent).toBe('Bot');
+  });
+});
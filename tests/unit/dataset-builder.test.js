@@ -0,0 +1,179 @@
+/**
+ * Dataset Builder Tests
+ *
+ * Tests for incremental dataset composition: partial runs merge into the
+ * previous dataset instead of replacing it. Also covers how species fields
+ * such as learnsets are formatted.
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  jest,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DatasetBuilder } from '../../source/server/builders/dataset-builder.js';
+
+const species = (name, tidbits = 0) => ({
+  name,
+  types: ['Grass'],
+  sources: { bulbapedia: { url: `https://example.com/${name}` } },
+  tidbits: Array.from({ length: tidbits }, (_, i) => ({ title: `T${i}` })),
+});
+
+describe('DatasetBuilder', () => {
+  let outputDir;
+  let builder;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(join(tmpdir(), 'dataset-builder-'));
+    builder = new DatasetBuilder({ outputDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('should build from scratch and save the dataset locally', async () => {
+    const dataset = await builder.build({ 1: species('Bulbasaur', 2) });
+
+    expect(dataset.metadata.totalSpecies).toBe(1);
+    expect(dataset.metadata.composition).toEqual({
+      previousVersion: null,
+      built: 1,
+      carriedOver: 0,
+    });
+    expect(await builder.loadLocalDataset()).toEqual(dataset);
+  });
+
+  it('should carry over species not built in a partial run', async () => {
+    const first = await builder.build({
+      1: species('Bulbasaur', 2),
+      2: species('Ivysaur', 1),
+    });
+    const second = await builder.build({ 2: species('Ivysaur', 3) });
+
+    expect(Object.keys(second.species.data)).toEqual(['1', '2']);
+    expect(second.species.data[1]).toEqual(first.species.data[1]);
+    expect(second.species.index[1].lastUpdated).toBe(
+      first.species.index[1].lastUpdated
+    );
+    expect(second.species.index[2].hash).not.toBe(first.species.index[2].hash);
+    expect(second.metadata).toMatchObject({
+      totalSpecies: 2,
+      totalTidbits: 5,
+      sources: ['bulbapedia'],
+      composition: { previousVersion: first.version, built: 1, carriedOver: 1 },
+    });
+  });
+
+  it('should give builds within the same minute distinct versions', () => {
+    jest.useFakeTimers({ now: new Date(2025, 0, 8, 14, 30, 5) });
+    try {
+      const first = builder.composeDataset({}, null);
+      const second = builder.composeDataset({}, first);
+      const third = builder.composeDataset({}, second);
+
+      expect(first.version).toBe('20250108-1430');
+      expect(second.version).toBe('20250108-1430-2');
+      expect(third.version).toBe('20250108-1430-3');
+      expect(third.metadata.composition.previousVersion).toBe(second.version);
+
+      jest.setSystemTime(new Date(2025, 0, 8, 14, 31));
+      expect(builder.composeDataset({}, third).version).toBe('20250108-1431');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should keep the whole learnset, ordered for display', async () => {
+    const learnset = Array.from({ length: 60 }, (_, i) => ({
+      move: `Move ${i}`,
+      method: 'level-up',
+      level: 60 - i,
+      generation: 9,
+      games: ['scarlet', 'violet'],
+    }));
+    learnset.push(
+      {
+        move: 'Cut',
+        method: 'machine',
+        level: null,
+        generation: 1,
+        games: ['red', 'blue', 'yellow'],
+      },
+      {
+        move: 'Tackle',
+        method: 'level-up',
+        level: 1,
+        generation: 1,
+        games: ['red'],
+        source: 'bulbapedia',
+      }
+    );
+
+    const built = await builder.buildSpecies('1', {
+      ...species('Bulbasaur'),
+      learnset,
+    });
+
+    expect(built.learnset).toHaveLength(62);
+    expect(built.learnset.slice(0, 3)).toEqual([
+      {
+        move: 'Tackle',
+        method: 'level-up',
+        level: 1,
+        generation: 1,
+        games: ['red'],
+      },
+      expect.objectContaining({ move: 'Cut', generation: 1 }),
+      expect.objectContaining({ move: 'Move 59', level: 1, generation: 9 }),
+    ]);
+    expect(built).not.toHaveProperty('moves');
+  });
+
+  it('should list every registry form with its own data', async () => {
+    const built = await builder.buildSpecies('37', {
+      ...species('Vulpix'),
+      types: ['Fire'],
+      stats: { hp: 38 },
+      forms: [
+        {
+          name: 'Vulpix-Alola',
+          types: ['Ice'],
+          stats: { hp: 38, speed: 65 },
+          abilities: ['Snow Cloak'],
+          images: [{ src: 'https://example.com/0037Vulpix-Alola.png' }],
+        },
+      ],
+    });
+
+    expect(built.stats).toEqual({ hp: 38 });
+    expect(built.forms).toEqual([
+      {
+        name: 'Vulpix-Alola',
+        form: 'Alola',
+        kind: 'regional',
+        types: ['Ice'],
+        stats: { hp: 38, speed: 65 },
+        abilities: ['Snow Cloak'],
+        image: {
+          base: 'https://example.com/0037Vulpix-Alola.png',
+          license: 'attribution-required',
+        },
+      },
+    ]);
+
+    const charizard = await builder.buildSpecies('6', species('Charizard'));
+    expect(charizard.forms.map((form) => [form.name, form.types])).toEqual([
+      ['Charizard-Mega-X', ['Fire', 'Dragon']],
+      ['Charizard-Mega-Y', ['Fire', 'Flying']],
+      ['Charizard-Gmax', ['Fire', 'Flying']],
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Pokédex Entry Tests
+ *
+ * Tests for merging per-game Pokédex entries, reading them from Serebii's
+ * flavor text table, and how the dataset stores them.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as cheerio from 'cheerio';
+import { mergeDexEntries } from '../../source/server/processors/dex-entries.js';
+import { SerebiiCrawler } from '../../source/server/crawler/serebii.js';
+import { DatasetBuilder } from '../../source/server/builders/dataset-builder.js';
+
+describe('mergeDexEntries', () => {
+  it('should merge identical text across games and generations', () => {
+    const merged = mergeDexEntries([
+      { text: 'It stores energy.', games: ['violet'], generation: 9 },
+      { text: 'A strange seed.', games: ['blue'], generation: 1 },
+      { text: 'It  stores\nenergy.', games: ['yellow'], generation: 1 },
+      { text: 'a strange seed.', games: ['red'], generation: 1 },
+      { text: ' ', games: ['gold'], generation: 2 },
+    ]);
+
+    expect(merged).toEqual([
+      { text: 'A strange seed.', games: ['red', 'blue'], generation: 1 },
+      { text: 'It stores energy.', games: ['yellow', 'violet'], generation: 1 },
+    ]);
+  });
+});
+
+describe('SerebiiCrawler Pokédex entries', () => {
+  it('should read the flavor text table', () => {
+    const crawler = new SerebiiCrawler({});
+    const $ = cheerio.load(`
+      <table class="dextable">
+        <tr><td colspan="2" class="fooevo"><h2>Flavor Text</h2></td></tr>
+        <tr>
+          <td class="foo">Scarlet</td>
+          <td class="fooinfo">There is a plant seed on its back.</td>
+        </tr>
+        <tr>
+          <td class="foo">Violet</td>
+          <td class="fooinfo">There is a plant  seed on its back.</td>
+        </tr>
+        <tr>
+          <td class="foo">Let's Go Pikachu<br>Let's Go Eevee</td>
+          <td class="fooinfo">It grows by soaking up sunlight.</td>
+        </tr>
+        <tr>
+          <td class="foo">Stadium</td>
+          <td class="fooinfo">Not a tracked game.</td>
+        </tr>
+      </table>`);
+
+    expect(crawler.extractDexEntries($)).toEqual([
+      {
+        text: 'It grows by soaking up sunlight.',
+        games: ['lets-go-pikachu', 'lets-go-eevee'],
+        generation: 7,
+      },
+      {
+        text: 'There is a plant seed on its back.',
+        games: ['scarlet', 'violet'],
+        generation: 9,
+      },
+    ]);
+  });
+});
+
+describe('DatasetBuilder entries', () => {
+  it('should store entries with their games instead of sentences', async () => {
+    const builder = new DatasetBuilder({});
+    const built = await builder.buildSpecies('1', {
+      name: 'Bulbasaur',
+      description: 'One sentence here. Another sentence here.',
+      dexEntries: [
+        { text: 'A strange seed.', games: ['red'], generation: 1 },
+        { text: 'A strange seed.', games: ['firered'], generation: 3 },
+      ],
+    });
+
+    expect(built.entries).toEqual([
+      { text: 'A strange seed.', games: ['red', 'firered'], generation: 1 },
+    ]);
+  });
+});
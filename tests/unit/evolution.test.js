@@ -0,0 +1,226 @@
+/**
+ * Evolution Graph Tests
+ *
+ * Tests for parsing evolution conditions, reading Serebii's evolution chain
+ * table (including branches), and building the dataset-wide graph.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as cheerio from 'cheerio';
+import {
+  buildEvolutionGraph,
+  getEvolutionFamily,
+  parseEvolutionConditions,
+} from '../../source/server/processors/evolution.js';
+import { SerebiiCrawler } from '../../source/server/crawler/serebii.js';
+import { DatasetBuilder } from '../../source/server/builders/dataset-builder.js';
+
+const pokemon = (name, rowspan = 1) =>
+  `<td class="pkmn" rowspan="${rowspan}"><a href="/pokedex-sv/${name.toLowerCase()}/"><img src="/art.png" alt="${name}"></a></td>`;
+const method = (alt) => `<td><img src="/evoicon.png" alt="${alt}"></td>`;
+
+describe('parseEvolutionConditions', () => {
+  it('should type common evolution wordings', () => {
+    expect(parseEvolutionConditions('Level 16')).toEqual({
+      trigger: 'level-up',
+      conditions: { level: 16 },
+    });
+    expect(parseEvolutionConditions('Use Fire Stone')).toEqual({
+      trigger: 'use-item',
+      conditions: { item: 'Fire Stone' },
+    });
+    expect(parseEvolutionConditions('Trade holding Metal Coat')).toEqual({
+      trigger: 'trade',
+      conditions: { heldItem: 'Metal Coat' },
+    });
+    expect(parseEvolutionConditions('High Friendship during the day')).toEqual({
+      trigger: 'level-up',
+      conditions: { friendship: true, timeOfDay: 'day' },
+    });
+  });
+
+  it('should read moves, locations and held items', () => {
+    expect(
+      parseEvolutionConditions('Level up knowing a Fairy-type move')
+    ).toEqual({
+      trigger: 'level-up',
+      conditions: { knownMoveType: 'Fairy' },
+    });
+    expect(
+      parseEvolutionConditions('Level up knowing Ancient Power').conditions
+    ).toEqual({ knownMove: 'Ancient Power' });
+    expect(
+      parseEvolutionConditions('Level up near a Moss Rock').conditions
+    ).toEqual({ location: 'Moss Rock' });
+    expect(
+      parseEvolutionConditions('Level up holding Razor Fang at night')
+    ).toEqual({
+      trigger: 'level-up',
+      conditions: { heldItem: 'Razor Fang', timeOfDay: 'night' },
+    });
+    expect(parseEvolutionConditions('Spin around').trigger).toBe('other');
+  });
+
+  it('should read time, weather, party and stat conditions', () => {
+    const conditionsOf = (text) => parseEvolutionConditions(text).conditions;
+
+    expect(parseEvolutionConditions('Level 10 at Dusk')).toEqual({
+      trigger: 'level-up',
+      conditions: { level: 10, timeOfDay: 'dusk' },
+    });
+    expect(conditionsOf('Level 50 in Overworld Rain')).toEqual({
+      level: 50,
+      weather: 'rain',
+    });
+    expect(conditionsOf('Level 50 during Rain')).toEqual({
+      level: 50,
+      weather: 'rain',
+    });
+    expect(parseEvolutionConditions('Level up with Remoraid in party')).toEqual(
+      { trigger: 'level-up', conditions: { partySpecies: 'Remoraid' } }
+    );
+    expect(conditionsOf('Level 32 with Dark-type in party')).toEqual({
+      level: 32,
+      partyType: 'Dark',
+    });
+    expect(conditionsOf('Level 20 and Attack > Defense')).toEqual({
+      level: 20,
+      statComparison: 'attack>defense',
+    });
+    expect(conditionsOf('Level 20 and Defense > Attack')).toEqual({
+      level: 20,
+      statComparison: 'attack<defense',
+    });
+    expect(conditionsOf('Level 20 and Attack = Defense')).toEqual({
+      level: 20,
+      statComparison: 'attack=defense',
+    });
+  });
+
+  it('should keep wording no condition accounts for', () => {
+    expect(parseEvolutionConditions('Level 36 while upside down')).toEqual({
+      trigger: 'level-up',
+      conditions: { level: 36 },
+      unparsed: 'upside down',
+    });
+    expect(parseEvolutionConditions('Spin around').unparsed).toBe(
+      'Spin around'
+    );
+    expect(
+      parseEvolutionConditions('High Friendship during the day')
+    ).not.toHaveProperty('unparsed');
+  });
+});
+
+describe('SerebiiCrawler evolution chain', () => {
+  const crawler = new SerebiiCrawler({});
+
+  it('should read a linear chain', () => {
+    const $ = cheerio.load(`
+      <table class="evochain"><tr>
+        ${pokemon('Bulbasaur')}${method('Level 16')}${pokemon('Ivysaur')}
+        ${method('Level 32')}${pokemon('Venusaur')}
+      </tr></table>`);
+
+    expect(crawler.extractEvolution($)).toEqual([
+      {
+        from: 1,
+        to: 2,
+        trigger: 'level-up',
+        conditions: { level: 16 },
+        text: 'Level 16',
+      },
+      {
+        from: 2,
+        to: 3,
+        trigger: 'level-up',
+        conditions: { level: 32 },
+        text: 'Level 32',
+      },
+    ]);
+  });
+
+  it('should attach branches to the species spanning their rows', () => {
+    const $ = cheerio.load(`
+      <table class="evochain">
+        <tr>${pokemon('Eevee', 3)}${method('Use Water Stone')}${pokemon('Vaporeon')}</tr>
+        <tr>${method('High Friendship during the night')}${pokemon('Umbreon')}</tr>
+        <tr>${method('Level up knowing a Fairy-type move')}${pokemon('Sylveon')}</tr>
+      </table>`);
+
+    expect(
+      crawler
+        .extractEvolution($)
+        .map(({ from, to, trigger }) => [from, to, trigger])
+    ).toEqual([
+      [133, 134, 'use-item'],
+      [133, 197, 'level-up'],
+      [133, 700, 'level-up'],
+    ]);
+  });
+});
+
+describe('Evolution graph', () => {
+  const edge = (from, to, text) => ({
+    from,
+    to,
+    ...parseEvolutionConditions(text),
+    text,
+  });
+
+  it('should merge every species edges into one graph', () => {
+    const graph = buildEvolutionGraph({
+      1: { name: 'Bulbasaur', evolution: [edge(1, 2, 'Level 16')] },
+      2: {
+        name: 'Ivysaur',
+        evolution: [edge(1, 2, 'Level  16'), edge(2, 3, 'Level 32')],
+      },
+      25: { name: 'Pikachu', evolution: [edge(172, 25, 'High Friendship')] },
+    });
+
+    expect(graph.nodes).toEqual([
+      { id: 1, name: 'Bulbasaur' },
+      { id: 2, name: 'Ivysaur' },
+      { id: 3, name: 'Venusaur' },
+      { id: 25, name: 'Pikachu' },
+      { id: 172, name: 'Pichu' },
+    ]);
+    expect(graph.edges.map(({ from, to }) => [from, to])).toEqual([
+      [1, 2],
+      [2, 3],
+      [172, 25],
+    ]);
+    expect(getEvolutionFamily(graph, 3)).toEqual([1, 2, 3]);
+    expect(getEvolutionFamily(graph, 172)).toEqual([25, 172]);
+    expect(getEvolutionFamily(graph, 4)).toEqual([4]);
+  });
+
+  it('should be part of the built dataset', async () => {
+    const builder = new DatasetBuilder({});
+    const eevee = await builder.buildSpecies('133', {
+      name: 'Eevee',
+      evolution: [
+        edge(133, 134, 'Use Water Stone'),
+        { from: 133, to: null, text: 'Unknown form' },
+      ],
+    });
+
+    const dataset = builder.composeDataset({ 133: eevee }, null);
+
+    expect(dataset.evolution).toEqual({
+      nodes: [
+        { id: 133, name: 'Eevee' },
+        { id: 134, name: 'Vaporeon' },
+      ],
+      edges: [
+        {
+          from: 133,
+          to: 134,
+          trigger: 'use-item',
+          conditions: { item: 'Water Stone' },
+          text: 'Use Water Stone',
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Fixture Archive Tests
+ *
+ * Tests for record/replay crawling: recording responses (including error
+ * statuses and robots.txt), replaying them without network, and failing
+ * clearly on requests that were never recorded.
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  jest,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FixtureArchive } from '../../source/server/crawler/fixture-archive.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+
+const pages = {
+  'https://a.test/robots.txt': { status: 404, data: '' },
+  'https://a.test/mew': { status: 200, data: '<h1>Mew</h1>' },
+};
+
+/**
+ * Axios adapter answering from `pages`, standing in for the network
+ */
+const network = jest.fn(async (config) => {
+  const page = pages[config.url] || { status: 404, data: '' };
+  return {
+    ...page,
+    statusText: '',
+    headers: { 'content-type': 'text/html', 'set-cookie': ['session=1'] },
+    config,
+  };
+});
+
+describe('FixtureArchive', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'fixtures-'));
+    network.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should reject unknown crawl modes', () => {
+    expect(FixtureArchive.validateMode('replay')).toBe('replay');
+    expect(() => FixtureArchive.validateMode('offline')).toThrow(
+      'Unknown crawl mode: offline'
+    );
+  });
+
+  it('should key fixtures by method, URL and body', async () => {
+    const archive = new FixtureArchive({ dir });
+    const response = { status: 200, headers: {}, data: 'one' };
+
+    await archive.save(
+      { method: 'POST', url: 'https://b.test/x', data: '1' },
+      response
+    );
+    await archive.save(
+      { method: 'POST', url: 'https://b.test/x', data: '2' },
+      { ...response, data: 'two' }
+    );
+
+    const replay = (data) =>
+      archive.replay({ method: 'POST', url: 'https://b.test/x', data });
+    await expect(replay('1')).resolves.toMatchObject({ data: 'one' });
+    await expect(replay('2')).resolves.toMatchObject({ data: 'two' });
+    await expect(replay('3')).rejects.toMatchObject({
+      code: 'FIXTURE_MISSING',
+    });
+    expect(await fs.readdir(join(dir, 'b.test'))).toHaveLength(2);
+  });
+
+  it('should record a crawl and replay it without network', async () => {
+    const recorder = new BaseCrawler({ crawlMode: 'record', fixturesDir: dir });
+    recorder.client.defaults.adapter = recorder.fixtures.createAdapter(
+      'record',
+      network
+    );
+
+    const recorded = await recorder.crawlUrl('https://a.test/mew');
+    expect(recorded.data).toBe('<h1>Mew</h1>');
+    expect(recorded.cache).toBe('miss');
+    expect(network).toHaveBeenCalledTimes(2); // robots.txt and the page
+
+    const [file] = await fs.readdir(join(dir, 'a.test'));
+    const fixture = JSON.parse(
+      await fs.readFile(join(dir, 'a.test', file), 'utf8')
+    );
+    expect(fixture.response.headers).not.toHaveProperty('set-cookie');
+
+    network.mockClear();
+    const replayer = new BaseCrawler({ crawlMode: 'replay', fixturesDir: dir });
+    const replayed = await replayer.crawlUrl('https://a.test/mew');
+
+    expect(network).not.toHaveBeenCalled();
+    expect(replayed).toMatchObject({ status: 200, data: '<h1>Mew</h1>' });
+    expect(replayer.fixtures.getStats().replayed).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should fail replays of requests that were never recorded', async () => {
+    const archive = new FixtureArchive({ dir });
+    await archive.save(
+      { method: 'GET', url: 'https://a.test/robots.txt' },
+      { status: 404, headers: {}, data: '' }
+    );
+
+    const replayer = new BaseCrawler({ crawlMode: 'replay', fixturesDir: dir });
+    await expect(replayer.crawlUrl('https://a.test/mewtwo')).rejects.toThrow(
+      'No recorded response for GET https://a.test/mewtwo'
+    );
+  });
+
+  it('should replay rendered pages without a browser', async () => {
+    const archive = new FixtureArchive({ dir });
+    await archive.save(
+      { method: 'RENDER', url: 'https://a.test/app' },
+      { status: 200, headers: {}, data: '<div id="app">Mew</div>' }
+    );
+
+    const replayer = new BaseCrawler({ crawlMode: 'replay', fixturesDir: dir });
+    const response = await replayer.crawlWithPuppeteer('https://a.test/app');
+
+    expect(response.data).toBe('<div id="app">Mew</div>');
+    expect(replayer.browserPool).toBeNull();
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Forum Excerpts Tests
+ *
+ * Tests for reading XenForo search and thread pages, following their
+ * pagination during the crawl, and selecting the posts relevant to a
+ * species as excerpts for tidbit synthesis.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  formatForumExcerpts,
+  selectForumExcerpts,
+} from '../../source/server/processors/forum-excerpts.js';
+import { SmogonCrawler } from '../../source/server/crawler/smogon.js';
+import SmogonAdapter from '../../source/server/sources/smogon.js';
+import { TidbitSynthesizer } from '../../source/server/processors/tidbit-synthesizer.js';
+
+const forums = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'smogon-forums'
+);
+const readPage = (name) => readFileSync(join(forums, name), 'utf8');
+
+const pages = {
+  'https://www.smogon.com/forums/search/?q=Garchomp': 'search.html',
+  'https://www.smogon.com/forums/search/555/?page=2&q=Garchomp':
+    'search-page-2.html',
+  'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/':
+    'thread-garchomp.html',
+  'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/page-2':
+    'thread-garchomp-page-2.html',
+  'https://www.smogon.com/forums/threads/sv-ou-viability-rankings.3711111/':
+    'thread-viability.html',
+};
+const forumSearch = {
+  searchPages: 2,
+  threads: 2,
+  threadPages: 2,
+  excerpts: 8,
+  excerptLength: 500,
+  minLength: 40,
+};
+
+describe('SmogonCrawler forum pages', () => {
+  const crawler = new SmogonCrawler({});
+
+  it('should read posts apart from the posts they quote', () => {
+    const thread = crawler.parseForumThread(
+      readPage('thread-garchomp.html'),
+      'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/'
+    );
+
+    expect(thread).toMatchObject({
+      threadId: '3712345',
+      title: 'Garchomp (SV OU)',
+      nextPage:
+        'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/page-2',
+    });
+    expect(thread.posts.map((post) => post.id)).toEqual([
+      'post-9000001',
+      'post-9000002',
+      'post-9000003',
+    ]);
+    expect(thread.posts[1]).toEqual({
+      id: 'post-9000002',
+      url: 'https://www.smogon.com/forums/posts/9000002/',
+      author: 'Kris',
+      date: '2024-05-02T08:30:00.000Z',
+      text: "Agreed, and Rough Skin with Rocky Helmet punishes Great Tusk's Rapid Spin far more than people expect.",
+      quotes: [
+        {
+          author: 'Finchinator',
+          postId: 'post-9000001',
+          text: "Garchomp's Loaded Dice set with Scale Shot has quietly become one of the best Swords Dance sweepers in the tier.",
+        },
+      ],
+    });
+  });
+
+  it('should list search results once per thread', () => {
+    const search = crawler.parseForumSearchResults(
+      readPage('search.html'),
+      'Garchomp'
+    );
+
+    expect(search.results.map(({ threadId, url }) => [threadId, url])).toEqual([
+      [
+        '3712345',
+        'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/',
+      ],
+      [
+        '3711111',
+        'https://www.smogon.com/forums/threads/sv-ou-viability-rankings.3711111/',
+      ],
+    ]);
+    expect(search.nextPage).toBe(
+      'https://www.smogon.com/forums/search/555/?page=2&q=Garchomp'
+    );
+  });
+});
+
+describe('SmogonAdapter forum crawl', () => {
+  const crawl = async () => {
+    const adapter = new SmogonAdapter('smogon', { forumSearch });
+    jest.spyOn(adapter.crawler, 'parseForumSearchResults');
+    adapter.crawler.crawlUrl = jest.fn(async (url) => {
+      if (!pages[url]) {
+        throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+      }
+      return {
+        status: 200,
+        timestamp: '2024-06-02T00:00:00.000Z',
+        changed: true,
+        data: readPage(pages[url]),
+      };
+    });
+    return { adapter, result: await adapter.crawlSpecies(445) };
+  };
+
+  it('should follow result and thread pages up to the limits', async () => {
+    const { adapter, result } = await crawl();
+
+    expect(result.documents.map(({ kind, url }) => [kind, url])).toEqual([
+      ['forums', 'https://www.smogon.com/forums/search/?q=Garchomp'],
+      ['forums', 'https://www.smogon.com/forums/search/555/?page=2&q=Garchomp'],
+      [
+        'forum-thread',
+        'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/',
+      ],
+      [
+        'forum-thread',
+        'https://www.smogon.com/forums/threads/sv-ou-viability-rankings.3711111/',
+      ],
+      [
+        'forum-thread',
+        'https://www.smogon.com/forums/threads/garchomp-sv-ou.3712345/page-2',
+      ],
+    ]);
+    expect(
+      adapter.crawler.parseForumSearchResults.mock.results.map(
+        ({ value }) => value.pokemonName
+      )
+    ).toEqual(['Garchomp', 'Garchomp']);
+  });
+
+  it('should keep the relevant posts as excerpts with stable IDs', async () => {
+    const { adapter, result } = await crawl();
+    const { forums: excerpts } = adapter.extract(result.documents, 445);
+
+    // Quoted text does not count, and the off-topic and short posts go
+    expect(excerpts.map(({ id, score }) => [id, score])).toEqual([
+      ['smogon:post-9000010', 5],
+      ['smogon:post-9000001', 3],
+      ['smogon:post-8000002', 2],
+      ['smogon:post-9000002', 1],
+    ]);
+    expect(excerpts[2]).toEqual({
+      id: 'smogon:post-8000002',
+      url: 'https://www.smogon.com/forums/posts/8000002/',
+      thread: 'SV OU Viability Rankings',
+      author: 'Ren',
+      date: '2024-04-21T10:00:00.000Z',
+      text: 'Garchomp should rise to A- now that reliable Stealth Rock setters are scarce in the tier.',
+      score: 2,
+    });
+  });
+});
+
+describe('Forum excerpts for tidbits', () => {
+  const thread = {
+    title: 'Garchomp (SV OU)',
+    posts: [
+      {
+        id: 'post-1',
+        url: 'https://www.smogon.com/forums/posts/1/',
+        author: 'Kris',
+        date: '2024-05-02T08:30:00.000Z',
+        text: `Some preamble. ${'Filler words here. '.repeat(10)}Garchomp is the point.`,
+        quotes: [],
+      },
+    ],
+  };
+
+  it('should cut long posts around the mention', () => {
+    const [excerpt] = selectForumExcerpts([thread], 'Garchomp', {
+      source: 'smogon',
+      excerptLength: 60,
+    });
+
+    expect(excerpt.text.startsWith('…')).toBe(true);
+    expect(excerpt.text).toContain('Garchomp is the point.');
+  });
+
+  it('should reach getForumData with their source IDs', async () => {
+    const synthesizer = new TidbitSynthesizer({ openRouterApiKey: 'test' });
+    const excerpts = selectForumExcerpts([thread], 'Garchomp', {
+      source: 'smogon',
+      excerptLength: 60,
+    });
+
+    const forumData = await synthesizer.getForumData('445', {
+      forums: excerpts,
+    });
+
+    expect(forumData).toBe(formatForumExcerpts(excerpts));
+    expect(forumData).toMatch(
+      /^\[smogon:post-1\] Kris in "Garchomp \(SV OU\)" \(2024-05-02\): …/
+    );
+    expect(await synthesizer.getForumData('1', {})).toBe('');
+  });
+});
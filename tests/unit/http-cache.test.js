@@ -0,0 +1,232 @@
+/**
+ * HTTP Cache Tests
+ *
+ * Tests for the persistent crawl cache: survival across restarts,
+ * compression, content addressing, TTL expiry, LRU eviction and stats.
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  jest,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+import { HttpCache } from '../../source/server/crawler/http-cache.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+
+const page = (body, headers = {}) => ({
+  url: 'https://example.com',
+  status: 200,
+  headers: { 'content-type': 'text/html', ...headers },
+  data: body,
+  timestamp: '2024-01-15T10:30:00.000Z',
+});
+
+describe('HttpCache', () => {
+  let dir;
+  let options;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'http-cache-'));
+    options = { dir, ttl: 60000, maxSize: 1024 * 1024, compression: true };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should persist compressed responses across restarts', async () => {
+    await new HttpCache(options).set('https://a.test/1', page('<p>Mew</p>'));
+
+    const restarted = new HttpCache(options);
+    expect(await restarted.get('https://a.test/1')).toEqual(page('<p>Mew</p>'));
+
+    const [shard] = await fs.readdir(join(dir, 'blobs'));
+    const [file] = await fs.readdir(join(dir, 'blobs', shard));
+    expect(file).toMatch(/^[a-f0-9]{64}\.json\.gz$/);
+    const stored = await fs.readFile(join(dir, 'blobs', shard, file));
+    expect(JSON.parse(gunzipSync(stored))).toBe('<p>Mew</p>');
+  });
+
+  it('should store identical bodies once', async () => {
+    const cache = new HttpCache(options);
+    await cache.set('https://a.test/1', page('same'));
+    await cache.set('https://a.test/2', page('same'));
+
+    expect(cache.getStats()).toMatchObject({ entries: 2, bodies: 1 });
+  });
+
+  it('should expire entries after the TTL', async () => {
+    const cache = new HttpCache({ ...options, ttl: 1000 });
+    await cache.set('https://a.test/1', page('old'));
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2000;
+    try {
+      expect(await cache.get('https://a.test/1')).toBeNull();
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(cache.getStats()).toMatchObject({
+      hits: 0,
+      misses: 1,
+      expired: 1,
+      entries: 0,
+      bytes: 0,
+    });
+  });
+
+  it('should evict least recently used entries beyond maxSize', async () => {
+    const cache = new HttpCache({ ...options, compression: false });
+    const body = (n) => String(n).repeat(100);
+
+    await cache.set('https://a.test/1', page(body(1)));
+    await cache.set('https://a.test/2', page(body(2)));
+    cache.maxSize = cache.getStats().bytes + 50;
+
+    await cache.get('https://a.test/1');
+    await cache.set('https://a.test/3', page(body(3)));
+
+    expect(await cache.get('https://a.test/2')).toBeNull();
+    expect((await cache.get('https://a.test/1')).data).toBe(body(1));
+    expect(cache.getStats()).toMatchObject({
+      entries: 2,
+      evictions: 1,
+      hits: 2,
+      misses: 1,
+    });
+    expect(cache.getStats().bytes).toBeLessThanOrEqual(cache.maxSize);
+  });
+
+  it('should write access times only when flushed', async () => {
+    const uncompressed = { ...options, compression: false };
+    const body = (n) => String(n).repeat(100);
+    const cache = new HttpCache(uncompressed);
+    await cache.set('https://a.test/1', page(body(1)));
+    await cache.set('https://a.test/2', page(body(2)));
+    const persist = jest.spyOn(cache, 'persist');
+
+    await cache.get('https://a.test/1');
+    await cache.get('https://a.test/3');
+    expect(persist).not.toHaveBeenCalled();
+
+    await cache.flush();
+    await cache.flush();
+    expect(persist).toHaveBeenCalledTimes(1);
+
+    const restarted = new HttpCache({ ...uncompressed, maxSize: 250 });
+    await restarted.set('https://a.test/3', page(body(3)));
+    expect(await restarted.get('https://a.test/2')).toBeNull();
+    expect((await restarted.get('https://a.test/1')).data).toBe(body(1));
+  });
+
+  it('should share one cache per directory and clear it', async () => {
+    const cache = HttpCache.shared(options);
+    expect(HttpCache.shared({ ...options })).toBe(cache);
+
+    await cache.set('https://a.test/1', page('x'));
+    await cache.clear();
+
+    expect(await cache.get('https://a.test/1')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 0, bytes: 0, sets: 0 });
+  });
+});
+
+describe('BaseCrawler revalidation', () => {
+  let dir;
+  let crawler;
+  let realNow;
+
+  const expire = () => {
+    const now = Date.now();
+    Date.now = () => now + 2 * 24 * 60 * 60 * 1000;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'revalidation-'));
+    crawler = new BaseCrawler({ cacheDir: dir });
+    crawler.checkRobotsTxt = async () => true;
+    crawler.client.get = jest.fn();
+    realNow = Date.now;
+  });
+
+  afterEach(async () => {
+    Date.now = realNow;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should send validators and treat 304 as a fresh hit', async () => {
+    const url = 'https://a.test/mew';
+    crawler.client.get.mockResolvedValueOnce({
+      status: 200,
+      headers: {
+        etag: '"v1"',
+        'last-modified': 'Mon, 15 Jan 2024 10:30:00 GMT',
+      },
+      data: '<p>Mew</p>',
+    });
+
+    const first = await crawler.crawlUrl(url);
+    expect(first).toMatchObject({ cache: 'miss', changed: true });
+
+    expire();
+    crawler.client.get.mockResolvedValueOnce({
+      status: 304,
+      headers: { etag: '"v2"' },
+      data: '',
+    });
+
+    const second = await crawler.crawlUrl(url);
+    expect(crawler.client.get).toHaveBeenLastCalledWith(url, {
+      headers: {
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Mon, 15 Jan 2024 10:30:00 GMT',
+      },
+    });
+    expect(second).toMatchObject({
+      cache: 'revalidated',
+      changed: false,
+      data: '<p>Mew</p>',
+      headers: { etag: '"v2"' },
+    });
+    expect(crawler.getCacheStats()).toMatchObject({
+      hits: 1,
+      misses: 1,
+      expired: 1,
+      revalidated: 1,
+    });
+
+    // Renewed: served from cache without a request
+    const third = await crawler.crawlUrl(url);
+    expect(third.cache).toBe('hit');
+    expect(crawler.client.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report whether a re-downloaded page changed', async () => {
+    const url = 'https://a.test/mewtwo';
+    const respond = (data) =>
+      crawler.client.get.mockResolvedValueOnce({
+        status: 200,
+        headers: { etag: `"${data.length}"` },
+        data,
+      });
+
+    respond('<p>Mewtwo</p>');
+    await crawler.crawlUrl(url);
+
+    expire();
+    respond('<p>Mewtwo</p>');
+    expect((await crawler.crawlUrl(url)).changed).toBe(false);
+
+    respond('<p>Mewtwo, updated</p>');
+    const updated = await crawler.crawlUrl(url, { skipCache: true });
+    expect(updated).toMatchObject({ cache: 'miss', changed: true });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * PokeAPI CSV Source Tests
+ *
+ * Tests for reading the PokeAPI CSV files from a local directory into
+ * partial species records, and carrying them through processing and
+ * dataset building without network access.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCsv } from '../../source/server/crawler/pokeapi-csv.js';
+import PokeApiAdapter from '../../source/server/sources/pokeapi.js';
+import { SourceRegistry } from '../../source/server/sources/source-registry.js';
+import { DataProcessor } from '../../source/server/processors/parser.js';
+import { DatasetBuilder } from '../../source/server/builders/dataset-builder.js';
+
+const location = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'pokeapi-csv'
+);
+
+describe('parseCsv', () => {
+  it('should read quoted fields', () => {
+    expect(
+      parseCsv(
+        'id,name,flavor\r\n1,"Mr. Mime","Says ""hi"",\nthen waves"\r\n2,,\n'
+      )
+    ).toEqual([
+      { id: '1', name: 'Mr. Mime', flavor: 'Says "hi",\nthen waves' },
+      { id: '2', name: '', flavor: '' },
+    ]);
+  });
+});
+
+describe('PokeApiAdapter', () => {
+  const adapter = new PokeApiAdapter('pokeapi', { location });
+
+  it('should read a species from the CSV files', async () => {
+    const crawled = await adapter.crawlSpecies(1);
+
+    expect(crawled).toMatchObject({
+      source: 'pokeapi',
+      speciesId: 1,
+      status: 200,
+      url: 'https://pokeapi.co/api/v2/pokemon-species/1/',
+    });
+    expect(adapter.extract(crawled.documents, 1)).toEqual({
+      name: 'Bulbasaur',
+      types: ['Grass', 'Poison'],
+      stats: {
+        hp: 45,
+        attack: 49,
+        defense: 49,
+        spAttack: 65,
+        spDefense: 65,
+        speed: 45,
+      },
+      abilities: ['Overgrow'],
+      hiddenAbility: 'Chlorophyll',
+      height: 0.7,
+      weight: 6.9,
+      genderRatio: { male: 87.5, female: 12.5 },
+      catchRate: 45,
+      eggGroups: ['Monster', 'Grass'],
+    });
+  });
+
+  it('should read genderless species and reject missing ones', async () => {
+    const { documents } = await adapter.crawlSpecies(81);
+    expect(adapter.extract(documents, 81)).toMatchObject({
+      abilities: ['Magnet Pull', 'Sturdy'],
+      genderRatio: null,
+      catchRate: 190,
+    });
+
+    await expect(adapter.crawlSpecies(25)).rejects.toThrow(
+      'No PokeAPI CSV data for species 25'
+    );
+  });
+
+  it('should build a dataset record with no other source', async () => {
+    const registry = await SourceRegistry.fromConfig({
+      sources: ['pokeapi'],
+      location,
+    });
+    const crawled = await registry.get('pokeapi').crawlSpecies(1);
+    const processed = await new DataProcessor({}, registry).process({
+      pokeapi: { 1: crawled },
+    });
+
+    const built = await new DatasetBuilder({}).buildSpecies('1', processed[1]);
+
+    expect(built).toMatchObject({
+      name: 'Bulbasaur',
+      types: ['Grass', 'Poison'],
+      stats: { hp: 45, speed: 45 },
+      height_m: 0.7,
+      weight_kg: 6.9,
+      gender_ratio: { male: 87.5, female: 12.5 },
+      catch_rate: 45,
+      egg_groups: ['Monster', 'Grass'],
+      abilities: ['Overgrow'],
+      sources: {
+        pokeapi: { url: 'https://pokeapi.co/api/v2/pokemon-species/1/' },
+      },
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Tests for adaptive per-domain rate limiting: Retry-After parsing,
+ * slowing down on 429/503, recovering on success, and retrying throttled
+ * requests through the crawler's HTTP client.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AxiosError } from 'axios';
+import {
+  RateLimiter,
+  parseRetryAfter,
+} from '../../source/server/crawler/rate-limiter.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+import { defaultConfig } from '../../source/server/config/crawler.js';
+
+const limiterConfig = {
+  requestsPerSecond: 100,
+  requestsPerMinute: 6000,
+  burstLimit: 10,
+  backoffMultiplier: 2,
+  recoveryStep: 0.25,
+  minRateFactor: 0.1,
+  maxRetryAfter: 1000,
+};
+
+describe('parseRetryAfter', () => {
+  it('should parse a delay in seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(0)).toBe(0);
+  });
+
+  it('should parse an HTTP date relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now)).toBe(0);
+  });
+
+  it('should return null for missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RateLimiter(limiterConfig);
+  });
+
+  it('should divide the rate on each throttle down to the floor', () => {
+    limiter.throttle();
+    expect(limiter.rateFactor).toBe(0.5);
+    limiter.throttle();
+    limiter.throttle();
+    limiter.throttle();
+    expect(limiter.rateFactor).toBe(0.1);
+    expect(limiter.getStats().throttled).toBe(4);
+  });
+
+  it('should recover the rate step by step on success', () => {
+    limiter.throttle();
+    limiter.recordSuccess();
+    expect(limiter.rateFactor).toBe(0.75);
+    limiter.recordSuccess();
+    limiter.recordSuccess();
+    expect(limiter.rateFactor).toBe(1);
+    expect(limiter.getStats().recoveries).toBe(1);
+  });
+
+  it('should cap Retry-After pauses at maxRetryAfter', () => {
+    expect(limiter.throttle(60000)).toBe(1000);
+    expect(limiter.getStats().retryAfterPauses).toBe(1);
+    expect(limiter.getStats().pausedUntil).not.toBeNull();
+  });
+
+  it('should hold requests until a Retry-After pause has passed', async () => {
+    limiter.throttle(150);
+    const start = Date.now();
+    await limiter.wait();
+    expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+  });
+
+  it('should space requests out while throttled', async () => {
+    limiter.throttle(); // 50 requests per second: 20ms apart
+    await limiter.wait();
+    const start = Date.now();
+    await limiter.wait();
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+  });
+});
+
+describe('BaseCrawler throttling', () => {
+  let dir;
+  let crawler;
+  let responses;
+  let requests;
+
+  // Answer requests from a script of responses, settling like axios'
+  // own adapters do
+  const adapter = async (config) => {
+    requests.push(config);
+    const { status, headers = {} } = responses.shift();
+    const response = { status, statusText: '', headers, data: 'ok', config };
+    if (config.validateStatus(status)) {
+      return response;
+    }
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      AxiosError.ERR_BAD_RESPONSE,
+      config,
+      null,
+      response
+    );
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'throttling-'));
+    crawler = new BaseCrawler({
+      cacheDir: dir,
+      rateLimit: { ...defaultConfig.rateLimit, requestsPerSecond: 100 },
+      retry: { ...defaultConfig.retry, maxRetries: 2, baseDelay: 10 },
+    });
+    crawler.client.defaults.adapter = adapter;
+    requests = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should retry a 429 after Retry-After and slow the domain', async () => {
+    responses = [
+      { status: 429, headers: { 'retry-after': '1' } },
+      { status: 200 },
+    ];
+
+    const start = Date.now();
+    const response = await crawler.client.get('https://a.test/mew');
+
+    expect(response.status).toBe(200);
+    expect(requests).toHaveLength(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(950);
+
+    const stats = crawler.getThrottleStats();
+    expect(stats.domains['a.test'].throttled).toBe(1);
+    expect(stats.domains['a.test'].rateFactor).toBeCloseTo(0.55);
+    expect(stats.recentEvents).toEqual([
+      expect.objectContaining({ domain: 'a.test', status: 429, pause: 1000 }),
+    ]);
+  });
+
+  it('should retry a 503 with backoff and give up after maxRetries', async () => {
+    responses = [{ status: 503 }, { status: 503 }, { status: 503 }];
+
+    await expect(crawler.client.get('https://b.test/mew')).rejects.toThrow(
+      'status code 503'
+    );
+    expect(requests).toHaveLength(3);
+    expect(crawler.getThrottleStats().domains['b.test'].throttled).toBe(3);
+  });
+
+  it('should not throttle on other errors', async () => {
+    responses = [{ status: 404 }];
+
+    const response = await crawler.client.get('https://c.test/mew');
+
+    expect(response.status).toBe(404);
+    expect(requests).toHaveLength(1);
+    expect(crawler.getThrottleStats().domains['c.test'].throttled).toBe(0);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Robots Checker Tests
+ *
+ * Tests for RFC 9309 robots.txt handling: user-agent groups, wildcards,
+ * rule precedence, crawl delays, sitemaps and fetch failures.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  RobotsChecker,
+  RobotsParser,
+  matchesPattern,
+} from '../../source/server/crawler/robots.js';
+import { BaseCrawler } from '../../source/server/crawler/base-crawler.js';
+
+const USER_AGENT =
+  'InfinitePokedexBot/1.0 (+https://github.com/infinite-pokedex)';
+
+const ROBOTS = `
+# Everyone else
+User-agent: *
+Disallow: /
+Crawl-delay: 10
+
+User-agent: GoogleBot
+User-agent: infinitepokedexbot
+Disallow: /wiki/Special:
+Disallow: /*.php$
+Allow: /wiki/Special:Search
+Disallow: /private # inline comment
+Allow: /private
+Crawl-delay: 2
+
+Sitemap: https://wiki.test/sitemap.xml
+`;
+
+describe('matchesPattern', () => {
+  it('should match prefixes, wildcards and end anchors', () => {
+    expect(matchesPattern('/wiki/Mew', '/wiki/')).toBe(true);
+    expect(matchesPattern('/wik', '/wiki/')).toBe(false);
+    expect(matchesPattern('/a/b/c.php', '/*.php$')).toBe(true);
+    expect(matchesPattern('/a/b/c.php?x=1', '/*.php$')).toBe(false);
+    expect(matchesPattern('/a/b/c.php?x=1', '/*.php')).toBe(true);
+    expect(matchesPattern('/fish', '/fish$')).toBe(true);
+    expect(matchesPattern('/fishing', '/fish$')).toBe(false);
+    expect(matchesPattern('/x/y/z', '/*/*/z')).toBe(true);
+    expect(matchesPattern('/anything', '*')).toBe(true);
+  });
+
+  it('should stay fast on hostile wildcard patterns', () => {
+    const start = Date.now();
+    expect(
+      matchesPattern('/' + 'a'.repeat(5000), '/' + '*a'.repeat(200) + 'b')
+    ).toBe(false);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+});
+
+describe('RobotsParser', () => {
+  const robots = new RobotsParser(ROBOTS);
+  const allowed = (path) =>
+    robots.isAllowed(`https://wiki.test${path}`, USER_AGENT);
+
+  it('should obey the group naming the product token', () => {
+    expect(allowed('/wiki/Bulbasaur')).toBe(true);
+    expect(allowed('/wiki/Special:Random')).toBe(false);
+    expect(allowed('/index.php')).toBe(false);
+    expect(allowed('/index.php?title=Mew')).toBe(true);
+    expect(robots.isAllowed('https://wiki.test/wiki/Mew', 'OtherBot/2.0')).toBe(
+      false
+    );
+  });
+
+  it('should prefer the longest match and Allow on ties', () => {
+    expect(allowed('/wiki/Special:Search?q=mew')).toBe(true);
+    expect(allowed('/private/notes')).toBe(true);
+  });
+
+  it('should always allow robots.txt itself', () => {
+    expect(robots.isAllowed('https://wiki.test/robots.txt', 'OtherBot')).toBe(
+      true
+    );
+  });
+
+  it('should match percent-encoded paths against raw patterns', () => {
+    const wiki = new RobotsParser(
+      'User-agent: *\nDisallow: /wiki/Pokémon_talk'
+    );
+    expect(
+      wiki.isAllowed('https://wiki.test/wiki/Pokémon_talk:Mew', USER_AGENT)
+    ).toBe(false);
+  });
+
+  it('should read crawl delays per group and sitemaps', () => {
+    expect(robots.getCrawlDelay(USER_AGENT)).toBe(2);
+    expect(robots.getCrawlDelay('OtherBot')).toBe(10);
+    expect(robots.sitemaps).toEqual(['https://wiki.test/sitemap.xml']);
+  });
+});
+
+describe('RobotsChecker', () => {
+  const checker = (fetch) =>
+    new RobotsChecker({ fetch, userAgent: USER_AGENT });
+
+  it('should fetch once per origin and expose sitemaps', async () => {
+    const fetch = jest.fn(async () => ({ status: 200, data: ROBOTS }));
+    const robots = checker(fetch);
+
+    const results = await Promise.all([
+      robots.isAllowed('https://wiki.test/wiki/Mew'),
+      robots.isAllowed('https://wiki.test/wiki/Special:Random'),
+    ]);
+
+    expect(results).toEqual([true, false]);
+    expect(await robots.getCrawlDelay('https://wiki.test')).toBe(2);
+    expect(await robots.getSitemaps('https://wiki.test')).toEqual([
+      'https://wiki.test/sitemap.xml',
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('https://wiki.test/robots.txt');
+  });
+
+  it('should allow everything when robots.txt is missing', async () => {
+    const robots = checker(async () => ({ status: 404, data: 'Not found' }));
+    expect(await robots.isAllowed('https://wiki.test/anything')).toBe(true);
+  });
+
+  it('should disallow everything when robots.txt is unreachable', async () => {
+    const robots = checker(async () => {
+      throw new Error('Request failed with status code 503');
+    });
+    expect(await robots.isAllowed('https://wiki.test/wiki/Mew')).toBe(false);
+  });
+});
+
+describe('BaseCrawler robots.txt', () => {
+  it('should fetch through its client and apply the crawl delay', async () => {
+    const crawler = new BaseCrawler({});
+    crawler.client.get = jest.fn(async () => ({ status: 200, data: ROBOTS }));
+
+    expect(await crawler.checkRobotsTxt('https://wiki.test/wiki/Mew')).toBe(
+      true
+    );
+    expect(await crawler.checkRobotsTxt('https://wiki.test/x.php')).toBe(false);
+    expect(crawler.getRateLimiter('https://wiki.test/').minInterval).toBe(2000);
+    expect(await crawler.getSitemaps('https://wiki.test/wiki/Mew')).toEqual([
+      'https://wiki.test/sitemap.xml',
+    ]);
+    expect(crawler.client.get).toHaveBeenCalledTimes(1);
+  });
+});
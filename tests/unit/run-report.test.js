@@ -0,0 +1,149 @@
+/**
+ * Run Report Tests
+ *
+ * Tests for the pipeline run report: per-species diagnostics, summary
+ * totals and the JSON/HTML artifacts.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  RunReport,
+  measureCoverage,
+} from '../../source/server/builders/run-report.js';
+
+const run = {
+  runId: '20240115-103000-a1b2',
+  options: { species: [1, 4], dryRun: true },
+  stages: { crawl: { status: 'complete' }, process: { status: 'complete' } },
+};
+
+/**
+ * Build a report with one healthy and one failing species
+ */
+function sampleReport() {
+  const report = new RunReport(run);
+  const notFound = Object.assign(new Error('HTTP 404: Not Found'), {
+    status: 404,
+  });
+
+  report.recordCrawl('bulbapedia', 1, {
+    result: { status: 200, url: 'https://example.com/1', changed: false },
+  });
+  report.recordCrawl('bulbapedia', 4, { error: notFound });
+  report.recordCircuitBreakers('bulbapedia', {
+    hosts: { 'bulbapedia.bulbagarden.net': { state: 'OPEN', opened: 1 } },
+    events: [
+      {
+        host: 'bulbapedia.bulbagarden.net',
+        from: 'CLOSED',
+        to: 'OPEN',
+        reason: '5 failures within 300000ms, last: HTTP 503',
+        timestamp: '2024-01-15T10:31:00.000Z',
+      },
+    ],
+  });
+  report.recordCoverage(
+    'bulbapedia',
+    1,
+    measureCoverage({ name: 'Bulbasaur', types: [] }, ['name', 'types'])
+  );
+  report.recordValidation(1, { errors: [], warnings: [] });
+  report.recordValidation(4, {
+    errors: ['Missing required field: name'],
+    warnings: [],
+  });
+  report.recordTidbits(1, {
+    generated: 5,
+    accepted: 3,
+    rejected: { safety: 1, quality: 1 },
+  });
+  report.recordPublish(null);
+
+  return report;
+}
+
+describe('RunReport', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(join(tmpdir(), 'run-report-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('should measure parse-field coverage', () => {
+    expect(
+      measureCoverage({ name: 'Mew', types: [], stats: { hp: 100 } }, [
+        'name',
+        'types',
+        'stats',
+      ])
+    ).toEqual({ present: ['name', 'stats'], missing: ['types'] });
+  });
+
+  it('should collect per-species details and summary totals', () => {
+    const report = sampleReport().toJSON();
+
+    expect(report.species[1]).toMatchObject({
+      name: 'Bulbasaur',
+      sources: {
+        bulbapedia: {
+          crawl: { status: 'ok', httpStatus: 200, changed: false },
+          coverage: { present: ['name'], missing: ['types'] },
+        },
+      },
+      tidbits: { generated: 5, accepted: 3 },
+    });
+    expect(report.species[4].sources.bulbapedia.crawl).toEqual({
+      status: 'failed',
+      httpStatus: 404,
+      error: 'HTTP 404: Not Found',
+    });
+    expect(report.summary).toEqual({
+      species: 2,
+      crawl: { bulbapedia: { ok: 1, failed: 1, changed: 0, unchanged: 1 } },
+      parseErrors: 0,
+      validationErrors: 1,
+      circuitBreakerTrips: 1,
+      tidbits: { generated: 5, accepted: 3, rejected: 2 },
+    });
+    expect(report.stages.enrich).toBe('pending');
+    expect(report.publish).toEqual({ status: 'skipped' });
+  });
+
+  it('should restore recorded data and reset re-run stages', () => {
+    const restored = new RunReport(run, sampleReport().data);
+    restored.resetStage('crawl');
+
+    const report = restored.toJSON();
+    expect(report.summary.crawl).toEqual({
+      bulbapedia: { ok: 0, failed: 0, changed: 0, unchanged: 0 },
+    });
+    expect(report.species[4].sources).toEqual({});
+    expect(report.circuitBreakers).toEqual({});
+    expect(report.species[1].tidbits.accepted).toBe(3);
+  });
+
+  it('should write JSON and self-contained, escaped HTML', async () => {
+    const report = sampleReport();
+    report.recordParseError('serebii', 1, new Error('<b>bad</b> markup'));
+
+    const paths = await report.write(outputDir);
+    const json = JSON.parse(await fs.readFile(paths.json, 'utf8'));
+    const html = await fs.readFile(paths.html, 'utf8');
+
+    expect(json.runId).toBe(run.runId);
+    expect(html).toContain('<td>Bulbasaur</td>');
+    expect(html).toContain('ok (200, unchanged)');
+    expect(html).toContain(
+      'bulbapedia bulbapedia.bulbagarden.net: CLOSED &rarr; OPEN'
+    );
+    expect(html).toContain('&lt;b&gt;bad&lt;/b&gt; markup');
+    expect(html).not.toMatch(/<(script|link)\b/);
+  });
+});
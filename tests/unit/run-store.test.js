@@ -0,0 +1,92 @@
+/**
+ * Run Store Tests
+ *
+ * Tests for on-disk pipeline checkpoints: run manifests, stage output,
+ * per-species checkpoints and resume-stage detection.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  RunStore,
+  PIPELINE_STAGES,
+} from '../../source/server/utils/run-store.js';
+
+describe('RunStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'run-store-'));
+    store = new RunStore({ tempDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create a run with every stage pending', async () => {
+    const run = await store.createRun({ species: [1, 2], dryRun: true });
+
+    expect(run.runId).toMatch(/^\d{8}-\d{6}-[a-f0-9]{4}$/);
+    expect(Object.keys(run.stages)).toEqual(PIPELINE_STAGES);
+    expect(store.getResumeStage(run)).toBe('crawl');
+
+    const loaded = await store.loadRun(run.runId);
+    expect(loaded.options).toEqual({ species: [1, 2], dryRun: true });
+  });
+
+  it('should persist stage output and advance the resume stage', async () => {
+    const run = await store.createRun();
+    await store.saveStage(run, 'crawl', { bulbapedia: { 1: { ok: true } } });
+    await store.saveStage(run, 'process', { 1: { name: 'Bulbasaur' } });
+
+    const loaded = await store.loadRun(run.runId);
+    expect(store.getResumeStage(loaded)).toBe('enrich');
+    expect(await store.loadStage(run.runId, 'process')).toEqual({
+      1: { name: 'Bulbasaur' },
+    });
+  });
+
+  it('should treat skipped stages as finished', async () => {
+    const run = await store.createRun();
+    for (const stage of PIPELINE_STAGES.slice(0, -1)) {
+      await store.saveStage(run, stage, {});
+    }
+    await store.saveStage(run, 'publish', null, 'skipped');
+
+    expect(store.getResumeStage(run)).toBeNull();
+  });
+
+  it('should round-trip nested per-species checkpoints', async () => {
+    const run = await store.createRun();
+    const checkpoint = await store.openCheckpoint(run.runId, 'crawl');
+    expect(checkpoint.completed).toEqual({});
+
+    await checkpoint.save(['bulbapedia', 1], { speciesId: 1 });
+    await checkpoint.save(['serebii', 25], { speciesId: 25 });
+
+    const reopened = await store.openCheckpoint(run.runId, 'crawl');
+    expect(reopened.completed).toEqual({
+      bulbapedia: { 1: { speciesId: 1 } },
+      serebii: { 25: { speciesId: 25 } },
+    });
+  });
+
+  it('should reject unknown runs and unsafe identifiers', async () => {
+    await expect(store.loadRun('20240101-000000-abcd')).rejects.toThrow(
+      'Unknown run'
+    );
+    await expect(store.loadRun('../../etc')).rejects.toThrow('Invalid run ID');
+
+    const run = await store.createRun();
+    await expect(
+      store.saveCheckpoint(run.runId, 'crawl', ['..', 'x'], {})
+    ).rejects.toThrow('Invalid checkpoint key');
+    await expect(store.loadStage(run.runId, 'deploy')).rejects.toThrow(
+      'Unknown pipeline stage'
+    );
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Selector Extractor Tests
+ *
+ * Tests for running declarative extraction specs against HTML pages, and
+ * for adding a wiki source through configuration alone with the generic
+ * wiki adapter.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { extractFields } from '../../source/server/processors/selector-extractor.js';
+import { SourceRegistry } from '../../source/server/sources/source-registry.js';
+import WikiAdapter from '../../source/server/sources/wiki.js';
+import { SerebiiCrawler } from '../../source/server/crawler/serebii.js';
+import { DataProcessor } from '../../source/server/processors/parser.js';
+
+const page = readFileSync(
+  join(
+    dirname(fileURLToPath(import.meta.url)),
+    '..',
+    'fixtures',
+    'wiki',
+    'bulbasaur.html'
+  ),
+  'utf8'
+);
+const pageUrl = 'https://pokemon.example.org/wiki/Bulbasaur';
+
+/**
+ * A Fandom-style wiki, described by configuration only
+ */
+const exampleWiki = {
+  adapter: './wiki.js',
+  baseUrl: 'https://pokemon.example.org',
+  paths: { species: '/wiki/{name}' },
+  selectors: {
+    name: ['.portable-infobox .pi-title', 'h1'],
+    types: {
+      selector: '[data-source="type"] .pi-data-value a',
+      multiple: true,
+    },
+    abilities: {
+      selector: '[data-source="abilities"] .pi-data-value',
+      transform: ['list', (value) => value.replace(/ \(hidden\)$/, '')],
+    },
+    stats: {
+      selector: '.portable-infobox [data-source="stats"]',
+      fields: {
+        hp: { selector: '[data-source="hp"]', transform: 'integer' },
+        attack: { selector: '[data-source="attack"]', transform: 'integer' },
+        defense: {
+          selector: '[data-source="defense"]',
+          transform: 'integer',
+        },
+        spAttack: {
+          selector: '[data-source="sp-attack"]',
+          transform: 'integer',
+        },
+        spDefense: {
+          selector: '[data-source="sp-defense"]',
+          transform: 'integer',
+        },
+        speed: { selector: '[data-source="speed"]', transform: 'integer' },
+      },
+    },
+    height: {
+      selector: '[data-source="height"] .pi-data-value',
+      transform: 'number',
+    },
+    catchRate: {
+      selector: '[data-source="catch-rate"] .pi-data-value',
+      transform: 'integer',
+    },
+    images: {
+      selector: '.pi-image img',
+      multiple: true,
+      fields: {
+        src: { attribute: 'src', transform: 'url' },
+        alt: { attribute: 'alt' },
+      },
+    },
+    description: '.mw-parser-output > p',
+  },
+};
+
+describe('extractFields', () => {
+  it('should read text, attributes and nested fields', () => {
+    const data = extractFields(page, exampleWiki.selectors, {
+      url: pageUrl,
+    });
+
+    expect(data).toEqual({
+      name: 'Bulbasaur',
+      types: ['Grass', 'Poison'],
+      abilities: ['Overgrow', 'Chlorophyll'],
+      stats: {
+        hp: 45,
+        attack: 49,
+        defense: 49,
+        spAttack: 65,
+        spDefense: 65,
+        speed: 45,
+      },
+      height: 0.7,
+      catchRate: null,
+      images: [
+        {
+          src: 'https://pokemon.example.org/images/0/0001Bulbasaur.png',
+          alt: 'Bulbasaur artwork',
+        },
+      ],
+      description:
+        'Bulbasaur is a dual-type Grass/Poison Pokémon. It carries a seed on its back from birth.',
+    });
+  });
+
+  it('should fall back through selectors and to defaults', () => {
+    const data = extractFields(page, {
+      title: { selector: ['.missing', 'h1.page-header__title'] },
+      moves: {
+        selector: 'table.learnset tr',
+        multiple: true,
+        fields: {
+          level: { selector: '.level', transform: 'integer' },
+          name: '.move a',
+        },
+      },
+      evolution: { selector: '.evolution-box', multiple: true },
+      genus: { selector: '[data-source="genus"]', default: 'Unknown' },
+    });
+
+    expect(data).toEqual({
+      title: 'Bulbasaur',
+      moves: [
+        { level: 1, name: 'Tackle' },
+        { level: 3, name: 'Vine Whip' },
+      ],
+      evolution: [],
+      genus: 'Unknown',
+    });
+  });
+
+  it('should resolve links only against a page URL', () => {
+    const links = {
+      links: {
+        selector: 'a',
+        attribute: 'href',
+        transform: 'url',
+        multiple: true,
+      },
+    };
+    const html = '<a href="/x">x</a><a href="https://cdn.example.org/y">y</a>';
+
+    expect(extractFields(html, links)).toEqual({
+      links: ['https://cdn.example.org/y'],
+    });
+    expect(extractFields(html, links, { url: pageUrl })).toEqual({
+      links: ['https://pokemon.example.org/x', 'https://cdn.example.org/y'],
+    });
+  });
+
+  it('should reject unknown transforms', () => {
+    expect(() =>
+      extractFields(page, { name: { selector: 'h1', transform: 'titlecase' } })
+    ).toThrow('Unknown transform: titlecase');
+  });
+});
+
+describe('SerebiiCrawler selectors', () => {
+  it('should read the name and description through its spec', () => {
+    const data = new SerebiiCrawler({}).parseSpeciesPage(
+      `<title>Serebii.net</title>
+       <div class="content"><p>Seed</p><p>A strange seed was planted on its back at birth.</p></div>`,
+      1
+    );
+
+    expect(data.name).toBe('Unknown');
+    expect(data.description).toBe(
+      'A strange seed was planted on its back at birth.'
+    );
+  });
+});
+
+describe('WikiAdapter', () => {
+  it('should crawl and process a wiki added only through config', async () => {
+    const config = {
+      sources: ['examplewiki'],
+      sourceConfigs: { examplewiki: exampleWiki },
+    };
+    const registry = await SourceRegistry.fromConfig(config);
+    const adapter = registry.get('examplewiki');
+    adapter.crawler.crawlUrl = jest.fn(async () => ({
+      status: 200,
+      timestamp: '2024-06-02T00:00:00.000Z',
+      changed: true,
+      data: page,
+    }));
+
+    const crawled = await adapter.crawlSpecies(1);
+    expect(adapter.crawler.crawlUrl).toHaveBeenCalledWith(
+      pageUrl,
+      expect.any(Object)
+    );
+    expect(adapter.getDomain()).toBe('pokemon.example.org');
+
+    const processed = await new DataProcessor(config, registry).process({
+      examplewiki: { 1: crawled },
+    });
+    expect(processed[1]).toMatchObject({
+      name: 'Bulbasaur',
+      types: ['Grass', 'Poison'],
+      stats: { hp: 45, spAttack: 65 },
+      height: 0.7,
+      sources: { examplewiki: { url: pageUrl } },
+    });
+  });
+
+  it('should require paths and selectors, with a path per page', () => {
+    expect(
+      () =>
+        new WikiAdapter('examplewiki', {
+          sourceConfigs: { examplewiki: { ...exampleWiki, selectors: {} } },
+        })
+    ).toThrow('Source examplewiki needs paths and selectors');
+    expect(
+      () =>
+        new WikiAdapter('examplewiki', {
+          sourceConfigs: {
+            examplewiki: {
+              ...exampleWiki,
+              selectors: {
+                ...exampleWiki.selectors,
+                moves: { selector: '.learnset .move', page: 'moves' },
+              },
+            },
+          },
+        })
+    ).toThrow('Source examplewiki has no path for moves pages');
+  });
+
+  it('should read fields from the page their spec names', () => {
+    const adapter = new WikiAdapter('examplewiki', {
+      sourceConfigs: {
+        examplewiki: {
+          ...exampleWiki,
+          paths: { ...exampleWiki.paths, moves: '/wiki/{name}/Learnset' },
+          selectors: {
+            name: 'h1',
+            moves: {
+              selector: '.learnset .move',
+              page: 'moves',
+              multiple: true,
+            },
+          },
+        },
+      },
+    });
+    const documents = [
+      { kind: 'species', url: pageUrl, body: page },
+      {
+        kind: 'moves',
+        url: `${pageUrl}/Learnset`,
+        body: '<table class="learnset"><tr><td class="move">Growl</td></tr></table>',
+      },
+    ];
+
+    expect(adapter.extract(documents, 1)).toEqual({
+      name: 'Bulbasaur',
+      moves: ['Growl'],
+    });
+    expect(adapter.extract(documents.slice(0, 1), 1)).toEqual({
+      name: 'Bulbasaur',
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Source Registry Tests
+ *
+ * Tests for config-driven source loading, the SourceAdapter crawl contract
+ * and processing through adapters.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { SourceRegistry } from '../../source/server/sources/source-registry.js';
+import { SourceAdapter } from '../../source/server/sources/source-adapter.js';
+import BulbapediaAdapter from '../../source/server/sources/bulbapedia.js';
+import { DataProcessor } from '../../source/server/processors/parser.js';
+
+const exampleAdapter = fileURLToPath(
+  new URL('../fixtures/sources/example-adapter.js', import.meta.url)
+);
+
+/**
+ * Adapter whose fetches fail for targets marked `fail`
+ */
+class FlakyAdapter extends SourceAdapter {
+  constructor(targets) {
+    super('flaky');
+    this.targets = targets;
+  }
+
+  async discover() {
+    return this.targets;
+  }
+
+  async fetch(target) {
+    if (target.fail) {
+      throw new Error(`HTTP 503 for ${target.kind}`);
+    }
+    return { kind: target.kind, url: target.url, status: 200, body: '' };
+  }
+}
+
+describe('SourceRegistry', () => {
+  it('should load every enabled source from configuration', async () => {
+    const registry = await SourceRegistry.fromConfig({});
+
+    expect(registry.names()).toEqual(['bulbapedia', 'serebii', 'smogon']);
+    expect(registry.get('smogon').getDomain()).toBe('www.smogon.com');
+  });
+
+  it('should limit the run to the selected sources', async () => {
+    const registry = await SourceRegistry.fromConfig({ sources: ['serebii'] });
+    expect(registry.names()).toEqual(['serebii']);
+
+    await expect(
+      SourceRegistry.fromConfig({ sources: ['pokemondb'] })
+    ).rejects.toThrow('Unknown source: pokemondb');
+  });
+
+  it('should crawl and process a source added only through config', async () => {
+    const config = {
+      sources: ['dump'],
+      sourceConfigs: { dump: { adapter: exampleAdapter } },
+    };
+    const registry = await SourceRegistry.fromConfig(config);
+    const adapter = registry.get('dump');
+
+    const crawled = await adapter.crawlSpecies(25);
+    expect(crawled).toMatchObject({
+      source: 'dump',
+      speciesId: 25,
+      status: 200,
+      url: 'https://dump.example.org/species/25.json',
+    });
+
+    const processor = new DataProcessor(config, registry);
+    const data = await processor.process({ dump: { 25: crawled } });
+    expect(data[25]).toMatchObject({
+      name: 'Species 25',
+      types: ['Normal'],
+      sources: { dump: { url: crawled.url } },
+    });
+  });
+
+  it('should reject adapters that are not SourceAdapters', () => {
+    const registry = new SourceRegistry();
+    registry.register(new FlakyAdapter([]));
+
+    expect(() => registry.register(new FlakyAdapter([]))).toThrow(
+      'Duplicate source: flaky'
+    );
+    expect(() => registry.register({ name: 'plain' })).toThrow(
+      'not a SourceAdapter'
+    );
+    expect(() => registry.get('missing')).toThrow('Unknown source: missing');
+  });
+});
+
+describe('SourceAdapter', () => {
+  it('should tolerate failed optional targets', async () => {
+    const adapter = new FlakyAdapter([
+      { kind: 'strategy', url: 'https://a.test/s', optional: true, fail: true },
+      { kind: 'forums', url: 'https://a.test/f', optional: true },
+    ]);
+
+    const result = await adapter.crawlSpecies(1);
+    expect(result.url).toBe('https://a.test/f');
+    expect(result.documents.map((document) => document.kind)).toEqual([
+      'forums',
+    ]);
+  });
+
+  it('should fail when a required target or every target fails', async () => {
+    const required = new FlakyAdapter([
+      { kind: 'species', url: 'https://a.test/1', fail: true },
+    ]);
+    await expect(required.crawlSpecies(1)).rejects.toThrow('HTTP 503');
+
+    const allOptional = new FlakyAdapter([
+      { kind: 'forums', url: 'https://a.test/f', optional: true, fail: true },
+    ]);
+    await expect(allOptional.crawlSpecies(1)).rejects.toThrow(
+      'No flaky data for 1'
+    );
+  });
+
+  it('should extract Bulbapedia fields from article wikitext', () => {
+    const adapter = new BulbapediaAdapter('bulbapedia', {});
+    const body = [
+      '{{Pokémon Infobox',
+      '|name=Bulbasaur',
+      '|ndex=0001',
+      '|type1=Grass',
+      '|type2=Poison',
+      '|ability1=Overgrow',
+      '|image=0001Bulbasaur.png',
+      '}}',
+      "'''Bulbasaur''' is a [[Pokémon]] species introduced in [[Generation I]].",
+      '{{Base stats|HP=45|Attack=49}}',
+      '{{learnlist/level9|1|Tackle|Normal|Physical|40|100|35}}',
+    ].join('\n');
+    const learnset = [
+      '{{learnlist/level1|1|1|Tackle|Normal|Physical|35|95|35}}',
+      '{{learnlist/level1|1|1|Tackle|Normal|Physical|35|95|35}}',
+    ].join('\n');
+
+    const data = adapter.extract(
+      [
+        { kind: 'wikitext', body },
+        { kind: 'learnset', body: learnset },
+      ],
+      1
+    );
+
+    expect(data).toMatchObject({
+      name: 'Bulbasaur',
+      ndex: 1,
+      types: ['Grass', 'Poison'],
+      abilities: ['Overgrow'],
+      stats: { hp: 45, attack: 49 },
+      description: 'Bulbasaur is a Pokémon species introduced in Generation I.',
+    });
+    expect(data).not.toHaveProperty('id');
+    expect(data.images[0].src).toMatch(/\/0001Bulbasaur\.png$/);
+    expect(
+      data.learnset.map(({ move, generation, games }) => [
+        move,
+        generation,
+        games,
+      ])
+    ).toEqual([
+      ['Tackle', 1, ['red', 'blue', 'yellow']],
+      ['Tackle', 9, ['scarlet', 'violet']],
+    ]);
+  });
+});
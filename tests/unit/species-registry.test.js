@@ -0,0 +1,136 @@
+/**
+ * Species Registry Tests
+ *
+ * Tests for the bundled National Dex registry: coverage, lookups by number
+ * and name, forms, and per-source URL slugs for irregular names.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  speciesRegistry,
+  getRegionForId,
+  toSmogonSlug,
+} from '../../source/server/registry/species-registry.js';
+import { BulbapediaCrawler } from '../../source/server/crawler/bulbapedia.js';
+import { SerebiiCrawler } from '../../source/server/crawler/serebii.js';
+import { SmogonCrawler } from '../../source/server/crawler/smogon.js';
+
+describe('SpeciesRegistry', () => {
+  it('should cover every National Dex number', () => {
+    const ids = speciesRegistry.getAllIds();
+
+    expect(speciesRegistry.version).toMatch(/^\d+\.\d+\.\d+$/);
+    expect(ids).toHaveLength(1025);
+    expect(ids[0]).toBe(1);
+    expect(ids[ids.length - 1]).toBe(1025);
+  });
+
+  it('should look up species by number, numeric string and name', () => {
+    expect(speciesRegistry.get(25).name).toBe('Pikachu');
+    expect(speciesRegistry.get('6').name).toBe('Charizard');
+    expect(speciesRegistry.get('mr mime').id).toBe(122);
+    expect(speciesRegistry.get('Nidoran-F').id).toBe(29);
+    expect(speciesRegistry.get(0)).toBeNull();
+  });
+
+  it('should resolve forms and regional variants to their base species', () => {
+    const { species, form } = speciesRegistry.resolve('Raichu-Alola');
+
+    expect(species.id).toBe(26);
+    expect(form.kind).toBe('regional');
+    expect(form.types).toEqual(['Electric', 'Psychic']);
+  });
+
+  it('should match source form labels to registry forms', () => {
+    const findForm = (id, label) =>
+      speciesRegistry.findForm(id, label)?.name ?? null;
+
+    expect(findForm(37, 'Alolan Vulpix')).toBe('Vulpix-Alola');
+    expect(findForm(6, 'Mega Charizard X')).toBe('Charizard-Mega-X');
+    expect(findForm(3, 'Gigantamax Venusaur')).toBe('Venusaur-Gmax');
+    expect(findForm(128, 'Paldean Tauros (Aqua Breed)')).toBe(
+      'Tauros-Paldea-Aqua'
+    );
+    expect(findForm(479, 'Heat Rotom')).toBe('Rotom-Heat');
+    expect(findForm(37, 'Vulpix')).toBeNull();
+    expect(findForm(37, 'Spiky Vulpix')).toBeNull();
+  });
+
+  it('should throw for unknown species', () => {
+    expect(() => speciesRegistry.resolve('Missingno')).toThrow(
+      'Unknown species: Missingno'
+    );
+  });
+
+  it.each([
+    [29, 'Nidoran♀', 'nidoran-f'],
+    [83, "Farfetch'd", 'farfetchd'],
+    [122, 'Mr._Mime', 'mr-mime'],
+    [772, 'Type:_Null', 'type-null'],
+    [669, 'Flabébé', 'flabebe'],
+  ])('should build source slugs for species %i', (id, bulbapedia, smogon) => {
+    expect(speciesRegistry.getSlug(id, 'bulbapedia')).toBe(bulbapedia);
+    expect(speciesRegistry.getSlug(id, 'smogon')).toBe(smogon);
+    expect(speciesRegistry.getSlug(id, 'serebii')).toBe(
+      String(id).padStart(3, '0')
+    );
+  });
+
+  it('should slug form names for Smogon', () => {
+    expect(toSmogonSlug('Charizard-Mega-X')).toBe('charizard-mega-x');
+    expect(speciesRegistry.getSlug('Mr. Mime-Galar', 'smogon')).toBe(
+      'mr-mime-galar'
+    );
+  });
+});
+
+describe('Species selection', () => {
+  it('should select every species when no criteria are given', () => {
+    expect(speciesRegistry.select()).toHaveLength(1025);
+  });
+
+  it('should select by generation, region and range', () => {
+    const kanto = speciesRegistry.select({ regions: ['kanto'] });
+
+    expect(kanto).toHaveLength(151);
+    expect(speciesRegistry.select({ generations: [1] })).toEqual(kanto);
+    expect(speciesRegistry.select({ ranges: [[1, 151]] })).toEqual(kanto);
+    expect(getRegionForId(906)).toMatchObject({ generation: 9 });
+  });
+
+  it('should intersect criteria and accept names', () => {
+    const fire = speciesRegistry.select({ generations: [1], types: ['Fire'] });
+
+    expect(fire).toContain(4);
+    expect(fire).not.toContain(155);
+    expect(
+      speciesRegistry.select({ species: ['Pikachu', 150], regions: ['Kanto'] })
+    ).toEqual([25, 150]);
+  });
+
+  it('should reject unknown selectors', () => {
+    expect(() => speciesRegistry.select({ regions: ['Orre'] })).toThrow(
+      'Unknown region: Orre'
+    );
+    expect(() => speciesRegistry.select({ types: ['sound'] })).toThrow(
+      'Unknown type: sound'
+    );
+  });
+});
+
+describe('Crawler URLs', () => {
+  it('should build registry-backed species URLs for every source', async () => {
+    const bulbapedia = new BulbapediaCrawler({});
+    const name = await bulbapedia.getSpeciesName(250);
+
+    expect(bulbapedia.buildSpeciesUrl(name)).toBe(
+      'https://bulbapedia.bulbagarden.net/wiki/Ho-Oh_(Pokémon)'
+    );
+    expect(new SerebiiCrawler({}).buildSpeciesUrl(7)).toBe(
+      'https://www.serebii.net/pokedex/007.shtml'
+    );
+    expect(new SmogonCrawler({}).buildStrategyUrl('Type: Null')).toBe(
+      'https://www.smogon.com/dex/sv/pokemon/type-null/'
+    );
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Smogon Usage Statistics Tests
+ *
+ * Tests for parsing chaos JSON and moveset text files, loading them from a
+ * local copy or a mirror of Smogon's stats directory, and folding them into
+ * the species' competitive block.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseChaosStats,
+  parseMovesetStats,
+} from '../../source/server/processors/usage-stats.js';
+import { SmogonCrawler } from '../../source/server/crawler/smogon.js';
+import SmogonAdapter from '../../source/server/sources/smogon.js';
+
+const stats = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'smogon-stats'
+);
+const readStats = (path) => readFileSync(join(stats, path), 'utf8');
+const usageStats = { location: stats, cutoffs: [1695, 1630, 1500, 0] };
+
+describe('Usage statistics parsers', () => {
+  it('should turn chaos counts into percentages', () => {
+    const chaos = parseChaosStats(readStats('2024-05/chaos/gen9ou-1695.json'));
+
+    expect(chaos).toMatchObject({
+      format: 'gen9ou',
+      cutoff: 1695,
+      battles: 120000,
+    });
+    expect(chaos.species.Garchomp).toEqual({
+      usage: 12.345,
+      rawCount: 54321,
+      cutoff: 1695,
+      items: [
+        { name: 'loadeddice', percent: 45 },
+        { name: 'rockyhelmet', percent: 30 },
+        { name: 'choicescarf', percent: 25 },
+      ],
+      spreads: [
+        {
+          nature: 'Jolly',
+          evs: { attack: 252, spDefense: 4, speed: 252 },
+          percent: 60,
+        },
+        {
+          nature: 'Adamant',
+          evs: { attack: 252, spDefense: 4, speed: 252 },
+          percent: 40,
+        },
+      ],
+      teammates: [
+        { name: 'Great Tusk', percent: 35 },
+        { name: 'Kingambit', percent: 20 },
+      ],
+    });
+  });
+
+  it('should read moveset boxes with display names', () => {
+    const movesets = parseMovesetStats(
+      readStats('2024-05/moveset/gen9ou-1695.txt'),
+      1
+    );
+
+    expect(movesets).toEqual({
+      Garchomp: {
+        rawCount: 54321,
+        items: [{ name: 'Loaded Dice', percent: 45 }],
+        spreads: [
+          {
+            nature: 'Jolly',
+            evs: { attack: 252, spDefense: 4, speed: 252 },
+            percent: 60,
+          },
+        ],
+        teammates: [{ name: 'Great Tusk', percent: 12.345 }],
+      },
+    });
+  });
+});
+
+describe('SmogonCrawler usage statistics', () => {
+  it('should load a local copy by format and month', async () => {
+    const usage = await new SmogonCrawler({}).loadUsageStats(usageStats);
+
+    expect(Object.keys(usage)).toEqual([
+      'Garchomp',
+      'Great Tusk',
+      'Urshifu-Rapid-Strike',
+    ]);
+    expect(usage.Garchomp.gen9ou['2024-05']).toMatchObject({
+      usage: 12.345,
+      cutoff: 1695,
+      items: [
+        { name: 'Loaded Dice', percent: 45 },
+        { name: 'Rocky Helmet', percent: 30 },
+      ],
+      source: {
+        chaos: `${stats}/2024-05/chaos/gen9ou-1695.json`,
+        moveset: `${stats}/2024-05/moveset/gen9ou-1695.txt`,
+      },
+    });
+    // No moveset box, so the chaos file's IDs are kept
+    expect(usage['Great Tusk'].gen9ou['2024-05'].items[0]).toEqual({
+      name: 'boosterenergy',
+      percent: 60,
+    });
+  });
+
+  it('should read a mirror, falling back through the cutoffs', async () => {
+    const crawler = new SmogonCrawler({});
+    crawler.crawlUrl = jest.fn(async (url) => {
+      const path = url.replace('https://mirror.test/stats/', '');
+      if (!path.endsWith('-0.json')) {
+        throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+      }
+      return { data: JSON.parse(readStats(path)) };
+    });
+
+    const usage = await crawler.loadUsageStats({
+      ...usageStats,
+      location: 'https://mirror.test/stats',
+      months: ['2024-05'],
+      formats: ['gen9ou'],
+    });
+
+    expect(usage.Garchomp.gen9ou['2024-05']).toMatchObject({
+      usage: 50,
+      cutoff: 0,
+      source: {
+        chaos: 'https://mirror.test/stats/2024-05/chaos/gen9ou-0.json',
+        moveset: null,
+      },
+    });
+  });
+});
+
+describe('SmogonAdapter usage statistics', () => {
+  it('should fold usage into the competitive block by species', async () => {
+    const adapter = new SmogonAdapter('smogon', { usageStats });
+    await adapter.prepare();
+
+    const { competitive } = adapter.extract(
+      [{ kind: 'forums', url: 'https://www.smogon.com/forums/', body: '' }],
+      445
+    );
+
+    expect(competitive).toMatchObject({
+      tiers: {},
+      sets: [],
+      source: null,
+      usage: { gen9ou: { '2024-05': { usage: 12.345 } } },
+    });
+    expect(Object.keys(adapter.usage)).toEqual(['445', '984']);
+  });
+});
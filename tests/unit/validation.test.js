@@ -233,6 +233,7 @@ describe('validateHash', () => {
 describe('validateVersion', () => {
   it('should validate valid version strings', () => {
     expect(validateVersion('20250108-1430')).toBe(true);
+    expect(validateVersion('20250108-1430-2')).toBe(true);
   });
 
   it('should reject invalid version strings', () => {
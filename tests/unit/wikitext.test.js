@@ -0,0 +1,325 @@
+/**
+ * Wikitext Parser Tests
+ *
+ * Tests for the MediaWiki wikitext helpers and for Bulbapedia species
+ * parsing against stored article wikitext fixtures.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  findTemplates,
+  parseSections,
+  parseListItems,
+  stripBlockTemplates,
+  stripMarkup,
+} from '../../source/server/processors/wikitext.js';
+import { BulbapediaCrawler } from '../../source/server/crawler/bulbapedia.js';
+
+const fixtures = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'wikitext'
+);
+const readFixture = (name) =>
+  readFileSync(join(fixtures, `${name}.wikitext`), 'utf8');
+
+describe('Wikitext helpers', () => {
+  it('should parse named and positional parameters', () => {
+    const [template] = findTemplates(
+      '{{learnlist/tm9|TM001|Take Down|note=[[a|b]] {{tt|x|y=z}}}}',
+      'Learnlist/tm9'
+    );
+
+    expect(template.positional).toEqual(['TM001', 'Take Down']);
+    expect(template.params).toEqual({ note: '[[a|b]] {{tt|x|y=z}}' });
+  });
+
+  it('should match template names like MediaWiki', () => {
+    const wikitext = '{{pokémon Infobox|name=A}} {{Pokémon_Infobox|name=B}}';
+
+    expect(
+      findTemplates(wikitext, 'Pokémon Infobox').map((t) => t.params.name)
+    ).toEqual(['A', 'B']);
+    expect(findTemplates(wikitext, /^pokémon infobox$/)).toHaveLength(2);
+  });
+
+  it('should reduce inline markup to plain text', () => {
+    expect(
+      stripMarkup(
+        "'''Bulbasaur''' is a {{2t|Grass|Poison}} [[Pokémon]] from [[Kanto|the Kanto region]].<ref>Dex</ref><!-- note -->"
+      )
+    ).toBe('Bulbasaur is a Grass/Poison Pokémon from the Kanto region.');
+    expect(stripMarkup('{{tt|Evo.|Learned upon evolving}}')).toBe('Evo.');
+    expect(stripMarkup('[[File:Bulbasaur.png|thumb]]Text')).toBe('Text');
+  });
+
+  it('should drop block templates and keep inline ones', () => {
+    expect(stripBlockTemplates('{{Infobox\n|a=1\n}}\nA {{p|Mew}} page')).toBe(
+      '\nA {{p|Mew}} page'
+    );
+  });
+
+  it('should split sections and list items', () => {
+    const sections = parseSections(
+      'Lead\n==Trivia==\n* One [[fact]]\n** Two\n===Origin===\nText'
+    );
+
+    expect(sections.map(({ title, level }) => [title, level])).toEqual([
+      ['', 1],
+      ['Trivia', 2],
+      ['Origin', 3],
+    ]);
+    expect(parseListItems(sections[1].content)).toEqual(['One fact', 'Two']);
+  });
+});
+
+describe('BulbapediaCrawler wikitext parsing', () => {
+  const crawler = new BulbapediaCrawler({});
+
+  it('should parse the infobox into typed fields', () => {
+    const data = crawler.parseSpeciesPage(readFixture('bulbasaur'), 1);
+
+    expect(data).toMatchObject({
+      id: 1,
+      name: 'Bulbasaur',
+      ndex: 1,
+      category: 'Seed',
+      types: ['Grass', 'Poison'],
+      abilities: ['Overgrow', 'Chlorophyll'],
+      hiddenAbility: 'Chlorophyll',
+      height: 0.7,
+      weight: 6.9,
+      eggGroups: ['Monster', 'Grass'],
+      stats: {
+        hp: 45,
+        attack: 49,
+        defense: 49,
+        spAttack: 65,
+        spDefense: 65,
+        speed: 45,
+      },
+    });
+  });
+
+  it('should parse learnset rows by method', () => {
+    const { learnset } = crawler.parseSpeciesPage(readFixture('bulbasaur'), 1);
+    const scarletViolet = ['scarlet', 'violet'];
+
+    expect(learnset).toHaveLength(7);
+    expect(learnset[0]).toEqual({
+      move: 'Tackle',
+      method: 'level-up',
+      level: 1,
+      generation: 9,
+      games: scarletViolet,
+    });
+    expect(learnset[3]).toMatchObject({ move: 'Leech Seed', level: null });
+    expect(learnset[4]).toEqual({
+      move: 'Take Down',
+      method: 'machine',
+      level: null,
+      generation: 9,
+      games: scarletViolet,
+    });
+    expect(learnset[6]).toMatchObject({ move: 'Petal Dance', method: 'egg' });
+  });
+
+  it('should split level columns of older generations by game', () => {
+    const learnset = crawler.parseLearnset(
+      readFixture('bulbasaur-generation-i')
+    );
+    const find = (move) => learnset.filter((entry) => entry.move === move);
+
+    expect(find('Tackle')).toEqual([
+      {
+        move: 'Tackle',
+        method: 'level-up',
+        level: 1,
+        generation: 1,
+        games: ['red', 'blue', 'yellow'],
+      },
+    ]);
+    expect(find('Vine Whip')).toEqual([
+      expect.objectContaining({ level: 13, games: ['red', 'blue'] }),
+    ]);
+    expect(find('Poison Powder')).toEqual([
+      expect.objectContaining({ level: 20, games: ['yellow'] }),
+    ]);
+    expect(find('Cut')).toEqual([
+      expect.objectContaining({ method: 'machine', generation: 1 }),
+    ]);
+  });
+
+  it('should list learnset pages from the introducing generation', () => {
+    expect(crawler.buildLearnsetUrls('Bulbasaur', 1)).toHaveLength(8);
+    expect(crawler.buildLearnsetUrls('Sprigatito', 906)).toEqual([]);
+    expect(crawler.buildLearnsetUrls('Zeraora', 807)).toEqual([
+      {
+        generation: 7,
+        url: 'https://bulbapedia.bulbagarden.net/wiki/Zeraora_(Pokémon)/Generation_VII_learnset?action=raw',
+      },
+      {
+        generation: 8,
+        url: 'https://bulbapedia.bulbagarden.net/wiki/Zeraora_(Pokémon)/Generation_VIII_learnset?action=raw',
+      },
+    ]);
+  });
+
+  it('should parse the description, trivia and artwork', () => {
+    const data = crawler.parseSpeciesPage(readFixture('bulbasaur'), 1);
+
+    expect(data.description).toBe(
+      'Bulbasaur (Japanese: フシギダネ Fushigidane) is a dual-type Grass/Poison Pokémon introduced in Generation I.'
+    );
+    expect(data.trivia).toEqual([
+      'Bulbasaur is the first Pokémon listed in the National Pokédex.',
+      'Bulbasaur and its evolutions are the only starter Pokémon that are dual-type from the start.',
+      'This is a nested note that is long enough.',
+    ]);
+    expect(data.images).toEqual([
+      {
+        src: expect.stringMatching(
+          /^https:\/\/archives\.bulbagarden\.net\/media\/upload\/([0-9a-f])\/\1[0-9a-f]\/0001Bulbasaur\.png$/
+        ),
+        alt: 'Bulbasaur official artwork',
+      },
+    ]);
+  });
+
+  it('should handle single types, older learnlists and tutor moves', () => {
+    const data = crawler.parseSpeciesPage(readFixture('pikachu'), 25);
+
+    expect(data.types).toEqual(['Electric']);
+    expect(data.stats.speed).toBe(90);
+    // Let's Go lists its moves apart, so these rows are not credited to it
+    expect(
+      data.learnset.map(({ move, level, games }) => [move, level, games])
+    ).toEqual([
+      ['Thunder Shock', 1, ['sun', 'moon', 'ultra-sun', 'ultra-moon']],
+      ['Tail Whip', 5, ['ultra-sun', 'ultra-moon']],
+      ['Volt Tackle', null, ['scarlet', 'violet']],
+    ]);
+    expect(data.learnset[2]).toMatchObject({ method: 'tutor', generation: 9 });
+    expect(data.images[0].src).toMatch(/\/0025Pikachu\.png$/);
+  });
+
+  it('should skip level rows whose columns do not match', () => {
+    const learnset = crawler.parseLearnset(
+      [
+        '{{learnlist/level7|1|1|1|Thunder Shock|Electric|Special|40|100|30}}',
+        '{{learnlist/level1|1|Tackle|Normal|Physical|35|95|35}}',
+        '{{learnlist/level1|1|1|Growl|Normal|Status|—|100|40}}',
+      ].join('\n')
+    );
+
+    expect(learnset.map(({ move }) => move)).toEqual(['Growl']);
+  });
+
+  it('should credit rows only to the games their section names', () => {
+    const learnset = crawler.parseLearnset(
+      [
+        '===By leveling up===',
+        '====Pokémon Sun, Moon, Ultra Sun, and Ultra Moon====',
+        '{{learnlist/level7|1|1|Thunder Shock|Electric|Special|40|100|30}}',
+        '{{learnlist/level7|—|5|Tail Whip|Normal|Status|—|100|30}}',
+        "====Pokémon: Let's Go, Pikachu! and Let's Go, Eevee!====",
+        '{{learnlist/level7|3|Tail Whip|Normal|Status|—|100|30}}',
+        '===By TM===',
+        '====Pokémon Sword and Shield====',
+        '{{learnlist/tm8|TM14|Thunder Wave|Electric|Status|—|90|20}}',
+        '====Pokémon Brilliant Diamond and Shining Pearl====',
+        '{{learnlist/tm8|TM82|Thunder|Electric|Special|110|70|10}}',
+        '===By tutoring===',
+        '{{learnlist/tutor8|Volt Tackle|Electric|Physical|120|100|15}}',
+      ].join('\n')
+    );
+
+    expect(
+      learnset.map(({ move, level, games }) => [move, level, games])
+    ).toEqual([
+      ['Thunder Shock', 1, ['sun', 'moon', 'ultra-sun', 'ultra-moon']],
+      ['Tail Whip', 5, ['ultra-sun', 'ultra-moon']],
+      ['Tail Whip', 3, ['lets-go-pikachu', 'lets-go-eevee']],
+      ['Thunder Wave', null, ['sword', 'shield']],
+      ['Thunder', null, ['brilliant-diamond', 'shining-pearl']],
+      ['Volt Tackle', null, ['sword', 'shield']],
+    ]);
+  });
+
+  it('should parse Pokédex entries and merge repeated text', () => {
+    const { dexEntries } = crawler.parseSpeciesPage(
+      readFixture('bulbasaur'),
+      1
+    );
+
+    expect(dexEntries).toEqual([
+      {
+        text: 'A strange seed was planted on its back at birth. The plant sprouts and grows with this Pokémon.',
+        games: ['red', 'blue', 'firered', 'leafgreen'],
+        generation: 1,
+      },
+      {
+        text: 'It can go for days without eating a single morsel. In the bulb on its back, it stores energy.',
+        games: ['yellow'],
+        generation: 1,
+      },
+      {
+        text: 'There is a plant seed on its back right from the day this Pokémon is born. The seed slowly grows larger.',
+        games: ['lets-go-pikachu', 'lets-go-eevee'],
+        generation: 7,
+      },
+    ]);
+  });
+
+  it('should parse alternate forms from the infobox', () => {
+    const data = crawler.parseSpeciesPage(readFixture('vulpix'), 37);
+
+    expect(data.types).toEqual(['Fire']);
+    expect(data.abilities).toEqual(['Flash Fire', 'Drought']);
+    expect(data.forms).toEqual([
+      {
+        name: 'Vulpix-Alola',
+        types: ['Ice'],
+        stats: {
+          hp: 38,
+          attack: 41,
+          defense: 40,
+          spAttack: 50,
+          spDefense: 65,
+          speed: 65,
+        },
+        abilities: ['Snow Cloak', 'Snow Warning'],
+        images: [
+          {
+            src: expect.stringMatching(/\/0037Vulpix-Alola\.png$/),
+            alt: 'Alolan Vulpix official artwork',
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('should tell moves from types of the same name', () => {
+    const [entry] = crawler.parseLearnset(
+      '{{learnlist/tm9|TM120|Psychic|Psychic|Special|90|100|10}}'
+    );
+
+    expect(entry).toMatchObject({ move: 'Psychic', method: 'machine' });
+  });
+
+  it('should reject articles without an infobox', () => {
+    expect(() => crawler.parseSpeciesPage('Just text', 1)).toThrow(
+      'No Pokémon Infobox'
+    );
+  });
+
+  it('should fetch the raw wikitext of the article', () => {
+    expect(crawler.buildWikitextUrl('Mr._Mime')).toBe(
+      'https://bulbapedia.bulbagarden.net/wiki/Mr._Mime_(Pokémon)?action=raw'
+    );
+  });
+});